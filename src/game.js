@@ -1,43 +1,621 @@
 // src/game.js — All game logic. Pure functions, no I/O.
 
+import { createHash, createHmac, randomBytes, randomFillSync } from 'node:crypto';
+
 const SUITS = ['♠', '♥', '♦', '♣'];
 const RANKS = ['2', '3', '4', '5', '6', '7', '8', '9', '10', 'J', 'Q', 'K', 'A'];
 
+// ─── Table Rules ─────────────────────────────────────────────────────
+
 /**
- * Creates a standard 52-card deck.
- * Each card: { suit, rank, value }
- * Face cards = 10, Ace = 11, number cards = face value.
+ * The house rules the game has always played by. Every engine function reads
+ * its limits and payouts from `state.rules`, which starts as a copy of these
+ * merged with whatever overrides were passed to createGameState().
  */
+export const DEFAULT_RULES = {
+  name: 'Classic',
+  minBet: 10,
+  maxBet: 500,
+  blackjackPayout: '3:2',  // ratio paid on a natural, "win:stake": one of BLACKJACK_PAYOUTS
+  payoutRounding: 'down',  // fractional payouts: 'down' to the dollar, 'unit' down to the chip unit, 'half' keeps 50¢
+  chipUnit: 1,             // smallest chip the table pays in, for 'unit' rounding
+  dealerStandsOn: 17,      // dealer stands on this total or higher
+  dealerHitsSoft17: false, // H17: dealer draws on soft 17 instead of standing
+  dealer22Pushes: false,   // a dealer 22 pushes every hand still standing, except a player blackjack
+  decks: 1,                // decks in the shoe: 1, 2, 4, 6 or 8
+  spanishDeck: false,      // Spanish 21 decks: 48 cards, the four 10s removed (J, Q and K stay)
+  penetration: 0.71,       // share of the shoe dealt before the cut card (15 cards left of 52)
+  continuousShuffle: false, // continuous shuffling machine: each round's cards go back into the shoe; no cut card
+  shuffleModel: 'random',  // 'random' (Fisher–Yates) or 'casino': riffles and strips by hand, then a cut
+  riffles: 4,              // riffles in a casino shuffle (1–10)
+  strips: 1,               // strips in a casino shuffle, one after each of the first riffles (0 to riffles)
+  maxSplitHands: 2,        // hands a pair may be split into: 1 disables splitting, up to 4
+  resplitAces: false,      // a split ace that draws another ace may be split again
+  doubleOn: 'any',         // totals that may double: 'any', or only hard '9-11' / '10-11'
+  doubleMaxCards: 2,       // largest hand that may double; 2 means the first two cards only, 0 any number
+  doubleRescue: false,     // after doubling, the player may take back the double and forfeit the original bet
+  doubleAfterSplit: false, // split hands may double down (DAS)
+  hitSplitAces: false,     // split aces may draw (and double, with DAS) instead of standing on one card
+  freeBets: false,         // Free Bet: the house fronts doubles on hard 9–11 and splits of any pair but tens
+  charlie: 0,              // cards that win automatically without busting (5-, 6- or 7-card Charlie); 0 is off
+  maxSpots: 3,             // betting spots a player may play at once (1–3)
+  switchHands: false,      // Blackjack Switch: two hands dealt, one bet each; their second cards may be swapped
+  suited678Bonus: 'none',  // "win:stake" paid automatically on a three-card suited 6-7-8 (not doubled), or 'none'
+  triple7Bonus: 'none',    // "win:stake" paid automatically on a three-card 7-7-7 (not doubled), or 'none'
+  cardCount21Bonus: false, // 21 on 5, 6 or 7+ cards pays 3:2, 2:1 or 3:1 (not on a doubled hand)
+  player21Wins: false,     // a player 21 beats a dealer 21, and a player blackjack beats a dealer blackjack
+  tiesLose: false,         // the dealer wins equal totals, except that a player blackjack beats a dealer blackjack
+  surrender: 'late',       // give up half the bet: 'late' (after the peek), 'early' (before it) or 'none'
+  holeCard: 'peek',        // 'peek': dealer checks for blackjack; 'enhc': no hole card until the player acts;
+                           // 'exposed': both dealer cards dealt face up (Double Exposure)
+  enhcLosses: 'all',       // ENHC dealer blackjack takes 'all' doubled/split bets or 'obo' (original bet only)
+  insurance: true,         // offer insurance (or even money on a blackjack) against a dealer ace; false is off
+  perfectPairs: 'none',    // Perfect Pairs side bet paytable "perfect/colored/mixed" paid to 1, e.g. '25/12/6', or 'none'
+  twentyOnePlus3: 'none',  // 21+3 side bet paytable "suited trips/straight flush/trips/straight/flush", or 'none'
+  luckyLadies: 'none',     // Lucky Ladies paytable "Q♥ pair vs dealer blackjack/Q♥ pair/matched/suited/any 20"
+  busterBlackjack: 'none', // Buster Blackjack paytable by the dealer's cards on a bust, "8+/7/6/5/4/3"
+};
+
+/**
+ * Blackjack payouts a table may offer, best for the player first.
+ */
+export const BLACKJACK_PAYOUTS = ['2:1', '3:2', '7:5', '6:5', '1:1'];
+
+/**
+ * Named rule sets for the tables we model. Keys are what `--table` accepts.
+ */
+export const RULE_PRESETS = {
+  classic: DEFAULT_RULES,
+  'vegas-strip': {
+    ...DEFAULT_RULES, name: 'Vegas Strip', minBet: 25, decks: 6, penetration: 0.75, surrender: 'late',
+    insurance: true, maxSplitHands: 4, resplitAces: true, doubleAfterSplit: true,
+    perfectPairs: '25/12/6', twentyOnePlus3: '100/40/30/10/5',
+  },
+  'atlantic-city': {
+    ...DEFAULT_RULES, name: 'Atlantic City', minBet: 15, decks: 8, penetration: 0.75, surrender: 'late',
+    insurance: true, maxSplitHands: 4, doubleAfterSplit: true,
+  },
+  european: {
+    ...DEFAULT_RULES, name: 'European', decks: 6, penetration: 0.75, holeCard: 'enhc', doubleOn: '9-11',
+    doubleAfterSplit: true, surrender: 'none',
+  },
+  downtown: {
+    ...DEFAULT_RULES, name: 'Downtown', minBet: 5, maxBet: 250, dealerHitsSoft17: true,
+    decks: 2, penetration: 0.65, surrender: 'none', insurance: true, maxSplitHands: 4,
+    luckyLadies: '1000/125/19/9/4', busterBlackjack: '250/50/12/4/2/1',
+  },
+  reno: {
+    ...DEFAULT_RULES, name: 'Reno', dealerHitsSoft17: true, decks: 6, penetration: 0.75, insurance: true,
+    maxSplitHands: 4, doubleOn: '10-11', surrender: 'none',
+  },
+  'free-bet': {
+    ...DEFAULT_RULES, name: 'Free Bet', dealerHitsSoft17: true, dealer22Pushes: true, decks: 6, penetration: 0.75,
+    freeBets: true, maxSplitHands: 4, doubleAfterSplit: true, surrender: 'none',
+  },
+  'double-exposure': {
+    ...DEFAULT_RULES, name: 'Double Exposure', blackjackPayout: '1:1', dealerHitsSoft17: true, decks: 6,
+    penetration: 0.75, holeCard: 'exposed', tiesLose: true, doubleOn: '9-11', surrender: 'none',
+  },
+  spanish21: {
+    ...DEFAULT_RULES, name: 'Spanish 21', decks: 6, spanishDeck: true, penetration: 0.75, dealerHitsSoft17: true,
+    surrender: 'late', insurance: true, maxSplitHands: 4, resplitAces: true, doubleAfterSplit: true,
+    hitSplitAces: true, doubleMaxCards: 0, doubleRescue: true, player21Wins: true, cardCount21Bonus: true,
+    suited678Bonus: '2:1', triple7Bonus: '3:2',
+  },
+  switch: {
+    ...DEFAULT_RULES, name: 'Blackjack Switch', blackjackPayout: '1:1', dealerHitsSoft17: true, dealer22Pushes: true,
+    decks: 6, penetration: 0.75, switchHands: true, maxSplitHands: 4, doubleAfterSplit: true,
+    surrender: 'none',
+  },
+};
+
+const isPositiveInteger = (n) => Number.isInteger(n) && n > 0;
+
+/**
+ * Validate a complete rules object.
+ * Returns { valid: true, rules } or { valid: false, error } like placeBet().
+ */
+export function validateRules(rules) {
+  if (typeof rules.name !== 'string' || rules.name === '') {
+    return { valid: false, error: 'Rules must have a name.' };
+  }
+  if (!isPositiveInteger(rules.minBet)) {
+    return { valid: false, error: 'Minimum bet must be a whole number greater than zero.' };
+  }
+  if (!isPositiveInteger(rules.maxBet) || rules.maxBet < rules.minBet) {
+    return { valid: false, error: 'Maximum bet must be a whole number no lower than the minimum bet.' };
+  }
+  if (!BLACKJACK_PAYOUTS.includes(rules.blackjackPayout)) {
+    return { valid: false, error: `Blackjack payout must be one of ${BLACKJACK_PAYOUTS.join(', ')}.` };
+  }
+  if (!['down', 'unit', 'half'].includes(rules.payoutRounding)) {
+    return { valid: false, error: 'Payout rounding must be "down", "unit" or "half".' };
+  }
+  if (!isPositiveInteger(rules.chipUnit)) {
+    return { valid: false, error: 'Chip unit must be a whole number greater than zero.' };
+  }
+  if (!Number.isInteger(rules.dealerStandsOn) || rules.dealerStandsOn < 17 || rules.dealerStandsOn > 21) {
+    return { valid: false, error: 'Dealer must stand on a total from 17 to 21.' };
+  }
+  if (typeof rules.dealerHitsSoft17 !== 'boolean') {
+    return { valid: false, error: 'Dealer soft 17 rule must be true (hit) or false (stand).' };
+  }
+  if (typeof rules.dealer22Pushes !== 'boolean') {
+    return { valid: false, error: 'Dealer 22 push rule must be true or false.' };
+  }
+  if (![1, 2, 4, 6, 8].includes(rules.decks)) {
+    return { valid: false, error: 'Shoe must hold 1, 2, 4, 6 or 8 decks.' };
+  }
+  if (typeof rules.spanishDeck !== 'boolean') {
+    return { valid: false, error: 'Spanish deck rule must be true or false.' };
+  }
+  if (typeof rules.penetration !== 'number' || rules.penetration < 0.25 || rules.penetration > 0.9) {
+    return { valid: false, error: 'Penetration must be between 0.25 and 0.9 of the shoe.' };
+  }
+  if (typeof rules.continuousShuffle !== 'boolean') {
+    return { valid: false, error: 'Continuous shuffle rule must be true or false.' };
+  }
+  if (!['random', 'casino'].includes(rules.shuffleModel)) {
+    return { valid: false, error: 'Shuffle model must be "random" or "casino".' };
+  }
+  if (!Number.isInteger(rules.riffles) || rules.riffles < 1 || rules.riffles > 10) {
+    return { valid: false, error: 'Riffles must be from 1 to 10.' };
+  }
+  if (!Number.isInteger(rules.strips) || rules.strips < 0 || rules.strips > rules.riffles) {
+    return { valid: false, error: 'Strips must be from 0 to the number of riffles.' };
+  }
+  if (!Number.isInteger(rules.maxSplitHands) || rules.maxSplitHands < 1 || rules.maxSplitHands > 4) {
+    return { valid: false, error: 'Split hands must be from 1 (no splitting) to 4.' };
+  }
+  if (typeof rules.resplitAces !== 'boolean') {
+    return { valid: false, error: 'Re-split aces rule must be true or false.' };
+  }
+  if (!['any', '9-11', '10-11'].includes(rules.doubleOn)) {
+    return { valid: false, error: 'Double on must be "any", "9-11" or "10-11".' };
+  }
+  if (!Number.isInteger(rules.doubleMaxCards) || rules.doubleMaxCards === 1 || rules.doubleMaxCards < 0) {
+    return { valid: false, error: 'Double max cards must be a whole number of at least 2 (0 for any number).' };
+  }
+  if (typeof rules.doubleRescue !== 'boolean') {
+    return { valid: false, error: 'Double rescue rule must be true or false.' };
+  }
+  if (typeof rules.doubleAfterSplit !== 'boolean') {
+    return { valid: false, error: 'Double after split rule must be true or false.' };
+  }
+  if (typeof rules.hitSplitAces !== 'boolean') {
+    return { valid: false, error: 'Hit split aces rule must be true or false.' };
+  }
+  if (typeof rules.freeBets !== 'boolean') {
+    return { valid: false, error: 'Free bets rule must be true or false.' };
+  }
+  if (!Number.isInteger(rules.maxSpots) || rules.maxSpots < 1 || rules.maxSpots > 3) {
+    return { valid: false, error: 'Spots must be from 1 to 3.' };
+  }
+  if (typeof rules.switchHands !== 'boolean') {
+    return { valid: false, error: 'Switch hands rule must be true or false.' };
+  }
+  if (![0, 5, 6, 7].includes(rules.charlie)) {
+    return { valid: false, error: 'Charlie must be 5, 6 or 7 cards (0 for none).' };
+  }
+  for (const bonus of ['suited678Bonus', 'triple7Bonus']) {
+    if (rules[bonus] !== 'none' && !/^[1-9]\d*:[1-9]\d*$/.test(rules[bonus])) {
+      return { valid: false, error: `${bonus} must be "none" or a ratio such as "2:1".` };
+    }
+  }
+  if (typeof rules.cardCount21Bonus !== 'boolean') {
+    return { valid: false, error: 'Card-count 21 bonus rule must be true or false.' };
+  }
+  if (typeof rules.player21Wins !== 'boolean') {
+    return { valid: false, error: 'Player 21 wins rule must be true or false.' };
+  }
+  if (typeof rules.tiesLose !== 'boolean') {
+    return { valid: false, error: 'Ties lose rule must be true or false.' };
+  }
+  if (!['none', 'late', 'early'].includes(rules.surrender)) {
+    return { valid: false, error: 'Surrender must be "none", "late" or "early".' };
+  }
+  if (!['peek', 'enhc', 'exposed'].includes(rules.holeCard)) {
+    return { valid: false, error: 'Hole card rule must be "peek", "enhc" or "exposed".' };
+  }
+  if (!['all', 'obo'].includes(rules.enhcLosses)) {
+    return { valid: false, error: 'ENHC losses must be "all" or "obo".' };
+  }
+  if (rules.freeBets && rules.holeCard === 'enhc') {
+    return { valid: false, error: 'Free Bet needs a hole card (holeCard "peek" or "exposed").' };
+  }
+  if (rules.switchHands && rules.holeCard !== 'peek') {
+    return { valid: false, error: 'Blackjack Switch needs a dealer peek (holeCard "peek").' };
+  }
+  if (typeof rules.insurance !== 'boolean') {
+    return { valid: false, error: 'Insurance rule must be true or false.' };
+  }
+  // The cut card must leave enough cards to deal the biggest round — every
+  // spot, or both Switch hands, and the dealer — without running dry
+  const largestDeal = Math.max(rules.maxSpots, rules.switchHands ? 2 : 1) * 2 + 2;
+  if (!rules.continuousShuffle && cutCardPosition(rules) < largestDeal) {
+    return { valid: false, error: `The cut card must leave at least ${largestDeal} cards to deal a round; lower the penetration.` };
+  }
+  for (const [key, sideBet] of Object.entries(SIDE_BETS)) {
+    if (rules[key] !== 'none' && !paytable(rules[key], sideBet)) {
+      return { valid: false, error: `${key} must be "none" or a paytable such as "${sideBet.example}".` };
+    }
+  }
+  return { valid: true, rules };
+}
+
+/**
+ * Convert a "win:stake" ratio string to a multiplier: '3:2' → 1.5.
+ */
+function payoutMultiplier(ratio) {
+  const [win, stake] = ratio.split(':').map(Number);
+  return win / stake;
+}
+
+/**
+ * Round a payout that may come out fractional (a 3:2 or 6:5 blackjack, a
+ * surrendered half bet) per the table's rounding policy: down to the whole
+ * dollar, down to the chip unit, or down to the half dollar. The house never
+ * rounds in the player's favor.
+ */
+function roundPayout(amount, rules) {
+  switch (rules.payoutRounding) {
+    case 'unit':
+      return Math.floor(amount / rules.chipUnit) * rules.chipUnit;
+    case 'half':
+      return Math.floor(amount * 2) / 2;
+    default:
+      return Math.floor(amount);
+  }
+}
+
+// ─── Random Numbers ──────────────────────────────────────────────────
+//
+// Shuffles draw from the rng in state.rng, a plain object so it saves and
+// restores with the rest of the state: { type: 'random' } uses Math.random(),
+// { type: 'crypto' } node:crypto, and { type: 'seeded', seed, state } a seeded
+// PRNG (Mulberry32) whose 32-bit state moves on with every draw, so the same
+// seed deals the same shoes.
+//
+// A provably fair game ({ type: 'fair' }) shuffles every shoe from its own
+// server seed, and shows the seed's sha256 (the commit) while the shoe is
+// dealt. The seeds form a hash chain back from a random chain seed: shoe n's
+// seed is the sha256 of shoe n + 1's, so shoe 1's commit, shown before the
+// player picks a client seed, binds every shoe to come, and the house cannot
+// go looking for seeds that suit the client's. Each seed is revealed when its
+// shoe ends (rng.revealed), which gives away nothing about the next, and
+// verifyShoe() replays that shoe. Shoe n is shuffled from an HMAC-SHA256
+// stream keyed by its server seed over "client:n", so a few dealt cards give
+// nothing away about the rest.
+
+/**
+ * Rngs a game may be started with when it has no seed.
+ */
+export const RNG_TYPES = ['random', 'crypto'];
+
+const mathRandomIndex = (n) => Math.floor(Math.random() * n);
+
+/**
+ * A whole number below n from node:crypto. Draws of 32 random bits at or
+ * above the largest multiple of n are thrown away and drawn again (rejection
+ * sampling), so every result is equally likely — no modulo bias.
+ */
+function cryptoRandomIndex(n) {
+  const limit = 2 ** 32 - (2 ** 32 % n);
+  const draw = new Uint32Array(1);
+  do {
+    randomFillSync(draw);
+  } while (draw[0] >= limit);
+  return draw[0] % n;
+}
+
+/**
+ * Hash a seed string to the PRNG's 32-bit starting state (FNV-1a).
+ */
+function hashSeed(seed) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < seed.length; i++) {
+    hash = Math.imul(hash ^ seed.charCodeAt(i), 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Create the rng for a game: seeded when `seed` (any string or number) is
+ * given, otherwise `type` from RNG_TYPES — Math.random() unless 'crypto'.
+ */
+export function createRng(seed = null, type = 'random') {
+  if (seed === null || seed === undefined) {
+    if (!RNG_TYPES.includes(type)) {
+      throw new Error(`Unknown rng "${type}". Choose one of: ${RNG_TYPES.join(', ')}`);
+    }
+    return { type };
+  }
+  const text = String(seed);
+  return { type: 'seeded', seed: text, state: hashSeed(text) };
+}
+
+// Shoes in a provably fair game's hash chain
+const FAIR_SHOES = 10000;
+
+/**
+ * Create the rng for a provably fair game: a random 256-bit chain seed and
+ * the commit to shoe 1's server seed. The client seed is added with
+ * withClientSeed() once that commit has been shown; reshuffleShoe() then
+ * deals shoe 1.
+ */
+export function createFairRng(chainSeed = randomBytes(32).toString('hex'), chainLength = FAIR_SHOES) {
+  const rng = {
+    type: 'fair', chainSeed, chainLength, serverSeed: null, clientSeed: null, shoe: 0, revealed: null, state: 0,
+  };
+  return { ...rng, commit: serverCommit(chainServerSeed(rng, 1)) };
+}
+
+/**
+ * Add the player's client seed to a provably fair rng. It must come before
+ * the first shoe: every shoe is shuffled from it.
+ */
+export function withClientSeed(rng, clientSeed) {
+  if (rng.shoe > 0) {
+    throw new Error('The client seed is set before the first shoe.');
+  }
+  return { ...rng, clientSeed: String(clientSeed) };
+}
+
+/**
+ * The published commitment to a server seed: its sha256, in hex.
+ */
+function serverCommit(serverSeed) {
+  return createHash('sha256').update(serverSeed).digest('hex');
+}
+
+/**
+ * The server seed of a shoe in the hash chain: the chain seed hashed once
+ * for every shoe after it.
+ */
+function chainServerSeed(rng, shoe) {
+  let seed = rng.chainSeed;
+  for (let i = shoe; i < rng.chainLength; i++) {
+    seed = serverCommit(seed);
+  }
+  return seed;
+}
+
+/**
+ * Everything needed to verify the shoe a provably fair rng is dealing:
+ * { shoe, serverSeed, commit, clientSeed }. Reveal it only once the shoe is
+ * over — nextFairShoe() does at each reshuffle, and a game that ends reveals
+ * its last shoe.
+ */
+export function fairShoeReveal(rng) {
+  const { shoe, serverSeed, commit, clientSeed } = rng;
+  return { shoe, serverSeed, commit, clientSeed };
+}
+
+/**
+ * Move a provably fair rng on to its next shoe, at the start of that shoe's
+ * stream, revealing the server seed of the shoe just finished.
+ */
+function nextFairShoe(rng) {
+  if (rng.clientSeed === null) {
+    throw new Error('A provably fair game needs a client seed before its first shoe.');
+  }
+  if (rng.shoe === rng.chainLength) {
+    throw new Error(`A provably fair game deals at most ${rng.chainLength} shoes.`);
+  }
+  const shoe = rng.shoe + 1;
+  const serverSeed = chainServerSeed(rng, shoe);
+  return {
+    ...rng,
+    shoe,
+    serverSeed,
+    commit: serverCommit(serverSeed),
+    revealed: rng.shoe > 0 ? fairShoeReveal(rng) : null,
+    state: 0,
+  };
+}
+
+/**
+ * Draws from a provably fair shoe's stream: HMAC-SHA256 blocks keyed by the
+ * server seed over "client:shoe:block", eight 32-bit draws to a block, with
+ * `state` counting the draws used. Draws at or above the largest multiple of
+ * n are thrown away (rejection sampling), as in cryptoRandomIndex().
+ */
+function openFairStream(rng) {
+  let drawn = rng.state;
+  let blockIndex = -1;
+  let block = null;
+  const nextDraw = () => {
+    const index = Math.floor(drawn / 8);
+    if (index !== blockIndex) {
+      block = createHmac('sha256', rng.serverSeed).update(`${rng.clientSeed}:${rng.shoe}:${index}`).digest();
+      blockIndex = index;
+    }
+    const draw = block.readUInt32BE((drawn % 8) * 4);
+    drawn++;
+    return draw;
+  };
+  return {
+    randomIndex: (n) => {
+      const limit = 2 ** 32 - (2 ** 32 % n);
+      let draw;
+      do {
+        draw = nextDraw();
+      } while (draw >= limit);
+      return draw % n;
+    },
+    save: () => ({ ...rng, state: drawn }),
+  };
+}
+
+/**
+ * Open an rng for a run of draws. Returns `randomIndex(n)`, a whole number
+ * from 0 to n - 1, and `save()`, the rng moved on past those draws, to store
+ * back in state.
+ */
+export function openRng(rng = { type: 'random' }) {
+  if (rng.type === 'fair') {
+    return openFairStream(rng);
+  }
+  if (rng.type !== 'seeded') {
+    return { randomIndex: rng.type === 'crypto' ? cryptoRandomIndex : mathRandomIndex, save: () => rng };
+  }
+  let current = rng.state;
+  return {
+    randomIndex: (n) => {
+      current = (current + 0x6d2b79f5) >>> 0;
+      let t = current;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return Math.floor(((t ^ (t >>> 14)) >>> 0) / 4294967296 * n);
+    },
+    save: () => ({ ...rng, state: current }),
+  };
+}
+
 /**
  * Fisher-Yates shuffle. Returns a new shuffled array (does not mutate input).
+ * `randomIndex(n)` picks each swap, a whole number below n; it defaults to
+ * Math.random(), and reshuffleShoe() passes the game's rng.
  */
-export function shuffleDeck(deck) {
+export function shuffleDeck(deck, randomIndex = mathRandomIndex) {
   const shuffled = [...deck];
   for (let i = shuffled.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
+    const j = randomIndex(i + 1);
     [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
   }
   return shuffled;
 }
 
-export function createGameState() {
+// ─── Casino Shuffle ──────────────────────────────────────────────────
+//
+// A hand shuffle as dealers do it, for tables with shuffleModel 'casino'.
+// Unlike Fisher–Yates it leaves the clumps that shuffle trackers follow.
+// The last card of an array is the top of the deck, as in drawCard().
+
+/**
+ * One riffle by the Gilbert–Shannon–Reeds model: cut the deck binomially
+ * (a coin flip per card), then drop cards from the two halves with odds in
+ * proportion to the cards left in each.
+ */
+export function riffleDeck(deck, randomIndex = mathRandomIndex) {
+  let cut = 0;
+  for (let i = 0; i < deck.length; i++) {
+    cut += randomIndex(2);
+  }
+  const left = deck.slice(0, cut);
+  const right = deck.slice(cut);
+  const riffled = [];
+  let l = 0;
+  let r = 0;
+  while (l < left.length || r < right.length) {
+    const leftCards = left.length - l;
+    if (randomIndex(leftCards + right.length - r) < leftCards) {
+      riffled.push(left[l++]);
+    } else {
+      riffled.push(right[r++]);
+    }
+  }
+  return riffled;
+}
+
+/**
+ * One strip: pull packets of 3 to 12 cards a deck off the top onto a new
+ * pile, so the packets end up in reverse order, each in its own order.
+ */
+export function stripDeck(deck, randomIndex = mathRandomIndex) {
+  const scale = Math.max(1, Math.round(deck.length / 52));
+  const packets = [];
+  for (let top = deck.length; top > 0;) {
+    const size = Math.min(top, (3 + randomIndex(10)) * scale);
+    packets.push(deck.slice(top - size, top));
+    top -= size;
+  }
+  return packets.flat();
+}
+
+/**
+ * Cut the deck somewhere in its middle half: the cards above the cut go to
+ * the bottom.
+ */
+export function cutDeck(deck, randomIndex = mathRandomIndex) {
+  const quarter = Math.floor(deck.length / 4);
+  const at = quarter + randomIndex(deck.length - 2 * quarter + 1);
+  return [...deck.slice(at), ...deck.slice(0, at)];
+}
+
+/**
+ * A full casino shuffle: `riffles` riffles with a strip after each of the
+ * first `strips` of them, then a cut.
+ */
+export function casinoShuffle(deck, randomIndex = mathRandomIndex, { riffles = 4, strips = 1 } = {}) {
+  let shuffled = [...deck];
+  for (let i = 0; i < riffles; i++) {
+    shuffled = riffleDeck(shuffled, randomIndex);
+    if (i < strips) {
+      shuffled = stripDeck(shuffled, randomIndex);
+    }
+  }
+  return cutDeck(shuffled, randomIndex);
+}
+
+/**
+ * Shuffle a shoe's cards by the table's shuffle model.
+ */
+function shuffleShoe(cards, rules, randomIndex) {
+  return rules.shuffleModel === 'casino' ? casinoShuffle(cards, randomIndex, rules) : shuffleDeck(cards, randomIndex);
+}
+
+/**
+ * Create a fresh game state. `rules` may be a preset from RULE_PRESETS or any
+ * partial rules object; missing fields fall back to DEFAULT_RULES. `rng`
+ * comes from createRng(); pass a seeded one to replay the same shoes.
+ * Throws if the merged rules are invalid — that is a programming error, not
+ * something a player can trigger mid-game.
+ */
+export function createGameState(rules = DEFAULT_RULES, rng = createRng()) {
+  const check = validateRules({ ...DEFAULT_RULES, ...rules });
+  if (!check.valid) {
+    throw new Error(`Invalid table rules: ${check.error}`);
+  }
   return {
+    rules: check.rules,
+    rng,
     deck: [],
+    shuffledShoe: null,
     playerHand: [],
     dealerHand: [],
     chips: 1000,
     bet: 0,
+    freeBet: 0,
+    doubled: false,
+    insurance: null,
     phase: 'welcome',
     splitHands: undefined,
     activeHandIndex: 0,
     result: null,
+    sideBets: null,
+    scenario: null,
+    spots: null,
+    activeSpot: null,
     reshuffled: false,
+    shoeRanDry: false,
     stats: {
       handsPlayed: 0,
       handsWon: 0,
       handsLost: 0,
       handsPushed: 0,
       blackjacks: 0,
+      surrenders: 0,
+      insuranceWon: 0,
+      insuranceLost: 0,
+      charlies: 0,
+      suited678s: 0,
+      triple7s: 0,
+      bonus21s: 0,
+      rescues: 0,
+      sideBetsWon: 0,
+      sideBetsLost: 0,
+      sideBetNet: 0,
       peakChips: 1000,
     },
   };
@@ -57,10 +635,158 @@ export function calculateHandTotal(cards) {
   return { total, soft: aces > 0 };
 }
 
-export function createDeck() {
+/**
+ * Number of cards behind the cut card. Once fewer than this remain, the cut
+ * card has come out and the shoe is reshuffled before the next deal.
+ */
+export function cutCardPosition(rules) {
+  const deckSize = rules.spanishDeck ? 48 : 52;
+  return Math.round(rules.decks * deckSize * (1 - rules.penetration));
+}
+
+/**
+ * Creates an unshuffled shoe of `decks` decks, one after another — Spanish
+ * 48-card decks when `spanish` is true.
+ */
+export function createShoe(decks = 1, spanish = false) {
+  const shoe = [];
+  for (let i = 0; i < decks; i++) {
+    shoe.push(...createDeck(spanish));
+  }
+  return shoe;
+}
+
+/**
+ * Replace the deck with a freshly shuffled shoe built from the table rules,
+ * drawn from the game's rng, and flag the reshuffle so the renderer can
+ * announce it. A provably fair game moves on to its next shoe first.
+ */
+export function reshuffleShoe(state) {
+  const rng = openRng(state.rng && state.rng.type === 'fair' ? nextFairShoe(state.rng) : state.rng);
+  const deck = shuffleShoe(cardsToShuffle(state), state.rules, rng.randomIndex);
+  return {
+    ...state,
+    deck,
+    shuffledShoe: state.rules.shuffleModel === 'casino' ? deck : null,
+    rng: rng.save(),
+    reshuffled: true,
+  };
+}
+
+/**
+ * The cards a shuffle starts from. A casino shuffle picks up the last shoe
+ * as it lies — the discards in the order they were dealt, the undealt stub
+ * on top — so its clumps carry over; the first shoe, or one broken up by a
+ * mid-hand refill, starts from new decks.
+ */
+function cardsToShuffle(state) {
+  const fresh = createShoe(state.rules.decks, state.rules.spanishDeck);
+  const last = state.shuffledShoe;
+  if (state.rules.shuffleModel !== 'casino' || !last || last.length !== fresh.length) {
+    return fresh;
+  }
+  return [...last.slice(state.deck.length).reverse(), ...state.deck];
+}
+
+/**
+ * Clear the table after a round. With a continuous shuffling machine
+ * (rules.continuousShuffle) every card on the table goes back into the shoe,
+ * each at a random position, so the shoe never runs down; otherwise the
+ * cards are discarded until the next reshuffle.
+ */
+export function clearTable(state) {
+  const cleared = {
+    ...state, playerHand: [], dealerHand: [], splitHands: undefined, activeHandIndex: 0, spots: null, activeSpot: null,
+  };
+  if (!state.rules.continuousShuffle) {
+    return cleared;
+  }
+  const rng = openRng(state.rng);
+  const deck = [...state.deck];
+  for (const card of cardsInPlay(state)) {
+    deck.splice(rng.randomIndex(deck.length + 1), 0, card);
+  }
+  return { ...cleared, deck, rng: rng.save() };
+}
+
+/**
+ * Check a revealed server seed against the commit shown before the client
+ * seed was picked, and replay the shuffle of shoe number `shoe` for the
+ * table rules. Returns { valid, commit, deck }: `commit` is the server
+ * seed's real sha256 and `deck` the shoe in shoe order, the last card dealt
+ * first. A shoe refilled mid-hand is not replayed: its refill depends on
+ * the cards that were on the table.
+ */
+export function verifyShoe(serverSeed, commit, clientSeed, shoe = 1, rules = DEFAULT_RULES) {
+  const actual = serverCommit(serverSeed);
+  const rng = { type: 'fair', serverSeed, clientSeed: String(clientSeed), shoe, state: 0 };
+  const deck = shuffleShoe(createShoe(rules.decks, rules.spanishDeck), rules, openRng(rng).randomIndex);
+  return { valid: actual === commit.toLowerCase(), commit: actual, deck };
+}
+
+/**
+ * Every card currently on the table. During a split the split hands hold the
+ * player's cards — playerHand still has the original pair, so it is skipped.
+ */
+function cardsInPlay(state) {
+  const hands = state.spots ? currentSpots(state) : [state];
+  const playerCards = hands.flatMap(spot => (spot.splitHands !== undefined
+    ? spot.splitHands.flatMap(h => h.cards)
+    : spot.playerHand));
+  return [...playerCards, ...state.dealerHand];
+}
+
+/**
+ * Remove one copy of each given card from a shoe (matched by suit and rank).
+ */
+function withoutCards(shoe, cards) {
+  const remaining = [...shoe];
+  for (const card of cards) {
+    const i = remaining.findIndex(c => c.suit === card.suit && c.rank === card.rank);
+    if (i !== -1) remaining.splice(i, 1);
+  }
+  return remaining;
+}
+
+/**
+ * The single draw primitive: every card leaves the shoe through here.
+ *
+ * Takes the top card (last element) of the deck. If the shoe has run dry
+ * mid-hand, the discards — every card of a fresh shoe that is not on the
+ * table — are shuffled into a new shoe first, and the reshuffle is recorded
+ * with `reshuffled` and `shoeRanDry`.
+ *
+ * `held` lists cards an action has already drawn but not yet put on the
+ * table (a split's first card, the deal so far), so a refill leaves them out.
+ *
+ * Returns { card, shoe } where `shoe` holds the state fields to spread into
+ * the next state (`deck`, plus the rng and the reshuffle flags when the shoe
+ * was refilled).
+ */
+export function drawCard(state, held = []) {
+  if (state.deck.length > 0) {
+    const deck = [...state.deck];
+    const card = deck.pop();
+    return { card, shoe: { deck } };
+  }
+  const rng = openRng(state.rng);
+  const discards = withoutCards(createShoe(state.rules.decks, state.rules.spanishDeck), [...cardsInPlay(state), ...held]);
+  const deck = shuffleShoe(discards, state.rules, rng.randomIndex);
+  const card = deck.pop();
+  return { card, shoe: { deck, shuffledShoe: null, rng: rng.save(), reshuffled: true, shoeRanDry: true } };
+}
+
+/**
+ * Creates a standard 52-card deck, or a 48-card Spanish deck with the 10s
+ * removed when `spanish` is true.
+ * Each card: { suit, rank, value }
+ * Face cards = 10, Ace = 11, number cards = face value.
+ */
+export function createDeck(spanish = false) {
   const deck = [];
   for (const suit of SUITS) {
     for (const rank of RANKS) {
+      if (spanish && rank === '10') continue;
       let value;
       if (rank === 'A') {
         value = 11;
@@ -79,17 +805,84 @@ function isBlackjack(hand) {
   return hand.length === 2 && calculateHandTotal(hand).total === 21;
 }
 
+/**
+ * Whether a player blackjack only pushes against a dealer blackjack. Tables
+ * where a player 21 always wins, or where the dealer wins other ties, pay it.
+ */
+function naturalsPush(rules) {
+  return !rules.player21Wins && !rules.tiesLose;
+}
+
+/**
+ * The dealer's peek, right after the deal. Settles the round when either side
+ * has a natural; otherwise returns the state unchanged.
+ *
+ * With no hole card (ENHC) the dealer cannot have blackjack yet. A player
+ * blackjack against a dealer ten or ace then stands and waits for the dealer's
+ * second card (phase 'dealerTurn'); settleRound() finishes it.
+ */
 export function checkForBlackjack(state) {
+  if (state.spots) {
+    return checkSpotsForBlackjack(state);
+  }
+  if (state.rules.switchHands) {
+    return checkSwitchForBlackjack(state);
+  }
   const playerBJ = isBlackjack(state.playerHand);
   const dealerBJ = isBlackjack(state.dealerHand);
 
+  if (state.insurance && !state.insurance.outcome) {
+    state = settleInsurance(state, dealerBJ);
+  }
+
   if (!playerBJ && !dealerBJ) {
     return state;
   }
 
+  if (!dealerBJ && state.dealerHand.length < 2 && state.dealerHand[0].value >= 10) {
+    return { ...state, phase: 'dealerTurn' };
+  }
+
+  return settleNaturals(state);
+}
+
+/**
+ * Settle the insurance side bet at the peek: it pays 2:1 when the dealer has
+ * blackjack and is lost otherwise.
+ */
+function settleInsurance(state, dealerBJ) {
+  const { bet } = state.insurance;
+  if (dealerBJ) {
+    const newChips = state.chips + bet + bet * 2;
+    return {
+      ...state,
+      chips: newChips,
+      insurance: { bet, outcome: 'won', chipChange: bet * 2 },
+      stats: {
+        ...state.stats,
+        insuranceWon: state.stats.insuranceWon + 1,
+        peakChips: Math.max(state.stats.peakChips, newChips),
+      },
+    };
+  }
+  return {
+    ...state,
+    insurance: { bet, outcome: 'lost', chipChange: -bet },
+    stats: { ...state.stats, insuranceLost: state.stats.insuranceLost + 1 },
+  };
+}
+
+/**
+ * Settle a round in which the player, the dealer, or both hold a natural.
+ * A dealer blackjack that only shows up after the player acted (ENHC) takes
+ * every doubled and split bet, or just the original bet under the 'obo' rule.
+ */
+function settleNaturals(state) {
+  const playerBJ = state.splitHands === undefined && isBlackjack(state.playerHand);
+  const dealerBJ = isBlackjack(state.dealerHand);
   const stats = { ...state.stats, handsPlayed: state.stats.handsPlayed + 1 };
 
-  if (playerBJ && dealerBJ) {
+  if (playerBJ && dealerBJ && naturalsPush(state.rules)) {
     // Mutual blackjack — push, bet returned
     stats.handsPushed++;
     return {
@@ -102,8 +895,9 @@ export function checkForBlackjack(state) {
   }
 
   if (playerBJ) {
-    // Player blackjack — pays 3:2
-    const payout = Math.round(state.bet * 1.5);
+    // Player blackjack — pays per the table's blackjack payout (3:2 by default),
+    // even against a dealer blackjack where naturals do not push
+    const payout = roundPayout(state.bet * payoutMultiplier(state.rules.blackjackPayout), state.rules);
     const newChips = state.chips + state.bet + payout;
     stats.handsWon++;
     stats.blackjacks++;
@@ -117,18 +911,51 @@ export function checkForBlackjack(state) {
   }
 
   // Dealer blackjack — player loses
+  const obo = state.rules.enhcLosses === 'obo';
+
+  if (state.splitHands !== undefined) {
+    const staked = state.splitHands.reduce((sum, h) => sum + h.bet, 0);
+    const refund = obo ? staked - state.bet : 0;
+    const splitHands = state.splitHands.map((hand, i) => {
+      if (obo && i > 0) {
+        return { ...hand, result: { outcome: 'push', message: 'Bet returned', chipChange: 0 } };
+      }
+      const lost = obo ? state.bet : hand.bet;
+      return { ...hand, result: { outcome: 'lose', message: 'Dealer has Blackjack!', chipChange: -lost } };
+    });
+    const handsLost = obo ? 1 : splitHands.length;
+    return {
+      ...state,
+      phase: 'result',
+      chips: state.chips + refund,
+      splitHands,
+      stats: {
+        ...state.stats,
+        handsPlayed: state.stats.handsPlayed + splitHands.length,
+        handsLost: state.stats.handsLost + handsLost,
+        handsPushed: state.stats.handsPushed + splitHands.length - handsLost,
+      },
+      result: { outcome: 'split', message: 'Dealer has Blackjack!', chipChange: refund - staked },
+    };
+  }
+
+  const refund = obo && state.doubled ? state.bet / 2 : 0;
   stats.handsLost++;
   return {
     ...state,
     phase: 'result',
+    chips: state.chips + refund,
     stats,
-    result: { outcome: 'lose', message: 'Dealer has Blackjack!', chipChange: -state.bet },
+    result: {
+      outcome: 'lose',
+      message: refund > 0 ? 'Dealer has Blackjack! Double returned.' : 'Dealer has Blackjack!',
+      chipChange: refund - state.bet,
+    },
   };
 }
 
 export function playerHit(state) {
-  const deck = [...state.deck];
-  const card = deck.pop();
+  const { card, shoe } = drawCard(state);
   const playerHand = [...state.playerHand, card];
   const { total } = calculateHandTotal(playerHand);
 
@@ -136,7 +963,7 @@ export function playerHit(state) {
     // Bust
     return {
       ...state,
-      deck,
+      ...shoe,
       playerHand,
       phase: 'result',
       result: { outcome: 'bust', message: 'BUST!', chipChange: -state.bet },
@@ -148,11 +975,11 @@ export function playerHit(state) {
     };
   }
 
-  if (total === 21) {
-    // Auto-stand at 21
+  if (total === 21 || isCharlie(playerHand, state.rules)) {
+    // Auto-stand at 21, or on a Charlie
     return {
       ...state,
-      deck,
+      ...shoe,
       playerHand,
       phase: 'dealerTurn',
     };
@@ -160,7 +987,7 @@ export function playerHit(state) {
 
   return {
     ...state,
-    deck,
+    ...shoe,
     playerHand,
   };
 }
@@ -172,23 +999,89 @@ export function playerStand(state) {
   };
 }
 
+/**
+ * Whether the table lets a hand double down: by card count
+ * (rules.doubleMaxCards, 0 for late doubling on any number of cards) and by
+ * total (rules.doubleOn — the restricted ranges are hard totals only).
+ */
+function doubleAllowed(cards, rules) {
+  if (cards.length < 2 || (rules.doubleMaxCards > 0 && cards.length > rules.doubleMaxCards)) {
+    return false;
+  }
+  if (rules.doubleOn === 'any') {
+    return true;
+  }
+  const { total, soft } = calculateHandTotal(cards);
+  const lowest = rules.doubleOn === '9-11' ? 9 : 10;
+  return !soft && total >= lowest && total <= 11;
+}
+
+// ─── Free Bet ────────────────────────────────────────────────────────
+//
+// Free doubles and splits are fronted by the house: the extra wager is
+// tracked as `freeBet` on the hand (`free` on a split hand) and never leaves
+// the player's chips. It is paid on a win and simply taken back otherwise.
+
+/**
+ * Whether the house fronts this double: a two-card hard 9, 10 or 11.
+ */
+function freeDouble(cards, rules) {
+  if (!rules.freeBets || cards.length !== 2) {
+    return false;
+  }
+  const { total, soft } = calculateHandTotal(cards);
+  return !soft && total >= 9 && total <= 11;
+}
+
+/**
+ * Whether the house fronts this split: any pair but ten-value cards.
+ */
+function freeSplit(cards, rules) {
+  return rules.freeBets && cards[0].value !== 10;
+}
+
+/**
+ * Apply a hand's free chips to its settled result. A loss costs only the
+ * player's own stake; a win pays on the whole bet, and `freeWin` records
+ * the part won on the free chips for the result display.
+ */
+function withFreeBet(result, bet, free) {
+  if (!free) {
+    return result;
+  }
+  if (result.chipChange < 0) {
+    return { ...result, chipChange: result.chipChange + free };
+  }
+  if (result.chipChange > 0) {
+    return { ...result, freeWin: result.chipChange * free / bet };
+  }
+  return result;
+}
+
 export function playerDouble(state) {
-  const deck = [...state.deck];
-  const card = deck.pop();
+  if (!getAvailableActions(state).double) {
+    return state;
+  }
+  const { card, shoe } = drawCard(state);
   const playerHand = [...state.playerHand, card];
   const newBet = state.bet * 2;
-  const newChips = state.chips - state.bet; // deduct additional bet equal to original
+  // Deduct an additional bet equal to the original — unless the house fronts it
+  const free = freeDouble(state.playerHand, state.rules);
+  const newChips = free ? state.chips : state.chips - state.bet;
+  const freeBet = state.freeBet + (free ? state.bet : 0);
   const { total } = calculateHandTotal(playerHand);
 
   if (total > 21) {
     return {
       ...state,
-      deck,
+      ...shoe,
       playerHand,
       bet: newBet,
+      freeBet,
+      doubled: true,
       chips: newChips,
       phase: 'result',
-      result: { outcome: 'bust', message: 'BUST!', chipChange: -newBet },
+      result: { outcome: 'bust', message: 'BUST!', chipChange: freeBet - newBet },
       stats: {
         ...state.stats,
         handsPlayed: state.stats.handsPlayed + 1,
@@ -197,41 +1090,383 @@ export function playerDouble(state) {
     };
   }
 
+  // Double-down rescue: a hand that can still lose stays open so the player
+  // may stand or take the double back
+  const rescuable = state.rules.doubleRescue && total < 21 && !isCharlie(playerHand, state.rules);
   return {
     ...state,
-    deck,
+    ...shoe,
     playerHand,
     bet: newBet,
+    freeBet,
+    doubled: true,
     chips: newChips,
-    phase: 'dealerTurn',
+    phase: rescuable ? 'playing' : 'dealerTurn',
   };
 }
 
+/**
+ * Double-down rescue: after doubling, take the double back and forfeit the
+ * original bet instead of playing the hand out.
+ * Returns the state unchanged when the table or the hand does not allow it.
+ */
+export function playerRescue(state) {
+  if (!getAvailableActions(state).rescue) {
+    return state;
+  }
+  const original = state.bet / 2;
+  const paidDouble = original - state.freeBet; // nothing comes back on a free double
+  return {
+    ...state,
+    chips: state.chips + paidDouble,
+    phase: 'result',
+    result: { outcome: 'rescue', message: 'Double rescued', chipChange: -original },
+    stats: {
+      ...state.stats,
+      handsPlayed: state.stats.handsPlayed + 1,
+      handsLost: state.stats.handsLost + 1,
+      rescues: state.stats.rescues + 1,
+    },
+  };
+}
+
+/**
+ * Surrender: give up the hand on the first two cards and get half the bet
+ * back. Late surrender comes after the dealer's peek, so it is a player action
+ * during the 'playing' phase. Early surrender is offered before the peek, in
+ * the 'earlySurrender' phase dealInitialCards() opens.
+ * Returns the state unchanged when the table or the hand does not allow it.
+ */
+export function playerSurrender(state) {
+  if (!getAvailableActions(state).surrender) {
+    return state;
+  }
+  const refund = roundPayout(state.bet / 2, state.rules);
+  const newChips = state.chips + refund;
+  const surrendered = {
+    ...state,
+    chips: newChips,
+    phase: 'result',
+    result: { outcome: 'surrender', message: 'Surrendered', chipChange: refund - state.bet },
+    stats: {
+      ...state.stats,
+      handsPlayed: state.stats.handsPlayed + 1,
+      handsLost: state.stats.handsLost + 1,
+      surrenders: state.stats.surrenders + 1,
+    },
+  };
+  return state.phase === 'earlySurrender' ? peekDecisionMade(surrendered, state) : surrendered;
+}
+
+/**
+ * Turn down early surrender: the dealer offers insurance if showing an ace,
+ * then goes on to check for blackjack.
+ */
+export function declineSurrender(state) {
+  if (state.phase !== 'earlySurrender') {
+    return state;
+  }
+  return peekDecisionMade({ ...state, phase: insuranceOffered(state) ? 'insurance' : 'playing' }, state);
+}
+
+/**
+ * Insurance is offered before the peek when the dealer's up card is an ace:
+ * as a side bet, or as even money when the player holds blackjack. Tables
+ * without a hole card (ENHC) have no peek to insure against, and with both
+ * dealer cards face up (Double Exposure) there is nothing left to insure.
+ */
+function insuranceOffered(state) {
+  const { rules } = state;
+  if (!rules.insurance || rules.holeCard !== 'peek' || state.dealerHand[0].rank !== 'A') {
+    return false;
+  }
+  return isBlackjack(state.playerHand) || state.chips >= 1;
+}
+
+/**
+ * Largest insurance bet allowed: half the main bet, in whole dollars,
+ * limited by the chips in hand.
+ */
+export function maxInsurance(state) {
+  return Math.min(Math.floor(state.bet / 2), Math.floor(state.chips));
+}
+
+/**
+ * Place an insurance bet of up to half the main bet.
+ * Returns { valid, error } or { valid: true, state } like placeBet().
+ */
+export function placeInsurance(state, amount) {
+  if (!getAvailableActions(state).insurance) {
+    return { valid: false, error: 'Insurance is not on offer.' };
+  }
+  if (!Number.isInteger(amount) || amount <= 0) {
+    return { valid: false, error: 'Insurance must be a whole number greater than zero.' };
+  }
+  const max = maxInsurance(state);
+  if (amount > max) {
+    return { valid: false, error: `Insurance is limited to $${max}.` };
+  }
+  const insured = { ...state, chips: state.chips - amount, insurance: { bet: amount }, phase: 'playing' };
+  return { valid: true, state: peekDecisionMade(insured, state) };
+}
+
+/**
+ * Turn down insurance (or even money); the dealer goes on to peek.
+ */
+export function declineInsurance(state) {
+  if (state.phase !== 'insurance') {
+    return state;
+  }
+  return peekDecisionMade({ ...state, phase: 'playing' }, state);
+}
+
+/**
+ * Even money: a player blackjack against a dealer ace is paid 1:1 at once,
+ * before the peek, instead of risking a push.
+ */
+export function takeEvenMoney(state) {
+  if (!getAvailableActions(state).evenMoney) {
+    return state;
+  }
+  const newChips = state.chips + state.bet * 2;
+  return peekDecisionMade({
+    ...state,
+    phase: 'result',
+    chips: newChips,
+    result: { outcome: 'evenMoney', message: 'Even money!', chipChange: state.bet },
+    stats: {
+      ...state.stats,
+      handsPlayed: state.stats.handsPlayed + 1,
+      handsWon: state.stats.handsWon + 1,
+      blackjacks: state.stats.blackjacks + 1,
+      peakChips: Math.max(state.stats.peakChips, newChips),
+    },
+  }, state);
+}
+
 export function isDealerDone(state) {
-  const { total } = calculateHandTotal(state.dealerHand);
-  return total >= 17;
+  const { total, soft } = calculateHandTotal(state.dealerHand);
+  // H17: a soft 17 is not a standing hand — the dealer draws again
+  if (total === 17 && soft && state.rules.dealerHitsSoft17) {
+    return false;
+  }
+  return total >= state.rules.dealerStandsOn;
 }
 
 export function dealerDrawOne(state) {
-  const deck = [...state.deck];
-  const card = deck.pop();
+  const { card, shoe } = drawCard(state);
   const dealerHand = [...state.dealerHand, card];
   return {
     ...state,
-    deck,
+    ...shoe,
     dealerHand,
   };
 }
 
+// ─── Scenarios ───────────────────────────────────────────────────────
+//
+// A scenario stacks the top of the shoe so a chosen situation — a pair of
+// eights against a ten, a dealer ace with a blackjack underneath — comes up
+// on every deal. Its cards are listed in the order they are dealt: the
+// player's two, the dealer's two, then any hits. With no hole card (ENHC)
+// the dealer is dealt one card, so the fourth is simply the next drawn. The
+// rest of the shoe is shuffled as usual below them.
+
+const SUIT_LETTERS = { S: '♠', H: '♥', D: '♦', C: '♣' };
+
+const cardName = (card) => `${card.rank}${card.suit}`;
+
+/**
+ * A card in createDeck()'s { suit, rank, value } form, or null when the
+ * suit or rank is not one of ours.
+ */
+function scenarioCard(suit, rank) {
+  if (!SUITS.includes(suit) || !RANKS.includes(rank)) return null;
+  return createDeck().find(c => c.suit === suit && c.rank === rank);
+}
+
+/**
+ * Read the cards from a text scenario: card names such as "8♠" or "10h",
+ * separated by spaces, commas or new lines, with # comments.
+ */
+function textScenarioCards(text) {
+  const tokens = text.split('\n').map(line => line.replace(/#.*/, '')).join(' ').split(/[\s,]+/).filter(Boolean);
+  const cards = [];
+  for (const token of tokens) {
+    const match = token.match(/^(10|[2-9JQKA])([♠♥♦♣SHDC])$/i);
+    const card = match && scenarioCard(SUIT_LETTERS[match[2].toUpperCase()] || match[2], match[1].toUpperCase());
+    if (!card) {
+      return { valid: false, error: `"${token}" is not a card, such as "8♠" or "10h".` };
+    }
+    cards.push(card);
+  }
+  return { valid: true, cards };
+}
+
+/**
+ * Read the cards from a JSON scenario: an array of { suit, rank } cards, or
+ * an object with the array under `cards`.
+ */
+function jsonScenarioCards(text) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (err) {
+    return { valid: false, error: `The scenario is not valid JSON: ${err.message}` };
+  }
+  const list = Array.isArray(parsed) ? parsed : parsed && parsed.cards;
+  if (!Array.isArray(list)) {
+    return { valid: false, error: 'A JSON scenario must be an array of cards, or an object with a "cards" array.' };
+  }
+  const cards = [];
+  for (const [i, entry] of list.entries()) {
+    const card = entry && scenarioCard(entry.suit, entry.rank);
+    if (!card) {
+      return { valid: false, error: `Card ${i + 1} must be { suit, rank }, such as {"suit": "♠", "rank": "8"}.` };
+    }
+    cards.push(card);
+  }
+  return { valid: true, cards };
+}
+
+/**
+ * Parse a scenario file — JSON when it starts with "[" or "{", text
+ * otherwise — and check that a shoe for the table rules holds its cards.
+ * Returns { valid: true, cards } in deal order, or { valid: false, error }.
+ */
+export function parseScenario(text, rules = DEFAULT_RULES) {
+  const trimmed = text.trim();
+  const parsed = /^[[{]/.test(trimmed) ? jsonScenarioCards(trimmed) : textScenarioCards(trimmed);
+  if (!parsed.valid) {
+    return parsed;
+  }
+  if (parsed.cards.length === 0) {
+    return { valid: false, error: 'The scenario has no cards.' };
+  }
+  const shoe = createShoe(rules.decks, rules.spanishDeck);
+  for (const card of parsed.cards) {
+    const inShoe = shoe.filter(c => c.suit === card.suit && c.rank === card.rank).length;
+    const inScenario = parsed.cards.filter(c => c.suit === card.suit && c.rank === card.rank).length;
+    if (inScenario > inShoe) {
+      return { valid: false, error: `The scenario deals ${inScenario} × ${cardName(card)}, but the shoe holds ${inShoe}.` };
+    }
+  }
+  return parsed;
+}
+
+/**
+ * A new shoe with the scenario's cards on top, in deal order, over the rest
+ * of a shoe shuffled from the game's rng.
+ */
+export function stackDeck(state, cards) {
+  const rng = openRng(state.rng);
+  const rest = withoutCards(createShoe(state.rules.decks, state.rules.spanishDeck), cards);
+  const deck = [...shuffleShoe(rest, state.rules, rng.randomIndex), ...[...cards].reverse()];
+  return { ...state, deck, shuffledShoe: null, rng: rng.save() };
+}
+
+// ─── Hand History ────────────────────────────────────────────────────
+
+/**
+ * The player's hands in a settled round, one per hand played — split hands
+ * and spots each count: { cards, bet, outcome, chipChange }.
+ */
+function playedHands(state) {
+  const spots = state.spots || [state];
+  return spots
+    .flatMap(spot => (spot.splitHands !== undefined
+      ? spot.splitHands
+      : [{ cards: spot.playerHand, bet: spot.bet, result: spot.result }]))
+    .map(hand => ({
+      cards: hand.cards.map(cardName),
+      bet: hand.bet,
+      outcome: hand.result.outcome,
+      chipChange: hand.result.chipChange,
+    }));
+}
+
+/**
+ * A plain record of a settled round for a hand history: the table, the rng
+ * its shoe came from, the cards and results, and the chips afterwards.
+ */
+export function handHistoryEntry(state) {
+  const { type, seed, clientSeed, commit, shoe } = state.rng;
+  let rng = { type };
+  if (type === 'seeded') {
+    rng = { type, seed };
+  } else if (type === 'fair') {
+    rng = { type, clientSeed, commit, shoe }; // the server seed stays secret until the shoe ends
+  }
+  return {
+    table: state.rules.name,
+    rng,
+    dealer: state.dealerHand.map(cardName),
+    hands: playedHands(state),
+    chipChange: state.result.chipChange,
+    insurance: state.insurance,
+    sideBets: state.sideBets,
+    chips: state.chips,
+  };
+}
+
 export function getWinRate(stats) {
   if (stats.handsPlayed === 0) return '0.0';
   return (stats.handsWon / stats.handsPlayed * 100).toFixed(1);
 }
 
-function settleOneHand(playerTotal, playerBust, dealerTotal, bet) {
+/**
+ * Whether a hand has made a Charlie — it cannot lose, so it stands at once.
+ */
+function isCharlie(cards, rules) {
+  return rules.charlie > 0 && cards.length >= rules.charlie && calculateHandTotal(cards).total <= 21;
+}
+
+const CARD_COUNT_WORDS = { 5: 'Five', 6: 'Six', 7: 'Seven' };
+
+// Spanish 21 bonus on a 21 by card count; seven or more cards pay the most
+const CARD_COUNT_21_PAYOUTS = { 5: '3:2', 6: '2:1', 7: '3:1' };
+
+/**
+ * Hands that win automatically under the table's house rules, whatever the
+ * dealer makes: a Charlie (rules.charlie cards without busting), a suited
+ * 6-7-8, a 7-7-7 or a 21 of five or more cards. The three Spanish 21
+ * bonuses are never paid on a doubled hand.
+ * Returns { special, message, ratio } or null.
+ */
+function specialHand(cards, rules, doubled = false) {
+  if (cards.length === 3 && !doubled) {
+    const ranks = cards.map(c => c.rank).sort().join('-');
+    const suited = cards.every(c => c.suit === cards[0].suit);
+    if (ranks === '6-7-8' && suited && rules.suited678Bonus !== 'none') {
+      return { special: 'suited678', message: 'Suited 6-7-8!', ratio: rules.suited678Bonus };
+    }
+    if (ranks === '7-7-7' && rules.triple7Bonus !== 'none') {
+      return { special: 'triple7', message: '7-7-7!', ratio: rules.triple7Bonus };
+    }
+  }
+  if (rules.cardCount21Bonus && !doubled && cards.length >= 5 && calculateHandTotal(cards).total === 21) {
+    const ratio = CARD_COUNT_21_PAYOUTS[Math.min(cards.length, 7)];
+    return { special: 'bonus21', message: `${CARD_COUNT_WORDS[cards.length] || cards.length}-card 21!`, ratio };
+  }
+  if (isCharlie(cards, rules)) {
+    return { special: 'charlie', message: `${CARD_COUNT_WORDS[rules.charlie]}-card Charlie!`, ratio: '1:1' };
+  }
+  return null;
+}
+
+function settleOneHand(cards, playerBust, dealerTotal, bet, rules, doubled = false) {
+  const playerTotal = calculateHandTotal(cards).total;
   if (playerBust) {
     return { outcome: 'lose', message: 'Bust!', chipChange: -bet };
   }
+  const special = specialHand(cards, rules, doubled);
+  if (special) {
+    const chipChange = roundPayout(bet * payoutMultiplier(special.ratio), rules);
+    return { outcome: 'win', message: special.message, chipChange, special: special.special };
+  }
+  if (dealerTotal === 22 && rules.dealer22Pushes) {
+    return { outcome: 'push', message: 'Dealer 22 pushes.', chipChange: 0 };
+  }
   if (dealerTotal > 21) {
     return { outcome: 'win', message: 'Dealer busts!', chipChange: bet };
   }
@@ -241,46 +1476,69 @@ function settleOneHand(playerTotal, playerBust, dealerTotal, bet) {
   if (playerTotal < dealerTotal) {
     return { outcome: 'lose', message: 'Dealer wins.', chipChange: -bet };
   }
+  if (playerTotal === 21 && rules.player21Wins) {
+    return { outcome: 'win', message: 'Your 21 wins!', chipChange: bet };
+  }
+  if (rules.tiesLose) {
+    return { outcome: 'lose', message: 'Dealer wins ties.', chipChange: -bet };
+  }
   return { outcome: 'push', message: 'Push!', chipChange: 0 };
 }
 
-export function settleRound(state) {
-  if (state.splitHands !== undefined) {
-    return settleSplitRound(state);
-  }
-
-  const playerTotal = calculateHandTotal(state.playerHand).total;
-  const dealerTotal = calculateHandTotal(state.dealerHand).total;
-
-  const stats = { ...state.stats, handsPlayed: state.stats.handsPlayed + 1 };
-  let outcome, message, chipChange, newChips;
+const SPECIAL_STATS = { charlie: 'charlies', suited678: 'suited678s', triple7: 'triple7s', bonus21: 'bonus21s' };
 
-  if (dealerTotal > 21) {
-    outcome = 'win';
-    message = 'Dealer busts!';
-    chipChange = state.bet;
-    newChips = state.chips + state.bet + state.bet;
+/**
+ * Count one settled hand in a (copied) stats object.
+ */
+function tallyHand(stats, result) {
+  stats.handsPlayed++;
+  if (result.outcome === 'blackjack') {
     stats.handsWon++;
-  } else if (playerTotal > dealerTotal) {
-    outcome = 'win';
-    message = 'You win!';
-    chipChange = state.bet;
-    newChips = state.chips + state.bet + state.bet;
+    stats.blackjacks++;
+  } else if (result.outcome === 'win') {
     stats.handsWon++;
-  } else if (playerTotal < dealerTotal) {
-    outcome = 'lose';
-    message = 'Dealer wins.';
-    chipChange = -state.bet;
-    newChips = state.chips;
+  } else if (result.outcome === 'lose') {
     stats.handsLost++;
   } else {
-    outcome = 'push';
-    message = 'Push!';
-    chipChange = 0;
-    newChips = state.chips + state.bet;
     stats.handsPushed++;
   }
+  if (result.special) {
+    stats[SPECIAL_STATS[result.special]]++;
+  }
+}
+
+export function settleRound(state) {
+  if (state.spots) {
+    return settleSpots(state);
+  }
+  return settleHand(state);
+}
+
+/**
+ * Settle the player's hand (or split hands) against the dealer.
+ */
+function settleHand(state) {
+  // ENHC: the dealer's second card arrived after the player acted, so
+  // naturals are only known now
+  if (state.rules.holeCard === 'enhc' && (isBlackjack(state.dealerHand)
+    || (state.splitHands === undefined && isBlackjack(state.playerHand)))) {
+    return settleNaturals(state);
+  }
+
+  if (state.splitHands !== undefined) {
+    return settleSplitRound(state);
+  }
+
+  const dealerTotal = calculateHandTotal(state.dealerHand).total;
+  const result = withFreeBet(
+    settleOneHand(state.playerHand, false, dealerTotal, state.bet, state.rules, state.doubled),
+    state.bet,
+    state.freeBet,
+  );
+  const newChips = state.chips + state.bet - state.freeBet + result.chipChange; // own stake returned unless lost
 
+  const stats = { ...state.stats };
+  tallyHand(stats, result);
   stats.peakChips = Math.max(stats.peakChips, newChips);
 
   return {
@@ -288,119 +1546,652 @@ export function settleRound(state) {
     phase: 'result',
     chips: newChips,
     stats,
-    result: { outcome, message, chipChange },
+    result,
   };
 }
 
+/**
+ * Settle a Blackjack Switch natural (a hand with status 'blackjack'): it
+ * pushes against a dealer blackjack (where naturals push) and is paid the
+ * table's blackjack payout against anything else, a dealer 22 included.
+ */
+function settleSwitchNatural(dealerHand, bet, rules) {
+  if (isBlackjack(dealerHand) && naturalsPush(rules)) {
+    return { outcome: 'push', message: 'Both have Blackjack — Push!', chipChange: 0 };
+  }
+  const payout = roundPayout(bet * payoutMultiplier(rules.blackjackPayout), rules);
+  return { outcome: 'blackjack', message: 'BLACKJACK!', chipChange: payout };
+}
+
 function settleSplitRound(state) {
   const dealerTotal = calculateHandTotal(state.dealerHand).total;
   const stats = { ...state.stats };
   let newChips = state.chips;
   let totalChipChange = 0;
+  let totalFreeWin = 0;
 
   const settledHands = state.splitHands.map(hand => {
-    const playerTotal = calculateHandTotal(hand.cards).total;
     const playerBust = hand.status === 'bust';
-    const result = settleOneHand(playerTotal, playerBust, dealerTotal, hand.bet);
-
-    stats.handsPlayed++;
-    if (result.outcome === 'win') {
-      stats.handsWon++;
-      newChips += hand.bet + hand.bet; // return bet + winnings
-    } else if (result.outcome === 'lose') {
-      stats.handsLost++;
-      // bet already deducted, no change for bust/loss
-    } else {
-      stats.handsPushed++;
-      newChips += hand.bet; // return bet on push
-    }
+    const free = hand.free || 0;
+    const result = hand.status === 'blackjack'
+      ? settleSwitchNatural(state.dealerHand, hand.bet, state.rules)
+      : withFreeBet(
+        settleOneHand(hand.cards, playerBust, dealerTotal, hand.bet, state.rules, hand.doubled),
+        hand.bet,
+        free,
+      );
+
+    tallyHand(stats, result);
+    newChips += hand.bet - free + result.chipChange; // own stake already deducted: returned on a win or push
     totalChipChange += result.chipChange;
+    totalFreeWin += result.freeWin || 0;
 
     return { ...hand, result };
   });
 
   stats.peakChips = Math.max(stats.peakChips, newChips);
 
+  const result = {
+    outcome: 'split',
+    message: state.rules.switchHands ? 'Switch results' : 'Split results',
+    chipChange: totalChipChange,
+  };
   return {
     ...state,
     phase: 'result',
     chips: newChips,
     splitHands: settledHands,
     stats,
-    result: { outcome: 'split', message: 'Split results', chipChange: totalChipChange },
+    result: totalFreeWin > 0 ? { ...result, freeWin: totalFreeWin } : result,
   };
 }
 
-export function placeBet(state, amount) {
+/**
+ * Check one bet against the table limits. Returns an error message or null.
+ */
+function betError(amount, rules) {
   if (!Number.isInteger(amount) || amount <= 0) {
-    return { valid: false, error: 'Bet must be a whole number greater than zero.' };
+    return 'Bet must be a whole number greater than zero.';
   }
-  if (amount < 10) {
-    return { valid: false, error: 'Minimum bet is $10.' };
+  if (amount < rules.minBet) {
+    return `Minimum bet is $${rules.minBet}.`;
   }
-  if (amount > 500) {
-    return { valid: false, error: 'Maximum bet is $500.' };
+  if (amount > rules.maxBet) {
+    return `Maximum bet is $${rules.maxBet}.`;
+  }
+  return null;
+}
+
+/**
+ * Place the bet for a hand. At a Blackjack Switch table the amount is staked
+ * on each of the two hands, so twice the amount leaves the chips.
+ * Returns { valid, error } or { valid: true, state }.
+ */
+export function placeBet(state, amount) {
+  const error = betError(amount, state.rules);
+  if (error) {
+    return { valid: false, error };
   }
-  if (amount > state.chips) {
-    return { valid: false, error: `You only have $${state.chips}. Bet must be within your chip count.` };
+  const staked = state.rules.switchHands ? amount * 2 : amount;
+  if (staked > state.chips) {
+    const error = state.rules.switchHands
+      ? `You only have $${state.chips}. Blackjack Switch takes two bets of $${amount}.`
+      : `You only have $${state.chips}. Bet must be within your chip count.`;
+    return { valid: false, error };
   }
   return {
     valid: true,
     state: {
       ...state,
       bet: amount,
-      chips: state.chips - amount,
+      chips: state.chips - staked,
+      sideBets: null,
+      phase: 'playing',
+    },
+  };
+}
+
+/**
+ * Place one bet per spot: [50] plays a single hand as placeBet() does,
+ * [50, 50, 25] plays three spots against the same dealer hand.
+ * Returns { valid, error } or { valid: true, state } like placeBet().
+ */
+export function placeBets(state, amounts) {
+  const { maxSpots } = state.rules;
+  if (amounts.length === 0) {
+    return { valid: false, error: 'Enter a bet amount.' };
+  }
+  if (amounts.length > 1 && state.rules.switchHands) {
+    return { valid: false, error: 'Blackjack Switch plays a single spot.' };
+  }
+  if (amounts.length > maxSpots) {
+    return { valid: false, error: maxSpots === 1 ? 'This table plays one spot.' : `This table plays up to ${maxSpots} spots.` };
+  }
+  if (amounts.length === 1) {
+    const single = placeBet(state, amounts[0]);
+    return single.valid ? { valid: true, state: { ...single.state, spots: null, activeSpot: null } } : single;
+  }
+  for (const amount of amounts) {
+    const error = betError(amount, state.rules);
+    if (error) {
+      return { valid: false, error };
+    }
+  }
+  const total = amounts.reduce((sum, amount) => sum + amount, 0);
+  if (total > state.chips) {
+    return { valid: false, error: `You only have $${state.chips}. Your bets must total within your chip count.` };
+  }
+  return {
+    valid: true,
+    state: {
+      ...state,
+      bet: amounts[0],
+      chips: state.chips - total,
+      sideBets: null,
+      spots: amounts.map(emptySpot),
+      activeSpot: null,
       phase: 'playing',
     },
   };
 }
 
+// ─── Side Bets ───────────────────────────────────────────────────────
+//
+// Optional wagers placed next to the main bet, win or lose whatever happens
+// to the hand. Each table rule named after a side bet holds its paytable,
+// best hand first, or 'none' when the table does not offer it. A side bet
+// settles either on the cards dealt ('deal', inside dealInitialCards) or on
+// the dealer's finished hand ('dealer', once the dealer has drawn out).
+// Results stay in state.sideBets for the result panel.
+
+const RED_SUITS = ['♥', '♦'];
+
+/**
+ * Perfect Pairs on the player's first two cards: same suit, same color or
+ * a mixed pair. Returns an index into SIDE_BETS.perfectPairs.hands, or -1.
+ */
+function pairHand([a, b]) {
+  if (a.rank !== b.rank) {
+    return -1;
+  }
+  if (a.suit === b.suit) {
+    return 0;
+  }
+  return RED_SUITS.includes(a.suit) === RED_SUITS.includes(b.suit) ? 1 : 2;
+}
+
+/**
+ * 21+3 on the player's two cards and the dealer up card, scored as a
+ * three-card poker hand (aces play high or low in a straight).
+ * Returns an index into SIDE_BETS.twentyOnePlus3.hands, or -1.
+ */
+function threeCardHand(cards) {
+  const flush = cards.every(c => c.suit === cards[0].suit);
+  const order = cards.map(c => RANKS.indexOf(c.rank)).sort((a, b) => a - b);
+  if (order[0] === order[2]) {
+    return flush ? 0 : 2;
+  }
+  const straight = (order[1] === order[0] + 1 && order[2] === order[1] + 1) || order.join() === '0,1,12';
+  if (straight) {
+    return flush ? 1 : 3;
+  }
+  return flush ? 4 : -1;
+}
+
+/**
+ * Lucky Ladies on any 20 in the player's first two cards. The dealer's
+ * blackjack is known at the deal only when there is a hole card, so the
+ * jackpot cannot hit without one (ENHC).
+ * Returns an index into SIDE_BETS.luckyLadies.hands, or -1.
+ */
+function ladiesHand([a, b], dealerHand) {
+  if (a.value + b.value !== 20) {
+    return -1;
+  }
+  if ([a, b].every(c => c.rank === 'Q' && c.suit === '♥')) {
+    return isBlackjack(dealerHand) ? 0 : 1;
+  }
+  if (a.suit !== b.suit) {
+    return 4;
+  }
+  return a.rank === b.rank ? 2 : 3;
+}
+
+/**
+ * Buster Blackjack on the dealer busting, paid by the cards in the busted
+ * hand (three at the least). Returns an index into
+ * SIDE_BETS.busterBlackjack.hands, or -1.
+ */
+function bustHand(dealerHand) {
+  if (calculateHandTotal(dealerHand).total <= 21) {
+    return -1;
+  }
+  return Math.max(0, 8 - dealerHand.length);
+}
+
+/**
+ * The side bets a table may offer, keyed by the rule holding each paytable.
+ * `code` is what the player types on the betting line ("50 pp:5"), and
+ * `settles` when the bet is decided: 'deal' or 'dealer'.
+ */
+export const SIDE_BETS = {
+  perfectPairs: {
+    name: 'Perfect Pairs',
+    code: 'pp',
+    settles: 'deal',
+    example: '25/12/6',
+    hands: ['Perfect pair', 'Colored pair', 'Mixed pair'],
+    evaluate: (state) => pairHand(state.playerHand),
+  },
+  twentyOnePlus3: {
+    name: '21+3',
+    code: '21+3',
+    settles: 'deal',
+    example: '100/40/30/10/5',
+    hands: ['Suited trips', 'Straight flush', 'Three of a kind', 'Straight', 'Flush'],
+    evaluate: (state) => threeCardHand([...state.playerHand, state.dealerHand[0]]),
+  },
+  luckyLadies: {
+    name: 'Lucky Ladies',
+    code: 'll',
+    settles: 'deal',
+    example: '1000/125/19/9/4',
+    hands: ['Queens of hearts vs blackjack', 'Queens of hearts', 'Matched 20', 'Suited 20', 'Any 20'],
+    evaluate: (state) => ladiesHand(state.playerHand, state.dealerHand),
+  },
+  busterBlackjack: {
+    name: 'Buster Blackjack',
+    code: 'bb',
+    settles: 'dealer',
+    example: '250/50/12/4/2/1',
+    hands: ['8+ card bust', '7-card bust', '6-card bust', '5-card bust', '4-card bust', '3-card bust'],
+    evaluate: (state) => bustHand(state.dealerHand),
+  },
+};
+
+/**
+ * Parse a "25/12/6" paytable into its "to 1" payouts, one per hand of the
+ * side bet, or return null when it does not fit.
+ */
+function paytable(rule, sideBet) {
+  const pays = String(rule).split('/').map(Number);
+  return pays.length === sideBet.hands.length && pays.every(isPositiveInteger) ? pays : null;
+}
+
+/**
+ * The side bets on offer at a table: [{ key, name, code }].
+ */
+export function offeredSideBets(rules) {
+  return Object.entries(SIDE_BETS)
+    .filter(([key]) => rules[key] !== 'none')
+    .map(([key, { name, code }]) => ({ key, name, code }));
+}
+
+/**
+ * Place side bets next to a main bet already placed: { perfectPairs: 5 }.
+ * Each may be up to the main bet, and only a single hand takes side bets.
+ * Returns { valid, error } or { valid: true, state } like placeBet().
+ */
+export function placeSideBets(state, bets) {
+  const entries = Object.entries(bets);
+  if (entries.length === 0) {
+    return { valid: true, state };
+  }
+  if (state.phase !== 'playing' || state.playerHand.length > 0) {
+    return { valid: false, error: 'Side bets go down with the main bet, before the deal.' };
+  }
+  if (state.spots || state.rules.switchHands) {
+    return { valid: false, error: 'Side bets are only offered on a single hand.' };
+  }
+  for (const [key, amount] of entries) {
+    if (!Object.hasOwn(SIDE_BETS, key)) {
+      return { valid: false, error: `Unknown side bet "${key}".` };
+    }
+    if (state.rules[key] === 'none') {
+      return { valid: false, error: `This table does not offer ${SIDE_BETS[key].name}.` };
+    }
+    if (!isPositiveInteger(amount)) {
+      return { valid: false, error: 'Side bets must be whole numbers greater than zero.' };
+    }
+    if (amount > state.bet) {
+      return { valid: false, error: `${SIDE_BETS[key].name} is limited to your bet of $${state.bet}.` };
+    }
+  }
+  const total = entries.reduce((sum, [, amount]) => sum + amount, 0);
+  if (total > state.chips) {
+    return { valid: false, error: `You only have $${state.chips} left for side bets.` };
+  }
+  return {
+    valid: true,
+    state: {
+      ...state,
+      chips: state.chips - total,
+      sideBets: Object.fromEntries(entries.map(([key, bet]) => [key, { name: SIDE_BETS[key].name, bet }])),
+    },
+  };
+}
+
+/**
+ * Whether a side bet is still waiting on the dealer's finished hand.
+ */
+export function sideBetsPending(state) {
+  return Object.values(state.sideBets || {}).some(placed => !placed.outcome);
+}
+
+/**
+ * Settle the side bets decided at `timing`: 'deal' for the cards just dealt
+ * (dealInitialCards does this), 'dealer' once the dealer's hand is finished.
+ * A winning bet is paid from its paytable at once; the main hand is not
+ * touched either way.
+ */
+export function settleSideBets(state, timing) {
+  if (!state.sideBets) {
+    return state;
+  }
+  let { chips, stats } = state;
+  const sideBets = {};
+  for (const [key, placed] of Object.entries(state.sideBets)) {
+    if (placed.outcome || SIDE_BETS[key].settles !== timing) {
+      sideBets[key] = placed;
+      continue;
+    }
+    const sideBet = SIDE_BETS[key];
+    const hand = sideBet.evaluate(state);
+    if (hand === -1) {
+      sideBets[key] = { ...placed, outcome: 'lost', chipChange: -placed.bet };
+      stats = { ...stats, sideBetsLost: stats.sideBetsLost + 1, sideBetNet: stats.sideBetNet - placed.bet };
+      continue;
+    }
+    const win = placed.bet * paytable(state.rules[key], sideBet)[hand];
+    chips += placed.bet + win;
+    sideBets[key] = { ...placed, outcome: 'won', hand: sideBet.hands[hand], chipChange: win };
+    stats = { ...stats, sideBetsWon: stats.sideBetsWon + 1, sideBetNet: stats.sideBetNet + win };
+  }
+  return { ...state, chips, sideBets, stats: { ...stats, peakChips: Math.max(stats.peakChips, chips) } };
+}
+
+// ─── Multiple Spots ──────────────────────────────────────────────────
+//
+// In multi-spot play state.spots holds one entry per spot, and the spot being
+// played (state.activeSpot) is swapped into the top-level hand fields so every
+// single-hand function plays it unchanged. While a spot is active its entry in
+// state.spots is stale; once play moves to the dealer (activeSpot null),
+// state.spots is authoritative.
+
+const SPOT_FIELDS = ['playerHand', 'bet', 'freeBet', 'splitHands', 'activeHandIndex', 'doubled', 'insurance', 'result'];
+
+function emptySpot(bet) {
+  return {
+    playerHand: [], bet, freeBet: 0, splitHands: undefined, activeHandIndex: 0, doubled: false, insurance: null,
+    result: null,
+  };
+}
+
+/**
+ * The spots with the active spot's live hand in place of its stale entry.
+ */
+function currentSpots(state) {
+  if (state.activeSpot === null) {
+    return state.spots;
+  }
+  return state.spots.map((spot, i) => (
+    i === state.activeSpot ? Object.fromEntries(SPOT_FIELDS.map(f => [f, state[f]])) : spot
+  ));
+}
+
+function saveSpot(state) {
+  return { ...state, spots: currentSpots(state) };
+}
+
+function loadSpot(state, index) {
+  return { ...state, ...state.spots[index], activeSpot: index };
+}
+
+/**
+ * A spot needs no more play once it is settled (bust, surrender, a paid
+ * natural) or holds a natural still waiting on the dealer (ENHC).
+ */
+function spotDone(spot) {
+  return spot.result !== null || (spot.splitHands === undefined && isBlackjack(spot.playerHand));
+}
+
+/**
+ * Start the first unfinished spot from `from` on; with none left the dealer
+ * plays, or — when every spot is already settled — the round is over.
+ */
+function playNextSpot(state, from) {
+  const next = state.spots.findIndex((spot, i) => i >= from && !spotDone(spot));
+  if (next !== -1) {
+    return { ...loadSpot(state, next), phase: 'playing' };
+  }
+  const finished = { ...state, activeSpot: null };
+  if (finished.spots.some(spot => spot.result === null)) {
+    return { ...finished, phase: 'dealerTurn' };
+  }
+  return spotsResult(finished);
+}
+
+/**
+ * Total up a settled round. Insurance bets, settled at the peek, are shown
+ * as one bet across the spots that took it.
+ */
+function spotsResult(state) {
+  const chipChange = state.spots.reduce((sum, spot) => sum + spot.result.chipChange, 0);
+  const freeWin = state.spots.reduce((sum, spot) => sum + (spot.result.freeWin || 0), 0);
+  const result = { outcome: 'spots', message: 'Spot results', chipChange };
+  const insured = state.spots.filter(spot => spot.insurance).map(spot => spot.insurance);
+  const insurance = insured.length === 0 ? null : {
+    bet: insured.reduce((sum, ins) => sum + ins.bet, 0),
+    outcome: insured[0].outcome,
+    chipChange: insured.reduce((sum, ins) => sum + ins.chipChange, 0),
+  };
+  return { ...state, phase: 'result', insurance, result: freeWin > 0 ? { ...result, freeWin } : result };
+}
+
+// Decisions offered on each spot before the dealer's peek, in the order they
+// go round the table
+const PEEK_DECISIONS = {
+  earlySurrender: state => state.rules.surrender === 'early' && !isBlackjack(state.playerHand),
+  insurance: insuranceOffered,
+};
+
+/**
+ * Open the next decision before the peek, looking from spot `from` in the
+ * given phase: early surrender goes round every spot, then insurance does.
+ * Spots already settled (surrendered, or paid even money) are passed over.
+ * With nothing left to decide, the first spot is loaded for the peek.
+ */
+function nextPeekDecision(state, phase, from) {
+  const phases = Object.keys(PEEK_DECISIONS);
+  for (let p = phases.indexOf(phase); p < phases.length; p++) {
+    for (let i = phases[p] === phase ? from : 0; i < state.spots.length; i++) {
+      const spot = loadSpot(state, i);
+      if (spot.result === null && PEEK_DECISIONS[phases[p]](spot)) {
+        return { ...spot, phase: phases[p] };
+      }
+    }
+  }
+  return { ...loadSpot(state, 0), phase: 'playing' };
+}
+
+/**
+ * After a decision before the peek: with several spots, save the spot just
+ * decided and open the next decision; a single hand passes through.
+ */
+function peekDecisionMade(decided, state) {
+  if (!state.spots) {
+    return decided;
+  }
+  return nextPeekDecision(saveSpot(decided), state.phase, state.activeSpot + 1);
+}
+
+/**
+ * Call after each player action: when the active spot is finished (stood,
+ * busted, surrendered, doubled), save it and move on to the next spot.
+ * Single-spot play and a spot still in play pass through unchanged.
+ */
+export function finishSpot(state) {
+  if (!state.spots || state.activeSpot === null || state.phase === 'playing') {
+    return state;
+  }
+  return playNextSpot(saveSpot(state), state.activeSpot + 1);
+}
+
+/**
+ * Check every spot for naturals after the deal, settling each spot's
+ * insurance first. A dealer blackjack settles all spots not already given
+ * up; otherwise spot blackjacks are paid (or, under ENHC with a ten or ace
+ * showing, left for settleRound) and play starts on the first spot still
+ * open.
+ */
+function checkSpotsForBlackjack(state) {
+  const dealerBJ = isBlackjack(state.dealerHand);
+  const deferred = !dealerBJ && state.dealerHand.length < 2 && state.dealerHand[0].value >= 10;
+  let next = { ...saveSpot(state), activeSpot: null };
+  for (let i = 0; i < next.spots.length; i++) {
+    let spot = loadSpot(next, i);
+    if (spot.insurance && !spot.insurance.outcome) {
+      spot = settleInsurance(spot, dealerBJ);
+    }
+    if (spot.result === null && (dealerBJ || (isBlackjack(spot.playerHand) && !deferred))) {
+      spot = settleNaturals(spot);
+    }
+    next = { ...saveSpot(spot), activeSpot: null };
+  }
+  return playNextSpot(next, 0);
+}
+
+/**
+ * Settle every spot not already settled against the dealer's final hand.
+ */
+function settleSpots(state) {
+  let next = { ...saveSpot(state), activeSpot: null };
+  for (let i = 0; i < next.spots.length; i++) {
+    if (next.spots[i].result === null) {
+      next = { ...saveSpot(settleHand(loadSpot(next, i))), activeSpot: null };
+    }
+  }
+  return spotsResult(next);
+}
+
+// ─── Blackjack Switch ────────────────────────────────────────────────
+//
+// Both hands are dealt into state.splitHands and are live from the deal. The
+// round opens in the 'switch' phase, where the player may swap the second
+// cards of the two hands; play then goes on exactly as after a split.
+
+/**
+ * Swap the second cards of the two hands, then play on.
+ */
+export function playerSwitch(state) {
+  if (state.phase !== 'switch') {
+    return state;
+  }
+  const [first, second] = state.splitHands;
+  return {
+    ...state,
+    splitHands: [
+      { ...first, cards: [first.cards[0], second.cards[1]] },
+      { ...second, cards: [second.cards[0], first.cards[1]] },
+    ],
+    phase: 'playing',
+  };
+}
+
+/**
+ * Keep the hands as dealt and play on.
+ */
+export function declineSwitch(state) {
+  if (state.phase !== 'switch') {
+    return state;
+  }
+  return { ...state, phase: 'playing' };
+}
+
+/**
+ * The dealer's peek for Blackjack Switch, once the switch is decided. A
+ * blackjack — switched into or dealt — stands with status 'blackjack'. A
+ * dealer blackjack, or a natural on both hands, settles the round at once;
+ * otherwise play starts on the first open hand.
+ */
+function checkSwitchForBlackjack(state) {
+  const splitHands = state.splitHands.map(hand => (isBlackjack(hand.cards) ? { ...hand, status: 'blackjack' } : hand));
+  if (isBlackjack(state.dealerHand) || splitHands.every(h => h.status === 'blackjack')) {
+    const stood = splitHands.map(h => (h.status === 'playing' ? { ...h, status: 'stand' } : h));
+    return settleSplitRound({ ...state, splitHands: stood });
+  }
+  return advanceSplitHand({ ...state, splitHands, activeHandIndex: 0 });
+}
+
+/**
+ * End the game once the chips cannot cover the smallest round: the minimum
+ * bet, or two of them at a Blackjack Switch table, which stakes two hands.
+ */
 export function checkGameOver(state) {
-  if (state.chips < 10) {
+  const smallestRound = state.rules.switchHands ? state.rules.minBet * 2 : state.rules.minBet;
+  if (state.chips < smallestRound) {
     return { ...state, phase: 'gameOver' };
   }
   return state;
 }
 
+/**
+ * Split a pair. Before any split the player's hand becomes two split hands;
+ * during split play the active hand is re-split in place, up to
+ * rules.maxSplitHands hands. Split aces get one card each and stand, unless
+ * an ace arrives that may be re-split (rules.resplitAces) or the table lets
+ * split aces draw (rules.hitSplitAces).
+ */
 export function playerSplit(state) {
-  const deck = [...state.deck];
-  const originalBet = state.bet;
-  const newChips = state.chips - originalBet; // deduct additional bet
+  if (!getAvailableActions(state).split) {
+    return state;
+  }
+  const isSplit = state.splitHands !== undefined;
+  const handIndex = isSplit ? state.activeHandIndex : 0;
+  const hands = isSplit ? state.splitHands : [{ cards: state.playerHand, bet: state.bet, status: 'playing' }];
+  const pair = hands[handIndex];
+  // Deduct an additional bet — unless the house fronts it (Free Bet)
+  const free = freeSplit(pair.cards, state.rules);
+  const newChips = free ? state.chips : state.chips - pair.bet;
 
   // Deal one card to each split hand
-  const card1 = deck.pop();
-  const card2 = deck.pop();
-
-  const hand1Cards = [state.playerHand[0], card1];
-  const hand2Cards = [state.playerHand[1], card2];
-
-  // Check if splitting aces — auto-stand both hands
-  const isAceSplit = state.playerHand[0].rank === 'A';
-
-  const hand1Status = isAceSplit ? 'stand' : 'playing';
-  const hand2Status = isAceSplit ? 'stand' : 'playing';
+  const first = drawCard(state);
+  const second = drawCard({ ...state, ...first.shoe }, [first.card]);
+
+  // Split aces stand on their one card — unless it is another ace that may
+  // still be re-split, which leaves the hand open for split or stand only
+  const isAceSplit = pair.cards[0].rank === 'A';
+  const handCount = hands.length + 1;
+  const splitHand = (cards, freeAmount) => {
+    const resplittable = cards[1].rank === 'A' && state.rules.resplitAces && handCount < state.rules.maxSplitHands;
+    const status = isAceSplit && !resplittable && !state.rules.hitSplitAces ? 'stand' : 'playing';
+    return { cards, bet: pair.bet, free: freeAmount, status, splitAces: isAceSplit };
+  };
 
+  // The first hand keeps the pair's stake; the second is the new bet
   const splitHands = [
-    { cards: hand1Cards, bet: originalBet, status: hand1Status },
-    { cards: hand2Cards, bet: originalBet, status: hand2Status },
+    ...hands.slice(0, handIndex),
+    splitHand([pair.cards[0], first.card], pair.free || 0),
+    splitHand([pair.cards[1], second.card], free ? pair.bet : 0),
+    ...hands.slice(handIndex + 1),
   ];
 
-  // If aces split, both hands are done — advance to dealer turn
-  const phase = isAceSplit ? 'dealerTurn' : 'playing';
-
-  return {
+  const next = {
     ...state,
-    deck,
+    ...first.shoe,
+    ...second.shoe,
     chips: newChips,
     splitHands,
-    activeHandIndex: 0,
-    phase,
+    activeHandIndex: handIndex,
+    phase: 'playing',
   };
+
+  // If split aces stood, move on to the next open hand or the dealer
+  return splitHands[handIndex].status === 'playing' ? next : advanceSplitHand(next);
 }
 
 export function splitHit(state) {
-  const deck = [...state.deck];
-  const card = deck.pop();
+  const { card, shoe } = drawCard(state);
   const handIndex = state.activeHandIndex;
   const hand = state.splitHands[handIndex];
   const newCards = [...hand.cards, card];
@@ -409,7 +2200,7 @@ export function splitHit(state) {
   let newStatus = 'playing';
   if (total > 21) {
     newStatus = 'bust';
-  } else if (total === 21) {
+  } else if (total === 21 || isCharlie(newCards, state.rules)) {
     newStatus = 'stand';
   }
 
@@ -418,10 +2209,34 @@ export function splitHit(state) {
 
   // If this hand is done, check if we advance to next hand or dealer turn
   if (newStatus !== 'playing') {
-    return advanceSplitHand({ ...state, deck, splitHands: newSplitHands });
+    return advanceSplitHand({ ...state, ...shoe, splitHands: newSplitHands });
+  }
+
+  return { ...state, ...shoe, splitHands: newSplitHands };
+}
+
+/**
+ * Double down on the active split hand (DAS): its bet is doubled, it takes
+ * exactly one more card, and it stands (or busts).
+ */
+export function splitDouble(state) {
+  if (!getAvailableActions(state).splitDouble) {
+    return state;
   }
+  const { card, shoe } = drawCard(state);
+  const handIndex = state.activeHandIndex;
+  const hand = state.splitHands[handIndex];
+  const cards = [...hand.cards, card];
+  const status = calculateHandTotal(cards).total > 21 ? 'bust' : 'stand';
 
-  return { ...state, deck, splitHands: newSplitHands };
+  const free = freeDouble(hand.cards, state.rules);
+  const newHand = {
+    ...hand, cards, bet: hand.bet * 2, free: (hand.free || 0) + (free ? hand.bet : 0), doubled: true, status,
+  };
+  const newSplitHands = state.splitHands.map((h, i) => i === handIndex ? newHand : h);
+
+  const chips = free ? state.chips : state.chips - hand.bet;
+  return advanceSplitHand({ ...state, ...shoe, chips, splitHands: newSplitHands });
 }
 
 export function splitStand(state) {
@@ -440,8 +2255,9 @@ function advanceSplitHand(state) {
     return { ...state, phase: 'dealerTurn' };
   }
 
-  // Move to next hand that is still playing
-  const nextIndex = state.splitHands.findIndex((h, i) => i > state.activeHandIndex && h.status === 'playing');
+  // Move to next hand that is still playing (or back to the active hand
+  // when it is still open, e.g. a re-split ace)
+  const nextIndex = state.splitHands.findIndex((h, i) => i >= state.activeHandIndex && h.status === 'playing');
   if (nextIndex !== -1) {
     return { ...state, activeHandIndex: nextIndex };
   }
@@ -453,53 +2269,147 @@ function advanceSplitHand(state) {
 export function getAvailableActions(state) {
   const playing = state.phase === 'playing';
   const handCards = state.playerHand;
+
+  // Early surrender offer, before the dealer's peek: surrender or play on
+  if (state.phase === 'earlySurrender') {
+    return {
+      hit: false, stand: false, double: false, split: false, surrender: true, rescue: false, switch: false,
+      insurance: false, evenMoney: false, splitHit: false, splitStand: false, splitDouble: false, quit: true,
+    };
+  }
+
+  // Blackjack Switch, before play: swap the second cards or keep the hands
+  if (state.phase === 'switch') {
+    return {
+      hit: false, stand: false, double: false, split: false, surrender: false, rescue: false, switch: true,
+      insurance: false, evenMoney: false, splitHit: false, splitStand: false, splitDouble: false, quit: true,
+    };
+  }
+
+  // Insurance offer against a dealer ace: insure, take even money, or decline
+  if (state.phase === 'insurance') {
+    const playerBJ = isBlackjack(handCards);
+    return {
+      hit: false, stand: false, double: false, split: false, surrender: false, rescue: false, switch: false,
+      insurance: !playerBJ && maxInsurance(state) >= 1, evenMoney: playerBJ,
+      splitHit: false, splitStand: false, splitDouble: false, quit: true,
+    };
+  }
+
   const { total } = playing ? calculateHandTotal(handCards) : { total: 0 };
   const isSplit = state.splitHands !== undefined;
 
-  // During split, only splitHit and splitStand are available on the active hand
+  // During split, only splitHit, splitStand, splitDouble and a re-split are
+  // available on the active hand. Split aces draw only where the table allows.
   if (isSplit && playing) {
     const activeHand = state.splitHands[state.activeHandIndex];
     const activeTotal = calculateHandTotal(activeHand.cards).total;
+    const [first, second] = activeHand.cards;
+    const mayDraw = activeHand.status === 'playing' && (!activeHand.splitAces || state.rules.hitSplitAces);
     return {
       hit: false,
       stand: false,
       double: false,
-      split: false,
-      splitHit: activeTotal < 21 && activeHand.status === 'playing',
+      split: activeHand.status === 'playing' && activeHand.cards.length === 2 && first.value === second.value
+        && state.splitHands.length < state.rules.maxSplitHands
+        && (state.chips >= activeHand.bet || freeSplit(activeHand.cards, state.rules))
+        && (!activeHand.splitAces || state.rules.resplitAces),
+      surrender: false,
+      rescue: false,
+      switch: false,
+      insurance: false,
+      evenMoney: false,
+      splitHit: activeTotal < 21 && mayDraw,
       splitStand: activeHand.status === 'playing',
+      splitDouble: mayDraw && (state.rules.doubleAfterSplit || activeHand.dealt === true)
+        && doubleAllowed(activeHand.cards, state.rules)
+        && (state.chips >= activeHand.bet || freeDouble(activeHand.cards, state.rules)),
       quit: true,
     };
   }
 
+  // A doubled hand left open by the rescue rule: stand, or rescue the double
+  if (playing && state.doubled) {
+    return {
+      hit: false, stand: true, double: false, split: false, surrender: false, rescue: true, switch: false,
+      insurance: false, evenMoney: false, splitHit: false, splitStand: false, splitDouble: false, quit: true,
+    };
+  }
+
   return {
     hit: playing && total < 21,
     stand: playing,
-    double: playing && handCards.length === 2 && state.chips >= state.bet,
-    split: playing && handCards.length === 2 && handCards[0].value === handCards[1].value && state.chips >= state.bet,
+    double: playing && doubleAllowed(handCards, state.rules)
+      && (state.chips >= state.bet || freeDouble(handCards, state.rules)),
+    split: playing && handCards.length === 2 && handCards[0].value === handCards[1].value
+      && (state.chips >= state.bet || freeSplit(handCards, state.rules)) && state.rules.maxSplitHands >= 2,
+    surrender: playing && handCards.length === 2 && state.rules.surrender === 'late',
+    rescue: false,
+    switch: false,
+    insurance: false,
+    evenMoney: false,
     splitHit: false,
     splitStand: false,
+    splitDouble: false,
     quit: true,
   };
 }
 
 export function dealInitialCards(state) {
-  let deck = [...state.deck];
-  let reshuffled = state.reshuffled;
+  // A scenario restacks the shoe for every deal. Otherwise, the cut card
+  // came out during the last hand — start a new shoe. A continuous
+  // shuffling machine has no cut card.
+  if (state.scenario) {
+    state = stackDeck(state, state.scenario);
+  } else if (!state.rules.continuousShuffle && state.deck.length < cutCardPosition(state.rules)) {
+    state = reshuffleShoe(state);
+  }
 
-  if (deck.length < 15) {
-    deck = shuffleDeck(createDeck());
-    reshuffled = true;
+  // Deal from a cleared table so a dry shoe never holds back last hand's cards
+  let table = {
+    ...state, playerHand: [], dealerHand: [], splitHands: undefined, freeBet: 0, doubled: false, insurance: null,
+    shoeRanDry: false,
+    spots: state.spots && state.spots.map(spot => emptySpot(spot.bet)), activeSpot: null,
+  };
+  // Casino order: a card to each spot in turn, then the dealer's up card,
+  // then a second round the same way ending with the hole card. No hole card
+  // (ENHC): the dealer's second card waits until the player acts.
+  const spotCount = state.spots ? state.spots.length : (state.rules.switchHands ? 2 : 1);
+  const hands = Array.from({ length: spotCount }, () => []);
+  const dealerHand = [];
+  const cards = [];
+  for (const round of [1, 2]) {
+    const dealer = round === 1 || state.rules.holeCard !== 'enhc' ? [dealerHand] : [];
+    for (const hand of [...hands, ...dealer]) {
+      const { card, shoe } = drawCard(table, cards);
+      cards.push(card);
+      hand.push(card);
+      table = { ...table, ...shoe };
+    }
   }
 
-  const playerHand = [deck.pop(), deck.pop()];
-  const dealerHand = [deck.pop(), deck.pop()];
+  if (table.spots) {
+    const spots = table.spots.map((spot, i) => ({ ...spot, playerHand: hands[i] }));
+    return nextPeekDecision({ ...table, spots, dealerHand }, 'earlySurrender', 0);
+  }
 
-  return {
-    ...state,
-    deck,
-    playerHand,
-    dealerHand,
-    reshuffled,
-    phase: 'playing',
-  };
+  // Blackjack Switch: both hands are live from the deal (`dealt` lets them
+  // double on their first two cards whatever the DAS rule)
+  if (state.rules.switchHands) {
+    const splitHands = hands.map(cards => ({ cards, bet: state.bet, status: 'playing', dealt: true }));
+    return { ...table, dealerHand, splitHands, activeHandIndex: 0, phase: 'switch' };
+  }
+
+  const dealt = settleSideBets({ ...table, playerHand: hands[0], dealerHand }, 'deal');
+
+  // Decisions before the peek: early surrender (pointless with a natural),
+  // then insurance against a dealer ace
+  let phase = 'playing';
+  if (state.rules.surrender === 'early' && !isBlackjack(dealt.playerHand)) {
+    phase = 'earlySurrender';
+  } else if (insuranceOffered(dealt)) {
+    phase = 'insurance';
+  }
+
+  return { ...dealt, phase };
 }
@@ -2,7 +2,16 @@
 
 import { describe, it } from 'node:test';
 import assert from 'node:assert/strict';
-import { createDeck, shuffleDeck, createGameState, calculateHandTotal, dealInitialCards, checkForBlackjack, playerHit, playerStand, playerDouble, playerSplit, splitHit, splitStand, isDealerDone, dealerDrawOne, settleRound, getWinRate, placeBet, checkGameOver, getAvailableActions } from './game.js';
+import { createHash } from 'node:crypto';
+import { readFileSync } from 'node:fs';
+import { createDeck, createShoe, cutCardPosition, reshuffleShoe, drawCard, shuffleDeck, clearTable, riffleDeck, stripDeck, cutDeck, casinoShuffle, createRng, createFairRng, withClientSeed, verifyShoe, openRng, parseScenario, stackDeck, handHistoryEntry, createGameState, calculateHandTotal, dealInitialCards, checkForBlackjack, playerHit, playerStand, playerDouble, playerSplit, playerSurrender, playerRescue, declineSurrender, playerSwitch, declineSwitch, placeInsurance, declineInsurance, takeEvenMoney, maxInsurance, splitHit, splitStand, splitDouble, isDealerDone, dealerDrawOne, settleRound, getWinRate, placeBet, placeBets, placeSideBets, offeredSideBets, settleSideBets, sideBetsPending, finishSpot, checkGameOver, getAvailableActions, DEFAULT_RULES, RULE_PRESETS, BLACKJACK_PAYOUTS, validateRules } from './game.js';
+
+// Shared deal-order fixtures, in the scenario format that --scenario loads
+const fixture = (name) => {
+  const parsed = parseScenario(readFileSync(new URL(`../test/fixtures/${name}`, import.meta.url), 'utf8'));
+  assert.ok(parsed.valid, parsed.error);
+  return parsed.cards;
+};
 
 // 4.1 — Deck tests
 describe('createDeck', () => {
@@ -82,6 +91,13 @@ describe('createDeck', () => {
       assert.equal(count, 4);
     }
   });
+
+  it('builds a 48-card Spanish deck without the 10s', () => {
+    const deck = createDeck(true);
+    assert.equal(deck.length, 48);
+    assert.equal(deck.filter(c => c.rank === '10').length, 0);
+    assert.equal(deck.filter(c => c.value === 10).length, 12);
+  });
 });
 
 // createGameState tests (item 1.3)
@@ -141,6 +157,11 @@ describe('createGameState', () => {
     assert.equal(state.reshuffled, false);
   });
 
+  it('starts with shoeRanDry false', () => {
+    const state = createGameState();
+    assert.equal(state.shoeRanDry, false);
+  });
+
   it('has correct initial stats', () => {
     const state = createGameState();
     assert.deepEqual(state.stats, {
@@ -149,6 +170,17 @@ describe('createGameState', () => {
       handsLost: 0,
       handsPushed: 0,
       blackjacks: 0,
+      surrenders: 0,
+      insuranceWon: 0,
+      insuranceLost: 0,
+      charlies: 0,
+      suited678s: 0,
+      triple7s: 0,
+      bonus21s: 0,
+      rescues: 0,
+      sideBetsWon: 0,
+      sideBetsLost: 0,
+      sideBetNet: 0,
       peakChips: 1000,
     });
   });
@@ -164,434 +196,368 @@ describe('createGameState', () => {
   });
 });
 
-// 4.2 — Shuffle tests
-describe('shuffleDeck', () => {
-  it('returns an array of 52 cards', () => {
-    const deck = createDeck();
-    const shuffled = shuffleDeck(deck);
-    assert.equal(shuffled.length, 52);
+// Table rules tests
+describe('validateRules', () => {
+  it('accepts the default rules', () => {
+    const result = validateRules(DEFAULT_RULES);
+    assert.equal(result.valid, true);
+    assert.equal(result.rules, DEFAULT_RULES);
   });
 
-  it('does not mutate the original deck', () => {
-    const deck = createDeck();
-    const original = deck.map(c => `${c.suit}${c.rank}`);
-    shuffleDeck(deck);
-    const after = deck.map(c => `${c.suit}${c.rank}`);
-    assert.deepEqual(original, after);
+  it('accepts every preset', () => {
+    for (const [key, rules] of Object.entries(RULE_PRESETS)) {
+      assert.equal(validateRules(rules).valid, true, `${key} should be valid`);
+    }
   });
 
-  it('preserves all 52 cards (no cards lost or duplicated)', () => {
-    const deck = createDeck();
-    const shuffled = shuffleDeck(deck);
-    const originalKeys = deck.map(c => `${c.suit}${c.rank}`).sort();
-    const shuffledKeys = shuffled.map(c => `${c.suit}${c.rank}`).sort();
-    assert.deepEqual(originalKeys, shuffledKeys);
+  it('rejects a non-integer minimum bet', () => {
+    const result = validateRules({ ...DEFAULT_RULES, minBet: 7.5 });
+    assert.equal(result.valid, false);
+    assert.match(result.error, /Minimum bet/);
   });
 
-  it('produces a different order from the original', () => {
-    const deck = createDeck();
-    // Run 5 shuffles — at least one must differ from original order.
-    // Probability of all 5 matching original is astronomically small.
-    let allSame = true;
-    for (let i = 0; i < 5; i++) {
-      const shuffled = shuffleDeck(deck);
-      const originalKeys = deck.map(c => `${c.suit}${c.rank}`).join(',');
-      const shuffledKeys = shuffled.map(c => `${c.suit}${c.rank}`).join(',');
-      if (originalKeys !== shuffledKeys) {
-        allSame = false;
-        break;
-      }
-    }
-    assert.equal(allSame, false, 'shuffle should produce a different order');
+  it('rejects a maximum bet below the minimum', () => {
+    const result = validateRules({ ...DEFAULT_RULES, minBet: 100, maxBet: 50 });
+    assert.equal(result.valid, false);
+    assert.match(result.error, /Maximum bet/);
   });
 
-  it('produces different results on successive calls', () => {
-    const deck = createDeck();
-    const results = new Set();
-    for (let i = 0; i < 10; i++) {
-      const shuffled = shuffleDeck(deck);
-      results.add(shuffled.map(c => `${c.suit}${c.rank}`).join(','));
+  it('rejects a malformed blackjack payout', () => {
+    for (const blackjackPayout of ['1.5', '3/2', '0:2', '3:0', 1.5]) {
+      const result = validateRules({ ...DEFAULT_RULES, blackjackPayout });
+      assert.equal(result.valid, false, `${blackjackPayout} should be rejected`);
     }
-    assert.ok(results.size > 1, 'multiple shuffles should produce different orderings');
   });
-});
 
-// 4.3 — Hand evaluation tests
-describe('calculateHandTotal', () => {
-  const card = (rank, suit = '♠') => {
-    let value;
-    if (rank === 'A') value = 11;
-    else if (['J', 'Q', 'K'].includes(rank)) value = 10;
-    else value = parseInt(rank, 10);
-    return { suit, rank, value };
-  };
+  it('rejects a dealer stand total outside 17-21', () => {
+    assert.equal(validateRules({ ...DEFAULT_RULES, dealerStandsOn: 16 }).valid, false);
+    assert.equal(validateRules({ ...DEFAULT_RULES, dealerStandsOn: 22 }).valid, false);
+  });
 
-  it('calculates basic totals (7 + 5 = 12)', () => {
-    const result = calculateHandTotal([card('7'), card('5')]);
-    assert.equal(result.total, 12);
-    assert.equal(result.soft, false);
+  it('rejects unsupported deck counts', () => {
+    for (const decks of [0, 3, 5, 7, 10, 1.5]) {
+      assert.equal(validateRules({ ...DEFAULT_RULES, decks }).valid, false, `${decks} decks should be rejected`);
+    }
   });
 
-  it('calculates face card totals (K + Q = 20)', () => {
-    const result = calculateHandTotal([card('K'), card('Q')]);
-    assert.equal(result.total, 20);
-    assert.equal(result.soft, false);
+  it('rejects penetration outside 0.25-0.9', () => {
+    assert.equal(validateRules({ ...DEFAULT_RULES, penetration: 0.2 }).valid, false);
+    assert.equal(validateRules({ ...DEFAULT_RULES, penetration: 0.95 }).valid, false);
+    assert.equal(validateRules({ ...DEFAULT_RULES, penetration: '75%' }).valid, false);
   });
 
-  it('calculates soft hand (A + 6 = soft 17)', () => {
-    const result = calculateHandTotal([card('A'), card('6')]);
-    assert.equal(result.total, 17);
-    assert.equal(result.soft, true);
+  it('rejects unsupported split hand counts', () => {
+    assert.equal(validateRules({ ...DEFAULT_RULES, maxSplitHands: 0 }).valid, false);
+    assert.equal(validateRules({ ...DEFAULT_RULES, maxSplitHands: 5 }).valid, false);
+    assert.equal(validateRules({ ...DEFAULT_RULES, maxSplitHands: 2.5 }).valid, false);
   });
 
-  it('demotes ace when total exceeds 21 (A + 6 + 8 = 15)', () => {
-    const result = calculateHandTotal([card('A'), card('6'), card('8')]);
-    assert.equal(result.total, 15);
-    assert.equal(result.soft, false);
+  it('accepts re-splitting to three or four hands', () => {
+    assert.equal(validateRules({ ...DEFAULT_RULES, maxSplitHands: 3 }).valid, true);
+    assert.equal(validateRules({ ...DEFAULT_RULES, maxSplitHands: 4 }).valid, true);
   });
 
-  it('handles multiple aces (A + A = soft 12)', () => {
-    const result = calculateHandTotal([card('A'), card('A')]);
-    assert.equal(result.total, 12);
-    assert.equal(result.soft, true);
+  it('accepts every listed blackjack payout and nothing else', () => {
+    for (const blackjackPayout of BLACKJACK_PAYOUTS) {
+      assert.equal(validateRules({ ...DEFAULT_RULES, blackjackPayout }).valid, true, blackjackPayout);
+    }
+    assert.equal(validateRules({ ...DEFAULT_RULES, blackjackPayout: '5:4' }).valid, false);
   });
 
-  it('handles three aces (A + A + A = soft 13)', () => {
-    const result = calculateHandTotal([card('A'), card('A'), card('A')]);
-    assert.equal(result.total, 13);
-    assert.equal(result.soft, true);
+  it('rejects an unknown payout rounding policy or chip unit', () => {
+    assert.equal(validateRules({ ...DEFAULT_RULES, payoutRounding: 'up' }).valid, false);
+    assert.equal(validateRules({ ...DEFAULT_RULES, chipUnit: 0 }).valid, false);
+    assert.equal(validateRules({ ...DEFAULT_RULES, chipUnit: 2.5 }).valid, false);
   });
 
-  it('detects blackjack (A + K = 21 with 2 cards)', () => {
-    const result = calculateHandTotal([card('A'), card('K')]);
-    assert.equal(result.total, 21);
-    assert.equal(result.soft, true);
+  it('rejects an unsupported Charlie card count or bonus ratio', () => {
+    assert.equal(validateRules({ ...DEFAULT_RULES, charlie: 4 }).valid, false);
+    assert.equal(validateRules({ ...DEFAULT_RULES, suited678Bonus: 'yes' }).valid, false);
+    assert.equal(validateRules({ ...DEFAULT_RULES, triple7Bonus: '2/1' }).valid, false);
+    assert.equal(validateRules({ ...DEFAULT_RULES, charlie: 7, suited678Bonus: '2:1', triple7Bonus: '3:2' }).valid, true);
   });
 
-  it('detects blackjack with 10 (A + 10 = 21)', () => {
-    const result = calculateHandTotal([card('A'), card('10')]);
-    assert.equal(result.total, 21);
-    assert.equal(result.soft, true);
+  it('rejects non-boolean Spanish 21 rules', () => {
+    for (const rule of ['spanishDeck', 'doubleRescue', 'cardCount21Bonus', 'player21Wins']) {
+      assert.equal(validateRules({ ...DEFAULT_RULES, [rule]: 'yes' }).valid, false, rule);
+    }
   });
 
-  it('handles bust (K + Q + 5 = 25)', () => {
-    const result = calculateHandTotal([card('K'), card('Q'), card('5')]);
-    assert.equal(result.total, 25);
-    assert.equal(result.soft, false);
+  it('rejects non-boolean Blackjack Switch rules', () => {
+    assert.equal(validateRules({ ...DEFAULT_RULES, switchHands: 'yes' }).valid, false);
+    assert.equal(validateRules({ ...DEFAULT_RULES, dealer22Pushes: 1 }).valid, false);
   });
 
-  it('demotes multiple aces when needed (A + A + 9 + K = 21)', () => {
-    const result = calculateHandTotal([card('A'), card('A'), card('9'), card('K')]);
-    assert.equal(result.total, 21);
-    assert.equal(result.soft, false);
+  it('rejects a non-boolean free bets rule, and Free Bet without a hole card', () => {
+    assert.equal(validateRules({ ...DEFAULT_RULES, freeBets: 'yes' }).valid, false);
+    const result = validateRules({ ...DEFAULT_RULES, freeBets: true, holeCard: 'enhc' });
+    assert.equal(result.valid, false);
+    assert.match(result.error, /Free Bet/);
   });
 
-  it('handles empty hand', () => {
-    const result = calculateHandTotal([]);
-    assert.equal(result.total, 0);
-    assert.equal(result.soft, false);
+  it('rejects Blackjack Switch without a dealer peek', () => {
+    const result = validateRules({ ...DEFAULT_RULES, switchHands: true, holeCard: 'enhc' });
+    assert.equal(result.valid, false);
+    assert.match(result.error, /peek/);
   });
 
-  it('handles single card', () => {
-    const result = calculateHandTotal([card('7')]);
-    assert.equal(result.total, 7);
-    assert.equal(result.soft, false);
+  it('rejects an unsupported number of spots', () => {
+    assert.equal(validateRules({ ...DEFAULT_RULES, maxSpots: 0 }).valid, false);
+    assert.equal(validateRules({ ...DEFAULT_RULES, maxSpots: 4 }).valid, false);
   });
 
-  it('handles single ace (soft 11)', () => {
-    const result = calculateHandTotal([card('A')]);
-    assert.equal(result.total, 11);
-    assert.equal(result.soft, true);
+  it('rejects a non-boolean re-split aces rule', () => {
+    assert.equal(validateRules({ ...DEFAULT_RULES, resplitAces: 1 }).valid, false);
   });
 
-  it('handles four aces (A + A + A + A = 14)', () => {
-    const result = calculateHandTotal([card('A'), card('A'), card('A'), card('A')]);
-    assert.equal(result.total, 14);
-    assert.equal(result.soft, true);
+  it('rejects non-boolean double after split and hit split aces rules', () => {
+    assert.equal(validateRules({ ...DEFAULT_RULES, doubleAfterSplit: 'yes' }).valid, false);
+    assert.equal(validateRules({ ...DEFAULT_RULES, hitSplitAces: 'no' }).valid, false);
   });
 
-  it('hard 21 is not soft (7 + 7 + 7 = 21)', () => {
-    const result = calculateHandTotal([card('7'), card('7'), card('7')]);
-    assert.equal(result.total, 21);
-    assert.equal(result.soft, false);
+  it('rejects a non-boolean soft 17 rule', () => {
+    assert.equal(validateRules({ ...DEFAULT_RULES, dealerHitsSoft17: 'yes' }).valid, false);
   });
 
-  it('ace demoted then another ace stays high (A + 5 + A + 4 = 21 soft)', () => {
-    // A(11) + 5 + A(11) + 4 = 31 → demote one ace → 21, one ace still at 11
-    const result = calculateHandTotal([card('A'), card('5'), card('A'), card('4')]);
-    assert.equal(result.total, 21);
-    assert.equal(result.soft, true);
+  it('rejects an unknown surrender rule', () => {
+    assert.equal(validateRules({ ...DEFAULT_RULES, surrender: 'sometimes' }).valid, false);
   });
-});
 
-// dealInitialCards tests (item 1.5)
-describe('dealInitialCards', () => {
-  it('deals 2 cards to player and 2 to dealer', () => {
-    const state = createGameState();
-    state.deck = shuffleDeck(createDeck());
-    const newState = dealInitialCards(state);
-    assert.equal(newState.playerHand.length, 2);
-    assert.equal(newState.dealerHand.length, 2);
+  it('accepts early surrender', () => {
+    assert.equal(validateRules({ ...DEFAULT_RULES, surrender: 'early' }).valid, true);
   });
 
-  it('removes 4 cards from the deck', () => {
-    const state = createGameState();
-    state.deck = shuffleDeck(createDeck());
-    const newState = dealInitialCards(state);
-    assert.equal(newState.deck.length, 48);
+  it('rejects an unknown hole card rule', () => {
+    assert.equal(validateRules({ ...DEFAULT_RULES, holeCard: 'none' }).valid, false);
   });
 
-  it('sets phase to playing', () => {
-    const state = createGameState();
-    state.deck = shuffleDeck(createDeck());
-    const newState = dealInitialCards(state);
-    assert.equal(newState.phase, 'playing');
+  it('accepts both dealer cards face up, and a boolean ties lose rule', () => {
+    assert.equal(validateRules({ ...DEFAULT_RULES, holeCard: 'exposed' }).valid, true);
+    assert.equal(validateRules({ ...DEFAULT_RULES, tiesLose: 'yes' }).valid, false);
   });
 
-  it('does not mutate the original state', () => {
-    const state = createGameState();
-    state.deck = shuffleDeck(createDeck());
-    const originalDeckLen = state.deck.length;
-    dealInitialCards(state);
-    assert.equal(state.deck.length, originalDeckLen);
-    assert.equal(state.playerHand.length, 0);
-    assert.equal(state.dealerHand.length, 0);
-    assert.equal(state.phase, 'welcome');
+  it('rejects an unknown ENHC losses rule', () => {
+    assert.equal(validateRules({ ...DEFAULT_RULES, enhcLosses: 'some' }).valid, false);
   });
 
-  it('dealt cards are valid card objects', () => {
-    const state = createGameState();
-    state.deck = shuffleDeck(createDeck());
-    const newState = dealInitialCards(state);
-    for (const card of [...newState.playerHand, ...newState.dealerHand]) {
-      assert.ok('suit' in card);
-      assert.ok('rank' in card);
-      assert.ok('value' in card);
-    }
+  it('rejects a non-boolean insurance rule', () => {
+    assert.equal(validateRules({ ...DEFAULT_RULES, insurance: 'yes' }).valid, false);
   });
 
-  it('dealt cards are no longer in the deck', () => {
-    const state = createGameState();
-    state.deck = shuffleDeck(createDeck());
-    const newState = dealInitialCards(state);
-    const deckKeys = new Set(newState.deck.map(c => `${c.suit}${c.rank}`));
-    for (const card of [...newState.playerHand, ...newState.dealerHand]) {
-      const key = `${card.suit}${card.rank}`;
-      assert.ok(!deckKeys.has(key), `dealt card ${key} should not be in deck`);
-    }
+  it('accepts side bet paytables with one payout per hand', () => {
+    assert.equal(validateRules({ ...DEFAULT_RULES, perfectPairs: '30/10/5' }).valid, true);
+    assert.equal(validateRules({ ...DEFAULT_RULES, twentyOnePlus3: '100/40/30/10/5' }).valid, true);
+    assert.equal(validateRules({ ...DEFAULT_RULES, perfectPairs: '25/12' }).valid, false);
+    assert.equal(validateRules({ ...DEFAULT_RULES, twentyOnePlus3: '9:1' }).valid, false);
+    assert.equal(validateRules({ ...DEFAULT_RULES, perfectPairs: '25/0/6' }).valid, false);
+    assert.equal(validateRules({ ...DEFAULT_RULES, luckyLadies: '1000/125/19/9/4' }).valid, true);
+    assert.equal(validateRules({ ...DEFAULT_RULES, busterBlackjack: '250/50/12/4/2' }).valid, false);
   });
 
-  it('preserves other state fields', () => {
-    const state = createGameState();
-    state.deck = shuffleDeck(createDeck());
-    state.chips = 500;
-    state.bet = 100;
-    const newState = dealInitialCards(state);
-    assert.equal(newState.chips, 500);
-    assert.equal(newState.bet, 100);
+  it('checks the shuffle model and its riffle and strip counts', () => {
+    assert.equal(validateRules({ ...DEFAULT_RULES, shuffleModel: 'casino', riffles: 7, strips: 2 }).valid, true);
+    assert.equal(validateRules({ ...DEFAULT_RULES, shuffleModel: 'overhand' }).valid, false);
+    assert.equal(validateRules({ ...DEFAULT_RULES, riffles: 0 }).valid, false);
+    assert.equal(validateRules({ ...DEFAULT_RULES, riffles: 2, strips: 3 }).valid, false);
   });
 
-  // 4.10 — Deck reshuffle tests
-  it('reshuffles when deck has fewer than 15 cards', () => {
-    const state = createGameState();
-    state.deck = shuffleDeck(createDeck()).slice(0, 10); // only 10 cards
-    const newState = dealInitialCards(state);
-    assert.equal(newState.reshuffled, true);
-    // After reshuffle + dealing 4 cards, deck should be 48
-    assert.equal(newState.deck.length, 48);
+  it('rejects a cut card that cannot deal a round', () => {
+    // One deck at 0.9 penetration leaves 5 cards; three spots and the dealer take 8
+    const check = validateRules({ ...DEFAULT_RULES, penetration: 0.9 });
+    assert.equal(check.valid, false);
+    assert.match(check.error, /at least 8 cards/);
+    assert.equal(validateRules({ ...DEFAULT_RULES, penetration: 0.9, maxSpots: 1 }).valid, true);
+    assert.equal(validateRules({ ...DEFAULT_RULES, penetration: 0.9, maxSpots: 1, switchHands: true }).valid, false);
+    assert.equal(validateRules({ ...DEFAULT_RULES, penetration: 0.9, continuousShuffle: true }).valid, true);
   });
 
-  it('reshuffles when deck is empty', () => {
-    const state = createGameState();
-    state.deck = [];
-    const newState = dealInitialCards(state);
-    assert.equal(newState.reshuffled, true);
-    assert.equal(newState.deck.length, 48);
-    assert.equal(newState.playerHand.length, 2);
-    assert.equal(newState.dealerHand.length, 2);
+  it('rejects a non-boolean continuous shuffle rule', () => {
+    assert.equal(validateRules({ ...DEFAULT_RULES, continuousShuffle: 'yes' }).valid, false);
   });
 
-  it('reshuffles when deck has exactly 14 cards', () => {
-    const state = createGameState();
-    state.deck = shuffleDeck(createDeck()).slice(0, 14);
-    const newState = dealInitialCards(state);
-    assert.equal(newState.reshuffled, true);
-    assert.equal(newState.deck.length, 48);
+  it('rejects rules without a name', () => {
+    assert.equal(validateRules({ ...DEFAULT_RULES, name: '' }).valid, false);
   });
+});
 
-  it('does not reshuffle when deck has exactly 15 cards', () => {
+describe('createGameState with rules', () => {
+  it('stores the default rules when called without arguments', () => {
     const state = createGameState();
-    state.deck = shuffleDeck(createDeck()).slice(0, 15);
-    const newState = dealInitialCards(state);
-    assert.equal(newState.reshuffled, false);
-    assert.equal(newState.deck.length, 11); // 15 - 4
+    assert.deepEqual(state.rules, DEFAULT_RULES);
   });
 
-  it('does not reshuffle when deck is full', () => {
-    const state = createGameState();
-    state.deck = shuffleDeck(createDeck());
-    const newState = dealInitialCards(state);
-    assert.equal(newState.reshuffled, false);
-    assert.equal(newState.deck.length, 48);
+  it('stores a preset', () => {
+    const state = createGameState(RULE_PRESETS['vegas-strip']);
+    assert.equal(state.rules.name, 'Vegas Strip');
+    assert.equal(state.rules.minBet, 25);
   });
 
-  it('reshuffled deck has 52 cards (before dealing)', () => {
-    const state = createGameState();
-    state.deck = [];
-    const newState = dealInitialCards(state);
-    // deck(48) + player(2) + dealer(2) = 52
-    const totalCards = newState.deck.length + newState.playerHand.length + newState.dealerHand.length;
-    assert.equal(totalCards, 52);
+  it('fills missing fields from the defaults', () => {
+    const state = createGameState({ maxBet: 1000 });
+    assert.equal(state.rules.maxBet, 1000);
+    assert.equal(state.rules.minBet, DEFAULT_RULES.minBet);
+    assert.equal(state.rules.blackjackPayout, '3:2');
   });
-});
 
-// checkForBlackjack tests (item 1.6, part of 4.6)
-describe('checkForBlackjack', () => {
-  const card = (rank, suit = '♠') => {
-    let value;
-    if (rank === 'A') value = 11;
-    else if (['J', 'Q', 'K'].includes(rank)) value = 10;
-    else value = parseInt(rank, 10);
-    return { suit, rank, value };
-  };
+  it('throws on invalid rules', () => {
+    assert.throws(() => createGameState({ minBet: -5 }), /Invalid table rules/);
+  });
 
-  const makeState = (playerCards, dealerCards, bet = 100) => {
-    const state = createGameState();
-    state.playerHand = playerCards;
-    state.dealerHand = dealerCards;
-    state.bet = bet;
-    state.chips = 900; // 1000 - 100 bet
-    state.phase = 'playing';
-    state.deck = shuffleDeck(createDeck());
-    return state;
-  };
+  it('does not share the rules object with the caller', () => {
+    const overrides = { maxBet: 1000 };
+    const state = createGameState(overrides);
+    assert.notEqual(state.rules, overrides);
+  });
 
-  it('returns state unchanged when neither has blackjack', () => {
-    const state = makeState([card('K'), card('5')], [card('8'), card('9')]);
-    const result = checkForBlackjack(state);
-    assert.equal(result, state); // same reference — no change
-    assert.equal(result.phase, 'playing');
-    assert.equal(result.result, null);
+  it('placeBet enforces the table limits', () => {
+    const state = createGameState({ minBet: 25, maxBet: 100 });
+    assert.equal(placeBet(state, 20).error, 'Minimum bet is $25.');
+    assert.equal(placeBet(state, 150).error, 'Maximum bet is $100.');
+    assert.equal(placeBet(state, 100).valid, true);
   });
 
-  it('detects player blackjack (A + K)', () => {
-    const state = makeState([card('A'), card('K')], [card('8'), card('9')]);
-    const result = checkForBlackjack(state);
-    assert.equal(result.phase, 'result');
-    assert.equal(result.result.outcome, 'blackjack');
-    assert.equal(result.result.chipChange, 150); // 3:2 on $100
+  it('checkGameOver uses the table minimum', () => {
+    const state = createGameState({ minBet: 25 });
+    state.chips = 20;
+    assert.equal(checkGameOver(state).phase, 'gameOver');
   });
 
-  it('pays 3:2 for player blackjack ($100 bet → $150 payout)', () => {
-    const state = makeState([card('A'), card('K')], [card('8'), card('9')], 100);
+  it('isDealerDone uses the dealer stand total', () => {
+    const state = createGameState({ dealerStandsOn: 18 });
+    state.dealerHand = [
+      { suit: '♠', rank: '10', value: 10 },
+      { suit: '♠', rank: '7', value: 7 },
+    ];
+    assert.equal(isDealerDone(state), false);
+  });
+
+  it('checkForBlackjack pays the table payout', () => {
+    const state = createGameState({ blackjackPayout: '6:5' });
+    state.playerHand = [{ suit: '♠', rank: 'A', value: 11 }, { suit: '♠', rank: 'K', value: 10 }];
+    state.dealerHand = [{ suit: '♥', rank: '8', value: 8 }, { suit: '♥', rank: '9', value: 9 }];
+    state.bet = 100;
     state.chips = 900;
     const result = checkForBlackjack(state);
-    // chips = 900 (remaining) + 100 (bet returned) + 150 (payout) = 1150
-    assert.equal(result.chips, 1150);
-    assert.equal(result.result.chipChange, 150);
+    assert.equal(result.result.chipChange, 120);
+    assert.equal(result.chips, 1120);
   });
 
-  it('pays 3:2 rounded for odd bet ($50 bet → $75 payout)', () => {
-    const state = makeState([card('A'), card('10')], [card('7'), card('9')], 50);
-    state.chips = 950;
-    const result = checkForBlackjack(state);
-    assert.equal(result.chips, 1075); // 950 + 50 + 75
-    assert.equal(result.result.chipChange, 75);
+  it('dealInitialCards uses the cut card position', () => {
+    const state = createGameState({ penetration: 0.5 }); // 26 cards behind the cut
+    state.deck = shuffleDeck(createDeck()).slice(0, 25);
+    assert.equal(dealInitialCards(state).reshuffled, true);
   });
 
-  it('rounds 3:2 payout to nearest dollar ($30 bet → $45 payout)', () => {
-    const state = makeState([card('A'), card('J')], [card('5'), card('6')], 30);
-    state.chips = 970;
-    const result = checkForBlackjack(state);
-    assert.equal(result.result.chipChange, 45);
-    assert.equal(result.chips, 1045); // 970 + 30 + 45
+  it('splitting is unavailable and refused when maxSplitHands is 1', () => {
+    const state = createGameState({ maxSplitHands: 1 });
+    state.playerHand = [{ suit: '♠', rank: '8', value: 8 }, { suit: '♥', rank: '8', value: 8 }];
+    state.dealerHand = [{ suit: '♥', rank: '7', value: 7 }, { suit: '♥', rank: '9', value: 9 }];
+    state.deck = shuffleDeck(createDeck());
+    state.bet = 100;
+    state.chips = 900;
+    state.phase = 'playing';
+    assert.equal(getAvailableActions(state).split, false);
+    assert.equal(playerSplit(state), state);
   });
+});
 
-  it('detects dealer blackjack — player loses', () => {
-    const state = makeState([card('K'), card('5')], [card('A'), card('Q')]);
-    const result = checkForBlackjack(state);
-    assert.equal(result.phase, 'result');
-    assert.equal(result.result.outcome, 'lose');
-    assert.equal(result.result.chipChange, -100);
-    // chips stay at 900 (bet already deducted)
-    assert.equal(result.chips, 900);
+// Multi-deck shoe tests
+describe('createShoe', () => {
+  it('defaults to a single 52-card deck', () => {
+    assert.equal(createShoe().length, 52);
   });
 
-  it('detects mutual blackjack — push', () => {
-    const state = makeState([card('A'), card('K')], [card('A'), card('Q')]);
-    const result = checkForBlackjack(state);
-    assert.equal(result.phase, 'result');
-    assert.equal(result.result.outcome, 'push');
-    assert.equal(result.result.chipChange, 0);
-    // chips = 900 + 100 (bet returned) = 1000
-    assert.equal(result.chips, 1000);
+  it('builds a 6-deck shoe of 312 cards', () => {
+    assert.equal(createShoe(6).length, 312);
   });
 
-  it('player blackjack with 10 (not face card)', () => {
-    const state = makeState([card('A'), card('10')], [card('8'), card('9')]);
-    const result = checkForBlackjack(state);
-    assert.equal(result.result.outcome, 'blackjack');
+  it('builds a 6-deck Spanish shoe of 288 cards', () => {
+    assert.equal(createShoe(6, true).length, 288);
   });
 
-  it('21 with 3+ cards is NOT blackjack', () => {
-    const state = makeState([card('7'), card('7'), card('7')], [card('8'), card('9')]);
-    const result = checkForBlackjack(state);
-    assert.equal(result, state); // unchanged
+  it('holds each card once per deck', () => {
+    const shoe = createShoe(8);
+    const counts = new Map();
+    for (const c of shoe) {
+      const key = `${c.suit}${c.rank}`;
+      counts.set(key, (counts.get(key) || 0) + 1);
+    }
+    assert.equal(counts.size, 52);
+    for (const count of counts.values()) {
+      assert.equal(count, 8);
+    }
   });
+});
 
-  it('updates stats.handsPlayed on player blackjack', () => {
-    const state = makeState([card('A'), card('K')], [card('8'), card('9')]);
-    const result = checkForBlackjack(state);
-    assert.equal(result.stats.handsPlayed, 1);
-    assert.equal(result.stats.handsWon, 1);
-    assert.equal(result.stats.blackjacks, 1);
+describe('cutCardPosition', () => {
+  it('leaves 15 cards behind the cut card on the classic single deck', () => {
+    assert.equal(cutCardPosition(DEFAULT_RULES), 15);
   });
 
-  it('updates stats.handsPlayed on dealer blackjack', () => {
-    const state = makeState([card('K'), card('5')], [card('A'), card('Q')]);
-    const result = checkForBlackjack(state);
-    assert.equal(result.stats.handsPlayed, 1);
-    assert.equal(result.stats.handsLost, 1);
-    assert.equal(result.stats.blackjacks, 0);
+  it('places the cut card at 75% of a 6-deck shoe (78 cards behind)', () => {
+    assert.equal(cutCardPosition({ ...DEFAULT_RULES, decks: 6, penetration: 0.75 }), 78);
   });
 
-  it('updates stats.handsPushed on mutual blackjack', () => {
-    const state = makeState([card('A'), card('K')], [card('A'), card('Q')]);
-    const result = checkForBlackjack(state);
-    assert.equal(result.stats.handsPlayed, 1);
-    assert.equal(result.stats.handsPushed, 1);
-    assert.equal(result.stats.blackjacks, 0);
+  it('places the cut card at 65% of a double deck (36 cards behind)', () => {
+    assert.equal(cutCardPosition({ ...DEFAULT_RULES, decks: 2, penetration: 0.65 }), 36);
   });
 
-  it('updates peakChips on player blackjack win', () => {
-    const state = makeState([card('A'), card('K')], [card('8'), card('9')], 100);
-    state.chips = 900;
-    const result = checkForBlackjack(state);
-    assert.equal(result.stats.peakChips, 1150); // 900 + 100 + 150
+  it('counts 48-card decks for a Spanish shoe (72 cards behind at 75% of 6 decks)', () => {
+    assert.equal(cutCardPosition({ ...DEFAULT_RULES, decks: 6, penetration: 0.75, spanishDeck: true }), 72);
   });
+});
 
-  it('does not mutate original state', () => {
-    const state = makeState([card('A'), card('K')], [card('8'), card('9')]);
-    const originalPhase = state.phase;
-    const originalChips = state.chips;
-    checkForBlackjack(state);
-    assert.equal(state.phase, originalPhase);
-    assert.equal(state.chips, originalChips);
-    assert.equal(state.result, null);
-    assert.equal(state.stats.handsPlayed, 0);
+describe('reshuffleShoe', () => {
+  it('replaces the deck with a full shoe for the table', () => {
+    const state = createGameState({ decks: 6, penetration: 0.75 });
+    state.deck = createDeck().slice(0, 10);
+    const result = reshuffleShoe(state);
+    assert.equal(result.deck.length, 312);
+    assert.equal(result.reshuffled, true);
   });
 
-  it('preserves other state fields', () => {
-    const state = makeState([card('A'), card('K')], [card('8'), card('9')]);
-    state.reshuffled = true;
-    const result = checkForBlackjack(state);
+  it('does not mutate the original state', () => {
+    const state = createGameState({ decks: 2 });
+    reshuffleShoe(state);
+    assert.equal(state.deck.length, 0);
+    assert.equal(state.reshuffled, false);
+  });
+});
+
+describe('dealInitialCards with a multi-deck shoe', () => {
+  const sixDeckState = (cardsLeft) => {
+    const state = createGameState({ decks: 6, penetration: 0.75 });
+    state.deck = shuffleDeck(createShoe(6)).slice(0, cardsLeft);
+    return state;
+  };
+
+  it('keeps dealing while the cut card is still in the shoe', () => {
+    const result = dealInitialCards(sixDeckState(78));
+    assert.equal(result.reshuffled, false);
+    assert.equal(result.deck.length, 74);
+  });
+
+  it('deals past the cut card mid-shoe without reshuffling', () => {
+    // 80 cards left: the deal takes the shoe to 76, past the cut card
+    const result = dealInitialCards(sixDeckState(80));
+    assert.equal(result.reshuffled, false);
+    assert.equal(result.deck.length, 76);
+  });
+
+  it('reshuffles before the hand after the cut card came out', () => {
+    const result = dealInitialCards(sixDeckState(77));
     assert.equal(result.reshuffled, true);
-    assert.ok(result.deck.length > 0);
+    assert.equal(result.deck.length, 308); // 312 - 4
+  });
+
+  it('reports the remaining shoe size after the deal', () => {
+    const result = dealInitialCards(sixDeckState(200));
+    assert.equal(result.deck.length, 196);
   });
 });
 
-// playerHit tests (item 1.7, part of 4.4)
-describe('playerHit', () => {
+// Draw primitive tests — a shoe that runs dry mid-hand
+describe('drawCard', () => {
   const card = (rank, suit = '♠') => {
     let value;
     if (rank === 'A') value = 11;
@@ -600,457 +566,555 @@ describe('playerHit', () => {
     return { suit, rank, value };
   };
 
-  const makeState = (playerCards, deckCards, bet = 100) => {
-    const state = createGameState();
+  const key = (c) => `${c.suit}${c.rank}`;
+
+  const makeState = (playerCards, dealerCards, deckCards, rules) => {
+    const state = createGameState(rules);
     state.playerHand = playerCards;
-    state.dealerHand = [card('8'), card('9')];
+    state.dealerHand = dealerCards;
     state.deck = deckCards;
-    state.bet = bet;
+    state.bet = 100;
     state.chips = 900;
     state.phase = 'playing';
     return state;
   };
 
-  it('draws one card from the deck and adds to player hand', () => {
-    const state = makeState([card('7'), card('5')], [card('3'), card('4'), card('2')]);
-    const result = playerHit(state);
-    assert.equal(result.playerHand.length, 3);
-    assert.equal(result.deck.length, 2);
+  it('takes the top card (last element) of the deck', () => {
+    const state = makeState([], [], [card('2'), card('9', '♥')]);
+    const { card: drawn, shoe } = drawCard(state);
+    assert.equal(key(drawn), '♥9');
+    assert.equal(shoe.deck.length, 1);
+    assert.equal(shoe.reshuffled, undefined);
+  });
+
+  it('does not mutate the state deck', () => {
+    const state = makeState([], [], [card('2'), card('9')]);
+    drawCard(state);
+    assert.equal(state.deck.length, 2);
+  });
+
+  it('refills an empty shoe and records the reshuffle', () => {
+    const state = makeState([card('5'), card('6')], [card('8'), card('9')], []);
+    const { card: drawn, shoe } = drawCard(state);
+    assert.ok(drawn && 'value' in drawn);
+    assert.equal(shoe.reshuffled, true);
+    assert.equal(shoe.shoeRanDry, true);
+    // 52 - 4 cards on the table - 1 drawn
+    assert.equal(shoe.deck.length, 47);
+  });
+
+  it('leaves the cards on the table out of the refilled shoe', () => {
+    const table = [card('5'), card('6'), card('8'), card('9')];
+    const state = makeState(table.slice(0, 2), table.slice(2), []);
+    const { card: drawn, shoe } = drawCard(state);
+    const shoeKeys = new Set([...shoe.deck, drawn].map(key));
+    for (const c of table) {
+      assert.ok(!shoeKeys.has(key(c)), `${key(c)} is on the table and must not be in the new shoe`);
+    }
   });
 
-  it('draws the top card (last element) from the deck', () => {
-    const topCard = card('K');
-    const state = makeState([card('7'), card('5')], [card('3'), topCard]);
-    const result = playerHit(state);
-    assert.equal(result.playerHand[2].rank, 'K');
-    assert.equal(result.playerHand[2].suit, '♠');
+  it('uses split hands rather than the original pair when refilling', () => {
+    const state = makeState([card('8'), card('8', '♥')], [card('K'), card('7')], []);
+    state.splitHands = [
+      { cards: [card('8'), card('3')], bet: 100, status: 'stand' },
+      { cards: [card('8', '♥'), card('4')], bet: 100, status: 'playing' },
+    ];
+    const { shoe } = drawCard(state);
+    assert.equal(shoe.deck.length, 52 - 6 - 1);
   });
 
-  it('keeps phase as playing when total < 21', () => {
-    const state = makeState([card('7'), card('5')], [card('3')]);
-    const result = playerHit(state);
-    assert.equal(result.phase, 'playing');
-    assert.equal(result.result, null);
+  it('refills with a full multi-deck shoe minus the table', () => {
+    const state = makeState([card('5'), card('6')], [card('8'), card('9')], [], { decks: 6, penetration: 0.75 });
+    const { shoe } = drawCard(state);
+    assert.equal(shoe.deck.length, 312 - 4 - 1);
   });
 
-  it('busts when total > 21 (sets phase to result)', () => {
-    // 10 + 8 + 7 = 25 → bust
-    const state = makeState([card('10'), card('8')], [card('7')]);
+  it('playerHit survives an empty deck', () => {
+    const state = makeState([card('2'), card('3')], [card('8'), card('9')], []);
     const result = playerHit(state);
-    assert.equal(result.phase, 'result');
-    assert.equal(result.result.outcome, 'bust');
-    assert.equal(result.result.message, 'BUST!');
+    assert.equal(result.playerHand.length, 3);
+    assert.ok(Number.isInteger(calculateHandTotal(result.playerHand).total));
+    assert.equal(result.shoeRanDry, true);
+    assert.equal(result.reshuffled, true);
   });
 
-  it('sets chipChange to negative bet on bust', () => {
-    const state = makeState([card('K'), card('8')], [card('7')], 200);
-    state.chips = 800;
-    const result = playerHit(state);
-    assert.equal(result.result.chipChange, -200);
+  it('playerDouble survives an empty deck', () => {
+    const state = makeState([card('5'), card('6')], [card('8'), card('9')], []);
+    const result = playerDouble(state);
+    assert.equal(result.playerHand.length, 3);
+    assert.equal(result.bet, 200);
+    assert.equal(result.shoeRanDry, true);
   });
 
-  it('updates stats on bust (handsPlayed and handsLost)', () => {
-    const state = makeState([card('K'), card('8')], [card('7')]);
-    const result = playerHit(state);
-    assert.equal(result.stats.handsPlayed, 1);
-    assert.equal(result.stats.handsLost, 1);
+  it('dealerDrawOne keeps drawing through a dry shoe', () => {
+    let state = makeState([card('K'), card('7')], [card('2'), card('3')], [card('2', '♥')]);
+    state.phase = 'dealerTurn';
+    while (!isDealerDone(state)) {
+      state = dealerDrawOne(state);
+    }
+    assert.ok(state.dealerHand.length >= 3);
+    assert.equal(state.shoeRanDry, true);
   });
 
-  it('auto-stands at exactly 21 (sets phase to dealerTurn)', () => {
-    // 10 + 5 + 6 = 21 → auto-stand
-    const state = makeState([card('10'), card('5')], [card('6')]);
-    const result = playerHit(state);
-    assert.equal(result.phase, 'dealerTurn');
-    assert.equal(result.result, null);
+  it('playerSplit survives a deck with one card left', () => {
+    const state = makeState([card('8'), card('8', '♥')], [card('K'), card('7')], [card('3')]);
+    const result = playerSplit(state);
+    assert.equal(result.splitHands[0].cards.length, 2);
+    assert.equal(result.splitHands[1].cards.length, 2);
+    assert.equal(result.splitHands[0].cards[1].rank, '3');
+    assert.ok(result.splitHands[1].cards[1]);
+    assert.equal(result.shoeRanDry, true);
   });
 
-  it('auto-stands at 21 with ace soft hand (A + 3 + 7 = 21)', () => {
-    // A(11) + 3 + 7 = 21
-    const state = makeState([card('A'), card('3')], [card('7')]);
-    const result = playerHit(state);
-    assert.equal(result.phase, 'dealerTurn');
-    assert.equal(calculateHandTotal(result.playerHand).total, 21);
+  it('playerSplit does not deal its first card again from a refilled shoe', () => {
+    const state = makeState([card('8'), card('8', '♥')], [card('K'), card('7')], [card('3')]);
+    const result = playerSplit(state);
+    const table = [...result.splitHands.flatMap(h => h.cards), ...result.dealerHand];
+    const all = [...table, ...result.deck].map(key);
+    assert.equal(all.length, 52);
+    assert.equal(new Set(all).size, 52);
   });
 
-  it('does not mutate original state', () => {
-    const state = makeState([card('7'), card('5')], [card('3'), card('4')]);
-    const originalHandLen = state.playerHand.length;
-    const originalDeckLen = state.deck.length;
-    playerHit(state);
-    assert.equal(state.playerHand.length, originalHandLen);
-    assert.equal(state.deck.length, originalDeckLen);
-    assert.equal(state.phase, 'playing');
+  it('leaves held cards out of the refilled shoe', () => {
+    const state = makeState([], [], []);
+    const { card: drawn, shoe } = drawCard(state, [card('A'), card('K')]);
+    const keys = [...shoe.deck, drawn].map(key);
+    assert.equal(keys.length, 50);
+    assert.ok(!keys.includes('♠A') && !keys.includes('♠K'));
   });
 
-  it('preserves other state fields', () => {
-    const state = makeState([card('7'), card('5')], [card('3')]);
-    state.reshuffled = true;
-    const result = playerHit(state);
-    assert.equal(result.reshuffled, true);
-    assert.equal(result.chips, 900);
-    assert.equal(result.bet, 100);
-    assert.equal(result.dealerHand.length, 2);
+  it('splitHit survives an empty deck', () => {
+    const state = makeState([card('8'), card('8', '♥')], [card('K'), card('7')], []);
+    state.splitHands = [
+      { cards: [card('8'), card('3')], bet: 100, status: 'playing' },
+      { cards: [card('8', '♥'), card('4')], bet: 100, status: 'playing' },
+    ];
+    const result = splitHit(state);
+    assert.equal(result.splitHands[0].cards.length, 3);
+    assert.equal(result.shoeRanDry, true);
   });
 
-  it('handles ace demotion correctly when hitting (A + 8 + 5 = 14 not bust)', () => {
-    // A(11) + 8 = 19, then hit 5 → A(1) + 8 + 5 = 14
-    const state = makeState([card('A'), card('8')], [card('5')]);
-    const result = playerHit(state);
-    assert.equal(result.phase, 'playing');
-    const { total } = calculateHandTotal(result.playerHand);
-    assert.equal(total, 14);
+  it('a long split hand and dealer draws never produce undefined cards', () => {
+    // Split 2s with a nearly empty deck, hit each hand to 17+, then play the dealer
+    let state = makeState([card('2'), card('2', '♥')], [card('2', '♦'), card('3')], [card('2', '♣'), card('A')]);
+    state = playerSplit(state);
+    while (state.phase === 'playing') {
+      const hand = state.splitHands[state.activeHandIndex];
+      state = calculateHandTotal(hand.cards).total < 17 ? splitHit(state) : splitStand(state);
+    }
+    while (!isDealerDone(state)) {
+      state = dealerDrawOne(state);
+    }
+    const all = [...state.splitHands.flatMap(h => h.cards), ...state.dealerHand];
+    assert.ok(all.every(c => c && typeof c.value === 'number'));
+    assert.equal(state.shoeRanDry, true);
+    assert.doesNotThrow(() => settleRound(state));
+  });
+
+  it('dealInitialCards does not deal a card twice when the shoe runs dry mid-deal', () => {
+    // No cut card with a continuous shuffler, so three spots deal from a 3-card stub
+    let state = makeState([], [], [], { continuousShuffle: true });
+    state = placeBets({ ...state, phase: 'betting' }, [10, 10, 10]).state;
+    state.deck = [card('2'), card('3'), card('4')];
+    const dealt = dealInitialCards(state);
+    const table = [...dealt.spots.flatMap(spot => spot.playerHand), ...dealt.dealerHand];
+    const all = [...table, ...dealt.deck].map(key);
+    assert.equal(table.length, 8);
+    assert.equal(dealt.shoeRanDry, true);
+    assert.equal(all.length, 52);
+    assert.equal(new Set(all).size, 52);
+  });
+
+  it('dealInitialCards clears shoeRanDry for the next hand', () => {
+    const state = makeState([], [], shuffleDeck(createDeck()));
+    state.shoeRanDry = true;
+    assert.equal(dealInitialCards(state).shoeRanDry, false);
   });
+});
 
-  it('bust with ace already demoted (A + 9 + 5 + K = 25)', () => {
-    // A(11)+9=20 → hit 5 → A(1)+9+5=15 → hit K → 25 bust
-    // We need to do two hits, so set up after first hit
-    const state = makeState([card('A'), card('9'), card('5')], [card('K')]);
-    const result = playerHit(state);
-    assert.equal(result.phase, 'result');
-    assert.equal(result.result.outcome, 'bust');
-    assert.equal(calculateHandTotal(result.playerHand).total, 25);
+// 4.2 — Shuffle tests
+describe('shuffleDeck', () => {
+  it('returns an array of 52 cards', () => {
+    const deck = createDeck();
+    const shuffled = shuffleDeck(deck);
+    assert.equal(shuffled.length, 52);
   });
-});
 
-// playerStand tests (item 1.8, part of 4.4)
-describe('playerStand', () => {
-  const card = (rank, suit = '♠') => {
-    let value;
-    if (rank === 'A') value = 11;
-    else if (['J', 'Q', 'K'].includes(rank)) value = 10;
-    else value = parseInt(rank, 10);
-    return { suit, rank, value };
-  };
+  it('does not mutate the original deck', () => {
+    const deck = createDeck();
+    const original = deck.map(c => `${c.suit}${c.rank}`);
+    shuffleDeck(deck);
+    const after = deck.map(c => `${c.suit}${c.rank}`);
+    assert.deepEqual(original, after);
+  });
 
-  const makeState = (playerCards, bet = 100) => {
-    const state = createGameState();
-    state.playerHand = playerCards;
-    state.dealerHand = [card('8'), card('9')];
-    state.deck = shuffleDeck(createDeck());
-    state.bet = bet;
-    state.chips = 900;
-    state.phase = 'playing';
-    return state;
-  };
+  it('preserves all 52 cards (no cards lost or duplicated)', () => {
+    const deck = createDeck();
+    const shuffled = shuffleDeck(deck);
+    const originalKeys = deck.map(c => `${c.suit}${c.rank}`).sort();
+    const shuffledKeys = shuffled.map(c => `${c.suit}${c.rank}`).sort();
+    assert.deepEqual(originalKeys, shuffledKeys);
+  });
 
-  it('sets phase to dealerTurn', () => {
-    const state = makeState([card('K'), card('7')]);
-    const result = playerStand(state);
-    assert.equal(result.phase, 'dealerTurn');
+  // Seeded, so the orders below are the same on every run
+  const top = (deck) => deck.slice(-5).reverse().map(c => `${c.rank}${c.suit}`).join(' ');
+
+  it('produces a different order from the original', () => {
+    const deck = createDeck();
+    const shuffled = shuffleDeck(deck, openRng(createRng('order')).randomIndex);
+    assert.notEqual(top(shuffled), top(deck));
+    assert.equal(top(shuffled), 'K♠ 4♠ 6♦ A♠ 7♠');
   });
 
-  it('does not modify player hand', () => {
-    const state = makeState([card('K'), card('7')]);
-    const result = playerStand(state);
-    assert.equal(result.playerHand.length, 2);
-    assert.equal(result.playerHand[0].rank, 'K');
-    assert.equal(result.playerHand[1].rank, '7');
+  it('produces different results on successive calls', () => {
+    const rng = openRng(createRng('order'));
+    assert.equal(top(shuffleDeck(createDeck(), rng.randomIndex)), 'K♠ 4♠ 6♦ A♠ 7♠');
+    assert.equal(top(shuffleDeck(createDeck(), rng.randomIndex)), 'A♠ 5♥ 3♥ 4♣ 9♥');
   });
 
-  it('does not modify dealer hand', () => {
-    const state = makeState([card('K'), card('7')]);
-    const result = playerStand(state);
-    assert.equal(result.dealerHand.length, 2);
-  });
-
-  it('does not modify chips or bet', () => {
-    const state = makeState([card('K'), card('7')], 200);
-    state.chips = 800;
-    const result = playerStand(state);
-    assert.equal(result.chips, 800);
-    assert.equal(result.bet, 200);
-  });
-
-  it('does not modify deck', () => {
-    const state = makeState([card('K'), card('7')]);
-    const deckLen = state.deck.length;
-    const result = playerStand(state);
-    assert.equal(result.deck.length, deckLen);
+  it('takes each swap from the given random index', () => {
+    assert.deepEqual(shuffleDeck([1, 2, 3], () => 0), [2, 3, 1]);
+    assert.deepEqual(shuffleDeck([1, 2, 3], (n) => n - 1), [1, 2, 3]);
   });
+});
 
-  it('does not set result', () => {
-    const state = makeState([card('K'), card('7')]);
-    const result = playerStand(state);
-    assert.equal(result.result, null);
-  });
+describe('seeded rng', () => {
+  const order = (deck) => deck.map(c => `${c.rank}${c.suit}`).join(',');
+  const seeded = (seed, rules = DEFAULT_RULES) => createGameState(rules, createRng(seed));
 
-  it('does not mutate original state', () => {
-    const state = makeState([card('K'), card('7')]);
-    playerStand(state);
-    assert.equal(state.phase, 'playing');
+  it('creates a plain rng: Math.random() without a seed, seeded with one', () => {
+    assert.deepEqual(createRng(), { type: 'random' });
+    assert.equal(createRng(42).type, 'seeded');
+    assert.equal(createRng(42).seed, '42');
+    assert.deepEqual(createRng(42), createRng('42'));
+    assert.ok(Number.isInteger(createRng('shoe').state));
   });
 
-  it('preserves stats unchanged', () => {
-    const state = makeState([card('K'), card('7')]);
-    state.stats.handsPlayed = 5;
-    state.stats.handsWon = 3;
-    const result = playerStand(state);
-    assert.equal(result.stats.handsPlayed, 5);
-    assert.equal(result.stats.handsWon, 3);
+  it('is kept in the game state', () => {
+    assert.deepEqual(createGameState().rng, { type: 'random' });
+    assert.deepEqual(seeded('abc').rng, createRng('abc'));
   });
 
-  it('preserves reshuffled flag', () => {
-    const state = makeState([card('K'), card('7')]);
-    state.reshuffled = true;
-    const result = playerStand(state);
-    assert.equal(result.reshuffled, true);
+  it('deals the same shoe from the same seed', () => {
+    assert.equal(order(reshuffleShoe(seeded('challenge')).deck), order(reshuffleShoe(seeded('challenge')).deck));
+    assert.equal(order(reshuffleShoe(seeded(7, RULE_PRESETS['vegas-strip'])).deck),
+      order(reshuffleShoe(seeded(7, RULE_PRESETS['vegas-strip'])).deck));
   });
-});
-
-// playerDouble tests (item 1.9, part of 4.4)
-describe('playerDouble', () => {
-  const card = (rank, suit = '♠') => {
-    let value;
-    if (rank === 'A') value = 11;
-    else if (['J', 'Q', 'K'].includes(rank)) value = 10;
-    else value = parseInt(rank, 10);
-    return { suit, rank, value };
-  };
-
-  const makeState = (playerCards, deckCards, bet = 100) => {
-    const state = createGameState();
-    state.playerHand = playerCards;
-    state.dealerHand = [card('8'), card('9')];
-    state.deck = deckCards;
-    state.bet = bet;
-    state.chips = 900; // 1000 - 100 bet
-    state.phase = 'playing';
-    return state;
-  };
 
-  it('doubles the bet amount', () => {
-    const state = makeState([card('5'), card('6')], [card('3')], 100);
-    const result = playerDouble(state);
-    assert.equal(result.bet, 200);
+  it('deals different shoes from different seeds', () => {
+    assert.notEqual(order(reshuffleShoe(seeded('one')).deck), order(reshuffleShoe(seeded('two')).deck));
   });
 
-  it('deducts additional bet from chips', () => {
-    const state = makeState([card('5'), card('6')], [card('3')], 100);
-    state.chips = 900;
-    const result = playerDouble(state);
-    assert.equal(result.chips, 800); // 900 - 100 additional
+  it('moves on with each shuffle, so the next shoe differs but replays too', () => {
+    const first = reshuffleShoe(seeded('challenge'));
+    assert.notEqual(first.rng.state, createRng('challenge').state);
+    const second = reshuffleShoe(first);
+    assert.notEqual(order(second.deck), order(first.deck));
+    assert.equal(order(reshuffleShoe(reshuffleShoe(seeded('challenge'))).deck), order(second.deck));
   });
 
-  it('draws exactly one card', () => {
-    const state = makeState([card('5'), card('6')], [card('3'), card('4')]);
-    const result = playerDouble(state);
-    assert.equal(result.playerHand.length, 3);
-    assert.equal(result.deck.length, 1);
+  it('resumes the same shoes after a save and restore', () => {
+    const saved = reshuffleShoe(seeded('resume'));
+    const restored = JSON.parse(JSON.stringify(saved));
+    assert.equal(order(reshuffleShoe(restored).deck), order(reshuffleShoe(saved).deck));
   });
 
-  it('draws the top card (last element) from the deck', () => {
-    const topCard = card('9', '♥');
-    const state = makeState([card('5'), card('6')], [card('2'), topCard]);
-    const result = playerDouble(state);
-    assert.equal(result.playerHand[2].rank, '9');
-    assert.equal(result.playerHand[2].suit, '♥');
+  it('deals the same hands from the same seed', () => {
+    const hands = () => {
+      let state = reshuffleShoe(seeded('same hands'));
+      state = dealInitialCards(placeBet(state, 10).state);
+      return [order(state.playerHand), order(state.dealerHand)];
+    };
+    assert.deepEqual(hands(), hands());
   });
 
-  it('auto-stands after drawing (phase becomes dealerTurn)', () => {
-    // 5 + 6 + 3 = 14, no bust
-    const state = makeState([card('5'), card('6')], [card('3')]);
-    const result = playerDouble(state);
-    assert.equal(result.phase, 'dealerTurn');
-    assert.equal(result.result, null);
+  it('refills a dry shoe from the rng', () => {
+    const state = { ...seeded('dry'), deck: [] };
+    const a = drawCard(state);
+    const b = drawCard(state);
+    assert.deepEqual(a.card, b.card);
+    assert.equal(order(a.shoe.deck), order(b.shoe.deck));
+    assert.notEqual(a.shoe.rng.state, state.rng.state);
   });
+});
 
-  it('busts when total > 21 after draw', () => {
-    // K(10) + 8 + 7 = 25 → bust
-    const state = makeState([card('K'), card('8')], [card('7')], 100);
-    const result = playerDouble(state);
-    assert.equal(result.phase, 'result');
-    assert.equal(result.result.outcome, 'bust');
-    assert.equal(result.result.message, 'BUST!');
+describe('crypto rng', () => {
+  it('is chosen by type when there is no seed', () => {
+    assert.deepEqual(createRng(null, 'crypto'), { type: 'crypto' });
+    assert.deepEqual(createRng('abc', 'crypto'), createRng('abc'));
+    assert.throws(() => createRng(null, 'dice'), /Unknown rng "dice"/);
+  });
+
+  it('draws every whole number below n and nothing else', () => {
+    const { randomIndex } = openRng(createRng(null, 'crypto'));
+    for (const n of [1, 3, 7, 52]) {
+      const seen = new Set();
+      for (let i = 0; i < n * 40; i++) {
+        const index = randomIndex(n);
+        assert.ok(Number.isInteger(index) && index >= 0 && index < n, `${index} of ${n}`);
+        seen.add(index);
+      }
+      assert.equal(seen.size, n);
+    }
   });
 
-  it('sets chipChange to negative doubled bet on bust', () => {
-    const state = makeState([card('K'), card('8')], [card('7')], 100);
-    const result = playerDouble(state);
-    assert.equal(result.result.chipChange, -200); // doubled bet
+  it('shuffles a whole shoe and leaves the rng as it was', () => {
+    const state = reshuffleShoe(createGameState(RULE_PRESETS['vegas-strip'], createRng(null, 'crypto')));
+    assert.equal(state.deck.length, 312);
+    assert.deepEqual(state.rng, { type: 'crypto' });
   });
+});
 
-  it('updates stats on bust (handsPlayed and handsLost)', () => {
-    const state = makeState([card('K'), card('8')], [card('7')]);
-    const result = playerDouble(state);
-    assert.equal(result.stats.handsPlayed, 1);
-    assert.equal(result.stats.handsLost, 1);
+describe('provably fair shoes', () => {
+  const sha256 = (text) => createHash('sha256').update(text).digest('hex');
+  const order = (deck) => deck.map(c => `${c.rank}${c.suit}`).join(',');
+  const CHAIN_SEED = 'a'.repeat(64);
+  const fairGame = (rules = DEFAULT_RULES, chainSeed = CHAIN_SEED) => (
+    reshuffleShoe(createGameState(rules, withClientSeed(createFairRng(chainSeed), 'alice')))
+  );
+
+  it('commits to shoe 1 before any client seed', () => {
+    const rng = createFairRng();
+    assert.match(rng.chainSeed, /^[0-9a-f]{64}$/);
+    assert.match(rng.commit, /^[0-9a-f]{64}$/);
+    assert.equal(rng.serverSeed, null);
+    assert.equal(rng.clientSeed, null);
+    assert.equal(rng.shoe, 0);
+    assert.notEqual(createFairRng().commit, rng.commit);
+    assert.equal(sha256(fairGame().rng.serverSeed), createFairRng(CHAIN_SEED).commit);
+  });
+
+  it('takes the client seed only before the first shoe', () => {
+    assert.equal(withClientSeed(createFairRng(CHAIN_SEED), 'alice').clientSeed, 'alice');
+    assert.throws(() => withClientSeed(fairGame().rng, 'bob'));
+    assert.throws(() => reshuffleShoe(createGameState(DEFAULT_RULES, createFairRng(CHAIN_SEED))));
+  });
+
+  it('deals each shoe from its own server seed and commit', () => {
+    const first = fairGame();
+    const second = reshuffleShoe(first);
+    assert.equal(first.rng.shoe, 1);
+    assert.equal(second.rng.shoe, 2);
+    assert.notEqual(second.rng.serverSeed, first.rng.serverSeed);
+    assert.equal(second.rng.commit, sha256(second.rng.serverSeed));
+    assert.notEqual(order(second.deck), order(first.deck));
+  });
+
+  it('reveals a shoe\'s server seed when the next shoe is shuffled', () => {
+    const shoe1 = dealInitialCards(placeBet(fairGame(), 10).state);
+    assert.equal(shoe1.rng.revealed, null);
+    const shoe2 = reshuffleShoe(shoe1);
+    const { revealed } = shoe2.rng;
+    assert.deepEqual(revealed, { shoe: 1, serverSeed: shoe1.rng.serverSeed, commit: shoe1.rng.commit, clientSeed: 'alice' });
+    assert.equal(sha256(revealed.serverSeed), shoe1.rng.commit);
+    const check = verifyShoe(revealed.serverSeed, revealed.commit, revealed.clientSeed, revealed.shoe);
+    assert.equal(check.valid, true);
+    const [player1, dealer1, player2, dealer2] = [...check.deck].reverse();
+    assert.equal(order([...shoe1.playerHand, ...shoe1.dealerHand]), order([player1, player2, dealer1, dealer2]));
+    // Shoe 2's seed is still secret: its commit is shoe 1's seed, hashed no further
+    assert.equal(shoe2.rng.commit, revealed.serverSeed);
+    assert.notEqual(shoe2.rng.serverSeed, revealed.serverSeed);
+  });
+
+  it('chains every shoe back to the commit shown before the client seed', () => {
+    let state = fairGame();
+    for (let shoe = 2; shoe <= 4; shoe++) {
+      state = reshuffleShoe(state);
+    }
+    let seed = state.rng.serverSeed;
+    for (let i = 0; i < 4; i++) {
+      seed = sha256(seed);
+    }
+    assert.equal(seed, createFairRng(CHAIN_SEED).commit);
   });
 
-  it('does not set result when not busted', () => {
-    const state = makeState([card('5'), card('6')], [card('3')]);
-    const result = playerDouble(state);
-    assert.equal(result.result, null);
+  it('stops at the end of its chain', () => {
+    let state = reshuffleShoe(createGameState(DEFAULT_RULES, withClientSeed(createFairRng(CHAIN_SEED, 2), 'alice')));
+    state = reshuffleShoe(state);
+    assert.equal(state.rng.shoe, 2);
+    assert.throws(() => reshuffleShoe(state), /at most 2 shoes/);
   });
 
-  it('does not update stats when not busted (settlement handles it)', () => {
-    const state = makeState([card('5'), card('6')], [card('3')]);
-    const result = playerDouble(state);
-    assert.equal(result.stats.handsPlayed, 0);
-    assert.equal(result.stats.handsLost, 0);
+  it('shuffles from the server and client seeds, not from 32 bits of state', () => {
+    assert.equal(order(fairGame().deck), order(fairGame().deck));
+    assert.notEqual(order(fairGame(DEFAULT_RULES, 'b'.repeat(64)).deck), order(fairGame().deck));
+    const bob = reshuffleShoe(createGameState(DEFAULT_RULES, withClientSeed(createFairRng(CHAIN_SEED), 'bob')));
+    assert.notEqual(order(bob.deck), order(fairGame().deck));
+    // The stream position is a count of draws, not a PRNG state
+    assert.ok(fairGame().rng.state >= 51);
   });
 
-  it('handles ace demotion correctly (A + 8 + 5 = 14, not bust)', () => {
-    // A(11) + 8 = 19, draw 5 → A(1) + 8 + 5 = 14
-    const state = makeState([card('A'), card('8')], [card('5')]);
-    const result = playerDouble(state);
-    assert.equal(result.phase, 'dealerTurn');
-    assert.equal(calculateHandTotal(result.playerHand).total, 14);
+  it('verifies a revealed server seed against its commit and replays its shoe', () => {
+    for (const rules of [DEFAULT_RULES, RULE_PRESETS['vegas-strip'], RULE_PRESETS.spanish21]) {
+      const first = fairGame(rules);
+      const second = reshuffleShoe(first);
+      for (const { rng, deck } of [first, second]) {
+        const check = verifyShoe(rng.serverSeed, rng.commit, 'alice', rng.shoe, rules);
+        assert.equal(check.valid, true);
+        assert.equal(order(check.deck), order(deck));
+      }
+    }
   });
 
-  it('reaches exactly 21 and goes to dealerTurn (not result)', () => {
-    // 5 + 6 + K = 21
-    const state = makeState([card('5'), card('6')], [card('K')]);
-    const result = playerDouble(state);
-    assert.equal(result.phase, 'dealerTurn');
-    assert.equal(calculateHandTotal(result.playerHand).total, 21);
+  it('accepts an upper-case hash', () => {
+    const { rng } = fairGame();
+    assert.equal(verifyShoe(rng.serverSeed, rng.commit.toUpperCase(), 'alice', 1).valid, true);
   });
 
-  it('does not mutate original state', () => {
-    const state = makeState([card('5'), card('6')], [card('3'), card('4')]);
-    const originalHandLen = state.playerHand.length;
-    const originalDeckLen = state.deck.length;
-    const originalBet = state.bet;
-    const originalChips = state.chips;
-    playerDouble(state);
-    assert.equal(state.playerHand.length, originalHandLen);
-    assert.equal(state.deck.length, originalDeckLen);
-    assert.equal(state.bet, originalBet);
-    assert.equal(state.chips, originalChips);
-    assert.equal(state.phase, 'playing');
+  it('fails a server seed that does not match the commit', () => {
+    const { rng } = fairGame();
+    const check = verifyShoe(`${rng.serverSeed}x`, rng.commit, 'alice', 1);
+    assert.equal(check.valid, false);
+    assert.equal(check.commit, sha256(`${rng.serverSeed}x`));
   });
 
-  it('preserves other state fields', () => {
-    const state = makeState([card('5'), card('6')], [card('3')]);
-    state.reshuffled = true;
-    const result = playerDouble(state);
-    assert.equal(result.reshuffled, true);
-    assert.equal(result.dealerHand.length, 2);
+  it('deals the verified order', () => {
+    const state = dealInitialCards(placeBet(fairGame(), 10).state);
+    const dealt = [...verifyShoe(state.rng.serverSeed, state.rng.commit, 'alice', 1).deck].reverse();
+    const [player1, dealer1, player2, dealer2] = dealt;
+    assert.equal(order([...state.playerHand, ...state.dealerHand]), order([player1, player2, dealer1, dealer2]));
   });
 
-  it('works with larger bet amounts ($500 bet doubles to $1000)', () => {
-    const state = makeState([card('5'), card('6')], [card('3')], 500);
-    state.chips = 500; // 1000 - 500
-    const result = playerDouble(state);
-    assert.equal(result.bet, 1000);
-    assert.equal(result.chips, 0); // 500 - 500
+  it('keeps the server seeds out of the hand history', () => {
+    const state = fairGame();
+    state.playerHand = [{ suit: '♠', rank: '10', value: 10 }, { suit: '♠', rank: '9', value: 9 }];
+    state.dealerHand = [{ suit: '♥', rank: '10', value: 10 }, { suit: '♥', rank: '7', value: 7 }];
+    state.bet = 10;
+    state.phase = 'dealerTurn';
+    const entry = JSON.stringify(handHistoryEntry(settleRound(state)));
+    assert.deepEqual(JSON.parse(entry).rng, { type: 'fair', clientSeed: 'alice', commit: state.rng.commit, shoe: 1 });
+    assert.ok(!entry.includes(state.rng.serverSeed));
+    assert.ok(!entry.includes(CHAIN_SEED));
   });
+});
 
-  it('is rejected by getAvailableActions when chips insufficient', () => {
-    const state = makeState([card('5'), card('6')], [card('3')], 100);
-    state.chips = 50; // less than bet, cannot double
-    const actions = getAvailableActions(state);
-    assert.equal(actions.double, false);
-    assert.equal(actions.hit, true);
-    assert.equal(actions.stand, true);
-  });
+// Chi-square goodness of fit of the 24 orders of a four-card shuffle. The
+// bound is the 99.99th percentile for 23 degrees of freedom, so a fair rng
+// fails about once in ten thousand runs.
+describe('shuffle permutation distribution', () => {
+  const CHI_SQUARE_23_DF = 57.07;
+
+  const chiSquare = (randomIndex, shuffles) => {
+    const counts = new Map();
+    for (let i = 0; i < shuffles; i++) {
+      const order = shuffleDeck([0, 1, 2, 3], randomIndex).join('');
+      counts.set(order, (counts.get(order) || 0) + 1);
+    }
+    assert.equal(counts.size, 24);
+    const expected = shuffles / 24;
+    return [...counts.values()].reduce((sum, count) => sum + (count - expected) ** 2 / expected, 0);
+  };
 
-  it('is rejected by getAvailableActions after first hit (3-card hand)', () => {
-    const state = makeState([card('5'), card('3'), card('2')], [card('4')], 100);
-    const actions = getAvailableActions(state);
-    assert.equal(actions.double, false);
-    assert.equal(actions.hit, true);
-    assert.equal(actions.stand, true);
+  it('is uniform from the seeded rng', () => {
+    for (const seed of ['one', 'two', 'three']) {
+      assert.ok(chiSquare(openRng(createRng(seed)).randomIndex, 24000) < CHI_SQUARE_23_DF, seed);
+    }
   });
 
-  it('is rejected by getAvailableActions after multiple hits (4-card hand)', () => {
-    const state = makeState([card('2'), card('3'), card('4'), card('2', '♥')], [card('5')], 100);
-    const actions = getAvailableActions(state);
-    assert.equal(actions.double, false);
+  it('is uniform from the crypto rng', () => {
+    assert.ok(chiSquare(openRng(createRng(null, 'crypto')).randomIndex, 24000) < CHI_SQUARE_23_DF);
   });
 
-  it('is rejected during split play', () => {
-    const state = createGameState();
-    state.phase = 'playing';
-    state.bet = 100;
-    state.chips = 800;
-    state.playerHand = [card('8'), card('3')];
-    state.dealerHand = [card('8', '♥'), card('9')];
-    state.deck = [card('5'), card('6'), card('7')];
-    state.splitHands = [
-      { cards: [card('8'), card('3')], bet: 100, status: 'playing' },
-      { cards: [card('8', '♥'), card('K')], bet: 100, status: 'playing' },
-    ];
-    state.activeHandIndex = 0;
-    const actions = getAvailableActions(state);
-    assert.equal(actions.double, false);
+  it('catches a biased rng', () => {
+    // Modulo bias: a coarse 3-bit draw reduced mod n favours low indexes
+    const biased = (n) => Math.floor(Math.random() * 8) % n;
+    assert.ok(chiSquare(biased, 24000) > CHI_SQUARE_23_DF);
   });
 });
 
-// 4.5 — Dealer logic tests
-describe('isDealerDone', () => {
-  const card = (rank, suit = '♠') => {
-    let value;
-    if (rank === 'A') value = 11;
-    else if (['J', 'Q', 'K'].includes(rank)) value = 10;
-    else value = parseInt(rank, 10);
-    return { suit, rank, value };
-  };
+describe('casino shuffle', () => {
+  const range = (n) => Array.from({ length: n }, (_, i) => i);
+  const seeded = (seed) => openRng(createRng(seed)).randomIndex;
 
-  const makeState = (dealerCards) => {
-    const state = createGameState();
-    state.dealerHand = dealerCards;
-    state.phase = 'dealerTurn';
-    return state;
+  // Runs of cards still in their original order: 1 for an untouched deck
+  const risingSequences = (deck) => {
+    const position = new Map(deck.map((card, i) => [card, i]));
+    let runs = 1;
+    for (let card = 1; card < deck.length; card++) {
+      if (position.get(card) < position.get(card - 1)) runs++;
+    }
+    return runs;
   };
 
-  it('returns false when dealer total is below 17', () => {
-    const state = makeState([card('8'), card('5')]); // 13
-    assert.equal(isDealerDone(state), false);
-  });
+  // Neighbours from the original order that are still side by side
+  const neighbours = (deck) => deck.slice(1).filter((card, i) => card === deck[i] + 1).length;
 
-  it('returns false when dealer total is 16', () => {
-    const state = makeState([card('10'), card('6')]); // 16
-    assert.equal(isDealerDone(state), false);
+  it('riffles by interleaving two halves in their own order', () => {
+    for (const seed of ['a', 'b', 'c', 'd']) {
+      const riffled = riffleDeck(range(52), seeded(seed));
+      assert.deepEqual([...riffled].sort((a, b) => a - b), range(52));
+      assert.ok(risingSequences(riffled) <= 2, seed);
+    }
   });
 
-  it('returns true when dealer total is exactly 17', () => {
-    const state = makeState([card('10'), card('7')]); // 17
-    assert.equal(isDealerDone(state), true);
+  it('strips packets off the top into reverse packet order', () => {
+    assert.deepEqual(stripDeck(range(9), () => 0), [6, 7, 8, 3, 4, 5, 0, 1, 2]);
+    assert.deepEqual(stripDeck(range(20), (n) => n - 1), [8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 0, 1, 2, 3, 4, 5, 6, 7]);
   });
 
-  it('returns true when dealer total is 18', () => {
-    const state = makeState([card('10'), card('8')]); // 18
-    assert.equal(isDealerDone(state), true);
+  it('scales strip packets up for a shoe', () => {
+    assert.deepEqual(stripDeck(range(312), () => 0).slice(0, 18), range(18).map(i => 294 + i));
   });
 
-  it('returns true when dealer total is 21', () => {
-    const state = makeState([card('A'), card('K')]); // 21
-    assert.equal(isDealerDone(state), true);
+  it('cuts in the middle half of the deck, moving the top cards to the bottom', () => {
+    assert.deepEqual(cutDeck(range(8), () => 0), [2, 3, 4, 5, 6, 7, 0, 1]);
+    assert.deepEqual(cutDeck(range(8), (n) => n - 1), [6, 7, 0, 1, 2, 3, 4, 5]);
   });
 
-  it('returns true when dealer has busted (total > 21)', () => {
-    const state = makeState([card('K'), card('Q'), card('5')]); // 25
-    assert.equal(isDealerDone(state), true);
+  it('shuffles with the given riffles and strips, then cuts', () => {
+    const deck = range(52);
+    const shuffled = casinoShuffle(deck, seeded('casino'), { riffles: 7, strips: 2 });
+    assert.deepEqual([...shuffled].sort((a, b) => a - b), deck);
+    assert.deepEqual(casinoShuffle(deck, seeded('casino'), { riffles: 7, strips: 2 }), shuffled);
+    // One riffle and a cut leave at most three runs in order
+    assert.ok(risingSequences(casinoShuffle(deck, seeded('one'), { riffles: 1, strips: 0 })) <= 3);
   });
 
-  it('stands on soft 17 (A + 6 = soft 17)', () => {
-    const state = makeState([card('A'), card('6')]); // soft 17
-    assert.equal(isDealerDone(state), true);
+  it('leaves more clumps than a Fisher-Yates shuffle', () => {
+    let casino = 0;
+    let uniform = 0;
+    for (let i = 0; i < 50; i++) {
+      casino += neighbours(casinoShuffle(range(52), seeded(`c${i}`), { riffles: 3, strips: 0 }));
+      uniform += neighbours(shuffleDeck(range(52), seeded(`u${i}`)));
+    }
+    assert.ok(casino > uniform * 3, `${casino} vs ${uniform}`);
   });
 
-  it('stands on soft 18 (A + 7 = soft 18)', () => {
-    const state = makeState([card('A'), card('7')]); // soft 18
-    assert.equal(isDealerDone(state), true);
+  it('shuffles the shoe at casino tables', () => {
+    const rules = { ...DEFAULT_RULES, shuffleModel: 'casino', riffles: 2, strips: 1 };
+    const state = reshuffleShoe(createGameState(rules, createRng('first')));
+    assert.equal(state.deck.length, 52);
+    assert.equal(state.shuffledShoe, state.deck);
+    const rng = openRng(createRng('first'));
+    assert.deepEqual(state.deck, casinoShuffle(createDeck(), rng.randomIndex, rules));
+    assert.equal(reshuffleShoe(createGameState()).shuffledShoe, null);
   });
 
-  it('returns false when dealer has only low cards (2 + 3 = 5)', () => {
-    const state = makeState([card('2'), card('3')]); // 5
-    assert.equal(isDealerDone(state), false);
+  it('picks up the last shoe: the discards in dealt order with the stub on top', () => {
+    const rules = { ...DEFAULT_RULES, shuffleModel: 'casino' };
+    const first = reshuffleShoe(createGameState(rules, createRng('shoe')));
+    const played = { ...first, deck: first.deck.slice(0, 12) };
+    const next = reshuffleShoe(played);
+    const pile = [...first.deck.slice(12).reverse(), ...first.deck.slice(0, 12)];
+    assert.deepEqual(next.deck, casinoShuffle(pile, openRng(first.rng).randomIndex, rules));
   });
 
-  it('returns true with multi-card 17 (5 + 6 + 6 = 17)', () => {
-    const state = makeState([card('5'), card('6'), card('6')]); // 17
-    assert.equal(isDealerDone(state), true);
+  it('starts from new decks after a mid-hand refill', () => {
+    const rules = { ...DEFAULT_RULES, shuffleModel: 'casino' };
+    const state = { ...reshuffleShoe(createGameState(rules, createRng('dry'))), deck: [] };
+    const { shoe } = drawCard(state);
+    assert.equal(shoe.shuffledShoe, null);
+    assert.equal(reshuffleShoe({ ...state, ...shoe }).deck.length, 52);
   });
 
-  it('returns true with ace demoted to 1 (A + 9 + 8 = 18)', () => {
-    // A(11) + 9 + 8 = 28 → A(1) + 9 + 8 = 18
-    const state = makeState([card('A'), card('9'), card('8')]); // 18
-    assert.equal(isDealerDone(state), true);
+  it('replays through verifyShoe for a first shoe', () => {
+    const rules = { ...DEFAULT_RULES, shuffleModel: 'casino' };
+    const { rng, deck } = reshuffleShoe(createGameState(rules, withClientSeed(createFairRng(), 'alice')));
+    assert.deepEqual(verifyShoe(rng.serverSeed, rng.commit, 'alice', 1, rules).deck, deck);
   });
 });
 
-describe('dealerDrawOne', () => {
+describe('continuous shuffling machine', () => {
   const card = (rank, suit = '♠') => {
     let value;
     if (rank === 'A') value = 11;
@@ -1058,104 +1122,188 @@ describe('dealerDrawOne', () => {
     else value = parseInt(rank, 10);
     return { suit, rank, value };
   };
+  const names = (cards) => cards.map(c => `${c.rank}${c.suit}`).sort();
+  const csm = { ...DEFAULT_RULES, continuousShuffle: true };
 
-  const makeState = (dealerCards, deckCards) => {
-    const state = createGameState();
-    state.dealerHand = dealerCards;
-    state.playerHand = [card('K'), card('7')]; // player has 17
-    state.deck = deckCards;
-    state.bet = 100;
-    state.chips = 900;
-    state.phase = 'dealerTurn';
+  // A finished round: the shoe is short the four cards on the table
+  const afterRound = (rules, rng = createRng('csm')) => {
+    let state = reshuffleShoe(createGameState(rules, rng));
+    state = settleRound(playerStand(dealInitialCards(placeBet(state, 10).state)));
     return state;
   };
 
-  it('draws one card from the deck and adds to dealer hand', () => {
-    const state = makeState([card('8'), card('5')], [card('3'), card('4'), card('2')]);
-    const result = dealerDrawOne(state);
-    assert.equal(result.dealerHand.length, 3);
-    assert.equal(result.deck.length, 2);
+  it('puts every card on the table back into the shoe', () => {
+    const state = afterRound(csm);
+    assert.equal(state.deck.length, 48);
+    const cleared = clearTable(state);
+    assert.equal(cleared.deck.length, 52);
+    assert.deepEqual(names(cleared.deck), names(createDeck()));
+    assert.deepEqual(cleared.playerHand, []);
+    assert.deepEqual(cleared.dealerHand, []);
+  });
+
+  it('returns split hands and every spot', () => {
+    const state = createGameState(csm);
+    state.deck = createDeck().slice(0, 40);
+    state.spots = [
+      { playerHand: [card('9'), card('9', '♥')], splitHands: [
+        { cards: [card('9'), card('K')], bet: 10, status: 'stand' },
+        { cards: [card('9', '♥'), card('K', '♥')], bet: 10, status: 'stand' },
+      ] },
+      { playerHand: [card('2', '♦'), card('3', '♦')], splitHands: undefined },
+    ];
+    state.activeSpot = null;
+    state.dealerHand = [card('A', '♣'), card('6', '♣')];
+    const cleared = clearTable(state);
+    assert.equal(cleared.deck.length, 48);
+    assert.equal(cleared.spots, null);
   });
 
-  it('draws the top card (last element) from the deck', () => {
-    const topCard = card('K', '♥');
-    const state = makeState([card('8'), card('5')], [card('3'), topCard]);
-    const result = dealerDrawOne(state);
-    assert.equal(result.dealerHand[2].rank, 'K');
-    assert.equal(result.dealerHand[2].suit, '♥');
+  it('inserts the cards at random positions, from the game rng', () => {
+    const a = clearTable(afterRound(csm));
+    const b = clearTable(afterRound(csm));
+    assert.deepEqual(a.deck, b.deck);
+    assert.notEqual(a.rng.state, afterRound(csm).rng.state);
+    const other = clearTable(afterRound(csm, createRng('other')));
+    assert.notDeepEqual(a.deck, other.deck);
   });
 
-  it('does not change the phase', () => {
-    const state = makeState([card('8'), card('5')], [card('3')]);
-    const result = dealerDrawOne(state);
-    assert.equal(result.phase, 'dealerTurn');
+  it('only clears the table without a continuous shuffler', () => {
+    const state = afterRound(DEFAULT_RULES);
+    const cleared = clearTable(state);
+    assert.equal(cleared.deck, state.deck);
+    assert.deepEqual(cleared.dealerHand, []);
   });
 
-  it('does not mutate original state', () => {
-    const state = makeState([card('8'), card('5')], [card('3'), card('4')]);
-    const originalHandLen = state.dealerHand.length;
-    const originalDeckLen = state.deck.length;
-    dealerDrawOne(state);
-    assert.equal(state.dealerHand.length, originalHandLen);
-    assert.equal(state.deck.length, originalDeckLen);
+  it('never reshuffles at the cut card', () => {
+    const state = placeBet(reshuffleShoe(createGameState(csm)), 10).state;
+    state.deck = state.deck.slice(0, 10);
+    const dealt = dealInitialCards({ ...state, reshuffled: false });
+    assert.equal(dealt.reshuffled, false);
+    assert.equal(dealt.deck.length, 6);
   });
+});
 
-  it('preserves player hand unchanged', () => {
-    const state = makeState([card('8'), card('5')], [card('3')]);
-    const result = dealerDrawOne(state);
-    assert.equal(result.playerHand.length, 2);
-    assert.equal(result.playerHand[0].rank, 'K');
-    assert.equal(result.playerHand[1].rank, '7');
-  });
+describe('scenarios', () => {
+  const names = (cards) => cards.map(c => `${c.rank}${c.suit}`);
+
+  describe('parseScenario', () => {
+    it('reads text cards in deal order, as createDeck builds them', () => {
+      const parsed = parseScenario('# a comment\n8♠ 8h, 10D\n7c # hole card\n');
+      assert.equal(parsed.valid, true);
+      assert.deepEqual(names(parsed.cards), ['8♠', '8♥', '10♦', '7♣']);
+      const deck = createDeck();
+      for (const card of parsed.cards) {
+        assert.deepEqual(card, deck.find(c => c.suit === card.suit && c.rank === card.rank));
+      }
+    });
 
-  it('preserves chips and bet unchanged', () => {
-    const state = makeState([card('8'), card('5')], [card('3')]);
-    const result = dealerDrawOne(state);
-    assert.equal(result.chips, 900);
-    assert.equal(result.bet, 100);
-  });
+    it('reads lower-case face cards', () => {
+      assert.deepEqual(names(parseScenario('as kh qd jc').cards), ['A♠', 'K♥', 'Q♦', 'J♣']);
+    });
 
-  it('preserves stats unchanged', () => {
-    const state = makeState([card('8'), card('5')], [card('3')]);
-    state.stats.handsPlayed = 5;
-    const result = dealerDrawOne(state);
-    assert.equal(result.stats.handsPlayed, 5);
-  });
+    it('reads a JSON array of { suit, rank } cards', () => {
+      const parsed = parseScenario('[{"suit": "♠", "rank": "A"}, {"suit": "♥", "rank": "10"}]');
+      assert.deepEqual(parsed.cards, [{ suit: '♠', rank: 'A', value: 11 }, { suit: '♥', rank: '10', value: 10 }]);
+    });
 
-  it('can be called multiple times to draw multiple cards', () => {
-    const state = makeState(
-      [card('2'), card('3')], // dealer: 5
-      [card('4'), card('6'), card('K')] // deck
-    );
-    let current = dealerDrawOne(state); // draws K → 15
-    assert.equal(current.dealerHand.length, 3);
-    assert.equal(isDealerDone(current), false);
+    it('reads a JSON object with a cards array', () => {
+      assert.deepEqual(names(fixture('blackjack-vs-dealer-blackjack.json')), ['A♠', 'A♥', 'K♠', 'Q♠']);
+    });
 
-    current = dealerDrawOne(current); // draws 6 → 21
-    assert.equal(current.dealerHand.length, 4);
-    assert.equal(isDealerDone(current), true);
+    it('rejects a token that is not a card', () => {
+      const parsed = parseScenario('8♠ 1♥');
+      assert.equal(parsed.valid, false);
+      assert.match(parsed.error, /"1♥" is not a card/);
+    });
+
+    it('rejects broken JSON', () => {
+      assert.match(parseScenario('[{"suit": "♠"').error, /not valid JSON/);
+    });
+
+    it('rejects JSON without a cards array', () => {
+      assert.match(parseScenario('{"deck": []}').error, /"cards" array/);
+    });
+
+    it('rejects a JSON card that is not one of ours', () => {
+      const parsed = parseScenario('[{"suit": "♠", "rank": "8"}, {"suit": "S", "rank": "8"}]');
+      assert.match(parsed.error, /^Card 2 /);
+    });
+
+    it('rejects an empty scenario', () => {
+      assert.equal(parseScenario('# nothing yet\n').error, 'The scenario has no cards.');
+      assert.equal(parseScenario('[]').valid, false);
+    });
+
+    it('rejects more copies of a card than the shoe holds', () => {
+      const parsed = parseScenario('A♠ K♠ A♠ Q♠');
+      assert.equal(parsed.error, 'The scenario deals 2 × A♠, but the shoe holds 1.');
+      assert.equal(parseScenario('A♠ K♠ A♠ Q♠', { ...DEFAULT_RULES, decks: 2 }).valid, true);
+    });
+
+    it('rejects a 10 for a Spanish shoe', () => {
+      assert.equal(parseScenario('10♠ 6♠', { ...DEFAULT_RULES, spanishDeck: true }).valid, false);
+    });
   });
 
-  it('works with dealer bust scenario across multiple draws', () => {
-    const state = makeState(
-      [card('10'), card('6')], // dealer: 16
-      [card('9')] // deck — will draw 9 → 25 bust
-    );
-    const result = dealerDrawOne(state);
-    assert.equal(calculateHandTotal(result.dealerHand).total, 25);
-    assert.equal(isDealerDone(result), true);
+  describe('stackDeck', () => {
+    it('puts the cards on top of a full shoe, in deal order', () => {
+      const cards = fixture('pair-of-eights-vs-ten.txt');
+      const state = stackDeck(createGameState({ decks: 2 }, createRng('stack')), cards);
+      assert.equal(state.deck.length, 104);
+      assert.deepEqual(names(state.deck.slice(-cards.length).reverse()), names(cards));
+      assert.deepEqual([...names(state.deck)].sort(), names(createShoe(2)).sort());
+    });
+
+    it('shuffles the rest of the shoe from the game rng', () => {
+      const cards = fixture('hard-16-vs-dealer-ace.txt');
+      const a = stackDeck(createGameState({}, createRng('stack')), cards);
+      const b = stackDeck(createGameState({}, createRng('stack')), cards);
+      assert.deepEqual(a.deck, b.deck);
+      assert.notEqual(a.rng.state, createRng('stack').state);
+    });
   });
 
-  it('preserves reshuffled flag', () => {
-    const state = makeState([card('8'), card('5')], [card('3')]);
-    state.reshuffled = true;
-    const result = dealerDrawOne(state);
-    assert.equal(result.reshuffled, true);
+  describe('dealInitialCards with a scenario', () => {
+    const scenarioState = (cards, rules = {}) => {
+      const state = { ...createGameState(rules, createRng('scenario')), scenario: cards };
+      return placeBet(state, 100).state;
+    };
+
+    it('deals the scenario instead of the shoe', () => {
+      const state = dealInitialCards(scenarioState(fixture('hard-16-vs-dealer-ten.txt')));
+      assert.deepEqual(names(state.playerHand), ['10♠', '6♠']);
+      assert.deepEqual(names(state.dealerHand), ['K♠', 'A♠']);
+    });
+
+    it('deals the same scenario every round, even past the cut card', () => {
+      let state = scenarioState(fixture('hard-16-vs-dealer-nine.txt'));
+      state.deck = state.deck.slice(0, 3);
+      for (let round = 0; round < 3; round++) {
+        state = dealInitialCards(state);
+        assert.equal(state.reshuffled, false);
+        assert.deepEqual(names(state.dealerHand), ['9♠', '7♠']);
+        state = placeBet(clearTable(settleRound(playerStand(state))), 100).state;
+      }
+    });
+
+    it('deals the fourth card as the next draw at a no-hole-card table', () => {
+      let state = dealInitialCards(scenarioState(fixture('hard-16-vs-dealer-ace.txt'), { holeCard: 'enhc' }));
+      assert.deepEqual(names(state.dealerHand), ['A♠']);
+      state = playerHit(state);
+      assert.deepEqual(names(state.playerHand), ['10♠', '6♠', '7♠']);
+    });
+
+    it('plays hits from the scenario after the deal', () => {
+      let state = dealInitialCards(scenarioState(fixture('pair-of-eights-vs-ten.txt')));
+      state = playerSplit(state);
+      state = splitStand(state);
+      assert.deepEqual(state.splitHands.map(hand => names(hand.cards)), [['8♠', '3♠'], ['8♥', 'K♥']]);
+    });
   });
 });
 
-// 4.6 — Bet settlement tests
-describe('settleRound', () => {
+describe('handHistoryEntry', () => {
   const card = (rank, suit = '♠') => {
     let value;
     if (rank === 'A') value = 11;
@@ -1164,434 +1312,432 @@ describe('settleRound', () => {
     return { suit, rank, value };
   };
 
-  const makeState = (playerCards, dealerCards, bet = 100) => {
-    const state = createGameState();
-    state.playerHand = playerCards;
-    state.dealerHand = dealerCards;
-    state.bet = bet;
-    state.chips = 900; // 1000 - 100 bet
+  const settled = (rng = createRng()) => {
+    const state = createGameState(DEFAULT_RULES, rng);
+    state.playerHand = [card('10', '♥'), card('9')];
+    state.dealerHand = [card('10'), card('8', '♦')];
+    state.bet = 50;
+    state.chips = 950;
     state.phase = 'dealerTurn';
-    state.deck = [card('2'), card('3')]; // leftover deck
-    return state;
+    return settleRound(state);
   };
 
-  it('player wins 1:1 when player total > dealer total', () => {
-    // Player: 20, Dealer: 18
-    const state = makeState([card('K'), card('Q')], [card('10'), card('8')]);
-    const result = settleRound(state);
-    assert.equal(result.result.outcome, 'win');
-    assert.equal(result.result.chipChange, 100);
-    assert.equal(result.chips, 1100); // 900 + 100 (bet returned) + 100 (win)
+  it('records the table, rng, cards, results and chips of a round', () => {
+    assert.deepEqual(handHistoryEntry(settled()), {
+      table: 'Classic',
+      rng: { type: 'random' },
+      dealer: ['10♠', '8♦'],
+      hands: [{ cards: ['10♥', '9♠'], bet: 50, outcome: 'win', chipChange: 50 }],
+      chipChange: 50,
+      insurance: null,
+      sideBets: null,
+      chips: 1050,
+    });
   });
 
-  it('dealer wins when dealer total > player total', () => {
-    // Player: 17, Dealer: 19
-    const state = makeState([card('10'), card('7')], [card('K'), card('9')]);
-    const result = settleRound(state);
-    assert.equal(result.result.outcome, 'lose');
-    assert.equal(result.result.chipChange, -100);
-    assert.equal(result.chips, 900); // bet already deducted
+  it('names the rng source, with the seed of a seeded game but not its state', () => {
+    assert.deepEqual(handHistoryEntry(settled(createRng(null, 'crypto'))).rng, { type: 'crypto' });
+    assert.deepEqual(handHistoryEntry(settled(createRng('friday'))).rng, { type: 'seeded', seed: 'friday' });
   });
 
-  it('push when totals are equal (bet returned)', () => {
-    // Player: 18, Dealer: 18
-    const state = makeState([card('10'), card('8')], [card('K'), card('8', '♥')]);
-    const result = settleRound(state);
-    assert.equal(result.result.outcome, 'push');
-    assert.equal(result.result.chipChange, 0);
-    assert.equal(result.chips, 1000); // 900 + 100 (bet returned)
+  it('lists each split hand', () => {
+    const state = createGameState();
+    state.splitHands = [
+      { cards: [card('8'), card('10')], bet: 50, status: 'stand' },
+      { cards: [card('8', '♥'), card('5'), card('K')], bet: 50, status: 'bust' },
+    ];
+    state.dealerHand = [card('10'), card('7')];
+    state.chips = 900;
+    state.bet = 50;
+    state.phase = 'dealerTurn';
+    const entry = handHistoryEntry(settleRound(state));
+    assert.deepEqual(entry.hands.map(h => [h.cards.length, h.outcome]), [[2, 'win'], [3, 'lose']]);
+    assert.equal(entry.chipChange, 0);
   });
 
-  it('player wins when dealer busts', () => {
-    // Player: 15, Dealer: 25 (bust)
-    const state = makeState([card('10'), card('5')], [card('K'), card('Q'), card('5', '♥')]);
-    const result = settleRound(state);
-    assert.equal(result.result.outcome, 'win');
-    assert.equal(result.result.message, 'Dealer busts!');
-    assert.equal(result.result.chipChange, 100);
-    assert.equal(result.chips, 1100);
+  it('serializes to one JSON line', () => {
+    const line = JSON.stringify(handHistoryEntry(settled()));
+    assert.ok(!line.includes('\n'));
+    assert.equal(JSON.parse(line).hands[0].outcome, 'win');
   });
+});
 
-  it('sets phase to result', () => {
-    const state = makeState([card('K'), card('Q')], [card('10'), card('8')]);
-    const result = settleRound(state);
-    assert.equal(result.phase, 'result');
+// 4.3 — Hand evaluation tests
+describe('calculateHandTotal', () => {
+  const card = (rank, suit = '♠') => {
+    let value;
+    if (rank === 'A') value = 11;
+    else if (['J', 'Q', 'K'].includes(rank)) value = 10;
+    else value = parseInt(rank, 10);
+    return { suit, rank, value };
+  };
+
+  it('calculates basic totals (7 + 5 = 12)', () => {
+    const result = calculateHandTotal([card('7'), card('5')]);
+    assert.equal(result.total, 12);
+    assert.equal(result.soft, false);
   });
 
-  it('handles larger bets correctly ($500 win)', () => {
-    const state = makeState([card('K'), card('Q')], [card('10'), card('8')], 500);
-    state.chips = 500; // 1000 - 500
-    const result = settleRound(state);
-    assert.equal(result.result.chipChange, 500);
-    assert.equal(result.chips, 1500); // 500 + 500 + 500
+  it('calculates face card totals (K + Q = 20)', () => {
+    const result = calculateHandTotal([card('K'), card('Q')]);
+    assert.equal(result.total, 20);
+    assert.equal(result.soft, false);
   });
 
-  it('handles larger bets correctly ($500 loss)', () => {
-    const state = makeState([card('10'), card('7')], [card('K'), card('9')], 500);
-    state.chips = 500;
-    const result = settleRound(state);
-    assert.equal(result.result.chipChange, -500);
-    assert.equal(result.chips, 500); // bet already gone
+  it('calculates soft hand (A + 6 = soft 17)', () => {
+    const result = calculateHandTotal([card('A'), card('6')]);
+    assert.equal(result.total, 17);
+    assert.equal(result.soft, true);
   });
 
-  it('push at 21 (both have 21 from multi-card hands)', () => {
-    // Player: 7+7+7=21, Dealer: 10+5+6=21
-    const state = makeState(
-      [card('7'), card('7', '♥'), card('7', '♦')],
-      [card('10'), card('5'), card('6')]
-    );
-    const result = settleRound(state);
-    assert.equal(result.result.outcome, 'push');
-    assert.equal(result.result.chipChange, 0);
+  it('demotes ace when total exceeds 21 (A + 6 + 8 = 15)', () => {
+    const result = calculateHandTotal([card('A'), card('6'), card('8')]);
+    assert.equal(result.total, 15);
+    assert.equal(result.soft, false);
   });
 
-  it('updates stats.handsPlayed on win', () => {
-    const state = makeState([card('K'), card('Q')], [card('10'), card('8')]);
-    const result = settleRound(state);
-    assert.equal(result.stats.handsPlayed, 1);
-    assert.equal(result.stats.handsWon, 1);
+  it('handles multiple aces (A + A = soft 12)', () => {
+    const result = calculateHandTotal([card('A'), card('A')]);
+    assert.equal(result.total, 12);
+    assert.equal(result.soft, true);
   });
 
-  it('updates stats.handsPlayed on loss', () => {
-    const state = makeState([card('10'), card('7')], [card('K'), card('9')]);
-    const result = settleRound(state);
-    assert.equal(result.stats.handsPlayed, 1);
-    assert.equal(result.stats.handsLost, 1);
+  it('handles three aces (A + A + A = soft 13)', () => {
+    const result = calculateHandTotal([card('A'), card('A'), card('A')]);
+    assert.equal(result.total, 13);
+    assert.equal(result.soft, true);
   });
 
-  it('updates stats.handsPushed on push', () => {
-    const state = makeState([card('10'), card('8')], [card('K'), card('8', '♥')]);
-    const result = settleRound(state);
-    assert.equal(result.stats.handsPlayed, 1);
-    assert.equal(result.stats.handsPushed, 1);
+  it('detects blackjack (A + K = 21 with 2 cards)', () => {
+    const result = calculateHandTotal([card('A'), card('K')]);
+    assert.equal(result.total, 21);
+    assert.equal(result.soft, true);
   });
 
-  it('updates peakChips when winning increases chip count', () => {
-    const state = makeState([card('K'), card('Q')], [card('10'), card('8')], 200);
-    state.chips = 800; // 1000 - 200
-    const result = settleRound(state);
-    assert.equal(result.stats.peakChips, 1200); // 800 + 200 + 200
+  it('detects blackjack with 10 (A + 10 = 21)', () => {
+    const result = calculateHandTotal([card('A'), card('10')]);
+    assert.equal(result.total, 21);
+    assert.equal(result.soft, true);
   });
 
-  it('does not increase peakChips on loss', () => {
-    const state = makeState([card('10'), card('7')], [card('K'), card('9')]);
-    state.stats.peakChips = 1500; // previous peak
-    const result = settleRound(state);
-    assert.equal(result.stats.peakChips, 1500); // unchanged
+  it('handles bust (K + Q + 5 = 25)', () => {
+    const result = calculateHandTotal([card('K'), card('Q'), card('5')]);
+    assert.equal(result.total, 25);
+    assert.equal(result.soft, false);
   });
 
-  it('accumulates stats across multiple rounds', () => {
-    const state = makeState([card('K'), card('Q')], [card('10'), card('8')]);
-    state.stats.handsPlayed = 5;
-    state.stats.handsWon = 3;
-    state.stats.handsLost = 1;
-    state.stats.handsPushed = 1;
-    const result = settleRound(state);
-    assert.equal(result.stats.handsPlayed, 6);
-    assert.equal(result.stats.handsWon, 4);
-    assert.equal(result.stats.handsLost, 1);
-    assert.equal(result.stats.handsPushed, 1);
+  it('demotes multiple aces when needed (A + A + 9 + K = 21)', () => {
+    const result = calculateHandTotal([card('A'), card('A'), card('9'), card('K')]);
+    assert.equal(result.total, 21);
+    assert.equal(result.soft, false);
   });
 
-  it('does not mutate original state', () => {
-    const state = makeState([card('K'), card('Q')], [card('10'), card('8')]);
-    const originalChips = state.chips;
-    const originalPhase = state.phase;
-    settleRound(state);
-    assert.equal(state.chips, originalChips);
-    assert.equal(state.phase, originalPhase);
-    assert.equal(state.result, null);
-    assert.equal(state.stats.handsPlayed, 0);
+  it('handles empty hand', () => {
+    const result = calculateHandTotal([]);
+    assert.equal(result.total, 0);
+    assert.equal(result.soft, false);
   });
 
-  it('preserves other state fields', () => {
-    const state = makeState([card('K'), card('Q')], [card('10'), card('8')]);
-    state.reshuffled = true;
-    const result = settleRound(state);
-    assert.equal(result.reshuffled, true);
-    assert.equal(result.deck.length, 2);
-    assert.equal(result.bet, 100);
+  it('handles single card', () => {
+    const result = calculateHandTotal([card('7')]);
+    assert.equal(result.total, 7);
+    assert.equal(result.soft, false);
   });
 
-  it('player wins with soft hand vs dealer', () => {
-    // Player: A+8 = soft 19, Dealer: 10+8 = 18
-    const state = makeState([card('A'), card('8')], [card('10'), card('8', '♥')]);
-    const result = settleRound(state);
-    assert.equal(result.result.outcome, 'win');
+  it('handles single ace (soft 11)', () => {
+    const result = calculateHandTotal([card('A')]);
+    assert.equal(result.total, 11);
+    assert.equal(result.soft, true);
   });
 
-  it('dealer wins with higher soft hand', () => {
-    // Player: 10+7 = 17, Dealer: A+8 = soft 19
-    const state = makeState([card('10'), card('7')], [card('A'), card('8')]);
-    const result = settleRound(state);
-    assert.equal(result.result.outcome, 'lose');
+  it('handles four aces (A + A + A + A = 14)', () => {
+    const result = calculateHandTotal([card('A'), card('A'), card('A'), card('A')]);
+    assert.equal(result.total, 14);
+    assert.equal(result.soft, true);
   });
 
-  it('does not count dealer bust win as blackjack', () => {
-    const state = makeState([card('10'), card('5')], [card('K'), card('Q'), card('5', '♥')]);
-    const result = settleRound(state);
-    assert.equal(result.stats.blackjacks, 0);
+  it('hard 21 is not soft (7 + 7 + 7 = 21)', () => {
+    const result = calculateHandTotal([card('7'), card('7'), card('7')]);
+    assert.equal(result.total, 21);
+    assert.equal(result.soft, false);
   });
-});
 
-// 4.9 — Stats tests (getWinRate)
-describe('getWinRate', () => {
-  it('returns "0.0" when no hands played', () => {
-    const stats = createGameState().stats;
-    assert.equal(getWinRate(stats), '0.0');
+  it('ace demoted then another ace stays high (A + 5 + A + 4 = 21 soft)', () => {
+    // A(11) + 5 + A(11) + 4 = 31 → demote one ace → 21, one ace still at 11
+    const result = calculateHandTotal([card('A'), card('5'), card('A'), card('4')]);
+    assert.equal(result.total, 21);
+    assert.equal(result.soft, true);
   });
+});
 
-  it('calculates 100% win rate correctly', () => {
-    const stats = { ...createGameState().stats, handsPlayed: 5, handsWon: 5 };
-    assert.equal(getWinRate(stats), '100.0');
+// dealInitialCards tests (item 1.5)
+describe('dealInitialCards', () => {
+  it('deals 2 cards to player and 2 to dealer', () => {
+    const state = createGameState();
+    state.deck = shuffleDeck(createDeck());
+    const newState = dealInitialCards(state);
+    assert.equal(newState.playerHand.length, 2);
+    assert.equal(newState.dealerHand.length, 2);
   });
 
-  it('calculates 0% win rate correctly', () => {
-    const stats = { ...createGameState().stats, handsPlayed: 5, handsWon: 0 };
-    assert.equal(getWinRate(stats), '0.0');
+  it('removes 4 cards from the deck', () => {
+    const state = createGameState();
+    state.deck = shuffleDeck(createDeck());
+    const newState = dealInitialCards(state);
+    assert.equal(newState.deck.length, 48);
   });
 
-  it('calculates 50% win rate correctly', () => {
-    const stats = { ...createGameState().stats, handsPlayed: 10, handsWon: 5 };
-    assert.equal(getWinRate(stats), '50.0');
+  it('sets phase to playing', () => {
+    const state = createGameState();
+    state.deck = stackDeck(state, fixture('hard-16-vs-dealer-ten.txt')).deck;
+    const newState = dealInitialCards(state);
+    assert.equal(newState.phase, 'playing');
   });
 
-  it('calculates fractional win rate with one decimal', () => {
-    const stats = { ...createGameState().stats, handsPlayed: 3, handsWon: 1 };
-    assert.equal(getWinRate(stats), '33.3');
+  it('does not mutate the original state', () => {
+    const state = createGameState();
+    state.deck = shuffleDeck(createDeck());
+    const originalDeckLen = state.deck.length;
+    dealInitialCards(state);
+    assert.equal(state.deck.length, originalDeckLen);
+    assert.equal(state.playerHand.length, 0);
+    assert.equal(state.dealerHand.length, 0);
+    assert.equal(state.phase, 'welcome');
   });
 
-  it('calculates 66.7% win rate', () => {
-    const stats = { ...createGameState().stats, handsPlayed: 3, handsWon: 2 };
-    assert.equal(getWinRate(stats), '66.7');
+  it('dealt cards are valid card objects', () => {
+    const state = createGameState();
+    state.deck = shuffleDeck(createDeck());
+    const newState = dealInitialCards(state);
+    for (const card of [...newState.playerHand, ...newState.dealerHand]) {
+      assert.ok('suit' in card);
+      assert.ok('rank' in card);
+      assert.ok('value' in card);
+    }
   });
 
-  it('returns string type', () => {
-    const stats = { ...createGameState().stats, handsPlayed: 5, handsWon: 3 };
-    assert.equal(typeof getWinRate(stats), 'string');
+  it('dealt cards are no longer in the deck', () => {
+    const state = createGameState();
+    state.deck = shuffleDeck(createDeck());
+    const newState = dealInitialCards(state);
+    const deckKeys = new Set(newState.deck.map(c => `${c.suit}${c.rank}`));
+    for (const card of [...newState.playerHand, ...newState.dealerHand]) {
+      const key = `${card.suit}${card.rank}`;
+      assert.ok(!deckKeys.has(key), `dealt card ${key} should not be in deck`);
+    }
   });
-});
 
-// 4.7 — Bet validation tests
-describe('placeBet', () => {
-  const makeState = (chips = 1000) => {
+  it('preserves other state fields', () => {
     const state = createGameState();
-    state.chips = chips;
-    state.phase = 'betting';
-    return state;
-  };
-
-  it('accepts a valid bet of $100', () => {
-    const state = makeState(1000);
-    const result = placeBet(state, 100);
-    assert.equal(result.valid, true);
-    assert.equal(result.state.bet, 100);
-    assert.equal(result.state.chips, 900);
-    assert.equal(result.state.phase, 'playing');
+    state.deck = shuffleDeck(createDeck());
+    state.chips = 500;
+    state.bet = 100;
+    const newState = dealInitialCards(state);
+    assert.equal(newState.chips, 500);
+    assert.equal(newState.bet, 100);
   });
 
-  it('accepts the minimum bet of $10', () => {
-    const state = makeState(1000);
-    const result = placeBet(state, 10);
-    assert.equal(result.valid, true);
-    assert.equal(result.state.bet, 10);
-    assert.equal(result.state.chips, 990);
+  // 4.10 — Deck reshuffle tests
+  it('reshuffles when deck has fewer than 15 cards', () => {
+    const state = createGameState();
+    state.deck = shuffleDeck(createDeck()).slice(0, 10); // only 10 cards
+    const newState = dealInitialCards(state);
+    assert.equal(newState.reshuffled, true);
+    // After reshuffle + dealing 4 cards, deck should be 48
+    assert.equal(newState.deck.length, 48);
   });
 
-  it('accepts the maximum bet of $500', () => {
-    const state = makeState(1000);
-    const result = placeBet(state, 500);
-    assert.equal(result.valid, true);
-    assert.equal(result.state.bet, 500);
-    assert.equal(result.state.chips, 500);
+  it('reshuffles when deck is empty', () => {
+    const state = createGameState();
+    state.deck = [];
+    const newState = dealInitialCards(state);
+    assert.equal(newState.reshuffled, true);
+    assert.equal(newState.deck.length, 48);
+    assert.equal(newState.playerHand.length, 2);
+    assert.equal(newState.dealerHand.length, 2);
   });
 
-  it('accepts a bet equal to available chips when under max', () => {
-    const state = makeState(200);
-    const result = placeBet(state, 200);
-    assert.equal(result.valid, true);
-    assert.equal(result.state.chips, 0);
+  it('reshuffles when deck has exactly 14 cards', () => {
+    const state = createGameState();
+    state.deck = shuffleDeck(createDeck()).slice(0, 14);
+    const newState = dealInitialCards(state);
+    assert.equal(newState.reshuffled, true);
+    assert.equal(newState.deck.length, 48);
   });
 
-  it('rejects bet below minimum ($9)', () => {
-    const state = makeState(1000);
-    const result = placeBet(state, 9);
-    assert.equal(result.valid, false);
-    assert.ok(result.error.includes('Minimum'));
+  it('does not reshuffle when deck has exactly 15 cards', () => {
+    const state = createGameState();
+    state.deck = shuffleDeck(createDeck()).slice(0, 15);
+    const newState = dealInitialCards(state);
+    assert.equal(newState.reshuffled, false);
+    assert.equal(newState.deck.length, 11); // 15 - 4
   });
 
-  it('rejects bet above maximum ($501)', () => {
-    const state = makeState(1000);
-    const result = placeBet(state, 501);
-    assert.equal(result.valid, false);
-    assert.ok(result.error.includes('Maximum'));
+  it('does not reshuffle when deck is full', () => {
+    const state = createGameState();
+    state.deck = shuffleDeck(createDeck());
+    const newState = dealInitialCards(state);
+    assert.equal(newState.reshuffled, false);
+    assert.equal(newState.deck.length, 48);
   });
 
-  it('rejects bet exceeding available chips', () => {
-    const state = makeState(50);
-    const result = placeBet(state, 100);
-    assert.equal(result.valid, false);
-    assert.ok(result.error.includes('50'));
+  it('reshuffled deck has 52 cards (before dealing)', () => {
+    const state = createGameState();
+    state.deck = [];
+    const newState = dealInitialCards(state);
+    // deck(48) + player(2) + dealer(2) = 52
+    const totalCards = newState.deck.length + newState.playerHand.length + newState.dealerHand.length;
+    assert.equal(totalCards, 52);
   });
+});
 
-  it('rejects non-integer bet (decimal)', () => {
-    const state = makeState(1000);
-    const result = placeBet(state, 50.5);
-    assert.equal(result.valid, false);
-    assert.ok(result.error.includes('whole number'));
-  });
+// checkForBlackjack tests (item 1.6, part of 4.6)
+describe('checkForBlackjack', () => {
+  const card = (rank, suit = '♠') => {
+    let value;
+    if (rank === 'A') value = 11;
+    else if (['J', 'Q', 'K'].includes(rank)) value = 10;
+    else value = parseInt(rank, 10);
+    return { suit, rank, value };
+  };
 
-  it('rejects zero bet', () => {
-    const state = makeState(1000);
-    const result = placeBet(state, 0);
-    assert.equal(result.valid, false);
-  });
+  const makeState = (playerCards, dealerCards, bet = 100) => {
+    const state = createGameState();
+    state.playerHand = playerCards;
+    state.dealerHand = dealerCards;
+    state.bet = bet;
+    state.chips = 900; // 1000 - 100 bet
+    state.phase = 'playing';
+    state.deck = shuffleDeck(createDeck());
+    return state;
+  };
 
-  it('rejects negative bet', () => {
-    const state = makeState(1000);
-    const result = placeBet(state, -50);
-    assert.equal(result.valid, false);
-  });
-
-  it('rejects NaN', () => {
-    const state = makeState(1000);
-    const result = placeBet(state, NaN);
-    assert.equal(result.valid, false);
+  it('returns state unchanged when neither has blackjack', () => {
+    const state = makeState([card('K'), card('5')], [card('8'), card('9')]);
+    const result = checkForBlackjack(state);
+    assert.equal(result, state); // same reference — no change
+    assert.equal(result.phase, 'playing');
+    assert.equal(result.result, null);
   });
 
-  it('rejects Infinity', () => {
-    const state = makeState(1000);
-    const result = placeBet(state, Infinity);
-    assert.equal(result.valid, false);
+  it('detects player blackjack (A + K)', () => {
+    const state = makeState([card('A'), card('K')], [card('8'), card('9')]);
+    const result = checkForBlackjack(state);
+    assert.equal(result.phase, 'result');
+    assert.equal(result.result.outcome, 'blackjack');
+    assert.equal(result.result.chipChange, 150); // 3:2 on $100
   });
 
-  it('does not mutate original state on valid bet', () => {
-    const state = makeState(1000);
-    const originalChips = state.chips;
-    placeBet(state, 100);
-    assert.equal(state.chips, originalChips);
-    assert.equal(state.bet, 0);
-    assert.equal(state.phase, 'betting');
+  it('pays 3:2 for player blackjack ($100 bet → $150 payout)', () => {
+    const state = makeState([card('A'), card('K')], [card('8'), card('9')], 100);
+    state.chips = 900;
+    const result = checkForBlackjack(state);
+    // chips = 900 (remaining) + 100 (bet returned) + 150 (payout) = 1150
+    assert.equal(result.chips, 1150);
+    assert.equal(result.result.chipChange, 150);
   });
 
-  it('does not return state on invalid bet', () => {
-    const state = makeState(1000);
-    const result = placeBet(state, 5);
-    assert.equal(result.state, undefined);
+  it('pays 3:2 rounded for odd bet ($50 bet → $75 payout)', () => {
+    const state = makeState([card('A'), card('10')], [card('7'), card('9')], 50);
+    state.chips = 950;
+    const result = checkForBlackjack(state);
+    assert.equal(result.chips, 1075); // 950 + 50 + 75
+    assert.equal(result.result.chipChange, 75);
   });
 
-  it('preserves stats and other state fields on valid bet', () => {
-    const state = makeState(1000);
-    state.stats.handsPlayed = 5;
-    state.stats.handsWon = 3;
-    state.reshuffled = true;
-    const result = placeBet(state, 100);
-    assert.equal(result.state.stats.handsPlayed, 5);
-    assert.equal(result.state.stats.handsWon, 3);
-    assert.equal(result.state.reshuffled, true);
+  it('rounds 3:2 payout to nearest dollar ($30 bet → $45 payout)', () => {
+    const state = makeState([card('A'), card('J')], [card('5'), card('6')], 30);
+    state.chips = 970;
+    const result = checkForBlackjack(state);
+    assert.equal(result.result.chipChange, 45);
+    assert.equal(result.chips, 1045); // 970 + 30 + 45
   });
 
-  it('advances phase to playing on valid bet', () => {
-    const state = makeState(1000);
-    const result = placeBet(state, 100);
-    assert.equal(result.state.phase, 'playing');
+  it('detects dealer blackjack — player loses', () => {
+    const state = makeState([card('K'), card('5')], [card('A'), card('Q')]);
+    const result = checkForBlackjack(state);
+    assert.equal(result.phase, 'result');
+    assert.equal(result.result.outcome, 'lose');
+    assert.equal(result.result.chipChange, -100);
+    // chips stay at 900 (bet already deducted)
+    assert.equal(result.chips, 900);
   });
-});
-
-// 4.13 — Game over tests
-describe('checkGameOver', () => {
-  const makeState = (chips, phase = 'result') => {
-    const state = createGameState();
-    state.chips = chips;
-    state.phase = phase;
-    state.result = { outcome: 'lose', message: 'Dealer wins.', chipChange: -100 };
-    state.stats.handsPlayed = 5;
-    state.stats.handsLost = 3;
-    return state;
-  };
 
-  it('sets phase to gameOver when chips < $10', () => {
-    const state = makeState(9);
-    const result = checkGameOver(state);
-    assert.equal(result.phase, 'gameOver');
+  it('detects mutual blackjack — push', () => {
+    const state = makeState([card('A'), card('K')], [card('A'), card('Q')]);
+    const result = checkForBlackjack(state);
+    assert.equal(result.phase, 'result');
+    assert.equal(result.result.outcome, 'push');
+    assert.equal(result.result.chipChange, 0);
+    // chips = 900 + 100 (bet returned) = 1000
+    assert.equal(result.chips, 1000);
   });
 
-  it('sets phase to gameOver when chips are 0', () => {
-    const state = makeState(0);
-    const result = checkGameOver(state);
-    assert.equal(result.phase, 'gameOver');
+  it('player blackjack with 10 (not face card)', () => {
+    const state = makeState([card('A'), card('10')], [card('8'), card('9')]);
+    const result = checkForBlackjack(state);
+    assert.equal(result.result.outcome, 'blackjack');
   });
 
-  it('sets phase to gameOver when chips are $1', () => {
-    const state = makeState(1);
-    const result = checkGameOver(state);
-    assert.equal(result.phase, 'gameOver');
+  it('21 with 3+ cards is NOT blackjack', () => {
+    const state = makeState([card('7'), card('7'), card('7')], [card('8'), card('9')]);
+    const result = checkForBlackjack(state);
+    assert.equal(result, state); // unchanged
   });
 
-  it('does NOT set gameOver when chips are exactly $10', () => {
-    const state = makeState(10);
-    const result = checkGameOver(state);
-    assert.notEqual(result.phase, 'gameOver');
-    assert.equal(result.phase, 'result');
+  it('updates stats.handsPlayed on player blackjack', () => {
+    const state = makeState([card('A'), card('K')], [card('8'), card('9')]);
+    const result = checkForBlackjack(state);
+    assert.equal(result.stats.handsPlayed, 1);
+    assert.equal(result.stats.handsWon, 1);
+    assert.equal(result.stats.blackjacks, 1);
   });
 
-  it('does NOT set gameOver when chips are above $10', () => {
-    const state = makeState(500);
-    const result = checkGameOver(state);
-    assert.equal(result.phase, 'result');
+  it('updates stats.handsPlayed on dealer blackjack', () => {
+    const state = makeState([card('K'), card('5')], [card('A'), card('Q')]);
+    const result = checkForBlackjack(state);
+    assert.equal(result.stats.handsPlayed, 1);
+    assert.equal(result.stats.handsLost, 1);
+    assert.equal(result.stats.blackjacks, 0);
   });
 
-  it('does NOT set gameOver when chips are $1000', () => {
-    const state = makeState(1000);
-    const result = checkGameOver(state);
-    assert.equal(result.phase, 'result');
+  it('updates stats.handsPushed on mutual blackjack', () => {
+    const state = makeState([card('A'), card('K')], [card('A'), card('Q')]);
+    const result = checkForBlackjack(state);
+    assert.equal(result.stats.handsPlayed, 1);
+    assert.equal(result.stats.handsPushed, 1);
+    assert.equal(result.stats.blackjacks, 0);
   });
 
-  it('preserves all other state fields', () => {
-    const state = makeState(5);
-    state.reshuffled = true;
-    state.bet = 100;
-    const result = checkGameOver(state);
-    assert.equal(result.phase, 'gameOver');
-    assert.equal(result.chips, 5);
-    assert.equal(result.reshuffled, true);
-    assert.equal(result.bet, 100);
-    assert.equal(result.stats.handsPlayed, 5);
-    assert.equal(result.stats.handsLost, 3);
-    assert.deepEqual(result.result, { outcome: 'lose', message: 'Dealer wins.', chipChange: -100 });
+  it('updates peakChips on player blackjack win', () => {
+    const state = makeState([card('A'), card('K')], [card('8'), card('9')], 100);
+    state.chips = 900;
+    const result = checkForBlackjack(state);
+    assert.equal(result.stats.peakChips, 1150); // 900 + 100 + 150
   });
 
   it('does not mutate original state', () => {
-    const state = makeState(5);
+    const state = makeState([card('A'), card('K')], [card('8'), card('9')]);
     const originalPhase = state.phase;
-    checkGameOver(state);
+    const originalChips = state.chips;
+    checkForBlackjack(state);
     assert.equal(state.phase, originalPhase);
+    assert.equal(state.chips, originalChips);
+    assert.equal(state.result, null);
+    assert.equal(state.stats.handsPlayed, 0);
   });
 
-  it('works after settlement where player loses all chips', () => {
-    // Simulate: player had $100 chips, bet $100, lost → chips = 0
-    const state = createGameState();
-    state.chips = 0;
-    state.bet = 100;
-    state.phase = 'result';
-    state.result = { outcome: 'lose', message: 'Dealer wins.', chipChange: -100 };
-    const result = checkGameOver(state);
-    assert.equal(result.phase, 'gameOver');
-  });
-
-  it('works after settlement where player has exactly minimum bet', () => {
-    // Simulate: player won and has exactly $10 left
-    const state = createGameState();
-    state.chips = 10;
-    state.phase = 'result';
-    state.result = { outcome: 'win', message: 'You win!', chipChange: 10 };
-    const result = checkGameOver(state);
-    assert.equal(result.phase, 'result'); // can still play
+  it('preserves other state fields', () => {
+    const state = makeState([card('A'), card('K')], [card('8'), card('9')]);
+    state.reshuffled = true;
+    const result = checkForBlackjack(state);
+    assert.equal(result.reshuffled, true);
+    assert.ok(result.deck.length > 0);
   });
 });
 
-// 4.11 — Action availability tests
-describe('getAvailableActions', () => {
+// playerHit tests (item 1.7, part of 4.4)
+describe('playerHit', () => {
   const card = (rank, suit = '♠') => {
     let value;
     if (rank === 'A') value = 11;
@@ -1600,159 +1746,205 @@ describe('getAvailableActions', () => {
     return { suit, rank, value };
   };
 
-  const makeState = (playerCards, opts = {}) => {
+  const makeState = (playerCards, deckCards, bet = 100) => {
     const state = createGameState();
     state.playerHand = playerCards;
-    state.dealerHand = opts.dealerCards || [card('8'), card('9')];
-    state.deck = opts.deck || shuffleDeck(createDeck());
-    state.bet = opts.bet || 100;
-    state.chips = opts.chips !== undefined ? opts.chips : 900;
-    state.phase = opts.phase || 'playing';
-    if (opts.splitHands !== undefined) state.splitHands = opts.splitHands;
+    state.dealerHand = [card('8'), card('9')];
+    state.deck = deckCards;
+    state.bet = bet;
+    state.chips = 900;
+    state.phase = 'playing';
     return state;
   };
 
-  it('all actions available on initial 2-card hand with matching ranks and enough chips', () => {
-    const actions = getAvailableActions(makeState([card('8'), card('8', '♥')]));
-    assert.equal(actions.hit, true);
-    assert.equal(actions.stand, true);
-    assert.equal(actions.double, true);
-    assert.equal(actions.split, true);
-    assert.equal(actions.quit, true);
-  });
-
-  it('hit/stand/double available, split NOT available when values differ', () => {
-    const actions = getAvailableActions(makeState([card('8'), card('9')]));
-    assert.equal(actions.hit, true);
-    assert.equal(actions.stand, true);
-    assert.equal(actions.double, true);
-    assert.equal(actions.split, false);
+  it('draws one card from the deck and adds to player hand', () => {
+    const state = makeState([card('7'), card('5')], [card('3'), card('4'), card('2')]);
+    const result = playerHit(state);
+    assert.equal(result.playerHand.length, 3);
+    assert.equal(result.deck.length, 2);
   });
 
-  it('no hit/stand/double/split when phase is not playing', () => {
-    const actions = getAvailableActions(makeState([card('8'), card('9')], { phase: 'result' }));
-    assert.equal(actions.hit, false);
-    assert.equal(actions.stand, false);
-    assert.equal(actions.double, false);
-    assert.equal(actions.split, false);
-    assert.equal(actions.quit, true);
+  it('draws the top card (last element) from the deck', () => {
+    const topCard = card('K');
+    const state = makeState([card('7'), card('5')], [card('3'), topCard]);
+    const result = playerHit(state);
+    assert.equal(result.playerHand[2].rank, 'K');
+    assert.equal(result.playerHand[2].suit, '♠');
   });
 
-  it('no hit/stand/double/split in betting phase', () => {
-    const actions = getAvailableActions(makeState([card('8'), card('9')], { phase: 'betting' }));
-    assert.equal(actions.hit, false);
-    assert.equal(actions.stand, false);
-    assert.equal(actions.double, false);
-    assert.equal(actions.split, false);
-    assert.equal(actions.quit, true);
+  it('keeps phase as playing when total < 21', () => {
+    const state = makeState([card('7'), card('5')], [card('3')]);
+    const result = playerHit(state);
+    assert.equal(result.phase, 'playing');
+    assert.equal(result.result, null);
   });
 
-  it('no hit/stand/double/split in dealerTurn phase', () => {
-    const actions = getAvailableActions(makeState([card('K'), card('7')], { phase: 'dealerTurn' }));
-    assert.equal(actions.hit, false);
-    assert.equal(actions.stand, false);
-    assert.equal(actions.double, false);
-    assert.equal(actions.split, false);
+  it('busts when total > 21 (sets phase to result)', () => {
+    // 10 + 8 + 7 = 25 → bust
+    const state = makeState([card('10'), card('8')], [card('7')]);
+    const result = playerHit(state);
+    assert.equal(result.phase, 'result');
+    assert.equal(result.result.outcome, 'bust');
+    assert.equal(result.result.message, 'BUST!');
   });
 
-  it('no double/split after first hit (3-card hand)', () => {
-    const actions = getAvailableActions(makeState([card('5'), card('3'), card('2')]));
-    assert.equal(actions.hit, true);
-    assert.equal(actions.stand, true);
-    assert.equal(actions.double, false);
-    assert.equal(actions.split, false);
+  it('sets chipChange to negative bet on bust', () => {
+    const state = makeState([card('K'), card('8')], [card('7')], 200);
+    state.chips = 800;
+    const result = playerHit(state);
+    assert.equal(result.result.chipChange, -200);
   });
 
-  it('no hit when total is 21 (auto-stand scenario)', () => {
-    // A(11) + K(10) = 21
-    const actions = getAvailableActions(makeState([card('A'), card('K')]));
-    assert.equal(actions.hit, false);
-    assert.equal(actions.stand, true);
+  it('updates stats on bust (handsPlayed and handsLost)', () => {
+    const state = makeState([card('K'), card('8')], [card('7')]);
+    const result = playerHit(state);
+    assert.equal(result.stats.handsPlayed, 1);
+    assert.equal(result.stats.handsLost, 1);
   });
 
-  it('no hit when total is exactly 21 with 3 cards', () => {
-    // 7+7+7 = 21
-    const actions = getAvailableActions(makeState([card('7'), card('7', '♥'), card('7', '♦')]));
-    assert.equal(actions.hit, false);
-    assert.equal(actions.stand, true);
+  it('auto-stands at exactly 21 (sets phase to dealerTurn)', () => {
+    // 10 + 5 + 6 = 21 → auto-stand
+    const state = makeState([card('10'), card('5')], [card('6')]);
+    const result = playerHit(state);
+    assert.equal(result.phase, 'dealerTurn');
+    assert.equal(result.result, null);
   });
 
-  it('no double when chips < bet', () => {
-    const actions = getAvailableActions(makeState([card('5'), card('6')], { chips: 50, bet: 100 }));
-    assert.equal(actions.hit, true);
-    assert.equal(actions.stand, true);
-    assert.equal(actions.double, false);
+  it('auto-stands at 21 with ace soft hand (A + 3 + 7 = 21)', () => {
+    // A(11) + 3 + 7 = 21
+    const state = makeState([card('A'), card('3')], [card('7')]);
+    const result = playerHit(state);
+    assert.equal(result.phase, 'dealerTurn');
+    assert.equal(calculateHandTotal(result.playerHand).total, 21);
   });
 
-  it('no split when chips < bet', () => {
-    const actions = getAvailableActions(makeState([card('8'), card('8', '♥')], { chips: 50, bet: 100 }));
-    assert.equal(actions.hit, true);
-    assert.equal(actions.stand, true);
-    assert.equal(actions.split, false);
+  it('does not mutate original state', () => {
+    const state = makeState([card('7'), card('5')], [card('3'), card('4')]);
+    const originalHandLen = state.playerHand.length;
+    const originalDeckLen = state.deck.length;
+    playerHit(state);
+    assert.equal(state.playerHand.length, originalHandLen);
+    assert.equal(state.deck.length, originalDeckLen);
+    assert.equal(state.phase, 'playing');
   });
 
-  it('double allowed when chips === bet', () => {
-    const actions = getAvailableActions(makeState([card('5'), card('6')], { chips: 100, bet: 100 }));
-    assert.equal(actions.double, true);
+  it('preserves other state fields', () => {
+    const state = makeState([card('7'), card('5')], [card('3')]);
+    state.reshuffled = true;
+    const result = playerHit(state);
+    assert.equal(result.reshuffled, true);
+    assert.equal(result.chips, 900);
+    assert.equal(result.bet, 100);
+    assert.equal(result.dealerHand.length, 2);
   });
 
-  it('split allowed when chips === bet and ranks match', () => {
-    const actions = getAvailableActions(makeState([card('8'), card('8', '♥')], { chips: 100, bet: 100 }));
-    assert.equal(actions.split, true);
+  it('handles ace demotion correctly when hitting (A + 8 + 5 = 14 not bust)', () => {
+    // A(11) + 8 = 19, then hit 5 → A(1) + 8 + 5 = 14
+    const state = makeState([card('A'), card('8')], [card('5')]);
+    const result = playerHit(state);
+    assert.equal(result.phase, 'playing');
+    const { total } = calculateHandTotal(result.playerHand);
+    assert.equal(total, 14);
   });
 
-  it('no double/split/hit/stand during active split', () => {
-    const splitHands = [
-      { cards: [card('8'), card('3')], bet: 100, status: 'playing' },
-      { cards: [card('8', '♥'), card('K')], bet: 100, status: 'playing' },
-    ];
-    const actions = getAvailableActions(makeState([card('8'), card('3')], { splitHands }));
-    assert.equal(actions.hit, false);
-    assert.equal(actions.stand, false);
-    assert.equal(actions.double, false);
-    assert.equal(actions.split, false);
-    assert.equal(actions.quit, true);
+  it('bust with ace already demoted (A + 9 + 5 + K = 25)', () => {
+    // A(11)+9=20 → hit 5 → A(1)+9+5=15 → hit K → 25 bust
+    // We need to do two hits, so set up after first hit
+    const state = makeState([card('A'), card('9'), card('5')], [card('K')]);
+    const result = playerHit(state);
+    assert.equal(result.phase, 'result');
+    assert.equal(result.result.outcome, 'bust');
+    assert.equal(calculateHandTotal(result.playerHand).total, 25);
   });
+});
 
-  it('quit is always true regardless of phase', () => {
-    for (const phase of ['welcome', 'betting', 'playing', 'dealerTurn', 'result', 'gameOver']) {
-      const actions = getAvailableActions(makeState([card('8'), card('9')], { phase }));
-      assert.equal(actions.quit, true, `quit should be true in ${phase} phase`);
-    }
+// playerStand tests (item 1.8, part of 4.4)
+describe('playerStand', () => {
+  const card = (rank, suit = '♠') => {
+    let value;
+    if (rank === 'A') value = 11;
+    else if (['J', 'Q', 'K'].includes(rank)) value = 10;
+    else value = parseInt(rank, 10);
+    return { suit, rank, value };
+  };
+
+  const makeState = (playerCards, bet = 100) => {
+    const state = createGameState();
+    state.playerHand = playerCards;
+    state.dealerHand = [card('8'), card('9')];
+    state.deck = shuffleDeck(createDeck());
+    state.bet = bet;
+    state.chips = 900;
+    state.phase = 'playing';
+    return state;
+  };
+
+  it('sets phase to dealerTurn', () => {
+    const state = makeState([card('K'), card('7')]);
+    const result = playerStand(state);
+    assert.equal(result.phase, 'dealerTurn');
   });
 
-  it('split available with face cards of same rank (K + K)', () => {
-    const actions = getAvailableActions(makeState([card('K'), card('K', '♥')]));
-    assert.equal(actions.split, true);
+  it('does not modify player hand', () => {
+    const state = makeState([card('K'), card('7')]);
+    const result = playerStand(state);
+    assert.equal(result.playerHand.length, 2);
+    assert.equal(result.playerHand[0].rank, 'K');
+    assert.equal(result.playerHand[1].rank, '7');
   });
 
-  it('split available with same value but different rank (K + Q)', () => {
-    const actions = getAvailableActions(makeState([card('K'), card('Q')]));
-    assert.equal(actions.split, true);
+  it('does not modify dealer hand', () => {
+    const state = makeState([card('K'), card('7')]);
+    const result = playerStand(state);
+    assert.equal(result.dealerHand.length, 2);
   });
 
-  it('split available with J + 10 (cross-rank, same value)', () => {
-    const actions = getAvailableActions(makeState([card('J'), card('10')]));
-    assert.equal(actions.split, true);
+  it('does not modify chips or bet', () => {
+    const state = makeState([card('K'), card('7')], 200);
+    state.chips = 800;
+    const result = playerStand(state);
+    assert.equal(result.chips, 800);
+    assert.equal(result.bet, 200);
   });
 
-  it('split available with Aces (A + A)', () => {
-    const actions = getAvailableActions(makeState([card('A'), card('A', '♥')]));
-    assert.equal(actions.split, true);
+  it('does not modify deck', () => {
+    const state = makeState([card('K'), card('7')]);
+    const deckLen = state.deck.length;
+    const result = playerStand(state);
+    assert.equal(result.deck.length, deckLen);
   });
 
-  it('returns correct actions for gameOver phase', () => {
-    const actions = getAvailableActions(makeState([], { phase: 'gameOver' }));
-    assert.equal(actions.hit, false);
-    assert.equal(actions.stand, false);
-    assert.equal(actions.double, false);
-    assert.equal(actions.split, false);
-    assert.equal(actions.quit, true);
+  it('does not set result', () => {
+    const state = makeState([card('K'), card('7')]);
+    const result = playerStand(state);
+    assert.equal(result.result, null);
+  });
+
+  it('does not mutate original state', () => {
+    const state = makeState([card('K'), card('7')]);
+    playerStand(state);
+    assert.equal(state.phase, 'playing');
+  });
+
+  it('preserves stats unchanged', () => {
+    const state = makeState([card('K'), card('7')]);
+    state.stats.handsPlayed = 5;
+    state.stats.handsWon = 3;
+    const result = playerStand(state);
+    assert.equal(result.stats.handsPlayed, 5);
+    assert.equal(result.stats.handsWon, 3);
+  });
+
+  it('preserves reshuffled flag', () => {
+    const state = makeState([card('K'), card('7')]);
+    state.reshuffled = true;
+    const result = playerStand(state);
+    assert.equal(result.reshuffled, true);
   });
 });
 
-// 4.8 — Split tests (playerSplit)
-describe('playerSplit', () => {
+// playerDouble tests (item 1.9, part of 4.4)
+describe('playerDouble', () => {
   const card = (rank, suit = '♠') => {
     let value;
     if (rank === 'A') value = 11;
@@ -1772,195 +1964,166 @@ describe('playerSplit', () => {
     return state;
   };
 
-  it('creates two split hands from matching pair', () => {
-    const state = makeState(
-      [card('8'), card('8', '♥')],
-      [card('3'), card('5'), card('K'), card('7')]
-    );
-    const result = playerSplit(state);
-    assert.ok(result.splitHands);
-    assert.equal(result.splitHands.length, 2);
-  });
-
-  it('each hand has the original card plus one dealt card', () => {
-    const eightSpades = card('8');
-    const eightHearts = card('8', '♥');
-    const state = makeState(
-      [eightSpades, eightHearts],
-      [card('3'), card('5'), card('K'), card('7')]
-    );
-    const result = playerSplit(state);
-    // Hand 1 gets first original card + top of deck
-    assert.equal(result.splitHands[0].cards[0].rank, '8');
-    assert.equal(result.splitHands[0].cards[0].suit, '♠');
-    assert.equal(result.splitHands[0].cards.length, 2);
-    // Hand 2 gets second original card + next from deck
-    assert.equal(result.splitHands[1].cards[0].rank, '8');
-    assert.equal(result.splitHands[1].cards[0].suit, '♥');
-    assert.equal(result.splitHands[1].cards.length, 2);
+  it('doubles the bet amount', () => {
+    const state = makeState([card('5'), card('6')], [card('3')], 100);
+    const result = playerDouble(state);
+    assert.equal(result.bet, 200);
   });
 
   it('deducts additional bet from chips', () => {
-    const state = makeState(
-      [card('8'), card('8', '♥')],
-      [card('3'), card('5'), card('K'), card('7')],
-      100
-    );
+    const state = makeState([card('5'), card('6')], [card('3')], 100);
     state.chips = 900;
-    const result = playerSplit(state);
-    assert.equal(result.chips, 800); // 900 - 100
+    const result = playerDouble(state);
+    assert.equal(result.chips, 800); // 900 - 100 additional
   });
 
-  it('each hand carries the original bet amount', () => {
-    const state = makeState(
-      [card('8'), card('8', '♥')],
-      [card('3'), card('5'), card('K'), card('7')],
-      200
-    );
-    state.chips = 800;
-    const result = playerSplit(state);
-    assert.equal(result.splitHands[0].bet, 200);
-    assert.equal(result.splitHands[1].bet, 200);
+  it('draws exactly one card', () => {
+    const state = makeState([card('5'), card('6')], [card('3'), card('4')]);
+    const result = playerDouble(state);
+    assert.equal(result.playerHand.length, 3);
+    assert.equal(result.deck.length, 1);
   });
 
-  it('sets activeHandIndex to 0', () => {
-    const state = makeState(
-      [card('8'), card('8', '♥')],
-      [card('3'), card('5'), card('K'), card('7')]
-    );
-    const result = playerSplit(state);
-    assert.equal(result.activeHandIndex, 0);
+  it('draws the top card (last element) from the deck', () => {
+    const topCard = card('9', '♥');
+    const state = makeState([card('5'), card('6')], [card('2'), topCard]);
+    const result = playerDouble(state);
+    assert.equal(result.playerHand[2].rank, '9');
+    assert.equal(result.playerHand[2].suit, '♥');
   });
 
-  it('each hand has status playing for non-ace split', () => {
-    const state = makeState(
-      [card('8'), card('8', '♥')],
-      [card('3'), card('5'), card('K'), card('7')]
-    );
-    const result = playerSplit(state);
-    assert.equal(result.splitHands[0].status, 'playing');
-    assert.equal(result.splitHands[1].status, 'playing');
+  it('auto-stands after drawing (phase becomes dealerTurn)', () => {
+    // 5 + 6 + 3 = 14, no bust
+    const state = makeState([card('5'), card('6')], [card('3')]);
+    const result = playerDouble(state);
+    assert.equal(result.phase, 'dealerTurn');
+    assert.equal(result.result, null);
   });
 
-  it('keeps phase as playing for non-ace split', () => {
-    const state = makeState(
-      [card('8'), card('8', '♥')],
-      [card('3'), card('5'), card('K'), card('7')]
-    );
-    const result = playerSplit(state);
-    assert.equal(result.phase, 'playing');
+  it('busts when total > 21 after draw', () => {
+    // K(10) + 8 + 7 = 25 → bust
+    const state = makeState([card('K'), card('8')], [card('7')], 100);
+    const result = playerDouble(state);
+    assert.equal(result.phase, 'result');
+    assert.equal(result.result.outcome, 'bust');
+    assert.equal(result.result.message, 'BUST!');
   });
 
-  it('removes 2 cards from deck (one per hand)', () => {
-    const state = makeState(
-      [card('8'), card('8', '♥')],
-      [card('2'), card('3'), card('5'), card('7')]
-    );
-    const result = playerSplit(state);
-    assert.equal(result.deck.length, 2); // 4 - 2
+  it('sets chipChange to negative doubled bet on bust', () => {
+    const state = makeState([card('K'), card('8')], [card('7')], 100);
+    const result = playerDouble(state);
+    assert.equal(result.result.chipChange, -200); // doubled bet
   });
 
-  it('aces split: both hands auto-stand', () => {
-    const state = makeState(
-      [card('A'), card('A', '♥')],
-      [card('3'), card('5'), card('K'), card('7')]
-    );
-    const result = playerSplit(state);
-    assert.equal(result.splitHands[0].status, 'stand');
-    assert.equal(result.splitHands[1].status, 'stand');
+  it('updates stats on bust (handsPlayed and handsLost)', () => {
+    const state = makeState([card('K'), card('8')], [card('7')]);
+    const result = playerDouble(state);
+    assert.equal(result.stats.handsPlayed, 1);
+    assert.equal(result.stats.handsLost, 1);
   });
 
-  it('aces split: phase advances to dealerTurn', () => {
-    const state = makeState(
-      [card('A'), card('A', '♥')],
-      [card('3'), card('5'), card('K'), card('7')]
-    );
-    const result = playerSplit(state);
+  it('does not set result when not busted', () => {
+    const state = makeState([card('5'), card('6')], [card('3')]);
+    const result = playerDouble(state);
+    assert.equal(result.result, null);
+  });
+
+  it('does not update stats when not busted (settlement handles it)', () => {
+    const state = makeState([card('5'), card('6')], [card('3')]);
+    const result = playerDouble(state);
+    assert.equal(result.stats.handsPlayed, 0);
+    assert.equal(result.stats.handsLost, 0);
+  });
+
+  it('handles ace demotion correctly (A + 8 + 5 = 14, not bust)', () => {
+    // A(11) + 8 = 19, draw 5 → A(1) + 8 + 5 = 14
+    const state = makeState([card('A'), card('8')], [card('5')]);
+    const result = playerDouble(state);
     assert.equal(result.phase, 'dealerTurn');
+    assert.equal(calculateHandTotal(result.playerHand).total, 14);
   });
 
-  it('aces split: each hand has 2 cards', () => {
-    const state = makeState(
-      [card('A'), card('A', '♥')],
-      [card('3'), card('5'), card('K'), card('7')]
-    );
-    const result = playerSplit(state);
-    assert.equal(result.splitHands[0].cards.length, 2);
-    assert.equal(result.splitHands[1].cards.length, 2);
+  it('reaches exactly 21 and goes to dealerTurn (not result)', () => {
+    // 5 + 6 + K = 21
+    const state = makeState([card('5'), card('6')], [card('K')]);
+    const result = playerDouble(state);
+    assert.equal(result.phase, 'dealerTurn');
+    assert.equal(calculateHandTotal(result.playerHand).total, 21);
   });
 
   it('does not mutate original state', () => {
-    const state = makeState(
-      [card('8'), card('8', '♥')],
-      [card('3'), card('5'), card('K'), card('7')]
-    );
-    const originalChips = state.chips;
-    const originalDeckLen = state.deck.length;
+    const state = makeState([card('5'), card('6')], [card('3'), card('4')]);
     const originalHandLen = state.playerHand.length;
-    playerSplit(state);
-    assert.equal(state.chips, originalChips);
-    assert.equal(state.deck.length, originalDeckLen);
+    const originalDeckLen = state.deck.length;
+    const originalBet = state.bet;
+    const originalChips = state.chips;
+    playerDouble(state);
     assert.equal(state.playerHand.length, originalHandLen);
-    assert.equal(state.splitHands, undefined);
+    assert.equal(state.deck.length, originalDeckLen);
+    assert.equal(state.bet, originalBet);
+    assert.equal(state.chips, originalChips);
+    assert.equal(state.phase, 'playing');
   });
 
-  it('preserves dealer hand and other state fields', () => {
-    const state = makeState(
-      [card('8'), card('8', '♥')],
-      [card('3'), card('5'), card('K'), card('7')]
-    );
+  it('preserves other state fields', () => {
+    const state = makeState([card('5'), card('6')], [card('3')]);
     state.reshuffled = true;
-    const result = playerSplit(state);
-    assert.equal(result.dealerHand.length, 2);
+    const result = playerDouble(state);
     assert.equal(result.reshuffled, true);
-    assert.equal(result.bet, 100);
-  });
-
-  it('split with face cards (K + K)', () => {
-    const state = makeState(
-      [card('K'), card('K', '♥')],
-      [card('3'), card('5'), card('7'), card('9')]
-    );
-    const result = playerSplit(state);
-    assert.equal(result.splitHands[0].cards[0].rank, 'K');
-    assert.equal(result.splitHands[1].cards[0].rank, 'K');
-    assert.equal(result.splitHands[0].status, 'playing');
-    assert.equal(result.splitHands[1].status, 'playing');
+    assert.equal(result.dealerHand.length, 2);
   });
 
-  it('works with larger bet ($500 split)', () => {
-    const state = makeState(
-      [card('8'), card('8', '♥')],
-      [card('3'), card('5'), card('K'), card('7')],
-      500
-    );
+  it('works with larger bet amounts ($500 bet doubles to $1000)', () => {
+    const state = makeState([card('5'), card('6')], [card('3')], 500);
     state.chips = 500; // 1000 - 500
-    const result = playerSplit(state);
+    const result = playerDouble(state);
+    assert.equal(result.bet, 1000);
     assert.equal(result.chips, 0); // 500 - 500
-    assert.equal(result.splitHands[0].bet, 500);
-    assert.equal(result.splitHands[1].bet, 500);
   });
 
-  it('dealt cards go to correct hands (deck order)', () => {
-    // Deck: [bottom ... top] — pop() takes from end
-    const topCard = card('K', '♦');
-    const secondCard = card('3', '♣');
-    const state = makeState(
-      [card('8'), card('8', '♥')],
-      [card('2'), card('4'), secondCard, topCard]
-    );
-    const result = playerSplit(state);
-    // First pop (topCard) goes to hand 1
-    assert.equal(result.splitHands[0].cards[1].rank, 'K');
-    assert.equal(result.splitHands[0].cards[1].suit, '♦');
-    // Second pop (secondCard) goes to hand 2
-    assert.equal(result.splitHands[1].cards[1].rank, '3');
-    assert.equal(result.splitHands[1].cards[1].suit, '♣');
+  it('is rejected by getAvailableActions when chips insufficient', () => {
+    const state = makeState([card('5'), card('6')], [card('3')], 100);
+    state.chips = 50; // less than bet, cannot double
+    const actions = getAvailableActions(state);
+    assert.equal(actions.double, false);
+    assert.equal(actions.hit, true);
+    assert.equal(actions.stand, true);
+  });
+
+  it('is rejected by getAvailableActions after first hit (3-card hand)', () => {
+    const state = makeState([card('5'), card('3'), card('2')], [card('4')], 100);
+    const actions = getAvailableActions(state);
+    assert.equal(actions.double, false);
+    assert.equal(actions.hit, true);
+    assert.equal(actions.stand, true);
+  });
+
+  it('is rejected by getAvailableActions after multiple hits (4-card hand)', () => {
+    const state = makeState([card('2'), card('3'), card('4'), card('2', '♥')], [card('5')], 100);
+    const actions = getAvailableActions(state);
+    assert.equal(actions.double, false);
+  });
+
+  it('is rejected during split play', () => {
+    const state = createGameState();
+    state.phase = 'playing';
+    state.bet = 100;
+    state.chips = 800;
+    state.playerHand = [card('8'), card('3')];
+    state.dealerHand = [card('8', '♥'), card('9')];
+    state.deck = [card('5'), card('6'), card('7')];
+    state.splitHands = [
+      { cards: [card('8'), card('3')], bet: 100, status: 'playing' },
+      { cards: [card('8', '♥'), card('K')], bet: 100, status: 'playing' },
+    ];
+    state.activeHandIndex = 0;
+    const actions = getAvailableActions(state);
+    assert.equal(actions.double, false);
   });
 });
 
-// 1.17 — Split hand play-through tests (splitHit, splitStand)
-describe('splitHit', () => {
+// Double-down restriction tests
+describe('double-down rules', () => {
   const card = (rank, suit = '♠') => {
     let value;
     if (rank === 'A') value = 11;
@@ -1969,231 +2132,3689 @@ describe('splitHit', () => {
     return { suit, rank, value };
   };
 
-  const makeSplitState = (hand1Cards, hand2Cards, deckCards, opts = {}) => {
-    const state = createGameState();
-    state.splitHands = [
-      { cards: hand1Cards, bet: opts.bet || 100, status: opts.hand1Status || 'playing' },
-      { cards: hand2Cards, bet: opts.bet || 100, status: opts.hand2Status || 'playing' },
-    ];
-    state.activeHandIndex = opts.activeHandIndex !== undefined ? opts.activeHandIndex : 0;
-    state.dealerHand = opts.dealerHand || [card('8'), card('9')];
-    state.deck = deckCards;
-    state.bet = opts.bet || 100;
-    state.chips = opts.chips !== undefined ? opts.chips : 800;
+  const makeState = (playerCards, rules) => {
+    const state = createGameState(rules);
+    state.playerHand = playerCards;
+    state.dealerHand = [card('8'), card('9')];
+    state.deck = stackDeck(state, [card('4'), card('2'), card('3')]).deck;
+    state.bet = 100;
+    state.chips = 900;
     state.phase = 'playing';
     return state;
   };
 
-  it('draws a card for the active hand', () => {
-    const state = makeSplitState(
-      [card('8'), card('3')],
-      [card('8', '♥'), card('K')],
-      [card('5'), card('7')]
-    );
-    const result = splitHit(state);
-    assert.equal(result.splitHands[0].cards.length, 3);
-    assert.equal(result.splitHands[0].cards[2].rank, '7'); // top of deck (pop)
+  const canDouble = (cards, rules) => getAvailableActions(makeState(cards, rules)).double;
+
+  it('doubles any two cards by default', () => {
+    assert.equal(canDouble([card('10'), card('6')], {}), true);
+    assert.equal(canDouble([card('A'), card('7')], {}), true);
   });
 
-  it('does not modify the inactive hand', () => {
-    const state = makeSplitState(
-      [card('8'), card('3')],
-      [card('8', '♥'), card('K')],
-      [card('5'), card('7')]
-    );
-    const result = splitHit(state);
-    assert.equal(result.splitHands[1].cards.length, 2);
-    assert.equal(result.splitHands[1].status, 'playing');
+  it('9-11 tables double hard 9, 10 and 11 only', () => {
+    const rules = { doubleOn: '9-11' };
+    assert.equal(canDouble([card('5'), card('4')], rules), true);
+    assert.equal(canDouble([card('6'), card('4')], rules), true);
+    assert.equal(canDouble([card('6'), card('5')], rules), true);
+    assert.equal(canDouble([card('5'), card('3')], rules), false);
+    assert.equal(canDouble([card('10'), card('2')], rules), false);
   });
 
-  it('removes one card from deck', () => {
-    const state = makeSplitState(
-      [card('8'), card('3')],
-      [card('8', '♥'), card('K')],
-      [card('5'), card('7'), card('2')]
-    );
-    const result = splitHit(state);
-    assert.equal(result.deck.length, 2);
+  it('10-11 tables refuse a hard 9', () => {
+    const rules = { doubleOn: '10-11' };
+    assert.equal(canDouble([card('5'), card('4')], rules), false);
+    assert.equal(canDouble([card('6'), card('4')], rules), true);
+    assert.equal(canDouble([card('6'), card('5')], rules), true);
   });
 
-  it('keeps status playing when total < 21', () => {
-    const state = makeSplitState(
-      [card('8'), card('3')],
-      [card('8', '♥'), card('K')],
-      [card('5'), card('7')]
-    );
-    const result = splitHit(state);
-    // 8 + 3 + 7 = 18, still playing
-    assert.equal(result.splitHands[0].status, 'playing');
-    assert.equal(result.activeHandIndex, 0);
-    assert.equal(result.phase, 'playing');
+  it('refuses soft doubles under the restrictive presets', () => {
+    // Soft 18 and soft 13 — common doubles, but not hard totals
+    for (const preset of ['european', 'reno']) {
+      assert.equal(canDouble([card('A'), card('7')], RULE_PRESETS[preset]), false, preset);
+      assert.equal(canDouble([card('A'), card('2')], RULE_PRESETS[preset]), false, preset);
+    }
   });
 
-  it('auto-stands at exactly 21', () => {
-    const state = makeSplitState(
-      [card('8'), card('3')],
-      [card('8', '♥'), card('K')],
-      [card('5'), card('K')]
-    );
-    const result = splitHit(state);
-    // 8 + 3 + 10 = 21 → auto-stand, advance to hand 2
-    assert.equal(result.splitHands[0].status, 'stand');
-    assert.equal(result.activeHandIndex, 1);
-    assert.equal(result.phase, 'playing');
+  it('refuses a soft total that only looks like 10 or 11', () => {
+    // A-9-A is soft 21 / hard 11 — soft, so no
+    assert.equal(canDouble([card('A'), card('9'), card('A', '♥')], { doubleOn: '10-11', doubleMaxCards: 3 }), false);
   });
 
-  it('busts when total > 21', () => {
-    const state = makeSplitState(
-      [card('8'), card('6')],
-      [card('8', '♥'), card('K')],
-      [card('5'), card('K')]
-    );
-    const result = splitHit(state);
-    // 8 + 6 + 10 = 24 → bust, advance to hand 2
-    assert.equal(result.splitHands[0].status, 'bust');
-    assert.equal(result.activeHandIndex, 1);
-    assert.equal(result.phase, 'playing');
+  it('playerDouble rejects a restricted double when called directly', () => {
+    const state = makeState([card('A'), card('7')], RULE_PRESETS.reno);
+    assert.equal(playerDouble(state), state);
   });
 
-  it('advances to hand 2 when hand 1 busts', () => {
-    const state = makeSplitState(
-      [card('K'), card('8')],
-      [card('K', '♥'), card('3')],
-      [card('5'), card('K')]
-    );
-    const result = splitHit(state);
-    // K + 8 + K = 28 → bust hand 1, move to hand 2
-    assert.equal(result.activeHandIndex, 1);
-    assert.equal(result.phase, 'playing');
+  it('playerDouble rejects a double the chips cannot cover', () => {
+    const state = { ...makeState([card('5'), card('6')], {}), chips: 50 };
+    assert.equal(playerDouble(state), state);
   });
 
-  it('advances to dealerTurn when both hands are done', () => {
-    // Hand 2 already standing, hand 1 active
-    const state = makeSplitState(
-      [card('8'), card('6')],
-      [card('8', '♥'), card('K')],
-      [card('5'), card('K')],
-      { hand2Status: 'stand' }
-    );
-    const result = splitHit(state);
-    // 8 + 6 + 10 = 24 → bust hand 1, hand 2 already stand → dealerTurn
-    assert.equal(result.splitHands[0].status, 'bust');
-    assert.equal(result.phase, 'dealerTurn');
+  it('refuses three-card doubles by default', () => {
+    const state = playerHit(makeState([card('2'), card('3')], {})); // 2-3-4 = 9
+    assert.equal(getAvailableActions(state).double, false);
+    assert.equal(playerDouble(state), state);
   });
 
-  it('advances to dealerTurn when last hand busts', () => {
-    // Hand 1 already bust, hand 2 active
-    const state = makeSplitState(
-      [card('K'), card('8')],
-      [card('K', '♥'), card('6')],
-      [card('5'), card('K')],
-      { hand1Status: 'bust', activeHandIndex: 1 }
-    );
-    const result = splitHit(state);
-    // K + 6 + K = 26 → bust hand 2, hand 1 already bust → dealerTurn
-    assert.equal(result.splitHands[1].status, 'bust');
-    assert.equal(result.phase, 'dealerTurn');
+  it('doubles three cards when doubleMaxCards allows', () => {
+    const state = playerHit(makeState([card('2'), card('3')], { doubleMaxCards: 3 })); // 2-3-4 = 9
+    assert.equal(getAvailableActions(state).double, true);
+    const result = playerDouble(state);
+    assert.equal(result.bet, 200);
+    assert.equal(result.playerHand.length, 4);
   });
 
-  it('advances to dealerTurn when last hand reaches 21', () => {
-    const state = makeSplitState(
-      [card('K'), card('8')],
-      [card('8', '♥'), card('3')],
-      [card('5'), card('K')],
-      { hand1Status: 'stand', activeHandIndex: 1 }
-    );
-    const result = splitHit(state);
-    // 8 + 3 + K = 21 → auto-stand hand 2, hand 1 already stand → dealerTurn
-    assert.equal(result.splitHands[1].status, 'stand');
-    assert.equal(result.phase, 'dealerTurn');
+  it('the total restriction also applies to multi-card doubles', () => {
+    const state = playerHit(makeState([card('2'), card('3')], { doubleMaxCards: 3, doubleOn: '10-11' })); // 9
+    assert.equal(getAvailableActions(state).double, false);
   });
 
-  it('handles hitting hand 2 directly', () => {
-    const state = makeSplitState(
-      [card('K'), card('8')],
-      [card('8', '♥'), card('3')],
-      [card('5'), card('7')],
-      { hand1Status: 'stand', activeHandIndex: 1 }
-    );
-    const result = splitHit(state);
-    // Hand 2: 8 + 3 + 7 = 18, still playing
-    assert.equal(result.splitHands[1].cards.length, 3);
-    assert.equal(result.splitHands[1].status, 'playing');
+  it('split hands follow the same restrictions', () => {
+    let state = makeState([card('A'), card('A', '♥')], { doubleAfterSplit: true, hitSplitAces: true, doubleOn: '9-11' });
+    state.deck = stackDeck(state, [card('7'), card('8')]).deck; // hands A-7 (soft 18) and A-8 (soft 19)
+    state = playerSplit(state);
+    assert.equal(getAvailableActions(state).splitDouble, false);
+  });
+
+  it('rejects unknown double rules', () => {
+    assert.equal(validateRules({ ...DEFAULT_RULES, doubleOn: '8-11' }).valid, false);
+    assert.equal(validateRules({ ...DEFAULT_RULES, doubleMaxCards: 1 }).valid, false);
+    assert.equal(validateRules({ ...DEFAULT_RULES, doubleMaxCards: -1 }).valid, false);
+  });
+
+  it('doubles any number of cards when doubleMaxCards is 0 (late doubling)', () => {
+    let state = makeState([card('2'), card('3')], { doubleMaxCards: 0 });
+    state.deck = stackDeck(state, [card('3', '♥'), card('2', '♥'), card('A'), card('4')]).deck;
+    state = playerHit(playerHit(state)); // 2-3-3-2 = 10
+    assert.equal(state.playerHand.length, 4);
+    assert.equal(getAvailableActions(state).double, true);
+    const result = playerDouble(state);
+    assert.equal(result.bet, 200);
+    assert.equal(result.playerHand.length, 5);
+  });
+});
+
+// Late surrender tests
+describe('playerSurrender', () => {
+  const card = (rank, suit = '♠') => {
+    let value;
+    if (rank === 'A') value = 11;
+    else if (['J', 'Q', 'K'].includes(rank)) value = 10;
+    else value = parseInt(rank, 10);
+    return { suit, rank, value };
+  };
+
+  const makeState = (playerCards, bet = 100, rules = { surrender: 'late' }) => {
+    const state = createGameState(rules);
+    state.playerHand = playerCards;
+    state.dealerHand = [card('10'), card('7')];
+    state.deck = stackDeck(state, [card('3')]).deck;
+    state.bet = bet;
+    state.chips = 1000 - bet;
+    state.phase = 'playing';
+    return state;
+  };
+
+  it('is available on the first two cards when the table allows late surrender', () => {
+    const actions = getAvailableActions(makeState([card('10'), card('6')]));
+    assert.equal(actions.surrender, true);
+  });
+
+  it('is not available when the table has no surrender', () => {
+    const actions = getAvailableActions(makeState([card('10'), card('6')], 100, { surrender: 'none' }));
+    assert.equal(actions.surrender, false);
+  });
+
+  it('is not available after a hit', () => {
+    const actions = getAvailableActions(makeState([card('10'), card('3'), card('3')]));
+    assert.equal(actions.surrender, false);
+  });
+
+  it('is not available outside the playing phase', () => {
+    const state = makeState([card('10'), card('6')]);
+    state.phase = 'dealerTurn';
+    assert.equal(getAvailableActions(state).surrender, false);
+  });
+
+  it('is not available during split play', () => {
+    const state = makeState([card('8'), card('8', '♥')]);
+    state.splitHands = [
+      { cards: [card('8'), card('3')], bet: 100, status: 'playing' },
+      { cards: [card('8', '♥'), card('K')], bet: 100, status: 'playing' },
+    ];
+    assert.equal(getAvailableActions(state).surrender, false);
+  });
+
+  it('returns half the bet and ends the hand', () => {
+    const result = playerSurrender(makeState([card('10'), card('6')], 100));
+    assert.equal(result.phase, 'result');
+    assert.equal(result.chips, 950); // 900 + 50 back
+    assert.equal(result.result.outcome, 'surrender');
+    assert.equal(result.result.chipChange, -50);
+  });
+
+  it('forfeits the odd dollar on an odd bet ($25 → $12 back)', () => {
+    const result = playerSurrender(makeState([card('10'), card('6')], 25));
+    assert.equal(result.chips, 987); // 975 + 12
+    assert.equal(result.result.chipChange, -13);
+  });
+
+  it('counts a surrender as a lost hand and in its own counter', () => {
+    const result = playerSurrender(makeState([card('10'), card('6')]));
+    assert.equal(result.stats.handsPlayed, 1);
+    assert.equal(result.stats.handsLost, 1);
+    assert.equal(result.stats.surrenders, 1);
+  });
+
+  it('does not draw a card', () => {
+    const state = makeState([card('10'), card('6')]);
+    const result = playerSurrender(state);
+    assert.equal(result.playerHand.length, 2);
+    assert.equal(result.deck.length, state.deck.length);
+  });
+
+  it('returns the state unchanged when surrender is off', () => {
+    const state = makeState([card('10'), card('6')], 100, { surrender: 'none' });
+    assert.equal(playerSurrender(state), state);
+  });
+
+  it('returns the state unchanged after a hit', () => {
+    const state = makeState([card('10'), card('3'), card('3')]);
+    assert.equal(playerSurrender(state), state);
+  });
+
+  it('does not mutate the original state', () => {
+    const state = makeState([card('10'), card('6')]);
+    playerSurrender(state);
+    assert.equal(state.chips, 900);
+    assert.equal(state.phase, 'playing');
+    assert.equal(state.stats.surrenders, 0);
+  });
+
+  it('is offered at the Atlantic City table', () => {
+    const state = makeState([card('10'), card('6')], 100, RULE_PRESETS['atlantic-city']);
+    assert.equal(getAvailableActions(state).surrender, true);
+  });
+});
+
+// Early surrender tests — offered before the dealer's peek
+describe('early surrender', () => {
+  const card = (rank, suit = '♠') => {
+    let value;
+    if (rank === 'A') value = 11;
+    else if (['J', 'Q', 'K'].includes(rank)) value = 10;
+    else value = parseInt(rank, 10);
+    return { suit, rank, value };
+  };
+
+  // dealOrder is in draw order: player, dealer up card, player, hole card —
+  // stacked on a full shoe, as --scenario does
+  const dealState = (dealOrder, rules = { surrender: 'early', insurance: false }) => {
+    const state = createGameState(rules);
+    state.deck = stackDeck(state, dealOrder).deck;
+    state.bet = 100;
+    state.chips = 900;
+    return state;
+  };
+
+  it('dealInitialCards opens the earlySurrender phase', () => {
+    const result = dealInitialCards(dealState(fixture('hard-16-vs-dealer-blackjack.txt')));
+    assert.equal(result.phase, 'earlySurrender');
+  });
+
+  it('is not offered on a player blackjack', () => {
+    const result = dealInitialCards(dealState([card('A'), card('9'), card('K'), card('7')]));
     assert.equal(result.phase, 'playing');
   });
 
-  it('does not mutate original state', () => {
-    const state = makeSplitState(
-      [card('8'), card('3')],
-      [card('8', '♥'), card('K')],
-      [card('5'), card('7')]
-    );
-    const originalDeckLen = state.deck.length;
-    const originalHand1Len = state.splitHands[0].cards.length;
-    splitHit(state);
-    assert.equal(state.deck.length, originalDeckLen);
-    assert.equal(state.splitHands[0].cards.length, originalHand1Len);
+  it('is not offered at late-surrender tables', () => {
+    const result = dealInitialCards(dealState(fixture('hard-16-vs-dealer-blackjack.txt'), { surrender: 'late', insurance: false }));
+    assert.equal(result.phase, 'playing');
   });
 
-  it('handles ace demotion in split hand', () => {
-    const state = makeSplitState(
-      [card('8'), card('A')],
-      [card('8', '♥'), card('K')],
-      [card('5'), card('5')]
-    );
-    const result = splitHit(state);
-    // 8 + A(11) + 5 = 24 → ace demoted → 8 + 1 + 5 = 14
-    const { total } = calculateHandTotal(result.splitHands[0].cards);
-    assert.equal(total, 14);
-    assert.equal(result.splitHands[0].status, 'playing');
+  it('offers only surrender (and quit) while the decision is open', () => {
+    const state = dealInitialCards(dealState(fixture('hard-16-vs-dealer-blackjack.txt')));
+    const actions = getAvailableActions(state);
+    assert.equal(actions.surrender, true);
+    assert.equal(actions.hit, false);
+    assert.equal(actions.stand, false);
+    assert.equal(actions.double, false);
+    assert.equal(actions.split, false);
+    assert.equal(actions.quit, true);
   });
 
-  it('multiple hits on same hand', () => {
-    let state = makeSplitState(
-      [card('2'), card('3')],
-      [card('8', '♥'), card('K')],
-      [card('9'), card('4'), card('2')]
-    );
-    // First hit: 2 + 3 + 2 = 7
-    state = splitHit(state);
-    assert.equal(state.splitHands[0].cards.length, 3);
-    assert.equal(state.splitHands[0].status, 'playing');
-    // Second hit: 2 + 3 + 2 + 4 = 11
-    state = splitHit(state);
-    assert.equal(state.splitHands[0].cards.length, 4);
-    assert.equal(state.splitHands[0].status, 'playing');
-    // Third hit: 2 + 3 + 2 + 4 + 9 = 20
-    state = splitHit(state);
-    assert.equal(state.splitHands[0].cards.length, 5);
-    assert.equal(state.splitHands[0].status, 'playing');
+  it('saves half the bet against a dealer blackjack', () => {
+    const state = dealInitialCards(dealState(fixture('hard-16-vs-dealer-blackjack.txt')));
+    const result = playerSurrender(state);
+    assert.equal(result.phase, 'result');
+    assert.equal(result.chips, 950);
+    assert.equal(result.result.outcome, 'surrender');
+    assert.equal(result.stats.surrenders, 1);
   });
 
-  it('preserves bet and chips', () => {
-    const state = makeSplitState(
-      [card('8'), card('3')],
-      [card('8', '♥'), card('K')],
-      [card('5'), card('7')],
-      { bet: 200, chips: 600 }
-    );
-    const result = splitHit(state);
-    assert.equal(result.bet, 200);
-    assert.equal(result.chips, 600);
+  it('declining moves on to the peek, which finds the dealer blackjack', () => {
+    const state = dealInitialCards(dealState(fixture('hard-16-vs-dealer-blackjack.txt')));
+    const declined = declineSurrender(state);
+    assert.equal(declined.phase, 'playing');
+    const result = checkForBlackjack(declined);
+    assert.equal(result.result.outcome, 'lose');
+    assert.equal(result.chips, 900);
   });
 
-  it('preserves dealer hand', () => {
-    const state = makeSplitState(
-      [card('8'), card('3')],
-      [card('8', '♥'), card('K')],
-      [card('5'), card('7')],
-      { dealerHand: [card('J'), card('7')] }
-    );
-    const result = splitHit(state);
-    assert.equal(result.dealerHand.length, 2);
-    assert.equal(result.dealerHand[0].rank, 'J');
+  it('surrender is not offered again after declining', () => {
+    const state = declineSurrender(dealInitialCards(dealState(fixture('hard-16-vs-dealer-nine.txt'))));
+    assert.equal(getAvailableActions(state).surrender, false);
+    assert.equal(playerSurrender(state), state);
+  });
+
+  it('declineSurrender leaves other phases alone', () => {
+    const state = dealInitialCards(dealState(fixture('hard-16-vs-dealer-nine.txt'), {}));
+    assert.equal(declineSurrender(state), state);
+  });
+});
+
+// European no-hole-card (ENHC) tests
+describe('no hole card (ENHC)', () => {
+  const card = (rank, suit = '♠') => {
+    let value;
+    if (rank === 'A') value = 11;
+    else if (['J', 'Q', 'K'].includes(rank)) value = 10;
+    else value = parseInt(rank, 10);
+    return { suit, rank, value };
+  };
+
+  const makeState = (playerCards, dealerCards, opts = {}) => {
+    const state = createGameState({ holeCard: 'enhc', enhcLosses: opts.enhcLosses || 'all' });
+    state.playerHand = playerCards;
+    state.dealerHand = dealerCards;
+    state.deck = stackDeck(state, opts.draws || [card('2', '♦')]).deck;
+    state.bet = opts.bet || 100;
+    state.chips = opts.chips !== undefined ? opts.chips : 900;
+    state.phase = opts.phase || 'playing';
+    return state;
+  };
+
+  it('dealInitialCards gives the dealer a single card', () => {
+    const state = createGameState(RULE_PRESETS.european);
+    state.deck = shuffleDeck(createShoe(6));
+    const result = dealInitialCards(state);
+    assert.equal(result.playerHand.length, 2);
+    assert.equal(result.dealerHand.length, 1);
+    assert.equal(result.deck.length, 312 - 3);
+  });
+
+  it('checkForBlackjack never finds a dealer blackjack at the deal', () => {
+    const state = makeState([card('K'), card('7')], [card('A')]);
+    assert.equal(checkForBlackjack(state), state);
+  });
+
+  it('pays a player blackjack at once against a small up card', () => {
+    const result = checkForBlackjack(makeState([card('A'), card('K')], [card('6')]));
+    assert.equal(result.phase, 'result');
+    assert.equal(result.result.outcome, 'blackjack');
+    assert.equal(result.result.chipChange, 150);
+  });
+
+  it('a player blackjack against a ten waits for the dealer', () => {
+    const result = checkForBlackjack(makeState([card('A'), card('K')], [card('10')]));
+    assert.equal(result.phase, 'dealerTurn');
+    assert.equal(result.result, null);
+    assert.equal(result.chips, 900);
+  });
+
+  it('a player blackjack against an ace waits for the dealer', () => {
+    const result = checkForBlackjack(makeState([card('A'), card('K')], [card('A', '♥')]));
+    assert.equal(result.phase, 'dealerTurn');
+  });
+
+  it('the dealer draws the second card on its turn', () => {
+    const state = makeState([card('K'), card('7')], [card('10')], { draws: [card('K', '♥')], phase: 'dealerTurn' });
+    assert.equal(isDealerDone(state), false);
+    const result = dealerDrawOne(state);
+    assert.equal(result.dealerHand.length, 2);
+    assert.equal(isDealerDone(result), true);
+  });
+
+  it('waiting player blackjack is paid when the dealer misses', () => {
+    const state = makeState([card('A'), card('K')], [card('10'), card('7')], { phase: 'dealerTurn' });
+    const result = settleRound(state);
+    assert.equal(result.result.outcome, 'blackjack');
+    assert.equal(result.chips, 1150);
+    assert.equal(result.stats.blackjacks, 1);
+  });
+
+  it('waiting player blackjack pushes a dealer blackjack', () => {
+    const state = makeState([card('A'), card('K')], [card('10'), card('A', '♥')], { phase: 'dealerTurn' });
+    const result = settleRound(state);
+    assert.equal(result.result.outcome, 'push');
+    assert.equal(result.chips, 1000);
+  });
+
+  it('dealer blackjack beats a three-card 21', () => {
+    const state = makeState([card('7'), card('7', '♥'), card('7', '♦')], [card('10'), card('A')], { phase: 'dealerTurn' });
+    const result = settleRound(state);
+    assert.equal(result.result.outcome, 'lose');
+    assert.equal(result.result.message, 'Dealer has Blackjack!');
+    assert.equal(result.chips, 900);
+  });
+
+  it('dealer blackjack takes the whole doubled bet', () => {
+    let state = makeState([card('5'), card('6')], [card('10')], { draws: [card('9'), card('A')] });
+    state = playerDouble(state); // draws 9 → 20, bet 200, chips 800
+    state = dealerDrawOne(state); // dealer draws A → blackjack
+    const result = settleRound(state);
+    assert.equal(result.result.outcome, 'lose');
+    assert.equal(result.result.chipChange, -200);
+    assert.equal(result.chips, 800);
+  });
+
+  it('OBO returns the double against a dealer blackjack', () => {
+    let state = makeState([card('5'), card('6')], [card('10')], { draws: [card('9'), card('A')], enhcLosses: 'obo' });
+    state = playerDouble(state);
+    state = dealerDrawOne(state);
+    const result = settleRound(state);
+    assert.equal(result.result.outcome, 'lose');
+    assert.equal(result.result.chipChange, -100);
+    assert.equal(result.chips, 900); // 800 + 100 returned
+    assert.match(result.result.message, /returned/);
+  });
+
+  it('OBO without a double still loses the original bet', () => {
+    const state = makeState([card('10'), card('8')], [card('10'), card('A')], { enhcLosses: 'obo', phase: 'dealerTurn' });
+    const result = settleRound(state);
+    assert.equal(result.result.chipChange, -100);
+    assert.equal(result.chips, 900);
+  });
+
+  it('dealer blackjack takes every split hand', () => {
+    const state = makeState([card('8'), card('8', '♥')], [card('10'), card('A')], { chips: 800, phase: 'dealerTurn' });
+    state.splitHands = [
+      { cards: [card('8'), card('K')], bet: 100, status: 'stand' },
+      { cards: [card('8', '♥'), card('A', '♥'), card('2')], bet: 100, status: 'stand' },
+    ];
+    const result = settleRound(state);
+    assert.equal(result.result.outcome, 'split');
+    assert.equal(result.result.chipChange, -200);
+    assert.equal(result.chips, 800);
+    assert.equal(result.splitHands[0].result.outcome, 'lose');
+    assert.equal(result.splitHands[1].result.outcome, 'lose');
+    assert.equal(result.stats.handsLost, 2);
+    assert.equal(result.stats.handsPlayed, 2);
+  });
+
+  it('OBO returns the split bet against a dealer blackjack', () => {
+    const state = makeState([card('8'), card('8', '♥')], [card('10'), card('A')], {
+      chips: 800, phase: 'dealerTurn', enhcLosses: 'obo',
+    });
+    state.splitHands = [
+      { cards: [card('8'), card('K')], bet: 100, status: 'stand' },
+      { cards: [card('8', '♥'), card('9')], bet: 100, status: 'stand' },
+    ];
+    const result = settleRound(state);
+    assert.equal(result.result.chipChange, -100);
+    assert.equal(result.chips, 900);
+    assert.equal(result.splitHands[0].result.chipChange, -100);
+    assert.equal(result.splitHands[1].result.outcome, 'push');
+    assert.equal(result.stats.handsLost, 1);
+    assert.equal(result.stats.handsPushed, 1);
+  });
+
+  it('settles normally when the dealer does not make blackjack', () => {
+    const state = makeState([card('10'), card('9')], [card('10'), card('8')], { phase: 'dealerTurn' });
+    const result = settleRound(state);
+    assert.equal(result.result.outcome, 'win');
+    assert.equal(result.chips, 1100);
+  });
+
+  it('a two-card 21 after a split is not a blackjack', () => {
+    const state = makeState([card('A'), card('A', '♥')], [card('10'), card('7')], { chips: 800, phase: 'dealerTurn' });
+    state.splitHands = [
+      { cards: [card('A'), card('K')], bet: 100, status: 'stand' },
+      { cards: [card('A', '♥'), card('5')], bet: 100, status: 'stand' },
+    ];
+    const result = settleRound(state);
+    assert.equal(result.splitHands[0].result.chipChange, 100);
+    assert.equal(result.stats.blackjacks, 0);
+  });
+});
+
+// 4.5 — Dealer logic tests
+describe('insurance and even money', () => {
+  const card = (rank, suit = '♠') => {
+    let value;
+    if (rank === 'A') value = 11;
+    else if (['J', 'Q', 'K'].includes(rank)) value = 10;
+    else value = parseInt(rank, 10);
+    return { suit, rank, value };
+  };
+
+  // dealOrder is in draw order: player, dealer up card, player, hole card —
+  // stacked on a full shoe, as --scenario does
+  const dealState = (dealOrder, rules = { insurance: true }) => {
+    const state = createGameState(rules);
+    state.deck = stackDeck(state, dealOrder).deck;
+    state.bet = 100;
+    state.chips = 900;
+    return state;
+  };
+
+  it('dealInitialCards opens the insurance phase against a dealer ace', () => {
+    const result = dealInitialCards(dealState(fixture('hard-16-vs-dealer-blackjack.txt')));
+    assert.equal(result.phase, 'insurance');
+    assert.equal(result.insurance, null);
+  });
+
+  it('is not offered when the dealer shows a ten', () => {
+    const result = dealInitialCards(dealState(fixture('hard-16-vs-dealer-ten.txt')));
+    assert.equal(result.phase, 'playing');
+  });
+
+  it('is not offered when the table rule is off', () => {
+    const result = dealInitialCards(dealState(fixture('hard-16-vs-dealer-blackjack.txt'), { insurance: false }));
+    assert.equal(result.phase, 'playing');
+  });
+
+  it('is not offered at no-hole-card tables', () => {
+    const result = dealInitialCards(dealState(
+      [card('10'), card('A'), card('6')],
+      { insurance: true, holeCard: 'enhc' },
+    ));
+    assert.equal(result.phase, 'playing');
+  });
+
+  it('offers insurance, not even money, on an ordinary hand', () => {
+    const actions = getAvailableActions(dealInitialCards(dealState(fixture('hard-16-vs-dealer-blackjack.txt'))));
+    assert.equal(actions.insurance, true);
+    assert.equal(actions.evenMoney, false);
+    assert.equal(actions.hit, false);
+    assert.equal(actions.stand, false);
+    assert.equal(actions.quit, true);
+  });
+
+  it('offers even money, not insurance, on a player blackjack', () => {
+    const actions = getAvailableActions(dealInitialCards(dealState(fixture('blackjack-vs-dealer-ace.txt'))));
+    assert.equal(actions.evenMoney, true);
+    assert.equal(actions.insurance, false);
+  });
+
+  it('caps insurance at half the bet', () => {
+    const state = dealInitialCards(dealState(fixture('hard-16-vs-dealer-blackjack.txt')));
+    assert.equal(maxInsurance(state), 50);
+    const result = placeInsurance(state, 51);
+    assert.equal(result.valid, false);
+    assert.equal(result.error, 'Insurance is limited to $50.');
+  });
+
+  it('caps insurance at the chips in hand', () => {
+    const state = { ...dealInitialCards(dealState(fixture('hard-16-vs-dealer-blackjack.txt'))), chips: 30 };
+    assert.equal(maxInsurance(state), 30);
+  });
+
+  it('rejects zero, negative, and fractional insurance', () => {
+    const state = dealInitialCards(dealState(fixture('hard-16-vs-dealer-blackjack.txt')));
+    assert.equal(placeInsurance(state, 0).valid, false);
+    assert.equal(placeInsurance(state, -5).valid, false);
+    assert.equal(placeInsurance(state, 12.5).valid, false);
+  });
+
+  it('rejects insurance outside the insurance phase', () => {
+    const state = dealInitialCards(dealState(fixture('hard-16-vs-dealer-ten.txt')));
+    const result = placeInsurance(state, 50);
+    assert.equal(result.valid, false);
+    assert.equal(result.error, 'Insurance is not on offer.');
+  });
+
+  it('placing insurance deducts it from chips and moves on to play', () => {
+    const state = dealInitialCards(dealState(fixture('hard-16-vs-dealer-blackjack.txt')));
+    const result = placeInsurance(state, 50);
+    assert.equal(result.valid, true);
+    assert.equal(result.state.chips, 850);
+    assert.deepEqual(result.state.insurance, { bet: 50 });
+    assert.equal(result.state.phase, 'playing');
+  });
+
+  it('insurance pays 2:1 against a dealer blackjack', () => {
+    const state = dealInitialCards(dealState(fixture('hard-16-vs-dealer-blackjack.txt')));
+    const result = checkForBlackjack(placeInsurance(state, 50).state);
+    assert.equal(result.phase, 'result');
+    assert.equal(result.result.outcome, 'lose');
+    // Main bet lost, insurance returned plus 100: breaks even on the hand
+    assert.equal(result.chips, 1000);
+    assert.deepEqual(result.insurance, { bet: 50, outcome: 'won', chipChange: 100 });
+    assert.equal(result.stats.insuranceWon, 1);
+  });
+
+  it('insurance is lost when the dealer has no blackjack and play goes on', () => {
+    const state = dealInitialCards(dealState(fixture('hard-16-vs-dealer-ace.txt')));
+    const result = checkForBlackjack(placeInsurance(state, 50).state);
+    assert.equal(result.phase, 'playing');
+    assert.equal(result.chips, 850);
+    assert.deepEqual(result.insurance, { bet: 50, outcome: 'lost', chipChange: -50 });
+    assert.equal(result.stats.insuranceLost, 1);
+  });
+
+  it('insurance is settled only once', () => {
+    const state = dealInitialCards(dealState(fixture('hard-16-vs-dealer-ace.txt')));
+    const once = checkForBlackjack(placeInsurance(state, 50).state);
+    const twice = checkForBlackjack(once);
+    assert.equal(twice.stats.insuranceLost, 1);
+  });
+
+  it('declining insurance moves on to the peek', () => {
+    const state = dealInitialCards(dealState(fixture('hard-16-vs-dealer-blackjack.txt')));
+    const declined = declineInsurance(state);
+    assert.equal(declined.phase, 'playing');
+    assert.equal(declined.insurance, null);
+    const result = checkForBlackjack(declined);
+    assert.equal(result.chips, 900);
+    assert.equal(result.stats.insuranceLost, 0);
+  });
+
+  it('declineInsurance is a no-op outside the insurance phase', () => {
+    const state = { ...createGameState(), phase: 'playing' };
+    assert.equal(declineInsurance(state), state);
+  });
+
+  it('even money pays 1:1 at once', () => {
+    const state = dealInitialCards(dealState(fixture('blackjack-vs-dealer-ace.txt')));
+    const result = takeEvenMoney(state);
+    assert.equal(result.phase, 'result');
+    assert.equal(result.chips, 1100);
+    assert.equal(result.result.outcome, 'evenMoney');
+    assert.equal(result.result.chipChange, 100);
+    assert.equal(result.stats.handsWon, 1);
+    assert.equal(result.stats.blackjacks, 1);
+  });
+
+  it('even money is paid even when the dealer has blackjack', () => {
+    const state = dealInitialCards(dealState(fixture('blackjack-vs-dealer-blackjack.json')));
+    assert.equal(takeEvenMoney(state).chips, 1100);
+  });
+
+  it('declining even money risks a push against a dealer blackjack', () => {
+    const state = dealInitialCards(dealState(fixture('blackjack-vs-dealer-blackjack.json')));
+    const result = checkForBlackjack(declineInsurance(state));
+    assert.equal(result.result.outcome, 'push');
+    assert.equal(result.chips, 1000);
+  });
+
+  it('takeEvenMoney is a no-op without a player blackjack', () => {
+    const state = dealInitialCards(dealState(fixture('hard-16-vs-dealer-blackjack.txt')));
+    assert.equal(takeEvenMoney(state), state);
+  });
+
+  it('follows a declined early surrender', () => {
+    const state = dealInitialCards(dealState(
+      fixture('hard-16-vs-dealer-blackjack.txt'),
+      { insurance: true, surrender: 'early' },
+    ));
+    assert.equal(state.phase, 'earlySurrender');
+    assert.equal(declineSurrender(state).phase, 'insurance');
+  });
+
+  it('the next deal clears the previous insurance bet', () => {
+    const state = dealInitialCards(dealState(fixture('hard-16-vs-dealer-ace.txt')));
+    const played = checkForBlackjack(placeInsurance(state, 50).state);
+    const next = dealInitialCards({ ...played, bet: 100 });
+    assert.equal(next.insurance, null);
+  });
+});
+
+describe('isDealerDone', () => {
+  const card = (rank, suit = '♠') => {
+    let value;
+    if (rank === 'A') value = 11;
+    else if (['J', 'Q', 'K'].includes(rank)) value = 10;
+    else value = parseInt(rank, 10);
+    return { suit, rank, value };
+  };
+
+  const makeState = (dealerCards) => {
+    const state = createGameState();
+    state.dealerHand = dealerCards;
+    state.phase = 'dealerTurn';
+    return state;
+  };
+
+  it('returns false when dealer total is below 17', () => {
+    const state = makeState([card('8'), card('5')]); // 13
+    assert.equal(isDealerDone(state), false);
+  });
+
+  it('returns false when dealer total is 16', () => {
+    const state = makeState([card('10'), card('6')]); // 16
+    assert.equal(isDealerDone(state), false);
+  });
+
+  it('returns true when dealer total is exactly 17', () => {
+    const state = makeState([card('10'), card('7')]); // 17
+    assert.equal(isDealerDone(state), true);
+  });
+
+  it('returns true when dealer total is 18', () => {
+    const state = makeState([card('10'), card('8')]); // 18
+    assert.equal(isDealerDone(state), true);
+  });
+
+  it('returns true when dealer total is 21', () => {
+    const state = makeState([card('A'), card('K')]); // 21
+    assert.equal(isDealerDone(state), true);
+  });
+
+  it('returns true when dealer has busted (total > 21)', () => {
+    const state = makeState([card('K'), card('Q'), card('5')]); // 25
+    assert.equal(isDealerDone(state), true);
+  });
+
+  it('stands on soft 17 (A + 6 = soft 17)', () => {
+    const state = makeState([card('A'), card('6')]); // soft 17
+    assert.equal(isDealerDone(state), true);
+  });
+
+  it('stands on soft 18 (A + 7 = soft 18)', () => {
+    const state = makeState([card('A'), card('7')]); // soft 18
+    assert.equal(isDealerDone(state), true);
+  });
+
+  it('returns false when dealer has only low cards (2 + 3 = 5)', () => {
+    const state = makeState([card('2'), card('3')]); // 5
+    assert.equal(isDealerDone(state), false);
+  });
+
+  it('returns true with multi-card 17 (5 + 6 + 6 = 17)', () => {
+    const state = makeState([card('5'), card('6'), card('6')]); // 17
+    assert.equal(isDealerDone(state), true);
+  });
+
+  it('returns true with ace demoted to 1 (A + 9 + 8 = 18)', () => {
+    // A(11) + 9 + 8 = 28 → A(1) + 9 + 8 = 18
+    const state = makeState([card('A'), card('9'), card('8')]); // 18
+    assert.equal(isDealerDone(state), true);
+  });
+
+  describe('when the dealer hits soft 17 (H17)', () => {
+    const makeH17State = (dealerCards) => {
+      const state = createGameState({ dealerHitsSoft17: true });
+      state.dealerHand = dealerCards;
+      state.phase = 'dealerTurn';
+      return state;
+    };
+
+    it('hits soft 17 (A + 6)', () => {
+      assert.equal(isDealerDone(makeH17State([card('A'), card('6')])), false);
+    });
+
+    it('hits multi-card soft 17 (A + 2 + 4)', () => {
+      assert.equal(isDealerDone(makeH17State([card('A'), card('2'), card('4')])), false);
+    });
+
+    it('stands on hard 17 (10 + 7)', () => {
+      assert.equal(isDealerDone(makeH17State([card('10'), card('7')])), true);
+    });
+
+    it('stands on hard 17 that contains a demoted ace (A + 6 + K)', () => {
+      assert.equal(isDealerDone(makeH17State([card('A'), card('6'), card('K')])), true);
+    });
+
+    it('stands on soft 18 (A + 7)', () => {
+      assert.equal(isDealerDone(makeH17State([card('A'), card('7')])), true);
+    });
+
+    it('still hits 16', () => {
+      assert.equal(isDealerDone(makeH17State([card('10'), card('6')])), false);
+    });
+
+    it('draws past soft 17 with dealerDrawOne until standing', () => {
+      let state = makeH17State([card('A'), card('6')]);
+      state.deck = stackDeck(state, [card('2')]).deck;
+      state = dealerDrawOne(state); // A + 6 + 2 = soft 19
+      assert.equal(isDealerDone(state), true);
+      assert.equal(calculateHandTotal(state.dealerHand).total, 19);
+    });
+
+    it('the downtown preset deals H17', () => {
+      const state = createGameState(RULE_PRESETS.downtown);
+      state.dealerHand = [card('A'), card('6')];
+      assert.equal(isDealerDone(state), false);
+    });
+  });
+});
+
+describe('dealerDrawOne', () => {
+  const card = (rank, suit = '♠') => {
+    let value;
+    if (rank === 'A') value = 11;
+    else if (['J', 'Q', 'K'].includes(rank)) value = 10;
+    else value = parseInt(rank, 10);
+    return { suit, rank, value };
+  };
+
+  const makeState = (dealerCards, deckCards) => {
+    const state = createGameState();
+    state.dealerHand = dealerCards;
+    state.playerHand = [card('K'), card('7')]; // player has 17
+    state.deck = deckCards;
+    state.bet = 100;
+    state.chips = 900;
+    state.phase = 'dealerTurn';
+    return state;
+  };
+
+  it('draws one card from the deck and adds to dealer hand', () => {
+    const state = makeState([card('8'), card('5')], [card('3'), card('4'), card('2')]);
+    const result = dealerDrawOne(state);
+    assert.equal(result.dealerHand.length, 3);
+    assert.equal(result.deck.length, 2);
+  });
+
+  it('draws the top card (last element) from the deck', () => {
+    const topCard = card('K', '♥');
+    const state = makeState([card('8'), card('5')], [card('3'), topCard]);
+    const result = dealerDrawOne(state);
+    assert.equal(result.dealerHand[2].rank, 'K');
+    assert.equal(result.dealerHand[2].suit, '♥');
+  });
+
+  it('does not change the phase', () => {
+    const state = makeState([card('8'), card('5')], [card('3')]);
+    const result = dealerDrawOne(state);
+    assert.equal(result.phase, 'dealerTurn');
+  });
+
+  it('does not mutate original state', () => {
+    const state = makeState([card('8'), card('5')], [card('3'), card('4')]);
+    const originalHandLen = state.dealerHand.length;
+    const originalDeckLen = state.deck.length;
+    dealerDrawOne(state);
+    assert.equal(state.dealerHand.length, originalHandLen);
+    assert.equal(state.deck.length, originalDeckLen);
+  });
+
+  it('preserves player hand unchanged', () => {
+    const state = makeState([card('8'), card('5')], [card('3')]);
+    const result = dealerDrawOne(state);
+    assert.equal(result.playerHand.length, 2);
+    assert.equal(result.playerHand[0].rank, 'K');
+    assert.equal(result.playerHand[1].rank, '7');
+  });
+
+  it('preserves chips and bet unchanged', () => {
+    const state = makeState([card('8'), card('5')], [card('3')]);
+    const result = dealerDrawOne(state);
+    assert.equal(result.chips, 900);
+    assert.equal(result.bet, 100);
+  });
+
+  it('preserves stats unchanged', () => {
+    const state = makeState([card('8'), card('5')], [card('3')]);
+    state.stats.handsPlayed = 5;
+    const result = dealerDrawOne(state);
+    assert.equal(result.stats.handsPlayed, 5);
+  });
+
+  it('can be called multiple times to draw multiple cards', () => {
+    const state = makeState(
+      [card('2'), card('3')], // dealer: 5
+      [card('4'), card('6'), card('K')] // deck
+    );
+    let current = dealerDrawOne(state); // draws K → 15
+    assert.equal(current.dealerHand.length, 3);
+    assert.equal(isDealerDone(current), false);
+
+    current = dealerDrawOne(current); // draws 6 → 21
+    assert.equal(current.dealerHand.length, 4);
+    assert.equal(isDealerDone(current), true);
+  });
+
+  it('works with dealer bust scenario across multiple draws', () => {
+    const state = makeState(
+      [card('10'), card('6')], // dealer: 16
+      [card('9')] // deck — will draw 9 → 25 bust
+    );
+    const result = dealerDrawOne(state);
+    assert.equal(calculateHandTotal(result.dealerHand).total, 25);
+    assert.equal(isDealerDone(result), true);
+  });
+
+  it('preserves reshuffled flag', () => {
+    const state = makeState([card('8'), card('5')], [card('3')]);
+    state.reshuffled = true;
+    const result = dealerDrawOne(state);
+    assert.equal(result.reshuffled, true);
+  });
+});
+
+// 4.6 — Bet settlement tests
+describe('settleRound', () => {
+  const card = (rank, suit = '♠') => {
+    let value;
+    if (rank === 'A') value = 11;
+    else if (['J', 'Q', 'K'].includes(rank)) value = 10;
+    else value = parseInt(rank, 10);
+    return { suit, rank, value };
+  };
+
+  const makeState = (playerCards, dealerCards, bet = 100) => {
+    const state = createGameState();
+    state.playerHand = playerCards;
+    state.dealerHand = dealerCards;
+    state.bet = bet;
+    state.chips = 900; // 1000 - 100 bet
+    state.phase = 'dealerTurn';
+    state.deck = [card('2'), card('3')]; // leftover deck
+    return state;
+  };
+
+  it('player wins 1:1 when player total > dealer total', () => {
+    // Player: 20, Dealer: 18
+    const state = makeState([card('K'), card('Q')], [card('10'), card('8')]);
+    const result = settleRound(state);
+    assert.equal(result.result.outcome, 'win');
+    assert.equal(result.result.chipChange, 100);
+    assert.equal(result.chips, 1100); // 900 + 100 (bet returned) + 100 (win)
+  });
+
+  it('dealer wins when dealer total > player total', () => {
+    // Player: 17, Dealer: 19
+    const state = makeState([card('10'), card('7')], [card('K'), card('9')]);
+    const result = settleRound(state);
+    assert.equal(result.result.outcome, 'lose');
+    assert.equal(result.result.chipChange, -100);
+    assert.equal(result.chips, 900); // bet already deducted
+  });
+
+  it('push when totals are equal (bet returned)', () => {
+    // Player: 18, Dealer: 18
+    const state = makeState([card('10'), card('8')], [card('K'), card('8', '♥')]);
+    const result = settleRound(state);
+    assert.equal(result.result.outcome, 'push');
+    assert.equal(result.result.chipChange, 0);
+    assert.equal(result.chips, 1000); // 900 + 100 (bet returned)
+  });
+
+  it('player wins when dealer busts', () => {
+    // Player: 15, Dealer: 25 (bust)
+    const state = makeState([card('10'), card('5')], [card('K'), card('Q'), card('5', '♥')]);
+    const result = settleRound(state);
+    assert.equal(result.result.outcome, 'win');
+    assert.equal(result.result.message, 'Dealer busts!');
+    assert.equal(result.result.chipChange, 100);
+    assert.equal(result.chips, 1100);
+  });
+
+  it('sets phase to result', () => {
+    const state = makeState([card('K'), card('Q')], [card('10'), card('8')]);
+    const result = settleRound(state);
+    assert.equal(result.phase, 'result');
+  });
+
+  it('handles larger bets correctly ($500 win)', () => {
+    const state = makeState([card('K'), card('Q')], [card('10'), card('8')], 500);
+    state.chips = 500; // 1000 - 500
+    const result = settleRound(state);
+    assert.equal(result.result.chipChange, 500);
+    assert.equal(result.chips, 1500); // 500 + 500 + 500
+  });
+
+  it('handles larger bets correctly ($500 loss)', () => {
+    const state = makeState([card('10'), card('7')], [card('K'), card('9')], 500);
+    state.chips = 500;
+    const result = settleRound(state);
+    assert.equal(result.result.chipChange, -500);
+    assert.equal(result.chips, 500); // bet already gone
+  });
+
+  it('push at 21 (both have 21 from multi-card hands)', () => {
+    // Player: 7+7+7=21, Dealer: 10+5+6=21
+    const state = makeState(
+      [card('7'), card('7', '♥'), card('7', '♦')],
+      [card('10'), card('5'), card('6')]
+    );
+    const result = settleRound(state);
+    assert.equal(result.result.outcome, 'push');
+    assert.equal(result.result.chipChange, 0);
+  });
+
+  it('updates stats.handsPlayed on win', () => {
+    const state = makeState([card('K'), card('Q')], [card('10'), card('8')]);
+    const result = settleRound(state);
+    assert.equal(result.stats.handsPlayed, 1);
+    assert.equal(result.stats.handsWon, 1);
+  });
+
+  it('updates stats.handsPlayed on loss', () => {
+    const state = makeState([card('10'), card('7')], [card('K'), card('9')]);
+    const result = settleRound(state);
+    assert.equal(result.stats.handsPlayed, 1);
+    assert.equal(result.stats.handsLost, 1);
+  });
+
+  it('updates stats.handsPushed on push', () => {
+    const state = makeState([card('10'), card('8')], [card('K'), card('8', '♥')]);
+    const result = settleRound(state);
+    assert.equal(result.stats.handsPlayed, 1);
+    assert.equal(result.stats.handsPushed, 1);
+  });
+
+  it('updates peakChips when winning increases chip count', () => {
+    const state = makeState([card('K'), card('Q')], [card('10'), card('8')], 200);
+    state.chips = 800; // 1000 - 200
+    const result = settleRound(state);
+    assert.equal(result.stats.peakChips, 1200); // 800 + 200 + 200
+  });
+
+  it('does not increase peakChips on loss', () => {
+    const state = makeState([card('10'), card('7')], [card('K'), card('9')]);
+    state.stats.peakChips = 1500; // previous peak
+    const result = settleRound(state);
+    assert.equal(result.stats.peakChips, 1500); // unchanged
+  });
+
+  it('accumulates stats across multiple rounds', () => {
+    const state = makeState([card('K'), card('Q')], [card('10'), card('8')]);
+    state.stats.handsPlayed = 5;
+    state.stats.handsWon = 3;
+    state.stats.handsLost = 1;
+    state.stats.handsPushed = 1;
+    const result = settleRound(state);
+    assert.equal(result.stats.handsPlayed, 6);
+    assert.equal(result.stats.handsWon, 4);
+    assert.equal(result.stats.handsLost, 1);
+    assert.equal(result.stats.handsPushed, 1);
+  });
+
+  it('does not mutate original state', () => {
+    const state = makeState([card('K'), card('Q')], [card('10'), card('8')]);
+    const originalChips = state.chips;
+    const originalPhase = state.phase;
+    settleRound(state);
+    assert.equal(state.chips, originalChips);
+    assert.equal(state.phase, originalPhase);
+    assert.equal(state.result, null);
+    assert.equal(state.stats.handsPlayed, 0);
+  });
+
+  it('preserves other state fields', () => {
+    const state = makeState([card('K'), card('Q')], [card('10'), card('8')]);
+    state.reshuffled = true;
+    const result = settleRound(state);
+    assert.equal(result.reshuffled, true);
+    assert.equal(result.deck.length, 2);
+    assert.equal(result.bet, 100);
+  });
+
+  it('player wins with soft hand vs dealer', () => {
+    // Player: A+8 = soft 19, Dealer: 10+8 = 18
+    const state = makeState([card('A'), card('8')], [card('10'), card('8', '♥')]);
+    const result = settleRound(state);
+    assert.equal(result.result.outcome, 'win');
+  });
+
+  it('dealer wins with higher soft hand', () => {
+    // Player: 10+7 = 17, Dealer: A+8 = soft 19
+    const state = makeState([card('10'), card('7')], [card('A'), card('8')]);
+    const result = settleRound(state);
+    assert.equal(result.result.outcome, 'lose');
+  });
+
+  it('does not count dealer bust win as blackjack', () => {
+    const state = makeState([card('10'), card('5')], [card('K'), card('Q'), card('5', '♥')]);
+    const result = settleRound(state);
+    assert.equal(result.stats.blackjacks, 0);
+  });
+});
+
+// 4.9 — Stats tests (getWinRate)
+describe('getWinRate', () => {
+  it('returns "0.0" when no hands played', () => {
+    const stats = createGameState().stats;
+    assert.equal(getWinRate(stats), '0.0');
+  });
+
+  it('calculates 100% win rate correctly', () => {
+    const stats = { ...createGameState().stats, handsPlayed: 5, handsWon: 5 };
+    assert.equal(getWinRate(stats), '100.0');
+  });
+
+  it('calculates 0% win rate correctly', () => {
+    const stats = { ...createGameState().stats, handsPlayed: 5, handsWon: 0 };
+    assert.equal(getWinRate(stats), '0.0');
+  });
+
+  it('calculates 50% win rate correctly', () => {
+    const stats = { ...createGameState().stats, handsPlayed: 10, handsWon: 5 };
+    assert.equal(getWinRate(stats), '50.0');
+  });
+
+  it('calculates fractional win rate with one decimal', () => {
+    const stats = { ...createGameState().stats, handsPlayed: 3, handsWon: 1 };
+    assert.equal(getWinRate(stats), '33.3');
+  });
+
+  it('calculates 66.7% win rate', () => {
+    const stats = { ...createGameState().stats, handsPlayed: 3, handsWon: 2 };
+    assert.equal(getWinRate(stats), '66.7');
+  });
+
+  it('returns string type', () => {
+    const stats = { ...createGameState().stats, handsPlayed: 5, handsWon: 3 };
+    assert.equal(typeof getWinRate(stats), 'string');
+  });
+});
+
+// 4.7 — Bet validation tests
+describe('placeBet', () => {
+  const makeState = (chips = 1000) => {
+    const state = createGameState();
+    state.chips = chips;
+    state.phase = 'betting';
+    return state;
+  };
+
+  it('accepts a valid bet of $100', () => {
+    const state = makeState(1000);
+    const result = placeBet(state, 100);
+    assert.equal(result.valid, true);
+    assert.equal(result.state.bet, 100);
+    assert.equal(result.state.chips, 900);
+    assert.equal(result.state.phase, 'playing');
+  });
+
+  it('accepts the minimum bet of $10', () => {
+    const state = makeState(1000);
+    const result = placeBet(state, 10);
+    assert.equal(result.valid, true);
+    assert.equal(result.state.bet, 10);
+    assert.equal(result.state.chips, 990);
+  });
+
+  it('accepts the maximum bet of $500', () => {
+    const state = makeState(1000);
+    const result = placeBet(state, 500);
+    assert.equal(result.valid, true);
+    assert.equal(result.state.bet, 500);
+    assert.equal(result.state.chips, 500);
+  });
+
+  it('accepts a bet equal to available chips when under max', () => {
+    const state = makeState(200);
+    const result = placeBet(state, 200);
+    assert.equal(result.valid, true);
+    assert.equal(result.state.chips, 0);
+  });
+
+  it('rejects bet below minimum ($9)', () => {
+    const state = makeState(1000);
+    const result = placeBet(state, 9);
+    assert.equal(result.valid, false);
+    assert.ok(result.error.includes('Minimum'));
+  });
+
+  it('rejects bet above maximum ($501)', () => {
+    const state = makeState(1000);
+    const result = placeBet(state, 501);
+    assert.equal(result.valid, false);
+    assert.ok(result.error.includes('Maximum'));
+  });
+
+  it('rejects bet exceeding available chips', () => {
+    const state = makeState(50);
+    const result = placeBet(state, 100);
+    assert.equal(result.valid, false);
+    assert.ok(result.error.includes('50'));
+  });
+
+  it('rejects non-integer bet (decimal)', () => {
+    const state = makeState(1000);
+    const result = placeBet(state, 50.5);
+    assert.equal(result.valid, false);
+    assert.ok(result.error.includes('whole number'));
+  });
+
+  it('rejects zero bet', () => {
+    const state = makeState(1000);
+    const result = placeBet(state, 0);
+    assert.equal(result.valid, false);
+  });
+
+  it('rejects negative bet', () => {
+    const state = makeState(1000);
+    const result = placeBet(state, -50);
+    assert.equal(result.valid, false);
+  });
+
+  it('rejects NaN', () => {
+    const state = makeState(1000);
+    const result = placeBet(state, NaN);
+    assert.equal(result.valid, false);
+  });
+
+  it('rejects Infinity', () => {
+    const state = makeState(1000);
+    const result = placeBet(state, Infinity);
+    assert.equal(result.valid, false);
+  });
+
+  it('does not mutate original state on valid bet', () => {
+    const state = makeState(1000);
+    const originalChips = state.chips;
+    placeBet(state, 100);
+    assert.equal(state.chips, originalChips);
+    assert.equal(state.bet, 0);
+    assert.equal(state.phase, 'betting');
+  });
+
+  it('does not return state on invalid bet', () => {
+    const state = makeState(1000);
+    const result = placeBet(state, 5);
+    assert.equal(result.state, undefined);
+  });
+
+  it('preserves stats and other state fields on valid bet', () => {
+    const state = makeState(1000);
+    state.stats.handsPlayed = 5;
+    state.stats.handsWon = 3;
+    state.reshuffled = true;
+    const result = placeBet(state, 100);
+    assert.equal(result.state.stats.handsPlayed, 5);
+    assert.equal(result.state.stats.handsWon, 3);
+    assert.equal(result.state.reshuffled, true);
+  });
+
+  it('advances phase to playing on valid bet', () => {
+    const state = makeState(1000);
+    const result = placeBet(state, 100);
+    assert.equal(result.state.phase, 'playing');
+  });
+});
+
+// 4.13 — Game over tests
+describe('checkGameOver', () => {
+  const makeState = (chips, phase = 'result') => {
+    const state = createGameState();
+    state.chips = chips;
+    state.phase = phase;
+    state.result = { outcome: 'lose', message: 'Dealer wins.', chipChange: -100 };
+    state.stats.handsPlayed = 5;
+    state.stats.handsLost = 3;
+    return state;
+  };
+
+  it('sets phase to gameOver when chips < $10', () => {
+    const state = makeState(9);
+    const result = checkGameOver(state);
+    assert.equal(result.phase, 'gameOver');
+  });
+
+  it('sets phase to gameOver when chips are 0', () => {
+    const state = makeState(0);
+    const result = checkGameOver(state);
+    assert.equal(result.phase, 'gameOver');
+  });
+
+  it('sets phase to gameOver when chips are $1', () => {
+    const state = makeState(1);
+    const result = checkGameOver(state);
+    assert.equal(result.phase, 'gameOver');
+  });
+
+  it('does NOT set gameOver when chips are exactly $10', () => {
+    const state = makeState(10);
+    const result = checkGameOver(state);
+    assert.notEqual(result.phase, 'gameOver');
+    assert.equal(result.phase, 'result');
+  });
+
+  it('does NOT set gameOver when chips are above $10', () => {
+    const state = makeState(500);
+    const result = checkGameOver(state);
+    assert.equal(result.phase, 'result');
+  });
+
+  it('does NOT set gameOver when chips are $1000', () => {
+    const state = makeState(1000);
+    const result = checkGameOver(state);
+    assert.equal(result.phase, 'result');
+  });
+
+  it('preserves all other state fields', () => {
+    const state = makeState(5);
+    state.reshuffled = true;
+    state.bet = 100;
+    const result = checkGameOver(state);
+    assert.equal(result.phase, 'gameOver');
+    assert.equal(result.chips, 5);
+    assert.equal(result.reshuffled, true);
+    assert.equal(result.bet, 100);
+    assert.equal(result.stats.handsPlayed, 5);
+    assert.equal(result.stats.handsLost, 3);
+    assert.deepEqual(result.result, { outcome: 'lose', message: 'Dealer wins.', chipChange: -100 });
+  });
+
+  it('does not mutate original state', () => {
+    const state = makeState(5);
+    const originalPhase = state.phase;
+    checkGameOver(state);
+    assert.equal(state.phase, originalPhase);
+  });
+
+  it('works after settlement where player loses all chips', () => {
+    // Simulate: player had $100 chips, bet $100, lost → chips = 0
+    const state = createGameState();
+    state.chips = 0;
+    state.bet = 100;
+    state.phase = 'result';
+    state.result = { outcome: 'lose', message: 'Dealer wins.', chipChange: -100 };
+    const result = checkGameOver(state);
+    assert.equal(result.phase, 'gameOver');
+  });
+
+  it('needs two minimum bets at a Blackjack Switch table', () => {
+    const switchState = (chips) => ({ ...makeState(chips), rules: { ...DEFAULT_RULES, switchHands: true } });
+    assert.equal(checkGameOver(switchState(15)).phase, 'gameOver');
+    assert.equal(checkGameOver(switchState(20)).phase, 'result');
+  });
+
+  it('works after settlement where player has exactly minimum bet', () => {
+    // Simulate: player won and has exactly $10 left
+    const state = createGameState();
+    state.chips = 10;
+    state.phase = 'result';
+    state.result = { outcome: 'win', message: 'You win!', chipChange: 10 };
+    const result = checkGameOver(state);
+    assert.equal(result.phase, 'result'); // can still play
+  });
+});
+
+// 4.11 — Action availability tests
+describe('getAvailableActions', () => {
+  const card = (rank, suit = '♠') => {
+    let value;
+    if (rank === 'A') value = 11;
+    else if (['J', 'Q', 'K'].includes(rank)) value = 10;
+    else value = parseInt(rank, 10);
+    return { suit, rank, value };
+  };
+
+  const makeState = (playerCards, opts = {}) => {
+    const state = createGameState();
+    state.playerHand = playerCards;
+    state.dealerHand = opts.dealerCards || [card('8'), card('9')];
+    state.deck = opts.deck || shuffleDeck(createDeck());
+    state.bet = opts.bet || 100;
+    state.chips = opts.chips !== undefined ? opts.chips : 900;
+    state.phase = opts.phase || 'playing';
+    if (opts.splitHands !== undefined) state.splitHands = opts.splitHands;
+    return state;
+  };
+
+  it('all actions available on initial 2-card hand with matching ranks and enough chips', () => {
+    const actions = getAvailableActions(makeState([card('8'), card('8', '♥')]));
+    assert.equal(actions.hit, true);
+    assert.equal(actions.stand, true);
+    assert.equal(actions.double, true);
+    assert.equal(actions.split, true);
+    assert.equal(actions.quit, true);
+  });
+
+  it('hit/stand/double available, split NOT available when values differ', () => {
+    const actions = getAvailableActions(makeState([card('8'), card('9')]));
+    assert.equal(actions.hit, true);
+    assert.equal(actions.stand, true);
+    assert.equal(actions.double, true);
+    assert.equal(actions.split, false);
+  });
+
+  it('no hit/stand/double/split when phase is not playing', () => {
+    const actions = getAvailableActions(makeState([card('8'), card('9')], { phase: 'result' }));
+    assert.equal(actions.hit, false);
+    assert.equal(actions.stand, false);
+    assert.equal(actions.double, false);
+    assert.equal(actions.split, false);
+    assert.equal(actions.quit, true);
+  });
+
+  it('no hit/stand/double/split in betting phase', () => {
+    const actions = getAvailableActions(makeState([card('8'), card('9')], { phase: 'betting' }));
+    assert.equal(actions.hit, false);
+    assert.equal(actions.stand, false);
+    assert.equal(actions.double, false);
+    assert.equal(actions.split, false);
+    assert.equal(actions.quit, true);
+  });
+
+  it('no hit/stand/double/split in dealerTurn phase', () => {
+    const actions = getAvailableActions(makeState([card('K'), card('7')], { phase: 'dealerTurn' }));
+    assert.equal(actions.hit, false);
+    assert.equal(actions.stand, false);
+    assert.equal(actions.double, false);
+    assert.equal(actions.split, false);
+  });
+
+  it('no double/split after first hit (3-card hand)', () => {
+    const actions = getAvailableActions(makeState([card('5'), card('3'), card('2')]));
+    assert.equal(actions.hit, true);
+    assert.equal(actions.stand, true);
+    assert.equal(actions.double, false);
+    assert.equal(actions.split, false);
+  });
+
+  it('no hit when total is 21 (auto-stand scenario)', () => {
+    // A(11) + K(10) = 21
+    const actions = getAvailableActions(makeState([card('A'), card('K')]));
+    assert.equal(actions.hit, false);
+    assert.equal(actions.stand, true);
+  });
+
+  it('no hit when total is exactly 21 with 3 cards', () => {
+    // 7+7+7 = 21
+    const actions = getAvailableActions(makeState([card('7'), card('7', '♥'), card('7', '♦')]));
+    assert.equal(actions.hit, false);
+    assert.equal(actions.stand, true);
+  });
+
+  it('no double when chips < bet', () => {
+    const actions = getAvailableActions(makeState([card('5'), card('6')], { chips: 50, bet: 100 }));
+    assert.equal(actions.hit, true);
+    assert.equal(actions.stand, true);
+    assert.equal(actions.double, false);
+  });
+
+  it('no split when chips < bet', () => {
+    const actions = getAvailableActions(makeState([card('8'), card('8', '♥')], { chips: 50, bet: 100 }));
+    assert.equal(actions.hit, true);
+    assert.equal(actions.stand, true);
+    assert.equal(actions.split, false);
+  });
+
+  it('double allowed when chips === bet', () => {
+    const actions = getAvailableActions(makeState([card('5'), card('6')], { chips: 100, bet: 100 }));
+    assert.equal(actions.double, true);
+  });
+
+  it('split allowed when chips === bet and ranks match', () => {
+    const actions = getAvailableActions(makeState([card('8'), card('8', '♥')], { chips: 100, bet: 100 }));
+    assert.equal(actions.split, true);
+  });
+
+  it('no double/split/hit/stand during active split', () => {
+    const splitHands = [
+      { cards: [card('8'), card('3')], bet: 100, status: 'playing' },
+      { cards: [card('8', '♥'), card('K')], bet: 100, status: 'playing' },
+    ];
+    const actions = getAvailableActions(makeState([card('8'), card('3')], { splitHands }));
+    assert.equal(actions.hit, false);
+    assert.equal(actions.stand, false);
+    assert.equal(actions.double, false);
+    assert.equal(actions.split, false);
+    assert.equal(actions.quit, true);
+  });
+
+  it('quit is always true regardless of phase', () => {
+    for (const phase of ['welcome', 'betting', 'playing', 'dealerTurn', 'result', 'gameOver']) {
+      const actions = getAvailableActions(makeState([card('8'), card('9')], { phase }));
+      assert.equal(actions.quit, true, `quit should be true in ${phase} phase`);
+    }
+  });
+
+  it('split available with face cards of same rank (K + K)', () => {
+    const actions = getAvailableActions(makeState([card('K'), card('K', '♥')]));
+    assert.equal(actions.split, true);
+  });
+
+  it('split available with same value but different rank (K + Q)', () => {
+    const actions = getAvailableActions(makeState([card('K'), card('Q')]));
+    assert.equal(actions.split, true);
+  });
+
+  it('split available with J + 10 (cross-rank, same value)', () => {
+    const actions = getAvailableActions(makeState([card('J'), card('10')]));
+    assert.equal(actions.split, true);
+  });
+
+  it('split available with Aces (A + A)', () => {
+    const actions = getAvailableActions(makeState([card('A'), card('A', '♥')]));
+    assert.equal(actions.split, true);
+  });
+
+  it('returns correct actions for gameOver phase', () => {
+    const actions = getAvailableActions(makeState([], { phase: 'gameOver' }));
+    assert.equal(actions.hit, false);
+    assert.equal(actions.stand, false);
+    assert.equal(actions.double, false);
+    assert.equal(actions.split, false);
+    assert.equal(actions.quit, true);
+  });
+});
+
+// 4.8 — Split tests (playerSplit)
+describe('playerSplit', () => {
+  const card = (rank, suit = '♠') => {
+    let value;
+    if (rank === 'A') value = 11;
+    else if (['J', 'Q', 'K'].includes(rank)) value = 10;
+    else value = parseInt(rank, 10);
+    return { suit, rank, value };
+  };
+
+  const makeState = (playerCards, deckCards, bet = 100) => {
+    const state = createGameState();
+    state.playerHand = playerCards;
+    state.dealerHand = [card('8'), card('9')];
+    state.deck = deckCards;
+    state.bet = bet;
+    state.chips = 900; // 1000 - 100 bet
+    state.phase = 'playing';
+    return state;
+  };
+
+  it('creates two split hands from matching pair', () => {
+    const state = makeState(
+      [card('8'), card('8', '♥')],
+      [card('3'), card('5'), card('K'), card('7')]
+    );
+    const result = playerSplit(state);
+    assert.ok(result.splitHands);
+    assert.equal(result.splitHands.length, 2);
+  });
+
+  it('each hand has the original card plus one dealt card', () => {
+    const eightSpades = card('8');
+    const eightHearts = card('8', '♥');
+    const state = makeState(
+      [eightSpades, eightHearts],
+      [card('3'), card('5'), card('K'), card('7')]
+    );
+    const result = playerSplit(state);
+    // Hand 1 gets first original card + top of deck
+    assert.equal(result.splitHands[0].cards[0].rank, '8');
+    assert.equal(result.splitHands[0].cards[0].suit, '♠');
+    assert.equal(result.splitHands[0].cards.length, 2);
+    // Hand 2 gets second original card + next from deck
+    assert.equal(result.splitHands[1].cards[0].rank, '8');
+    assert.equal(result.splitHands[1].cards[0].suit, '♥');
+    assert.equal(result.splitHands[1].cards.length, 2);
+  });
+
+  it('does not split a hand that is not a pair', () => {
+    const state = makeState(
+      [card('8'), card('5')],
+      [card('3'), card('5'), card('K'), card('7')]
+    );
+    assert.equal(playerSplit(state), state);
+  });
+
+  it('does not split without the chips for the second bet', () => {
+    const state = makeState(
+      [card('8'), card('8', '♥')],
+      [card('3'), card('5'), card('K'), card('7')]
+    );
+    state.chips = 50;
+    assert.equal(playerSplit(state), state);
+  });
+
+  it('deducts additional bet from chips', () => {
+    const state = makeState(
+      [card('8'), card('8', '♥')],
+      [card('3'), card('5'), card('K'), card('7')],
+      100
+    );
+    state.chips = 900;
+    const result = playerSplit(state);
+    assert.equal(result.chips, 800); // 900 - 100
+  });
+
+  it('each hand carries the original bet amount', () => {
+    const state = makeState(
+      [card('8'), card('8', '♥')],
+      [card('3'), card('5'), card('K'), card('7')],
+      200
+    );
+    state.chips = 800;
+    const result = playerSplit(state);
+    assert.equal(result.splitHands[0].bet, 200);
+    assert.equal(result.splitHands[1].bet, 200);
+  });
+
+  it('sets activeHandIndex to 0', () => {
+    const state = makeState(
+      [card('8'), card('8', '♥')],
+      [card('3'), card('5'), card('K'), card('7')]
+    );
+    const result = playerSplit(state);
+    assert.equal(result.activeHandIndex, 0);
+  });
+
+  it('each hand has status playing for non-ace split', () => {
+    const state = makeState(
+      [card('8'), card('8', '♥')],
+      [card('3'), card('5'), card('K'), card('7')]
+    );
+    const result = playerSplit(state);
+    assert.equal(result.splitHands[0].status, 'playing');
+    assert.equal(result.splitHands[1].status, 'playing');
+  });
+
+  it('keeps phase as playing for non-ace split', () => {
+    const state = makeState(
+      [card('8'), card('8', '♥')],
+      [card('3'), card('5'), card('K'), card('7')]
+    );
+    const result = playerSplit(state);
+    assert.equal(result.phase, 'playing');
+  });
+
+  it('removes 2 cards from deck (one per hand)', () => {
+    const state = makeState(
+      [card('8'), card('8', '♥')],
+      [card('2'), card('3'), card('5'), card('7')]
+    );
+    const result = playerSplit(state);
+    assert.equal(result.deck.length, 2); // 4 - 2
+  });
+
+  it('aces split: both hands auto-stand', () => {
+    const state = makeState(
+      [card('A'), card('A', '♥')],
+      [card('3'), card('5'), card('K'), card('7')]
+    );
+    const result = playerSplit(state);
+    assert.equal(result.splitHands[0].status, 'stand');
+    assert.equal(result.splitHands[1].status, 'stand');
+  });
+
+  it('aces split: phase advances to dealerTurn', () => {
+    const state = makeState(
+      [card('A'), card('A', '♥')],
+      [card('3'), card('5'), card('K'), card('7')]
+    );
+    const result = playerSplit(state);
+    assert.equal(result.phase, 'dealerTurn');
+  });
+
+  it('aces split: each hand has 2 cards', () => {
+    const state = makeState(
+      [card('A'), card('A', '♥')],
+      [card('3'), card('5'), card('K'), card('7')]
+    );
+    const result = playerSplit(state);
+    assert.equal(result.splitHands[0].cards.length, 2);
+    assert.equal(result.splitHands[1].cards.length, 2);
+  });
+
+  it('does not mutate original state', () => {
+    const state = makeState(
+      [card('8'), card('8', '♥')],
+      [card('3'), card('5'), card('K'), card('7')]
+    );
+    const originalChips = state.chips;
+    const originalDeckLen = state.deck.length;
+    const originalHandLen = state.playerHand.length;
+    playerSplit(state);
+    assert.equal(state.chips, originalChips);
+    assert.equal(state.deck.length, originalDeckLen);
+    assert.equal(state.playerHand.length, originalHandLen);
+    assert.equal(state.splitHands, undefined);
+  });
+
+  it('preserves dealer hand and other state fields', () => {
+    const state = makeState(
+      [card('8'), card('8', '♥')],
+      [card('3'), card('5'), card('K'), card('7')]
+    );
+    state.reshuffled = true;
+    const result = playerSplit(state);
+    assert.equal(result.dealerHand.length, 2);
+    assert.equal(result.reshuffled, true);
+    assert.equal(result.bet, 100);
+  });
+
+  it('split with face cards (K + K)', () => {
+    const state = makeState(
+      [card('K'), card('K', '♥')],
+      [card('3'), card('5'), card('7'), card('9')]
+    );
+    const result = playerSplit(state);
+    assert.equal(result.splitHands[0].cards[0].rank, 'K');
+    assert.equal(result.splitHands[1].cards[0].rank, 'K');
+    assert.equal(result.splitHands[0].status, 'playing');
+    assert.equal(result.splitHands[1].status, 'playing');
+  });
+
+  it('works with larger bet ($500 split)', () => {
+    const state = makeState(
+      [card('8'), card('8', '♥')],
+      [card('3'), card('5'), card('K'), card('7')],
+      500
+    );
+    state.chips = 500; // 1000 - 500
+    const result = playerSplit(state);
+    assert.equal(result.chips, 0); // 500 - 500
+    assert.equal(result.splitHands[0].bet, 500);
+    assert.equal(result.splitHands[1].bet, 500);
+  });
+
+  it('dealt cards go to correct hands (deck order)', () => {
+    // Deck: [bottom ... top] — pop() takes from end
+    const topCard = card('K', '♦');
+    const secondCard = card('3', '♣');
+    const state = makeState(
+      [card('8'), card('8', '♥')],
+      [card('2'), card('4'), secondCard, topCard]
+    );
+    const result = playerSplit(state);
+    // First pop (topCard) goes to hand 1
+    assert.equal(result.splitHands[0].cards[1].rank, 'K');
+    assert.equal(result.splitHands[0].cards[1].suit, '♦');
+    // Second pop (secondCard) goes to hand 2
+    assert.equal(result.splitHands[1].cards[1].rank, '3');
+    assert.equal(result.splitHands[1].cards[1].suit, '♣');
+  });
+});
+
+// 1.17 — Split hand play-through tests (splitHit, splitStand)
+describe('splitHit', () => {
+  const card = (rank, suit = '♠') => {
+    let value;
+    if (rank === 'A') value = 11;
+    else if (['J', 'Q', 'K'].includes(rank)) value = 10;
+    else value = parseInt(rank, 10);
+    return { suit, rank, value };
+  };
+
+  const makeSplitState = (hand1Cards, hand2Cards, deckCards, opts = {}) => {
+    const state = createGameState();
+    state.splitHands = [
+      { cards: hand1Cards, bet: opts.bet || 100, status: opts.hand1Status || 'playing' },
+      { cards: hand2Cards, bet: opts.bet || 100, status: opts.hand2Status || 'playing' },
+    ];
+    state.activeHandIndex = opts.activeHandIndex !== undefined ? opts.activeHandIndex : 0;
+    state.dealerHand = opts.dealerHand || [card('8'), card('9')];
+    state.deck = deckCards;
+    state.bet = opts.bet || 100;
+    state.chips = opts.chips !== undefined ? opts.chips : 800;
+    state.phase = 'playing';
+    return state;
+  };
+
+  it('draws a card for the active hand', () => {
+    const state = makeSplitState(
+      [card('8'), card('3')],
+      [card('8', '♥'), card('K')],
+      [card('5'), card('7')]
+    );
+    const result = splitHit(state);
+    assert.equal(result.splitHands[0].cards.length, 3);
+    assert.equal(result.splitHands[0].cards[2].rank, '7'); // top of deck (pop)
+  });
+
+  it('does not modify the inactive hand', () => {
+    const state = makeSplitState(
+      [card('8'), card('3')],
+      [card('8', '♥'), card('K')],
+      [card('5'), card('7')]
+    );
+    const result = splitHit(state);
+    assert.equal(result.splitHands[1].cards.length, 2);
+    assert.equal(result.splitHands[1].status, 'playing');
+  });
+
+  it('removes one card from deck', () => {
+    const state = makeSplitState(
+      [card('8'), card('3')],
+      [card('8', '♥'), card('K')],
+      [card('5'), card('7'), card('2')]
+    );
+    const result = splitHit(state);
+    assert.equal(result.deck.length, 2);
+  });
+
+  it('keeps status playing when total < 21', () => {
+    const state = makeSplitState(
+      [card('8'), card('3')],
+      [card('8', '♥'), card('K')],
+      [card('5'), card('7')]
+    );
+    const result = splitHit(state);
+    // 8 + 3 + 7 = 18, still playing
+    assert.equal(result.splitHands[0].status, 'playing');
+    assert.equal(result.activeHandIndex, 0);
+    assert.equal(result.phase, 'playing');
+  });
+
+  it('auto-stands at exactly 21', () => {
+    const state = makeSplitState(
+      [card('8'), card('3')],
+      [card('8', '♥'), card('K')],
+      [card('5'), card('K')]
+    );
+    const result = splitHit(state);
+    // 8 + 3 + 10 = 21 → auto-stand, advance to hand 2
+    assert.equal(result.splitHands[0].status, 'stand');
+    assert.equal(result.activeHandIndex, 1);
+    assert.equal(result.phase, 'playing');
+  });
+
+  it('busts when total > 21', () => {
+    const state = makeSplitState(
+      [card('8'), card('6')],
+      [card('8', '♥'), card('K')],
+      [card('5'), card('K')]
+    );
+    const result = splitHit(state);
+    // 8 + 6 + 10 = 24 → bust, advance to hand 2
+    assert.equal(result.splitHands[0].status, 'bust');
+    assert.equal(result.activeHandIndex, 1);
+    assert.equal(result.phase, 'playing');
+  });
+
+  it('advances to hand 2 when hand 1 busts', () => {
+    const state = makeSplitState(
+      [card('K'), card('8')],
+      [card('K', '♥'), card('3')],
+      [card('5'), card('K')]
+    );
+    const result = splitHit(state);
+    // K + 8 + K = 28 → bust hand 1, move to hand 2
+    assert.equal(result.activeHandIndex, 1);
+    assert.equal(result.phase, 'playing');
+  });
+
+  it('advances to dealerTurn when both hands are done', () => {
+    // Hand 2 already standing, hand 1 active
+    const state = makeSplitState(
+      [card('8'), card('6')],
+      [card('8', '♥'), card('K')],
+      [card('5'), card('K')],
+      { hand2Status: 'stand' }
+    );
+    const result = splitHit(state);
+    // 8 + 6 + 10 = 24 → bust hand 1, hand 2 already stand → dealerTurn
+    assert.equal(result.splitHands[0].status, 'bust');
+    assert.equal(result.phase, 'dealerTurn');
+  });
+
+  it('advances to dealerTurn when last hand busts', () => {
+    // Hand 1 already bust, hand 2 active
+    const state = makeSplitState(
+      [card('K'), card('8')],
+      [card('K', '♥'), card('6')],
+      [card('5'), card('K')],
+      { hand1Status: 'bust', activeHandIndex: 1 }
+    );
+    const result = splitHit(state);
+    // K + 6 + K = 26 → bust hand 2, hand 1 already bust → dealerTurn
+    assert.equal(result.splitHands[1].status, 'bust');
+    assert.equal(result.phase, 'dealerTurn');
+  });
+
+  it('advances to dealerTurn when last hand reaches 21', () => {
+    const state = makeSplitState(
+      [card('K'), card('8')],
+      [card('8', '♥'), card('3')],
+      [card('5'), card('K')],
+      { hand1Status: 'stand', activeHandIndex: 1 }
+    );
+    const result = splitHit(state);
+    // 8 + 3 + K = 21 → auto-stand hand 2, hand 1 already stand → dealerTurn
+    assert.equal(result.splitHands[1].status, 'stand');
+    assert.equal(result.phase, 'dealerTurn');
+  });
+
+  it('handles hitting hand 2 directly', () => {
+    const state = makeSplitState(
+      [card('K'), card('8')],
+      [card('8', '♥'), card('3')],
+      [card('5'), card('7')],
+      { hand1Status: 'stand', activeHandIndex: 1 }
+    );
+    const result = splitHit(state);
+    // Hand 2: 8 + 3 + 7 = 18, still playing
+    assert.equal(result.splitHands[1].cards.length, 3);
+    assert.equal(result.splitHands[1].status, 'playing');
+    assert.equal(result.phase, 'playing');
+  });
+
+  it('does not mutate original state', () => {
+    const state = makeSplitState(
+      [card('8'), card('3')],
+      [card('8', '♥'), card('K')],
+      [card('5'), card('7')]
+    );
+    const originalDeckLen = state.deck.length;
+    const originalHand1Len = state.splitHands[0].cards.length;
+    splitHit(state);
+    assert.equal(state.deck.length, originalDeckLen);
+    assert.equal(state.splitHands[0].cards.length, originalHand1Len);
+  });
+
+  it('handles ace demotion in split hand', () => {
+    const state = makeSplitState(
+      [card('8'), card('A')],
+      [card('8', '♥'), card('K')],
+      [card('5'), card('5')]
+    );
+    const result = splitHit(state);
+    // 8 + A(11) + 5 = 24 → ace demoted → 8 + 1 + 5 = 14
+    const { total } = calculateHandTotal(result.splitHands[0].cards);
+    assert.equal(total, 14);
+    assert.equal(result.splitHands[0].status, 'playing');
+  });
+
+  it('multiple hits on same hand', () => {
+    let state = makeSplitState(
+      [card('2'), card('3')],
+      [card('8', '♥'), card('K')],
+      [card('9'), card('4'), card('2')]
+    );
+    // First hit: 2 + 3 + 2 = 7
+    state = splitHit(state);
+    assert.equal(state.splitHands[0].cards.length, 3);
+    assert.equal(state.splitHands[0].status, 'playing');
+    // Second hit: 2 + 3 + 2 + 4 = 11
+    state = splitHit(state);
+    assert.equal(state.splitHands[0].cards.length, 4);
+    assert.equal(state.splitHands[0].status, 'playing');
+    // Third hit: 2 + 3 + 2 + 4 + 9 = 20
+    state = splitHit(state);
+    assert.equal(state.splitHands[0].cards.length, 5);
+    assert.equal(state.splitHands[0].status, 'playing');
+  });
+
+  it('preserves bet and chips', () => {
+    const state = makeSplitState(
+      [card('8'), card('3')],
+      [card('8', '♥'), card('K')],
+      [card('5'), card('7')],
+      { bet: 200, chips: 600 }
+    );
+    const result = splitHit(state);
+    assert.equal(result.bet, 200);
+    assert.equal(result.chips, 600);
+  });
+
+  it('preserves dealer hand', () => {
+    const state = makeSplitState(
+      [card('8'), card('3')],
+      [card('8', '♥'), card('K')],
+      [card('5'), card('7')],
+      { dealerHand: [card('J'), card('7')] }
+    );
+    const result = splitHit(state);
+    assert.equal(result.dealerHand.length, 2);
+    assert.equal(result.dealerHand[0].rank, 'J');
+  });
+});
+
+describe('splitStand', () => {
+  const card = (rank, suit = '♠') => {
+    let value;
+    if (rank === 'A') value = 11;
+    else if (['J', 'Q', 'K'].includes(rank)) value = 10;
+    else value = parseInt(rank, 10);
+    return { suit, rank, value };
+  };
+
+  const makeSplitState = (hand1Cards, hand2Cards, opts = {}) => {
+    const state = createGameState();
+    state.splitHands = [
+      { cards: hand1Cards, bet: opts.bet || 100, status: opts.hand1Status || 'playing' },
+      { cards: hand2Cards, bet: opts.bet || 100, status: opts.hand2Status || 'playing' },
+    ];
+    state.activeHandIndex = opts.activeHandIndex !== undefined ? opts.activeHandIndex : 0;
+    state.dealerHand = opts.dealerHand || [card('8'), card('9')];
+    state.deck = opts.deck || [card('5'), card('7'), card('K')];
+    state.bet = opts.bet || 100;
+    state.chips = opts.chips !== undefined ? opts.chips : 800;
+    state.phase = 'playing';
+    return state;
+  };
+
+  it('sets active hand status to stand', () => {
+    const state = makeSplitState(
+      [card('8'), card('9')],
+      [card('8', '♥'), card('K')]
+    );
+    const result = splitStand(state);
+    assert.equal(result.splitHands[0].status, 'stand');
+  });
+
+  it('advances to hand 2 when hand 1 stands', () => {
+    const state = makeSplitState(
+      [card('8'), card('9')],
+      [card('8', '♥'), card('K')]
+    );
+    const result = splitStand(state);
+    assert.equal(result.activeHandIndex, 1);
+    assert.equal(result.phase, 'playing');
+  });
+
+  it('advances to dealerTurn when hand 2 stands (both done)', () => {
+    const state = makeSplitState(
+      [card('8'), card('9')],
+      [card('8', '♥'), card('K')],
+      { hand1Status: 'stand', activeHandIndex: 1 }
+    );
+    const result = splitStand(state);
+    assert.equal(result.splitHands[1].status, 'stand');
+    assert.equal(result.phase, 'dealerTurn');
+  });
+
+  it('advances to dealerTurn when hand 2 stands and hand 1 bust', () => {
+    const state = makeSplitState(
+      [card('K'), card('8'), card('6')],
+      [card('8', '♥'), card('K')],
+      { hand1Status: 'bust', activeHandIndex: 1 }
+    );
+    const result = splitStand(state);
+    assert.equal(result.splitHands[1].status, 'stand');
+    assert.equal(result.phase, 'dealerTurn');
+  });
+
+  it('does not modify the inactive hand', () => {
+    const state = makeSplitState(
+      [card('8'), card('9')],
+      [card('8', '♥'), card('K')]
+    );
+    const result = splitStand(state);
+    assert.equal(result.splitHands[1].status, 'playing');
+    assert.equal(result.splitHands[1].cards.length, 2);
+  });
+
+  it('does not remove cards from deck', () => {
+    const state = makeSplitState(
+      [card('8'), card('9')],
+      [card('8', '♥'), card('K')],
+      { deck: [card('5'), card('7'), card('K')] }
+    );
+    const result = splitStand(state);
+    assert.equal(result.deck.length, 3);
+  });
+
+  it('does not mutate original state', () => {
+    const state = makeSplitState(
+      [card('8'), card('9')],
+      [card('8', '♥'), card('K')]
+    );
+    splitStand(state);
+    assert.equal(state.splitHands[0].status, 'playing');
+    assert.equal(state.activeHandIndex, 0);
+    assert.equal(state.phase, 'playing');
+  });
+
+  it('preserves bet, chips, and dealer hand', () => {
+    const state = makeSplitState(
+      [card('8'), card('9')],
+      [card('8', '♥'), card('K')],
+      { bet: 200, chips: 600, dealerHand: [card('J'), card('7')] }
+    );
+    const result = splitStand(state);
+    assert.equal(result.bet, 200);
+    assert.equal(result.chips, 600);
+    assert.equal(result.dealerHand[0].rank, 'J');
+  });
+
+  it('full split play-through: hit, hit, stand hand 1, then stand hand 2', () => {
+    // Setup: split 8s, hand 1 and hand 2 both playing
+    let state = makeSplitState(
+      [card('8'), card('3')],
+      [card('8', '♥'), card('K')],
+      { deck: [card('9'), card('4'), card('2')] }
+    );
+    // Hit hand 1: 8+3+2=13
+    state = splitHit(state);
+    assert.equal(state.splitHands[0].cards.length, 3);
+    assert.equal(state.activeHandIndex, 0);
+    // Hit hand 1 again: 8+3+2+4=17
+    state = splitHit(state);
+    assert.equal(state.splitHands[0].cards.length, 4);
+    assert.equal(state.activeHandIndex, 0);
+    // Stand hand 1 → move to hand 2
+    state = splitStand(state);
+    assert.equal(state.splitHands[0].status, 'stand');
+    assert.equal(state.activeHandIndex, 1);
+    assert.equal(state.phase, 'playing');
+    // Stand hand 2 → dealer turn
+    state = splitStand(state);
+    assert.equal(state.splitHands[1].status, 'stand');
+    assert.equal(state.phase, 'dealerTurn');
+  });
+
+  it('full split play-through: hand 1 busts, hand 2 stands', () => {
+    let state = makeSplitState(
+      [card('K'), card('6')],
+      [card('K', '♥'), card('7')],
+      { deck: [card('9'), card('K')] }
+    );
+    // Hit hand 1: K+6+K=26 → bust → advance to hand 2
+    state = splitHit(state);
+    assert.equal(state.splitHands[0].status, 'bust');
+    assert.equal(state.activeHandIndex, 1);
+    assert.equal(state.phase, 'playing');
+    // Stand hand 2 → dealer turn
+    state = splitStand(state);
+    assert.equal(state.splitHands[1].status, 'stand');
+    assert.equal(state.phase, 'dealerTurn');
+  });
+
+  it('full split play-through: both hands bust', () => {
+    let state = makeSplitState(
+      [card('K'), card('6')],
+      [card('K', '♥'), card('8')],
+      { deck: [card('9'), card('K')] }
+    );
+    // Hit hand 1: K+6+K=26 → bust → advance to hand 2
+    state = splitHit(state);
+    assert.equal(state.splitHands[0].status, 'bust');
+    assert.equal(state.activeHandIndex, 1);
+    // Hit hand 2: K+8+9=27 → bust → both done → dealerTurn
+    state = splitHit(state);
+    assert.equal(state.splitHands[1].status, 'bust');
+    assert.equal(state.phase, 'dealerTurn');
+  });
+});
+
+// getAvailableActions split-mode tests
+describe('getAvailableActions during split', () => {
+  const card = (rank, suit = '♠') => {
+    let value;
+    if (rank === 'A') value = 11;
+    else if (['J', 'Q', 'K'].includes(rank)) value = 10;
+    else value = parseInt(rank, 10);
+    return { suit, rank, value };
+  };
+
+  const makeSplitState = (hand1Cards, hand2Cards, opts = {}) => {
+    const state = createGameState();
+    state.splitHands = [
+      { cards: hand1Cards, bet: 100, status: opts.hand1Status || 'playing' },
+      { cards: hand2Cards, bet: 100, status: opts.hand2Status || 'playing' },
+    ];
+    state.activeHandIndex = opts.activeHandIndex !== undefined ? opts.activeHandIndex : 0;
+    state.playerHand = hand1Cards;
+    state.dealerHand = [card('8'), card('9')];
+    state.deck = [card('5'), card('7')];
+    state.bet = 100;
+    state.chips = 800;
+    state.phase = 'playing';
+    return state;
+  };
+
+  it('returns splitHit and splitStand true for active playing hand', () => {
+    const state = makeSplitState(
+      [card('8'), card('3')],
+      [card('8', '♥'), card('K')]
+    );
+    const actions = getAvailableActions(state);
+    assert.equal(actions.splitHit, true);
+    assert.equal(actions.splitStand, true);
+    assert.equal(actions.hit, false);
+    assert.equal(actions.stand, false);
+    assert.equal(actions.double, false);
+    assert.equal(actions.split, false);
+  });
+
+  it('returns splitHit false when active hand at 21', () => {
+    const state = makeSplitState(
+      [card('8'), card('3'), card('K')],
+      [card('8', '♥'), card('K')]
+    );
+    // 8+3+10 = 21, should not be able to hit
+    const actions = getAvailableActions(state);
+    assert.equal(actions.splitHit, false);
+    assert.equal(actions.splitStand, true);
+  });
+
+  it('returns both splitHit/splitStand false when active hand already stood', () => {
+    const state = makeSplitState(
+      [card('8'), card('9')],
+      [card('8', '♥'), card('K')],
+      { hand1Status: 'stand', activeHandIndex: 1 }
+    );
+    // Active hand is 1, status is playing
+    const actions = getAvailableActions(state);
+    assert.equal(actions.splitHit, true);
+    assert.equal(actions.splitStand, true);
+  });
+
+  it('quit always true during split', () => {
+    const state = makeSplitState(
+      [card('8'), card('3')],
+      [card('8', '♥'), card('K')]
+    );
+    const actions = getAvailableActions(state);
+    assert.equal(actions.quit, true);
+  });
+});
+
+// Re-splitting tests
+describe('re-splitting', () => {
+  const card = (rank, suit = '♠') => {
+    let value;
+    if (rank === 'A') value = 11;
+    else if (['J', 'Q', 'K'].includes(rank)) value = 10;
+    else value = parseInt(rank, 10);
+    return { suit, rank, value };
+  };
+
+  // deckCards are stacked on top of the shoe in draw order
+  const makeState = (playerCards, deckCards, rules = { maxSplitHands: 4 }) => {
+    const state = createGameState(rules);
+    state.playerHand = playerCards;
+    state.dealerHand = [card('8'), card('9')];
+    state.deck = stackDeck(state, deckCards).deck;
+    state.bet = 100;
+    state.chips = 900;
+    state.phase = 'playing';
+    return state;
+  };
+
+  it('offers a re-split when the active split hand is a pair', () => {
+    const state = playerSplit(makeState([card('8'), card('8', '♥')], [card('8', '♦'), card('3')]));
+    assert.deepEqual(state.splitHands[0].cards.map(c => c.rank), ['8', '8']);
+    assert.equal(getAvailableActions(state).split, true);
+  });
+
+  it('re-splits the active hand in place', () => {
+    let state = playerSplit(makeState(
+      [card('8'), card('8', '♥')],
+      [card('8', '♦'), card('3'), card('2'), card('K')],
+    ));
+    state = playerSplit(state);
+    assert.equal(state.splitHands.length, 3);
+    assert.deepEqual(state.splitHands.map(h => h.cards.map(c => c.rank)), [['8', '2'], ['8', 'K'], ['8', '3']]);
+    assert.equal(state.splitHands[1].bet, 100);
+    assert.equal(state.activeHandIndex, 0);
+    assert.equal(state.chips, 700);
+  });
+
+  it('splits up to four hands and no further', () => {
+    let state = playerSplit(makeState(
+      [card('8'), card('8', '♥')],
+      [card('8', '♦'), card('3'), card('8', '♣'), card('K'), card('8'), card('5')],
+    ));
+    state = playerSplit(state);
+    assert.equal(state.splitHands.length, 3);
+    state = playerSplit(state);
+    assert.equal(state.splitHands.length, 4);
+    assert.equal(state.chips, 600);
+    // Hand 1 is 8-8 again, but the table limit is reached
+    assert.equal(getAvailableActions(state).split, false);
+    assert.equal(playerSplit(state), state);
+  });
+
+  it('respects a three-hand limit', () => {
+    let state = playerSplit(makeState(
+      [card('8'), card('8', '♥')],
+      [card('8', '♦'), card('3'), card('8', '♣'), card('K')],
+      { maxSplitHands: 3 },
+    ));
+    state = playerSplit(state);
+    assert.equal(state.splitHands.length, 3);
+    assert.equal(getAvailableActions(state).split, false);
+  });
+
+  it('is not offered at two-hand tables', () => {
+    const state = playerSplit(makeState([card('8'), card('8', '♥')], [card('8', '♦'), card('3')], {}));
+    assert.equal(getAvailableActions(state).split, false);
+  });
+
+  it('is not offered without chips to cover the extra bet', () => {
+    const state = { ...playerSplit(makeState([card('8'), card('8', '♥')], [card('8', '♦'), card('3')])), chips: 50 };
+    assert.equal(getAvailableActions(state).split, false);
+  });
+
+  it('re-splits a later hand once the earlier hands are done', () => {
+    let state = playerSplit(makeState(
+      [card('8'), card('8', '♥')],
+      [card('K'), card('8', '♦'), card('4'), card('6')],
+    ));
+    state = splitStand(state);
+    assert.equal(state.activeHandIndex, 1);
+    state = playerSplit(state);
+    assert.deepEqual(state.splitHands.map(h => h.cards.map(c => c.rank)), [['8', 'K'], ['8', '4'], ['8', '6']]);
+    assert.equal(state.activeHandIndex, 1);
+  });
+
+  it('split aces stand and cannot be re-split by default', () => {
+    const state = playerSplit(makeState([card('A'), card('A', '♥')], [card('A', '♦'), card('5')]));
+    assert.equal(state.splitHands[0].status, 'stand');
+    assert.equal(state.splitHands[0].splitAces, true);
+    assert.equal(state.phase, 'dealerTurn');
+  });
+
+  it('an ace dealt to a split ace may be re-split under resplitAces', () => {
+    const state = playerSplit(makeState(
+      [card('A'), card('A', '♥')],
+      [card('A', '♦'), card('5')],
+      { maxSplitHands: 4, resplitAces: true },
+    ));
+    assert.equal(state.phase, 'playing');
+    assert.equal(state.splitHands[0].status, 'playing');
+    assert.equal(state.splitHands[1].status, 'stand');
+    const actions = getAvailableActions(state);
+    assert.equal(actions.split, true);
+    assert.equal(actions.splitHit, false); // split aces never draw
+    assert.equal(actions.splitStand, true);
+  });
+
+  it('re-split aces stand on their one card', () => {
+    let state = playerSplit(makeState(
+      [card('A'), card('A', '♥')],
+      [card('A', '♦'), card('5'), card('9'), card('K')],
+      { maxSplitHands: 4, resplitAces: true },
+    ));
+    state = playerSplit(state);
+    assert.equal(state.splitHands.length, 3);
+    assert.ok(state.splitHands.every(h => h.status === 'stand' && h.splitAces));
+    assert.equal(state.phase, 'dealerTurn');
+  });
+
+  it('an ace pair left after the last allowed split stands', () => {
+    const state = playerSplit(makeState(
+      [card('A'), card('A', '♥')],
+      [card('A', '♦'), card('5')],
+      { maxSplitHands: 2, resplitAces: true },
+    ));
+    assert.equal(state.splitHands[0].status, 'stand');
+    assert.equal(state.phase, 'dealerTurn');
+  });
+
+  it('standing on an open ace pair moves on to the dealer', () => {
+    const state = playerSplit(makeState(
+      [card('A'), card('A', '♥')],
+      [card('A', '♦'), card('5')],
+      { maxSplitHands: 4, resplitAces: true },
+    ));
+    assert.equal(splitStand(state).phase, 'dealerTurn');
+  });
+});
+
+// Double after split (DAS) tests
+describe('splitDouble', () => {
+  const card = (rank, suit = '♠') => {
+    let value;
+    if (rank === 'A') value = 11;
+    else if (['J', 'Q', 'K'].includes(rank)) value = 10;
+    else value = parseInt(rank, 10);
+    return { suit, rank, value };
+  };
+
+  // deckCards are stacked on top of the shoe in draw order
+  const makeState = (playerCards, deckCards, rules = { doubleAfterSplit: true }) => {
+    const state = createGameState(rules);
+    state.playerHand = playerCards;
+    state.dealerHand = [card('8'), card('9')];
+    state.deck = stackDeck(state, deckCards).deck;
+    state.bet = 100;
+    state.chips = 900;
+    state.phase = 'playing';
+    return state;
+  };
+
+  it('is offered on a two-card split hand at DAS tables', () => {
+    const state = playerSplit(makeState([card('8'), card('8', '♥')], [card('3'), card('K')]));
+    assert.equal(getAvailableActions(state).splitDouble, true);
+  });
+
+  it('is not offered without the DAS rule', () => {
+    const state = playerSplit(makeState([card('8'), card('8', '♥')], [card('3'), card('K')], {}));
+    assert.equal(getAvailableActions(state).splitDouble, false);
+    assert.equal(splitDouble(state), state);
+  });
+
+  it('is not offered after a hit', () => {
+    let state = playerSplit(makeState([card('8'), card('8', '♥')], [card('2'), card('K'), card('3')]));
+    state = splitHit(state);
+    assert.equal(getAvailableActions(state).splitDouble, false);
+  });
+
+  it('is not offered without chips to cover the hand bet', () => {
+    const state = { ...playerSplit(makeState([card('8'), card('8', '♥')], [card('3'), card('K')])), chips: 99 };
+    assert.equal(getAvailableActions(state).splitDouble, false);
+  });
+
+  it('doubles the active hand bet, deals one card and stands it', () => {
+    let state = playerSplit(makeState([card('8'), card('8', '♥')], [card('3'), card('K'), card('9')]));
+    state = splitDouble(state);
+    const hand = state.splitHands[0];
+    assert.equal(hand.cards.length, 3);
+    assert.equal(hand.cards[2].rank, '9');
+    assert.equal(hand.bet, 200);
+    assert.equal(hand.doubled, true);
+    assert.equal(hand.status, 'stand');
+    assert.equal(state.chips, 700); // 900 - 100 split - 100 double
+    assert.equal(state.activeHandIndex, 1);
+    assert.equal(state.splitHands[1].bet, 100);
+  });
+
+  it('a doubled hand that busts is marked bust', () => {
+    let state = playerSplit(makeState([card('8'), card('8', '♥')], [card('6'), card('K'), card('J')]));
+    state = splitDouble(state);
+    assert.equal(state.splitHands[0].status, 'bust');
+  });
+
+  it('doubling the last hand moves on to the dealer', () => {
+    let state = playerSplit(makeState([card('8'), card('8', '♥')], [card('3'), card('2'), card('9')]));
+    state = splitStand(state);
+    state = splitDouble(state);
+    assert.equal(state.phase, 'dealerTurn');
+  });
+
+  it('a doubled split hand settles on its doubled bet', () => {
+    let state = playerSplit(makeState([card('8'), card('8', '♥')], [card('3'), card('K'), card('9')]));
+    state = splitDouble(state); // 8-3-9 = 20 for $200
+    state = splitStand(state);  // 8-K = 18 for $100
+    const result = settleRound({ ...state, dealerHand: [card('10'), card('9')] }); // dealer 19
+    assert.equal(result.splitHands[0].result.chipChange, 200);
+    assert.equal(result.splitHands[1].result.chipChange, -100);
+    assert.equal(result.chips, 700 + 400);
+  });
+
+  it('split aces stand without the hit split aces rule', () => {
+    const state = playerSplit(makeState([card('A'), card('A', '♥')], [card('5'), card('6')]));
+    assert.equal(state.phase, 'dealerTurn');
+  });
+
+  it('split aces may hit and double with hitSplitAces', () => {
+    const state = playerSplit(makeState(
+      [card('A'), card('A', '♥')],
+      [card('5'), card('6')],
+      { doubleAfterSplit: true, hitSplitAces: true },
+    ));
+    assert.equal(state.phase, 'playing');
+    assert.equal(state.splitHands[0].status, 'playing');
+    const actions = getAvailableActions(state);
+    assert.equal(actions.splitHit, true);
+    assert.equal(actions.splitDouble, true);
+  });
+
+  it('hitSplitAces alone allows hitting split aces but not doubling them', () => {
+    const state = playerSplit(makeState(
+      [card('A'), card('A', '♥')],
+      [card('5'), card('6')],
+      { hitSplitAces: true },
+    ));
+    const actions = getAvailableActions(state);
+    assert.equal(actions.splitHit, true);
+    assert.equal(actions.splitDouble, false);
+  });
+
+  it('is never offered outside split play', () => {
+    const state = makeState([card('8'), card('3')], [card('5')]);
+    assert.equal(getAvailableActions(state).splitDouble, false);
+  });
+});
+
+// Blackjack payout and rounding tests
+describe('blackjack payouts', () => {
+  const card = (rank, suit = '♠') => {
+    let value;
+    if (rank === 'A') value = 11;
+    else if (['J', 'Q', 'K'].includes(rank)) value = 10;
+    else value = parseInt(rank, 10);
+    return { suit, rank, value };
+  };
+
+  const blackjackFor = (bet, rules) => {
+    const state = createGameState(rules);
+    state.playerHand = [card('A'), card('K')];
+    state.dealerHand = [card('8'), card('9')];
+    state.bet = bet;
+    state.chips = 1000 - bet;
+    return checkForBlackjack(state);
+  };
+
+  it('pays 3:2, 7:5, 6:5, 2:1 and 1:1 on a $10 bet', () => {
+    assert.equal(blackjackFor(10, { blackjackPayout: '3:2' }).result.chipChange, 15);
+    assert.equal(blackjackFor(10, { blackjackPayout: '7:5' }).result.chipChange, 14);
+    assert.equal(blackjackFor(10, { blackjackPayout: '6:5' }).result.chipChange, 12);
+    assert.equal(blackjackFor(10, { blackjackPayout: '2:1' }).result.chipChange, 20);
+    assert.equal(blackjackFor(10, { blackjackPayout: '1:1' }).result.chipChange, 10);
+  });
+
+  it('rounds a fractional payout down to the dollar by default', () => {
+    // $15 at 3:2 is $22.50
+    const result = blackjackFor(15, {});
+    assert.equal(result.result.chipChange, 22);
+    assert.equal(result.chips, 1022);
+  });
+
+  it('rounds down to the chip unit under "unit" rounding', () => {
+    // $15 at 6:5 is $18 → $15 in $5 chips; $25 at 6:5 is $30 exactly
+    assert.equal(blackjackFor(15, { blackjackPayout: '6:5', payoutRounding: 'unit', chipUnit: 5 }).result.chipChange, 15);
+    assert.equal(blackjackFor(25, { blackjackPayout: '6:5', payoutRounding: 'unit', chipUnit: 5 }).result.chipChange, 30);
+    // $11 at 3:2 is $16.50 → $16 in $1 chips
+    assert.equal(blackjackFor(11, { payoutRounding: 'unit' }).result.chipChange, 16);
+  });
+
+  it('keeps half dollars under "half" rounding', () => {
+    const result = blackjackFor(15, { payoutRounding: 'half' });
+    assert.equal(result.result.chipChange, 22.5);
+    assert.equal(result.chips, 1022.5);
+  });
+
+  it('drops anything below a half dollar under "half" rounding', () => {
+    // $11 at 6:5 is $13.20
+    assert.equal(blackjackFor(11, { blackjackPayout: '6:5', payoutRounding: 'half' }).result.chipChange, 13);
+  });
+
+  it('applies the same rounding to a surrendered half bet', () => {
+    const surrender = (rules) => {
+      const state = createGameState({ surrender: 'late', ...rules });
+      state.playerHand = [card('10'), card('6')];
+      state.dealerHand = [card('10'), card('7')];
+      state.bet = 25;
+      state.chips = 975;
+      state.phase = 'playing';
+      return playerSurrender(state);
+    };
+    assert.equal(surrender({}).chips, 987);
+    assert.equal(surrender({ payoutRounding: 'half' }).chips, 987.5);
+    assert.equal(surrender({ payoutRounding: 'unit', chipUnit: 5 }).chips, 985);
+  });
+
+  it('never refunds more than half of an odd surrendered bet in chip units', () => {
+    const state = createGameState({ surrender: 'late', payoutRounding: 'unit', chipUnit: 5 });
+    state.playerHand = [card('10'), card('6')];
+    state.dealerHand = [card('10'), card('7')];
+    state.bet = 15;
+    state.chips = 985;
+    state.phase = 'playing';
+    // Half of $15 is $7.50 → $5 back in $5 chips
+    assert.equal(playerSurrender(state).chips, 990);
+  });
+
+  it('does not offer more insurance than whole chips cover', () => {
+    const state = { ...createGameState({ insurance: true }), bet: 100, chips: 20.5 };
+    assert.equal(maxInsurance(state), 20);
+  });
+});
+
+// Automatic wins: Charlie and bonus hands
+describe('Charlie and bonus hands', () => {
+  const card = (rank, suit = '♠') => {
+    let value;
+    if (rank === 'A') value = 11;
+    else if (['J', 'Q', 'K'].includes(rank)) value = 10;
+    else value = parseInt(rank, 10);
+    return { suit, rank, value };
+  };
+
+  const makeState = (playerCards, dealerCards, rules, opts = {}) => {
+    const state = createGameState(rules);
+    state.playerHand = playerCards;
+    state.dealerHand = dealerCards;
+    state.deck = stackDeck(state, opts.draws || []).deck;
+    state.bet = 100;
+    state.chips = 900;
+    state.phase = opts.phase || 'dealerTurn';
+    return state;
+  };
+
+  const fiveCards = [card('2'), card('3'), card('4'), card('2', '♥'), card('5')]; // 16
+
+  it('a five-card Charlie beats a dealer 21', () => {
+    const result = settleRound(makeState(fiveCards, [card('K'), card('6'), card('5')], { charlie: 5 }));
+    assert.equal(result.result.outcome, 'win');
+    assert.equal(result.result.message, 'Five-card Charlie!');
+    assert.equal(result.result.special, 'charlie');
+    assert.equal(result.result.chipChange, 100);
+    assert.equal(result.chips, 1100);
+    assert.equal(result.stats.handsWon, 1);
+    assert.equal(result.stats.charlies, 1);
+  });
+
+  it('five cards are an ordinary hand without the rule', () => {
+    const result = settleRound(makeState(fiveCards, [card('K'), card('6'), card('5')], {}));
+    assert.equal(result.result.outcome, 'lose');
+    assert.equal(result.stats.charlies, 0);
+  });
+
+  it('five cards are not enough at a seven-card Charlie table', () => {
+    const result = settleRound(makeState(fiveCards, [card('K'), card('9')], { charlie: 7 }));
+    assert.equal(result.result.outcome, 'lose');
+  });
+
+  it('a seven-card Charlie gets its own message', () => {
+    const seven = [card('A'), card('A', '♥'), card('2'), card('2', '♥'), card('3'), card('3', '♥'), card('4')]; // 16
+    const result = settleRound(makeState(seven, [card('K'), card('9')], { charlie: 7 }));
+    assert.equal(result.result.message, 'Seven-card Charlie!');
+  });
+
+  it('the hand stands by itself once it makes a Charlie', () => {
+    const state = makeState(fiveCards.slice(0, 4), [card('K'), card('9')], { charlie: 5 }, {
+      draws: [card('5')], phase: 'playing',
+    });
+    assert.equal(playerHit(state).phase, 'dealerTurn');
+  });
+
+  it('a suited 6-7-8 pays its bonus against any dealer hand', () => {
+    const hand = [card('7', '♥'), card('6', '♥'), card('8', '♥')];
+    const result = settleRound(makeState(hand, [card('K'), card('A', '♦'), card('Q')], { suited678Bonus: '2:1' }));
+    assert.equal(result.result.message, 'Suited 6-7-8!');
+    assert.equal(result.result.chipChange, 200);
+    assert.equal(result.chips, 1200);
+    assert.equal(result.stats.suited678s, 1);
+  });
+
+  it('an unsuited 6-7-8 is an ordinary 21', () => {
+    const hand = [card('6', '♥'), card('7'), card('8', '♥')];
+    const result = settleRound(makeState(hand, [card('K'), card('A', '♦'), card('Q')], { suited678Bonus: '2:1' }));
+    assert.equal(result.result.outcome, 'push');
+    assert.equal(result.stats.suited678s, 0);
+  });
+
+  it('7-7-7 pays its bonus, rounded like any payout', () => {
+    const hand = [card('7', '♥'), card('7'), card('7', '♦')];
+    const state = { ...makeState(hand, [card('K'), card('8')], { triple7Bonus: '3:2' }), bet: 15, chips: 985 };
+    const result = settleRound(state);
+    assert.equal(result.result.message, '7-7-7!');
+    assert.equal(result.result.chipChange, 22); // $22.50 rounded down
+    assert.equal(result.stats.triple7s, 1);
+  });
+
+  it('bonus hands pay nothing extra when their rule is off', () => {
+    const hand = [card('7', '♥'), card('7'), card('7', '♦')];
+    const result = settleRound(makeState(hand, [card('K'), card('8')], {}));
+    assert.equal(result.result.message, 'You win!');
+    assert.equal(result.result.chipChange, 100);
+  });
+
+  it('a doubled suited 6-7-8 is a plain 21', () => {
+    const hand = [card('7', '♥'), card('6', '♥'), card('8', '♥')];
+    const state = { ...makeState(hand, [card('K'), card('8')], { suited678Bonus: '2:1' }), bet: 200, doubled: true };
+    const result = settleRound(state);
+    assert.equal(result.result.message, 'You win!');
+    assert.equal(result.result.chipChange, 200);
+    assert.equal(result.stats.suited678s, 0);
+  });
+
+  it('a doubled 7-7-7 is a plain 21', () => {
+    const hand = [card('7', '♥'), card('7'), card('7', '♦')];
+    const state = { ...makeState(hand, [card('K'), card('8')], { triple7Bonus: '3:2' }), bet: 200, doubled: true };
+    const result = settleRound(state);
+    assert.equal(result.result.message, 'You win!');
+    assert.equal(result.result.chipChange, 200);
+    assert.equal(result.stats.triple7s, 0);
+  });
+
+  it('applies to split hands, each settled on its own', () => {
+    const state = makeState([], [card('K'), card('6'), card('5')], { charlie: 5, suited678Bonus: '2:1' });
+    state.chips = 800;
+    state.splitHands = [
+      { cards: [card('2'), card('3', '♥'), card('4'), card('2', '♥'), card('5')], bet: 100, status: 'stand' },
+      { cards: [card('6', '♣'), card('7', '♣'), card('8', '♣')], bet: 100, status: 'stand' },
+    ];
+    const result = settleRound(state);
+    assert.equal(result.splitHands[0].result.special, 'charlie');
+    assert.equal(result.splitHands[1].result.special, 'suited678');
+    assert.equal(result.result.chipChange, 300);
+    assert.equal(result.chips, 800 + 200 + 300);
+    assert.equal(result.stats.charlies, 1);
+    assert.equal(result.stats.suited678s, 1);
+  });
+
+  it('a split hand stands by itself once it makes a Charlie', () => {
+    const state = makeState([], [card('K'), card('9')], { charlie: 5 }, { draws: [card('5'), card('4')], phase: 'playing' });
+    state.splitHands = [
+      { cards: [card('2'), card('3'), card('2', '♥'), card('4', '♥')], bet: 100, status: 'playing' },
+      { cards: [card('2', '♦'), card('9')], bet: 100, status: 'playing' },
+    ];
+    state.activeHandIndex = 0;
+    const result = splitHit(state);
+    assert.equal(result.splitHands[0].status, 'stand');
+    assert.equal(result.activeHandIndex, 1);
+  });
+
+  it('a busted hand never counts as a Charlie', () => {
+    const state = makeState([], [card('K'), card('9')], { charlie: 5 });
+    state.splitHands = [
+      { cards: [card('2'), card('3'), card('K'), card('4'), card('5')], bet: 100, status: 'bust' },
+      { cards: [card('2', '♦'), card('9')], bet: 100, status: 'stand' },
+    ];
+    assert.equal(settleRound(state).splitHands[0].result.outcome, 'lose');
+  });
+});
+
+// Spanish 21
+describe('Spanish 21', () => {
+  const card = (rank, suit = '♠') => {
+    let value;
+    if (rank === 'A') value = 11;
+    else if (['J', 'Q', 'K'].includes(rank)) value = 10;
+    else value = parseInt(rank, 10);
+    return { suit, rank, value };
+  };
+
+  const rules = RULE_PRESETS.spanish21;
+
+  const makeState = (playerCards, dealerCards, opts = {}) => {
+    const state = createGameState(opts.rules || rules);
+    state.playerHand = playerCards;
+    state.dealerHand = dealerCards;
+    state.deck = stackDeck(state, opts.draws || []).deck;
+    state.bet = 100;
+    state.chips = 900;
+    state.phase = opts.phase || 'dealerTurn';
+    return state;
+  };
+
+  it('the preset deals from six 48-card decks', () => {
+    const state = reshuffleShoe(createGameState(rules));
+    assert.equal(state.deck.length, 288);
+    assert.equal(state.deck.some(c => c.rank === '10'), false);
+  });
+
+  it('a dry Spanish shoe refills without 10s', () => {
+    const { shoe } = drawCard({ ...createGameState(rules), playerHand: [card('K'), card('6')], dealerHand: [card('9')] });
+    assert.equal(shoe.deck.length, 288 - 4);
+    assert.equal(shoe.deck.some(c => c.rank === '10'), false);
+  });
+
+  describe('player 21 always wins', () => {
+    it('a player 21 beats a dealer 21', () => {
+      const result = settleRound(makeState([card('7'), card('4'), card('K')], [card('9'), card('5'), card('7')]));
+      assert.equal(result.result.outcome, 'win');
+      assert.equal(result.result.message, 'Your 21 wins!');
+      assert.equal(result.result.chipChange, 100);
+      assert.equal(result.chips, 1100);
+    });
+
+    it('21 against 21 pushes without the rule', () => {
+      const result = settleRound(makeState(
+        [card('7'), card('4'), card('K')], [card('9'), card('5'), card('7')], { rules: DEFAULT_RULES },
+      ));
+      assert.equal(result.result.outcome, 'push');
+    });
+
+    it('other equal totals still push', () => {
+      const result = settleRound(makeState([card('K'), card('8')], [card('9'), card('9', '♥')]));
+      assert.equal(result.result.outcome, 'push');
+    });
+
+    it('a player blackjack beats a dealer blackjack', () => {
+      const state = makeState([card('A'), card('K')], [card('A', '♥'), card('Q')], { phase: 'playing' });
+      const result = checkForBlackjack(state);
+      assert.equal(result.result.outcome, 'blackjack');
+      assert.equal(result.result.chipChange, 150);
+      assert.equal(result.chips, 900 + 100 + 150);
+    });
+
+    it('a split hand of 21 beats a dealer 21', () => {
+      const state = makeState([card('8'), card('8', '♥')], [card('9'), card('5'), card('7')]);
+      state.splitHands = [
+        { cards: [card('8'), card('3'), card('K')], bet: 100, status: 'stand' },
+        { cards: [card('8', '♥'), card('Q')], bet: 100, status: 'stand' },
+      ];
+      state.chips = 800;
+      const result = settleRound(state);
+      assert.deepEqual(result.splitHands.map(h => h.result.outcome), ['win', 'lose']);
+    });
+  });
+
+  describe('21 bonuses by card count', () => {
+    const dealer = [card('K'), card('9')];
+
+    it('a five-card 21 pays 3:2', () => {
+      const cards = [card('2'), card('3'), card('4'), card('5'), card('7')];
+      const result = settleRound(makeState(cards, dealer));
+      assert.equal(result.result.outcome, 'win');
+      assert.equal(result.result.special, 'bonus21');
+      assert.equal(result.result.message, 'Five-card 21!');
+      assert.equal(result.result.chipChange, 150);
+      assert.equal(result.stats.bonus21s, 1);
+    });
+
+    it('a six-card 21 pays 2:1', () => {
+      const cards = [card('2'), card('3'), card('4'), card('5'), card('2', '♥'), card('5', '♥')];
+      const result = settleRound(makeState(cards, dealer));
+      assert.equal(result.result.message, 'Six-card 21!');
+      assert.equal(result.result.chipChange, 200);
+    });
+
+    it('seven or more cards pay 3:1', () => {
+      const seven = [card('A'), card('2'), card('3'), card('4'), card('2', '♥'), card('3', '♥'), card('6')];
+      assert.equal(settleRound(makeState(seven, dealer)).result.chipChange, 300);
+      const eight = [card('A'), card('2'), card('3'), card('4'), card('2', '♥'), card('3', '♥'), card('A', '♥'), card('5')];
+      const result = settleRound(makeState(eight, dealer));
+      assert.equal(result.result.message, '8-card 21!');
+      assert.equal(result.result.chipChange, 300);
+    });
+
+    it('the bonus wins even against a dealer 21', () => {
+      const cards = [card('2'), card('3'), card('4'), card('5'), card('7')];
+      const result = settleRound(makeState(cards, [card('K'), card('4'), card('7')]));
+      assert.equal(result.result.chipChange, 150);
+    });
+
+    it('a doubled hand gets no bonus', () => {
+      const state = makeState([card('2'), card('3'), card('4'), card('5'), card('7')], dealer);
+      state.bet = 200;
+      state.doubled = true;
+      const result = settleRound(state);
+      assert.equal(result.result.special, undefined);
+      assert.equal(result.result.chipChange, 200);
+    });
+
+    it('a split hand that was not doubled gets the bonus', () => {
+      const state = makeState([card('2'), card('2', '♥')], dealer);
+      state.splitHands = [
+        { cards: [card('2'), card('3'), card('4'), card('5'), card('7')], bet: 100, status: 'stand' },
+        { cards: [card('2', '♥'), card('6'), card('4')], bet: 200, status: 'stand', doubled: true },
+      ];
+      const result = settleRound(state);
+      assert.equal(result.splitHands[0].result.chipChange, 150);
+      assert.equal(result.splitHands[1].result.chipChange, -200);
+    });
+
+    it('no bonus without the rule', () => {
+      const cards = [card('2'), card('3'), card('4'), card('5'), card('7')];
+      const result = settleRound(makeState(cards, dealer, { rules: DEFAULT_RULES }));
+      assert.equal(result.result.chipChange, 100);
+      assert.equal(result.stats.bonus21s, 0);
+    });
+  });
+
+  describe('double-down rescue', () => {
+    const doubled = (draws) => playerDouble(makeState([card('5'), card('4')], [card('9'), card('8')], {
+      phase: 'playing', draws,
+    }));
+
+    it('a doubled hand stays open to stand or rescue', () => {
+      const state = doubled([card('3')]); // 12
+      assert.equal(state.phase, 'playing');
+      assert.equal(state.bet, 200);
+      assert.equal(state.chips, 800);
+      const actions = getAvailableActions(state);
+      assert.equal(actions.stand, true);
+      assert.equal(actions.rescue, true);
+      assert.equal(actions.hit, false);
+      assert.equal(actions.double, false);
+    });
+
+    it('rescuing returns the double and forfeits the original bet', () => {
+      const result = playerRescue(doubled([card('3')]));
+      assert.equal(result.phase, 'result');
+      assert.equal(result.result.outcome, 'rescue');
+      assert.equal(result.result.chipChange, -100);
+      assert.equal(result.chips, 900);
+      assert.equal(result.stats.handsLost, 1);
+      assert.equal(result.stats.rescues, 1);
+    });
+
+    it('standing plays the doubled hand out', () => {
+      const state = playerStand(doubled([card('K')])); // 19 against 17
+      const result = settleRound(state);
+      assert.equal(result.result.chipChange, 200);
+      assert.equal(result.chips, 1200);
+    });
+
+    it('a doubled 21 goes straight to the dealer', () => {
+      const state = playerDouble(makeState([card('5'), card('6')], [card('9'), card('8')], {
+        phase: 'playing', draws: [card('K')],
+      }));
+      assert.equal(state.phase, 'dealerTurn');
+    });
+
+    it('a busted double cannot be rescued', () => {
+      const state = playerDouble(makeState([card('K'), card('4')], [card('9'), card('8')], {
+        phase: 'playing', draws: [card('Q')],
+      }));
+      assert.equal(state.phase, 'result');
+      assert.equal(playerRescue(state), state);
+    });
+
+    it('no rescue without the rule', () => {
+      const state = playerDouble(makeState([card('5'), card('4')], [card('9'), card('8')], {
+        phase: 'playing', draws: [card('3')], rules: DEFAULT_RULES,
+      }));
+      assert.equal(state.phase, 'dealerTurn');
+      assert.equal(playerRescue(state), state);
+    });
+
+    it('an undoubled hand cannot be rescued', () => {
+      const state = makeState([card('5'), card('4')], [card('9'), card('8')], { phase: 'playing' });
+      assert.equal(getAvailableActions(state).rescue, false);
+      assert.equal(playerRescue(state), state);
+    });
+
+    it('late doubling lets a three-card hand double and rescue', () => {
+      let state = makeState([card('2'), card('3')], [card('9'), card('8')], {
+        phase: 'playing', draws: [card('4'), card('6')],
+      });
+      state = playerDouble(playerHit(state)); // 2-3-4 = 9, doubles onto 6 = 15
+      assert.equal(state.playerHand.length, 4);
+      assert.equal(playerRescue(state).result.chipChange, -100);
+    });
+
+    it('a rescued spot hands play to the next spot', () => {
+      let state = createGameState({ ...rules, decks: 1 });
+      state = placeBets(state, [10, 20]).state;
+      // Spots 5-4 and K-8, dealer 9-8; spot 1 doubles onto 3
+      const dealOrder = [card('5'), card('K'), card('9'), card('4'), card('8'), card('8', '♥'), card('3')];
+      state.deck = stackDeck(state, dealOrder).deck;
+      state = checkForBlackjack(dealInitialCards(state));
+      state = finishSpot(playerDouble(state));
+      assert.equal(state.activeSpot, 0);
+      state = finishSpot(playerRescue(state));
+      assert.equal(state.activeSpot, 1);
+      assert.equal(state.spots[0].result.chipChange, -10);
+    });
+  });
+});
+
+// Blackjack Switch
+describe('Blackjack Switch', () => {
+  const card = (rank, suit = '♠') => {
+    let value;
+    if (rank === 'A') value = 11;
+    else if (['J', 'Q', 'K'].includes(rank)) value = 10;
+    else value = parseInt(rank, 10);
+    return { suit, rank, value };
+  };
+
+  // Single deck so the cut card stays in the short test deck
+  const rules = { ...RULE_PRESETS.switch, decks: 1 };
+
+  // dealOrder is in draw order: hand 1, hand 2, dealer up card, hand 1, hand 2, hole card, then hits
+  const deal = (dealOrder, overrides = {}) => {
+    let state = createGameState({ ...rules, ...overrides });
+    state = placeBet(state, 50).state;
+    state.deck = stackDeck(state, dealOrder).deck;
+    return dealInitialCards(state);
+  };
+
+  // A hand that settles against the dealer after a stand
+  const settledHand = (cards, bet = 50, status = 'stand') => ({ cards, bet, status });
+
+  const makeSettling = (hands, dealerCards, overrides = {}) => {
+    const state = createGameState({ ...rules, ...overrides });
+    state.splitHands = hands;
+    state.dealerHand = dealerCards;
+    state.chips = 900;
+    state.bet = 50;
+    state.phase = 'dealerTurn';
+    return state;
+  };
+
+  describe('betting', () => {
+    it('stakes the bet on each of the two hands', () => {
+      const result = placeBet(createGameState(rules), 50);
+      assert.equal(result.valid, true);
+      assert.equal(result.state.bet, 50);
+      assert.equal(result.state.chips, 900);
+    });
+
+    it('rejects a bet the chips cannot cover twice', () => {
+      const result = placeBet({ ...createGameState(rules), chips: 90 }, 50);
+      assert.equal(result.valid, false);
+      assert.match(result.error, /two bets of \$50/);
+    });
+
+    it('plays a single spot', () => {
+      const result = placeBets(createGameState(rules), [50, 50]);
+      assert.equal(result.valid, false);
+      assert.equal(result.error, 'Blackjack Switch plays a single spot.');
+    });
+  });
+
+  it('deals two hands, one card at a time, and opens the switch phase', () => {
+    const state = deal([card('A'), card('6'), card('9'), card('5'), card('K'), card('8')]);
+    assert.equal(state.phase, 'switch');
+    assert.deepEqual(state.splitHands.map(h => h.cards.map(c => c.rank)), [['A', '5'], ['6', 'K']]);
+    assert.deepEqual(state.splitHands.map(h => h.bet), [50, 50]);
+    assert.deepEqual(state.dealerHand.map(c => c.rank), ['9', '8']);
+  });
+
+  it('offers only the switch before play', () => {
+    const actions = getAvailableActions(deal([card('A'), card('6'), card('9'), card('5'), card('K'), card('8')]));
+    assert.equal(actions.switch, true);
+    assert.equal(actions.splitHit, false);
+    assert.equal(actions.hit, false);
+  });
+
+  it('playerSwitch swaps the second cards', () => {
+    const state = playerSwitch(deal([card('A'), card('6'), card('9'), card('5'), card('K'), card('8')]));
+    assert.equal(state.phase, 'playing');
+    assert.deepEqual(state.splitHands.map(h => h.cards.map(c => c.rank)), [['A', 'K'], ['6', '5']]);
+  });
+
+  it('declineSwitch keeps the hands as dealt', () => {
+    const state = declineSwitch(deal([card('A'), card('6'), card('9'), card('5'), card('K'), card('8')]));
+    assert.equal(state.phase, 'playing');
+    assert.deepEqual(state.splitHands.map(h => h.cards.map(c => c.rank)), [['A', '5'], ['6', 'K']]);
+  });
+
+  it('switching is only possible before play', () => {
+    const state = declineSwitch(deal([card('A'), card('6'), card('9'), card('5'), card('K'), card('8')]));
+    assert.equal(playerSwitch(state), state);
+    assert.equal(getAvailableActions(state).switch, false);
+  });
+
+  it('a blackjack made by switching stands and play starts on the other hand', () => {
+    let state = playerSwitch(deal([card('A'), card('6'), card('9'), card('5'), card('K'), card('8')]));
+    state = checkForBlackjack(state);
+    assert.equal(state.phase, 'playing');
+    assert.equal(state.splitHands[0].status, 'blackjack');
+    assert.equal(state.activeHandIndex, 1);
+  });
+
+  it('two blackjacks settle at once, at the table payout', () => {
+    // Hands A-K and Q-A, kept as dealt
+    let state = declineSwitch(deal([card('A'), card('Q'), card('9'), card('K'), card('A', '♥'), card('8')]));
+    state = checkForBlackjack(state);
+    assert.equal(state.phase, 'result');
+    assert.deepEqual(state.splitHands.map(h => h.result.outcome), ['blackjack', 'blackjack']);
+    assert.equal(state.result.chipChange, 100); // 1:1 on each hand
+    assert.equal(state.chips, 1100);
+    assert.equal(state.stats.blackjacks, 2);
+    assert.equal(state.stats.handsWon, 2);
+  });
+
+  it('a dealer blackjack pushes a player blackjack and takes the other hand', () => {
+    let state = declineSwitch(deal([card('A'), card('9'), card('A', '♥'), card('K'), card('7'), card('Q')]));
+    state = checkForBlackjack(state);
+    assert.equal(state.phase, 'result');
+    assert.deepEqual(state.splitHands.map(h => h.result.outcome), ['push', 'lose']);
+    assert.equal(state.result.chipChange, -50);
+    assert.equal(state.chips, 950);
+  });
+
+  it('a dealer 22 pushes standing hands', () => {
+    const state = makeSettling(
+      [settledHand([card('K'), card('9')]), settledHand([card('10'), card('7')])],
+      [card('K'), card('6'), card('6', '♥')],
+    );
+    const result = settleRound(state);
+    assert.deepEqual(result.splitHands.map(h => h.result.message), ['Dealer 22 pushes.', 'Dealer 22 pushes.']);
+    assert.equal(result.result.chipChange, 0);
+    assert.equal(result.chips, 1000);
+    assert.equal(result.stats.handsPushed, 2);
+  });
+
+  it('a dealer 22 still loses to a blackjack, and a busted hand still loses', () => {
+    const state = makeSettling(
+      [settledHand([card('A'), card('K')], 50, 'blackjack'), settledHand([card('10'), card('7'), card('8')], 50, 'bust')],
+      [card('K'), card('6'), card('6', '♥')],
+    );
+    const result = settleRound(state);
+    assert.deepEqual(result.splitHands.map(h => h.result.outcome), ['blackjack', 'lose']);
+    assert.equal(result.result.chipChange, 0);
+  });
+
+  it('other dealer busts still pay', () => {
+    const state = makeSettling(
+      [settledHand([card('K'), card('9')]), settledHand([card('10'), card('7')])],
+      [card('K'), card('6'), card('7')],
+    );
+    assert.equal(settleRound(state).result.chipChange, 100);
+  });
+
+  it('a dealer 22 is an ordinary bust without the rule', () => {
+    const state = makeSettling(
+      [settledHand([card('K'), card('9')]), settledHand([card('10'), card('7')])],
+      [card('K'), card('6'), card('6', '♥')],
+      { dealer22Pushes: false },
+    );
+    assert.equal(settleRound(state).result.chipChange, 100);
+  });
+
+  it('dealt hands double on their first two cards without DAS', () => {
+    let state = declineSwitch(deal(
+      [card('5'), card('9'), card('10'), card('6'), card('8'), card('7'), card('K')],
+      { doubleAfterSplit: false },
+    ));
+    state = checkForBlackjack(state);
+    assert.equal(getAvailableActions(state).splitDouble, true);
+    state = splitDouble(state); // 5-6 doubles onto K = 21
+    assert.equal(state.splitHands[0].bet, 100);
+    assert.equal(state.activeHandIndex, 1);
+  });
+
+  it('a hand split from a dealt hand follows the DAS rule', () => {
+    let state = declineSwitch(deal(
+      [card('8'), card('9'), card('10'), card('8', '♥'), card('8', '♦'), card('7'), card('3'), card('2')],
+      { doubleAfterSplit: false },
+    ));
+    state = playerSplit(checkForBlackjack(state));
+    assert.equal(state.splitHands.length, 3);
+    assert.equal(getAvailableActions(state).splitDouble, false);
+  });
+
+  it('settles with a Switch results message', () => {
+    const state = makeSettling(
+      [settledHand([card('K'), card('9')]), settledHand([card('10'), card('7')])],
+      [card('K'), card('8')],
+    );
+    const result = settleRound(state);
+    assert.equal(result.result.outcome, 'split');
+    assert.equal(result.result.message, 'Switch results');
+    assert.equal(result.result.chipChange, 0);
+  });
+});
+
+// Double Exposure
+describe('Double Exposure', () => {
+  const card = (rank, suit = '♠') => {
+    let value;
+    if (rank === 'A') value = 11;
+    else if (['J', 'Q', 'K'].includes(rank)) value = 10;
+    else value = parseInt(rank, 10);
+    return { suit, rank, value };
+  };
+
+  const rules = RULE_PRESETS['double-exposure'];
+
+  const makeState = (playerCards, dealerCards, opts = {}) => {
+    const state = createGameState(opts.rules || rules);
+    state.playerHand = playerCards;
+    state.dealerHand = dealerCards;
+    state.deck = stackDeck(state, opts.draws || []).deck;
+    state.bet = 100;
+    state.chips = 900;
+    state.phase = opts.phase || 'dealerTurn';
+    return state;
+  };
+
+  // dealOrder is in draw order: player, dealer up card, player, hole card
+  const deal = (dealOrder, overrides = {}) => {
+    let state = createGameState({ ...rules, decks: 1, ...overrides });
+    state = placeBet(state, 100).state;
+    state.deck = stackDeck(state, dealOrder).deck;
+    return dealInitialCards(state);
+  };
+
+  it('the preset pays blackjack 1:1 and the dealer wins ties', () => {
+    assert.equal(rules.holeCard, 'exposed');
+    assert.equal(rules.blackjackPayout, '1:1');
+    assert.equal(rules.tiesLose, true);
+  });
+
+  it('deals the dealer two cards', () => {
+    const state = deal([card('9'), card('7'), card('K'), card('8')]);
+    assert.equal(state.dealerHand.length, 2);
+    assert.equal(state.phase, 'playing');
+  });
+
+  it('offers no insurance against an exposed ace', () => {
+    const state = deal([card('9'), card('A'), card('7'), card('8')], { insurance: true });
+    assert.equal(state.phase, 'playing');
+  });
+
+  describe('ties', () => {
+    it('a tie on 17 loses', () => {
+      const result = settleRound(makeState([card('10'), card('7')], [card('9'), card('8')]));
+      assert.equal(result.result.outcome, 'lose');
+      assert.equal(result.result.message, 'Dealer wins ties.');
+      assert.equal(result.result.chipChange, -100);
+      assert.equal(result.chips, 900);
+      assert.equal(result.stats.handsLost, 1);
+      assert.equal(result.stats.handsPushed, 0);
+    });
+
+    it('a tie on 21 loses', () => {
+      const result = settleRound(makeState([card('7'), card('4'), card('K')], [card('9'), card('5'), card('7')]));
+      assert.equal(result.result.outcome, 'lose');
+    });
+
+    it('ties still push without the rule', () => {
+      const result = settleRound(makeState([card('10'), card('7')], [card('9'), card('8')], {
+        rules: { ...rules, tiesLose: false },
+      }));
+      assert.equal(result.result.outcome, 'push');
+    });
+
+    it('a player 21 still wins where 21 always wins', () => {
+      const result = settleRound(makeState([card('7'), card('4'), card('K')], [card('9'), card('5'), card('7')], {
+        rules: { ...rules, player21Wins: true },
+      }));
+      assert.equal(result.result.outcome, 'win');
+    });
+
+    it('split hands lose their ties too', () => {
+      const state = makeState([card('8'), card('8', '♥')], [card('K'), card('8')]);
+      state.splitHands = [
+        { cards: [card('8'), card('K', '♥')], bet: 100, status: 'stand' },
+        { cards: [card('8', '♥'), card('Q')], bet: 100, status: 'stand' },
+      ];
+      state.chips = 800;
+      const result = settleRound(state);
+      assert.deepEqual(result.splitHands.map(h => h.result.outcome), ['lose', 'lose']);
+      assert.equal(result.result.chipChange, -200);
+    });
+  });
+
+  describe('ordinary results', () => {
+    it('a higher total wins even money', () => {
+      const result = settleRound(makeState([card('10'), card('9')], [card('9'), card('8')]));
+      assert.equal(result.result.outcome, 'win');
+      assert.equal(result.result.chipChange, 100);
+    });
+
+    it('a lower total loses', () => {
+      const result = settleRound(makeState([card('10'), card('6')], [card('9'), card('8')]));
+      assert.equal(result.result.outcome, 'lose');
+    });
+
+    it('a dealer bust pays', () => {
+      const result = settleRound(makeState([card('10'), card('6')], [card('9'), card('6'), card('K')]));
+      assert.equal(result.result.outcome, 'win');
+    });
+  });
+
+  describe('blackjack', () => {
+    it('a player blackjack pays 1:1', () => {
+      const state = checkForBlackjack(deal([card('A'), card('9'), card('K'), card('8')]));
+      assert.equal(state.result.outcome, 'blackjack');
+      assert.equal(state.result.chipChange, 100);
+      assert.equal(state.chips, 1100);
+    });
+
+    it('a player blackjack beats a dealer blackjack', () => {
+      const state = checkForBlackjack(deal([card('A'), card('A', '♥'), card('K'), card('Q')]));
+      assert.equal(state.result.outcome, 'blackjack');
+      assert.equal(state.result.chipChange, 100);
+      assert.equal(state.stats.blackjacks, 1);
+    });
+
+    it('a dealer blackjack beats everything else at once', () => {
+      const state = checkForBlackjack(deal([card('10'), card('A'), card('K'), card('Q')]));
+      assert.equal(state.phase, 'result');
+      assert.equal(state.result.outcome, 'lose');
+      assert.equal(state.chips, 900);
+    });
+
+    it('a dealer blackjack beats a spot while a spot blackjack is paid', () => {
+      let state = createGameState({ ...rules, decks: 1 });
+      state = placeBets(state, [10, 20]).state;
+      const dealOrder = [card('A'), card('9'), card('A', '♥'), card('K'), card('9', '♥'), card('Q')];
+      state.deck = stackDeck(state, dealOrder).deck;
+      state = checkForBlackjack(dealInitialCards(state));
+      assert.deepEqual(state.spots.map(s => s.result.outcome), ['blackjack', 'lose']);
+      assert.equal(state.result.chipChange, 10 - 20);
+    });
+
+    it('a Blackjack Switch natural beats a dealer blackjack when ties lose', () => {
+      let state = createGameState({ ...RULE_PRESETS.switch, decks: 1, tiesLose: true });
+      state = placeBet(state, 50).state;
+      const dealOrder = [card('A'), card('9'), card('A', '♥'), card('K'), card('7'), card('Q')];
+      state.deck = stackDeck(state, dealOrder).deck;
+      state = checkForBlackjack(declineSwitch(dealInitialCards(state)));
+      assert.deepEqual(state.splitHands.map(h => h.result.outcome), ['blackjack', 'lose']);
+    });
+  });
+});
+
+// Free Bet
+describe('Free Bet', () => {
+  const card = (rank, suit = '♠') => {
+    let value;
+    if (rank === 'A') value = 11;
+    else if (['J', 'Q', 'K'].includes(rank)) value = 10;
+    else value = parseInt(rank, 10);
+    return { suit, rank, value };
+  };
+
+  const rules = RULE_PRESETS['free-bet'];
+
+  // $50 bet already deducted from $1,000
+  const makeState = (playerCards, dealerCards, deck = [], overrides = {}) => {
+    const state = createGameState({ ...rules, ...overrides });
+    state.playerHand = playerCards;
+    state.dealerHand = dealerCards;
+    state.deck = stackDeck(state, deck).deck;
+    state.bet = 50;
+    state.chips = 950;
+    state.phase = 'playing';
+    return state;
+  };
+
+  describe('free doubles', () => {
+    it('a hard 10 doubles for free', () => {
+      const state = playerDouble(makeState([card('6'), card('4')], [card('10'), card('7')], [card('9')]));
+      assert.equal(state.bet, 100);
+      assert.equal(state.freeBet, 50);
+      assert.equal(state.chips, 950);
+    });
+
+    it('hard 9 and 11 double for free; other totals pay for the double', () => {
+      for (const [cards, free] of [
+        [[card('5'), card('4')], true],
+        [[card('6'), card('5')], true],
+        [[card('8'), card('4')], false],
+        [[card('A'), card('7')], false],
+      ]) {
+        const state = playerDouble(makeState(cards, [card('10'), card('7')], [card('2')]));
+        assert.equal(state.freeBet, free ? 50 : 0, cards.map(c => c.rank).join('-'));
+        assert.equal(state.chips, free ? 950 : 900);
+      }
+    });
+
+    it('a free double needs no chips', () => {
+      const broke = (cards) => ({ ...makeState(cards, [card('10'), card('7')]), chips: 0 });
+      assert.equal(getAvailableActions(broke([card('6'), card('4')])).double, true);
+      assert.equal(getAvailableActions(broke([card('8'), card('4')])).double, false);
+    });
+
+    it('a won free double pays on the whole bet', () => {
+      const state = playerDouble(makeState([card('6'), card('4')], [card('10'), card('7')], [card('9')])); // 19
+      const result = settleRound(state);
+      assert.equal(result.result.chipChange, 100);
+      assert.equal(result.result.freeWin, 50);
+      assert.equal(result.chips, 1100);
+    });
+
+    it('a lost free double costs only the original bet', () => {
+      const state = playerDouble(makeState([card('6'), card('4')], [card('10'), card('8')], [card('6')])); // 16
+      const result = settleRound(state);
+      assert.equal(result.result.outcome, 'lose');
+      assert.equal(result.result.chipChange, -50);
+      assert.equal(result.result.freeWin, undefined);
+      assert.equal(result.chips, 950);
+    });
+
+    it('the free chips are cleared for the next deal', () => {
+      const state = playerDouble(makeState([card('6'), card('4')], [card('10'), card('7')], [card('9')]));
+      const next = dealInitialCards({ ...settleRound(state), deck: createDeck() });
+      assert.equal(next.freeBet, 0);
+    });
+
+    it('a pushed free double returns the original bet', () => {
+      const state = playerDouble(makeState([card('6'), card('4')], [card('10'), card('8')], [card('8')])); // 18
+      const result = settleRound(state);
+      assert.equal(result.result.outcome, 'push');
+      assert.equal(result.chips, 1000);
+    });
+
+    it('rescuing a free double gives back nothing but the free chips', () => {
+      const state = playerDouble(makeState([card('6'), card('4')], [card('10'), card('8')], [card('2')], {
+        doubleRescue: true,
+      }));
+      const result = playerRescue(state);
+      assert.equal(result.result.chipChange, -50);
+      assert.equal(result.chips, 950);
+    });
+  });
+
+  describe('free splits', () => {
+    it('splits any pair but tens for free', () => {
+      const state = playerSplit(makeState([card('8'), card('8', '♥')], [card('10'), card('7')], [card('3'), card('K')]));
+      assert.equal(state.chips, 950);
+      assert.deepEqual(state.splitHands.map(h => h.free), [0, 50]);
+      assert.deepEqual(state.splitHands.map(h => h.bet), [50, 50]);
+    });
+
+    it('tens split with the player\'s own chips', () => {
+      const state = playerSplit(makeState([card('K'), card('Q')], [card('10'), card('7')], [card('3'), card('4')]));
+      assert.equal(state.chips, 900);
+      assert.deepEqual(state.splitHands.map(h => h.free), [0, 0]);
+    });
+
+    it('a free split needs no chips', () => {
+      const state = { ...makeState([card('8'), card('8', '♥')], [card('10'), card('7')]), chips: 0 };
+      assert.equal(getAvailableActions(state).split, true);
+    });
+
+    it('a lost free hand costs nothing and a won one pays', () => {
+      // Hands 8-3 (11, stands) and 8-K (18) against 17
+      let state = playerSplit(makeState([card('8'), card('8', '♥')], [card('10'), card('7')], [card('3'), card('K')]));
+      state = splitStand(splitStand(state));
+      const result = settleRound(state);
+      assert.deepEqual(result.splitHands.map(h => h.result.chipChange), [-50, 50]);
+      assert.equal(result.result.chipChange, 0);
+      assert.equal(result.result.freeWin, 50);
+      assert.equal(result.chips, 1000);
+    });
+
+    it('the free hand losing costs nothing', () => {
+      // Hands 8-K (18) and 8-3 (11) against 17
+      let state = playerSplit(makeState([card('8'), card('8', '♥')], [card('10'), card('7')], [card('K'), card('3')]));
+      state = splitStand(splitStand(state));
+      const result = settleRound(state);
+      assert.deepEqual(result.splitHands.map(h => h.result.chipChange), [50, 0]);
+      assert.equal(result.chips, 1050);
+    });
+
+    it('re-splits are free too', () => {
+      let state = playerSplit(makeState(
+        [card('8'), card('8', '♥')], [card('10'), card('7')], [card('8', '♦'), card('K'), card('2'), card('3')],
+      ));
+      state = playerSplit(state);
+      assert.equal(state.splitHands.length, 3);
+      assert.deepEqual(state.splitHands.map(h => h.free), [0, 50, 50]);
+      assert.equal(state.chips, 950);
+    });
+
+    it('a free hand doubles for free as well', () => {
+      // Hands 8-K and 8-2; the second doubles onto 9 = 19
+      let state = playerSplit(makeState(
+        [card('8'), card('8', '♥')], [card('10'), card('7')], [card('K'), card('2'), card('9')],
+      ));
+      state = splitDouble(splitStand(state));
+      assert.equal(state.splitHands[1].bet, 100);
+      assert.equal(state.splitHands[1].free, 100);
+      assert.equal(state.chips, 950);
+      const result = settleRound(state);
+      assert.equal(result.result.chipChange, 150);
+      assert.equal(result.result.freeWin, 100);
+      assert.equal(result.chips, 1150);
+    });
+
+    it('every hand losing costs only the original bet', () => {
+      let state = playerSplit(makeState([card('8'), card('8', '♥')], [card('10'), card('9')], [card('K'), card('9')]));
+      state = splitStand(splitStand(state));
+      const result = settleRound(state);
+      assert.equal(result.result.chipChange, -50);
+      assert.equal(result.chips, 950);
+    });
+  });
+
+  it('a dealer 22 pushes every hand at the Free Bet table', () => {
+    const state = { ...makeState([card('10'), card('8')], [card('10'), card('6'), card('6', '♥')]), phase: 'dealerTurn' };
+    const result = settleRound(state);
+    assert.equal(result.result.outcome, 'push');
+    assert.equal(result.chips, 1000);
+  });
+
+  it('doubles and splits cost chips without the rule', () => {
+    const double = playerDouble(makeState([card('6'), card('4')], [card('10'), card('7')], [card('9')], {
+      freeBets: false,
+    }));
+    assert.equal(double.chips, 900);
+    assert.equal(double.freeBet, 0);
+    const split = playerSplit(makeState([card('8'), card('8', '♥')], [card('10'), card('7')], [card('3'), card('K')], {
+      freeBets: false,
+    }));
+    assert.equal(split.chips, 900);
+  });
+
+  it('each spot tracks its own free chips', () => {
+    let state = createGameState({ ...rules, decks: 1 });
+    state = placeBets(state, [10, 20]).state;
+    // Spots 6-4 (doubles free onto 9) and K-8; dealer 10-7
+    const dealOrder = [card('6'), card('K'), card('10'), card('4'), card('8'), card('7'), card('9')];
+    state.deck = stackDeck(state, dealOrder).deck;
+    state = checkForBlackjack(dealInitialCards(state));
+    state = finishSpot(playerDouble(state));
+    assert.equal(state.spots[0].freeBet, 10);
+    assert.equal(state.freeBet, 0);
+    state = finishSpot(playerStand(state));
+    const result = settleRound(state);
+    assert.equal(result.result.chipChange, 20 + 20);
+    assert.equal(result.result.freeWin, 10);
+    assert.equal(result.chips, 1040);
+  });
+});
+
+// Side bets
+describe('side bets', () => {
+  const card = (rank, suit = '♠') => {
+    let value;
+    if (rank === 'A') value = 11;
+    else if (['J', 'Q', 'K'].includes(rank)) value = 10;
+    else value = parseInt(rank, 10);
+    return { suit, rank, value };
+  };
+
+  // Single deck so the cut card stays in the short test deck
+  const rules = { ...RULE_PRESETS['vegas-strip'], decks: 1 };
+
+  const betState = (overrides = {}) => placeBet(createGameState({ ...rules, ...overrides }), 50).state;
+
+  // dealOrder is in draw order: player, dealer up card, player, hole card
+  const deal = (dealOrder, sideBets, overrides = {}) => {
+    const state = placeSideBets(betState(overrides), sideBets).state;
+    state.deck = stackDeck(state, dealOrder).deck;
+    return dealInitialCards(state);
+  };
+
+  describe('placeSideBets', () => {
+    it('takes each side bet from the chips next to the main bet', () => {
+      const result = placeSideBets(betState(), { perfectPairs: 10, twentyOnePlus3: 5 });
+      assert.equal(result.valid, true);
+      assert.equal(result.state.chips, 935);
+      assert.deepEqual(result.state.sideBets, {
+        perfectPairs: { name: 'Perfect Pairs', bet: 10 },
+        twentyOnePlus3: { name: '21+3', bet: 5 },
+      });
+    });
+
+    it('accepts no side bets at all', () => {
+      const state = betState();
+      assert.equal(placeSideBets(state, {}).state, state);
+    });
+
+    it('limits a side bet to the main bet', () => {
+      const result = placeSideBets(betState(), { perfectPairs: 60 });
+      assert.equal(result.valid, false);
+      assert.equal(result.error, 'Perfect Pairs is limited to your bet of $50.');
+    });
+
+    it('rejects side bets the table does not offer', () => {
+      const result = placeSideBets(placeBet(createGameState(), 50).state, { perfectPairs: 5 });
+      assert.equal(result.valid, false);
+      assert.equal(result.error, 'This table does not offer Perfect Pairs.');
+      assert.equal(placeSideBets(betState(), { luckyDip: 5 }).valid, false);
+    });
+
+    it('rejects amounts that are not whole numbers above zero', () => {
+      assert.equal(placeSideBets(betState(), { perfectPairs: 0 }).valid, false);
+      assert.equal(placeSideBets(betState(), { perfectPairs: 2.5 }).valid, false);
+    });
+
+    it('rejects side bets beyond the chips left', () => {
+      const state = { ...betState(), chips: 8 };
+      assert.equal(placeSideBets(state, { perfectPairs: 5, twentyOnePlus3: 5 }).valid, false);
+    });
+
+    it('needs a main bet and no cards dealt', () => {
+      assert.equal(placeSideBets(createGameState(rules), { perfectPairs: 5 }).valid, false);
+      const dealt = { ...betState(), playerHand: [card('9'), card('7')] };
+      assert.equal(placeSideBets(dealt, { perfectPairs: 5 }).valid, false);
+    });
+
+    it('is single-hand only', () => {
+      const spots = placeBets(createGameState(rules), [50, 50]).state;
+      assert.equal(placeSideBets(spots, { perfectPairs: 5 }).error, 'Side bets are only offered on a single hand.');
+    });
+
+    it('a new main bet clears the last round\'s side bets', () => {
+      const state = placeSideBets(betState(), { perfectPairs: 5 }).state;
+      assert.equal(placeBet({ ...state, phase: 'betting' }, 50).state.sideBets, null);
+    });
+  });
+
+  describe('offeredSideBets', () => {
+    it('lists the side bets with a paytable at the table', () => {
+      assert.deepEqual(offeredSideBets(rules).map(b => b.code), ['pp', '21+3']);
+      assert.deepEqual(offeredSideBets({ ...rules, perfectPairs: 'none' }).map(b => b.key), ['twentyOnePlus3']);
+      assert.deepEqual(offeredSideBets(DEFAULT_RULES), []);
+    });
+  });
+
+  describe('Perfect Pairs', () => {
+    it('pays a perfect pair 25 to 1 at the deal', () => {
+      const state = deal([card('8', '♥'), card('10'), card('8', '♥'), card('7')], { perfectPairs: 10 });
+      assert.deepEqual(state.sideBets.perfectPairs,
+        { name: 'Perfect Pairs', bet: 10, outcome: 'won', hand: 'Perfect pair', chipChange: 250 });
+      assert.equal(state.chips, 940 + 260);
+    });
+
+    it('pays a colored pair 12 to 1 and a mixed pair 6 to 1', () => {
+      const colored = deal([card('8', '♥'), card('10'), card('8', '♦'), card('7')], { perfectPairs: 10 });
+      assert.equal(colored.sideBets.perfectPairs.hand, 'Colored pair');
+      assert.equal(colored.sideBets.perfectPairs.chipChange, 120);
+      const mixed = deal([card('K', '♠'), card('10'), card('K', '♥'), card('7')], { perfectPairs: 10 });
+      assert.equal(mixed.sideBets.perfectPairs.hand, 'Mixed pair');
+      assert.equal(mixed.sideBets.perfectPairs.chipChange, 60);
+    });
+
+    it('loses without a pair, even on two ten-value cards', () => {
+      const state = deal([card('K'), card('10'), card('Q'), card('7')], { perfectPairs: 10 });
+      assert.deepEqual(state.sideBets.perfectPairs, { name: 'Perfect Pairs', bet: 10, outcome: 'lost', chipChange: -10 });
+      assert.equal(state.chips, 940);
+    });
+
+    it('follows the table paytable', () => {
+      const state = deal([card('8', '♥'), card('10'), card('8', '♥'), card('7')], { perfectPairs: 10 },
+        { perfectPairs: '30/10/5' });
+      assert.equal(state.sideBets.perfectPairs.chipChange, 300);
+    });
+  });
+
+  describe('21+3', () => {
+    const hand = ([first, second], up) => deal([first, up, second, card('7', '♣')], { twentyOnePlus3: 5 }).sideBets.twentyOnePlus3;
+
+    it('scores the two player cards with the dealer up card', () => {
+      assert.equal(hand([card('7', '♥'), card('7', '♥')], card('7', '♥')).hand, 'Suited trips');
+      assert.equal(hand([card('5', '♦'), card('6', '♦')], card('7', '♦')).hand, 'Straight flush');
+      assert.equal(hand([card('7', '♥'), card('7', '♠')], card('7', '♦')).hand, 'Three of a kind');
+      assert.equal(hand([card('9', '♥'), card('J', '♠')], card('10', '♦')).hand, 'Straight');
+      assert.equal(hand([card('2', '♣'), card('9', '♣')], card('K', '♣')).hand, 'Flush');
+      assert.equal(hand([card('2', '♣'), card('9', '♥')], card('K', '♣')).outcome, 'lost');
+    });
+
+    it('plays an ace high or low in a straight, but not around the corner', () => {
+      assert.equal(hand([card('A', '♥'), card('2', '♠')], card('3', '♦')).hand, 'Straight');
+      assert.equal(hand([card('Q', '♥'), card('K', '♠')], card('A', '♦')).hand, 'Straight');
+      assert.equal(hand([card('K', '♥'), card('A', '♠')], card('2', '♦')).outcome, 'lost');
+    });
+
+    it('pays from the paytable, best hand first', () => {
+      assert.equal(hand([card('7', '♥'), card('7', '♥')], card('7', '♥')).chipChange, 500);
+      assert.equal(hand([card('5', '♦'), card('6', '♦')], card('7', '♦')).chipChange, 200);
+      assert.equal(hand([card('2', '♣'), card('9', '♣')], card('K', '♣')).chipChange, 25);
+    });
+
+    it('uses the up card without a hole card (ENHC)', () => {
+      const state = deal([card('5', '♦'), card('7', '♦'), card('6', '♦')], { twentyOnePlus3: 5 }, { holeCard: 'enhc' });
+      assert.equal(state.dealerHand.length, 1);
+      assert.equal(state.sideBets.twentyOnePlus3.hand, 'Straight flush');
+    });
+  });
+
+  describe('Lucky Ladies', () => {
+    const downtown = { ...RULE_PRESETS.downtown, decks: 1 };
+    const ladies = ([first, second], [up, hole]) => (
+      deal([first, up, second, hole], { luckyLadies: 5 }, downtown).sideBets.luckyLadies
+    );
+
+    it('pays any 20 in the first two cards', () => {
+      assert.equal(ladies([card('K', '♠'), card('Q', '♥')], [card('9'), card('7')]).hand, 'Any 20');
+      assert.equal(ladies([card('A', '♣'), card('9', '♦')], [card('9'), card('7')]).chipChange, 20);
+      assert.equal(ladies([card('10', '♣'), card('J', '♣')], [card('9'), card('7')]).hand, 'Suited 20');
+      assert.equal(ladies([card('K', '♦'), card('K', '♦')], [card('9'), card('7')]).hand, 'Matched 20');
+      assert.equal(ladies([card('K', '♦'), card('9', '♦')], [card('9'), card('7')]).outcome, 'lost');
+    });
+
+    it('pays 125 to 1 on the queens of hearts, and the jackpot against a dealer blackjack', () => {
+      const queens = [card('Q', '♥'), card('Q', '♥')];
+      assert.equal(ladies(queens, [card('9'), card('7')]).chipChange, 625);
+      const jackpot = ladies(queens, [card('A'), card('K')]);
+      assert.equal(jackpot.hand, 'Queens of hearts vs blackjack');
+      assert.equal(jackpot.chipChange, 5000);
+    });
+
+    it('settles at the deal, even when the dealer blackjack ends the round', () => {
+      let state = deal([card('Q', '♥'), card('A'), card('Q', '♥'), card('K')], { luckyLadies: 5 }, downtown);
+      state = checkForBlackjack(declineInsurance(state));
+      assert.equal(state.phase, 'result');
+      assert.equal(state.chips, 945 + 5005);
+    });
+  });
+
+  describe('Buster Blackjack', () => {
+    const downtown = { ...RULE_PRESETS.downtown, decks: 1 };
+
+    // The dealer's finished hand, with $10 on Buster Blackjack
+    const finished = (dealerCards) => {
+      const state = placeSideBets(betState(downtown), { busterBlackjack: 10 }).state;
+      return { ...state, playerHand: [card('10'), card('8')], dealerHand: dealerCards, phase: 'dealerTurn' };
+    };
+
+    it('waits at the deal for the dealer\'s hand', () => {
+      const state = deal([card('10'), card('6'), card('8'), card('10')], { busterBlackjack: 10 }, downtown);
+      assert.equal(state.sideBets.busterBlackjack.outcome, undefined);
+      assert.equal(sideBetsPending(state), true);
+      assert.equal(settleSideBets(state, 'deal').sideBets.busterBlackjack.outcome, undefined);
+    });
+
+    it('pays by the cards in the dealer\'s busted hand', () => {
+      for (const [dealerCards, hand, win] of [
+        [[card('6'), card('10'), card('K')], '3-card bust', 10],
+        [[card('2'), card('4'), card('6'), card('K')], '4-card bust', 20],
+        [[card('2'), card('2'), card('3'), card('5'), card('K')], '5-card bust', 40],
+        [[card('A'), card('A'), card('2'), card('2'), card('3'), card('4'), card('9')], '7-card bust', 500],
+        [[card('A'), card('A'), card('A'), card('2'), card('2'), card('2'), card('4'), card('9')], '8+ card bust', 2500],
+      ]) {
+        const state = settleSideBets(finished(dealerCards), 'dealer');
+        assert.equal(state.sideBets.busterBlackjack.hand, hand);
+        assert.equal(state.sideBets.busterBlackjack.chipChange, win);
+        assert.equal(state.chips, 940 + 10 + win);
+        assert.equal(sideBetsPending(state), false);
+      }
+    });
+
+    it('loses when the dealer stands', () => {
+      const state = settleSideBets(finished([card('10'), card('7')]), 'dealer');
+      assert.equal(state.sideBets.busterBlackjack.outcome, 'lost');
+      assert.equal(state.stats.sideBetsLost, 1);
+      assert.equal(state.chips, 940);
+    });
+
+    it('leaves the deal-time bets and the main hand alone', () => {
+      let state = placeSideBets(betState(downtown), { luckyLadies: 5, busterBlackjack: 10 }).state;
+      state.deck = stackDeck(state, [card('K'), card('6'), card('Q', '♥'), card('10'), card('K')]).deck;
+      state = dealerDrawOne(playerStand(dealInitialCards(state)));
+      const luckyLadies = state.sideBets.luckyLadies;
+      state = settleRound(settleSideBets(state, 'dealer'));
+      assert.equal(luckyLadies.hand, 'Any 20');
+      assert.equal(state.sideBets.luckyLadies, luckyLadies);
+      assert.equal(state.sideBets.busterBlackjack.hand, '3-card bust');
+      assert.equal(state.result.outcome, 'win');
+      assert.equal(state.result.chipChange, 50);
+    });
+  });
+
+  describe('settlement', () => {
+    it('settles both bets at the deal, before the hand is played', () => {
+      const state = deal([card('8', '♥'), card('9', '♥'), card('8', '♦'), card('7')],
+        { perfectPairs: 10, twentyOnePlus3: 5 });
+      assert.equal(state.phase, 'playing');
+      assert.equal(state.sideBets.perfectPairs.outcome, 'won');
+      assert.equal(state.sideBets.twentyOnePlus3.outcome, 'lost');
+      assert.equal(state.chips, 935 + 130);
+    });
+
+    it('keeps side bet winnings out of the main result', () => {
+      let state = deal([card('8', '♥'), card('10'), card('8', '♥'), card('9')], { perfectPairs: 10 });
+      state = settleRound(playerStand(state));
+      assert.equal(state.result.outcome, 'lose');
+      assert.equal(state.result.chipChange, -50);
+      assert.equal(state.chips, 940 + 260);
+    });
+
+    it('tracks side bets won, lost and their net in the session stats', () => {
+      const state = deal([card('8', '♥'), card('9'), card('8', '♥'), card('7')],
+        { perfectPairs: 10, twentyOnePlus3: 5 });
+      assert.equal(state.stats.sideBetsWon, 1);
+      assert.equal(state.stats.sideBetsLost, 1);
+      assert.equal(state.stats.sideBetNet, 245);
+      assert.equal(state.stats.peakChips, state.chips);
+    });
+
+    it('does not settle a bet twice if the cards are dealt again', () => {
+      const state = deal([card('8', '♥'), card('10'), card('8', '♥'), card('7')], { perfectPairs: 10 });
+      state.deck = stackDeck(state, [card('2'), card('10'), card('3'), card('7')]).deck;
+      const again = dealInitialCards(state);
+      assert.equal(again.chips, state.chips);
+      assert.equal(again.stats.sideBetsWon, 1);
+    });
   });
 });
 
-describe('splitStand', () => {
+// Multiple betting spots
+describe('multiple spots', () => {
   const card = (rank, suit = '♠') => {
     let value;
     if (rank === 'A') value = 11;
@@ -2202,235 +5823,244 @@ describe('splitStand', () => {
     return { suit, rank, value };
   };
 
-  const makeSplitState = (hand1Cards, hand2Cards, opts = {}) => {
-    const state = createGameState();
-    state.splitHands = [
-      { cards: hand1Cards, bet: opts.bet || 100, status: opts.hand1Status || 'playing' },
-      { cards: hand2Cards, bet: opts.bet || 100, status: opts.hand2Status || 'playing' },
-    ];
-    state.activeHandIndex = opts.activeHandIndex !== undefined ? opts.activeHandIndex : 0;
-    state.dealerHand = opts.dealerHand || [card('8'), card('9')];
-    state.deck = opts.deck || [card('5'), card('7'), card('K')];
-    state.bet = opts.bet || 100;
-    state.chips = opts.chips !== undefined ? opts.chips : 800;
-    state.phase = 'playing';
-    return state;
+  // dealOrder is in draw order: each spot's first card, the dealer's up card,
+  // each spot's second card, the hole card, then any hits.
+  const dealSpots = (bets, dealOrder, rules = {}) => {
+    let state = createGameState(rules);
+    state = placeBets(state, bets).state;
+    state.deck = stackDeck(state, dealOrder).deck;
+    return checkForBlackjack(dealInitialCards(state));
   };
 
-  it('sets active hand status to stand', () => {
-    const state = makeSplitState(
-      [card('8'), card('9')],
-      [card('8', '♥'), card('K')]
-    );
-    const result = splitStand(state);
-    assert.equal(result.splitHands[0].status, 'stand');
-  });
+  describe('placeBets', () => {
+    it('places one bet per spot and deducts the total', () => {
+      const result = placeBets(createGameState(), [50, 30, 20]);
+      assert.equal(result.valid, true);
+      assert.equal(result.state.chips, 900);
+      assert.deepEqual(result.state.spots.map(s => s.bet), [50, 30, 20]);
+    });
 
-  it('advances to hand 2 when hand 1 stands', () => {
-    const state = makeSplitState(
-      [card('8'), card('9')],
-      [card('8', '♥'), card('K')]
-    );
-    const result = splitStand(state);
-    assert.equal(result.activeHandIndex, 1);
-    assert.equal(result.phase, 'playing');
-  });
+    it('a single bet plays one spot exactly as placeBet does', () => {
+      const result = placeBets(createGameState(), [50]);
+      assert.equal(result.state.spots, null);
+      assert.equal(result.state.bet, 50);
+      assert.equal(result.state.chips, 950);
+    });
 
-  it('advances to dealerTurn when hand 2 stands (both done)', () => {
-    const state = makeSplitState(
-      [card('8'), card('9')],
-      [card('8', '♥'), card('K')],
-      { hand1Status: 'stand', activeHandIndex: 1 }
-    );
-    const result = splitStand(state);
-    assert.equal(result.splitHands[1].status, 'stand');
-    assert.equal(result.phase, 'dealerTurn');
-  });
+    it('rejects more spots than the table allows', () => {
+      const result = placeBets(createGameState({ maxSpots: 2 }), [10, 10, 10]);
+      assert.equal(result.valid, false);
+      assert.equal(result.error, 'This table plays up to 2 spots.');
+    });
 
-  it('advances to dealerTurn when hand 2 stands and hand 1 bust', () => {
-    const state = makeSplitState(
-      [card('K'), card('8'), card('6')],
-      [card('8', '♥'), card('K')],
-      { hand1Status: 'bust', activeHandIndex: 1 }
-    );
-    const result = splitStand(state);
-    assert.equal(result.splitHands[1].status, 'stand');
-    assert.equal(result.phase, 'dealerTurn');
-  });
+    it('rejects a spot bet outside the table limits', () => {
+      const result = placeBets(createGameState(), [50, 5]);
+      assert.equal(result.valid, false);
+      assert.equal(result.error, 'Minimum bet is $10.');
+    });
 
-  it('does not modify the inactive hand', () => {
-    const state = makeSplitState(
-      [card('8'), card('9')],
-      [card('8', '♥'), card('K')]
-    );
-    const result = splitStand(state);
-    assert.equal(result.splitHands[1].status, 'playing');
-    assert.equal(result.splitHands[1].cards.length, 2);
-  });
+    it('rejects bets that total more than the chips', () => {
+      const state = { ...createGameState(), chips: 100 };
+      const result = placeBets(state, [60, 60]);
+      assert.equal(result.valid, false);
+      assert.match(result.error, /only have \$100/);
+    });
 
-  it('does not remove cards from deck', () => {
-    const state = makeSplitState(
-      [card('8'), card('9')],
-      [card('8', '♥'), card('K')],
-      { deck: [card('5'), card('7'), card('K')] }
-    );
-    const result = splitStand(state);
-    assert.equal(result.deck.length, 3);
+    it('rejects an empty list', () => {
+      assert.equal(placeBets(createGameState(), []).valid, false);
+    });
   });
 
-  it('does not mutate original state', () => {
-    const state = makeSplitState(
-      [card('8'), card('9')],
-      [card('8', '♥'), card('K')]
-    );
-    splitStand(state);
-    assert.equal(state.splitHands[0].status, 'playing');
-    assert.equal(state.activeHandIndex, 0);
+  it('deals a card to each spot, then the dealer, in two rounds', () => {
+    const state = dealSpots([10, 20], [card('2'), card('3'), card('9'), card('4'), card('5'), card('8')]);
+    assert.deepEqual(state.spots.map(s => s.playerHand.map(c => c.rank)), [['2', '4'], ['3', '5']]);
+    assert.deepEqual(state.dealerHand.map(c => c.rank), ['9', '8']);
+    assert.equal(state.activeSpot, 0);
+    assert.deepEqual(state.playerHand.map(c => c.rank), ['2', '4']);
+    assert.equal(state.bet, 10);
     assert.equal(state.phase, 'playing');
   });
 
-  it('preserves bet, chips, and dealer hand', () => {
-    const state = makeSplitState(
-      [card('8'), card('9')],
-      [card('8', '♥'), card('K')],
-      { bet: 200, chips: 600, dealerHand: [card('J'), card('7')] }
-    );
-    const result = splitStand(state);
-    assert.equal(result.bet, 200);
-    assert.equal(result.chips, 600);
-    assert.equal(result.dealerHand[0].rank, 'J');
+  describe('decisions before the peek', () => {
+    const deal = (bets, dealOrder, rules = {}) => {
+      const state = placeBets(createGameState(rules), bets).state;
+      state.deck = stackDeck(state, dealOrder).deck;
+      return dealInitialCards(state);
+    };
+
+    it('goes round every spot for early surrender, then for insurance', () => {
+      let state = deal([10, 10], [card('10'), card('10', '♥'), card('A'), card('6'), card('6', '♥'), card('7')], {
+        surrender: 'early',
+      });
+      assert.equal(state.phase, 'earlySurrender');
+      assert.equal(state.activeSpot, 0);
+      state = playerSurrender(state);
+      assert.equal(state.phase, 'earlySurrender');
+      assert.equal(state.activeSpot, 1);
+      assert.equal(state.spots[0].result.outcome, 'surrender');
+      state = declineSurrender(state);
+      assert.equal(state.phase, 'insurance'); // spot 1 gave up its hand, so only spot 2 is asked
+      assert.equal(state.activeSpot, 1);
+      state = checkForBlackjack(placeInsurance(state, 5).state);
+      assert.equal(state.phase, 'playing');
+      assert.equal(state.activeSpot, 1);
+      assert.equal(state.spots[0].result.outcome, 'surrender');
+      assert.deepEqual(state.insurance, { bet: 5, outcome: 'lost', chipChange: -5 });
+      assert.equal(state.chips, 1000 - 20 + 5 - 5);
+    });
+
+    it('settles each spot\'s insurance at the peek', () => {
+      let state = deal([10, 20], [card('10'), card('9'), card('A'), card('6'), card('8'), card('K')]);
+      assert.equal(state.phase, 'insurance');
+      state = placeInsurance(state, 5).state;
+      assert.equal(state.activeSpot, 1);
+      state = checkForBlackjack(placeInsurance(state, 10).state);
+      assert.equal(state.phase, 'result');
+      assert.deepEqual(state.spots.map(s => s.insurance.chipChange), [10, 20]);
+      assert.deepEqual(state.insurance, { bet: 15, outcome: 'won', chipChange: 30 });
+      assert.equal(state.result.chipChange, -30);
+      assert.equal(state.chips, 1000);
+      assert.equal(state.stats.insuranceWon, 2);
+    });
+
+    it('pays even money on one spot and plays the others', () => {
+      let state = deal([10, 20], [card('A'), card('10'), card('A', '♥'), card('K'), card('6'), card('9')]);
+      state = declineInsurance(takeEvenMoney(state));
+      assert.equal(state.phase, 'playing');
+      state = checkForBlackjack(state);
+      assert.equal(state.activeSpot, 1);
+      assert.equal(state.spots[0].result.outcome, 'evenMoney');
+      assert.equal(state.chips, 1000 - 30 + 20);
+      assert.equal(state.stats.blackjacks, 1);
+    });
   });
 
-  it('full split play-through: hit, hit, stand hand 1, then stand hand 2', () => {
-    // Setup: split 8s, hand 1 and hand 2 both playing
-    let state = makeSplitState(
-      [card('8'), card('3')],
-      [card('8', '♥'), card('K')],
-      { deck: [card('9'), card('4'), card('2')] }
-    );
-    // Hit hand 1: 8+3+2=13
-    state = splitHit(state);
-    assert.equal(state.splitHands[0].cards.length, 3);
-    assert.equal(state.activeHandIndex, 0);
-    // Hit hand 1 again: 8+3+2+4=17
-    state = splitHit(state);
-    assert.equal(state.splitHands[0].cards.length, 4);
-    assert.equal(state.activeHandIndex, 0);
-    // Stand hand 1 → move to hand 2
-    state = splitStand(state);
-    assert.equal(state.splitHands[0].status, 'stand');
-    assert.equal(state.activeHandIndex, 1);
+  it('standing on one spot moves play to the next', () => {
+    let state = dealSpots([10, 20], [card('10'), card('9'), card('9', '♥'), card('8'), card('7'), card('8', '♥')]);
+    state = finishSpot(playerStand(state));
     assert.equal(state.phase, 'playing');
-    // Stand hand 2 → dealer turn
-    state = splitStand(state);
-    assert.equal(state.splitHands[1].status, 'stand');
-    assert.equal(state.phase, 'dealerTurn');
+    assert.equal(state.activeSpot, 1);
+    assert.equal(state.bet, 20);
+    assert.deepEqual(state.playerHand.map(c => c.rank), ['9', '7']);
   });
 
-  it('full split play-through: hand 1 busts, hand 2 stands', () => {
-    let state = makeSplitState(
-      [card('K'), card('6')],
-      [card('K', '♥'), card('7')],
-      { deck: [card('9'), card('K')] }
-    );
-    // Hit hand 1: K+6+K=26 → bust → advance to hand 2
-    state = splitHit(state);
-    assert.equal(state.splitHands[0].status, 'bust');
-    assert.equal(state.activeHandIndex, 1);
-    assert.equal(state.phase, 'playing');
-    // Stand hand 2 → dealer turn
-    state = splitStand(state);
-    assert.equal(state.splitHands[1].status, 'stand');
-    assert.equal(state.phase, 'dealerTurn');
+  it('finishSpot leaves a spot still in play alone', () => {
+    const state = dealSpots([10, 20], [card('2'), card('9'), card('9', '♥'), card('3'), card('7'), card('8', '♥')]);
+    assert.equal(finishSpot(state), state);
   });
 
-  it('full split play-through: both hands bust', () => {
-    let state = makeSplitState(
-      [card('K'), card('6')],
-      [card('K', '♥'), card('8')],
-      { deck: [card('9'), card('K')] }
-    );
-    // Hit hand 1: K+6+K=26 → bust → advance to hand 2
-    state = splitHit(state);
-    assert.equal(state.splitHands[0].status, 'bust');
-    assert.equal(state.activeHandIndex, 1);
-    // Hit hand 2: K+8+9=27 → bust → both done → dealerTurn
-    state = splitHit(state);
-    assert.equal(state.splitHands[1].status, 'bust');
+  it('the dealer plays once every spot is done, then each spot settles', () => {
+    // Spot 1: 10-8 = 18, spot 2: 9-7 = 16, dealer 9-8 = 17
+    let state = dealSpots([10, 20], [card('10'), card('9'), card('9', '♥'), card('8'), card('7'), card('8', '♥')]);
+    state = finishSpot(playerStand(state));
+    state = finishSpot(playerStand(state));
     assert.equal(state.phase, 'dealerTurn');
+    assert.equal(state.activeSpot, null);
+    const result = settleRound(state);
+    assert.equal(result.phase, 'result');
+    assert.deepEqual(result.spots.map(s => s.result.outcome), ['win', 'lose']);
+    assert.equal(result.result.outcome, 'spots');
+    assert.equal(result.result.chipChange, -10); // +10, -20
+    assert.equal(result.chips, 970 + 20); // 1000 - 30 staked, spot 1 paid 20
+    assert.equal(result.stats.handsPlayed, 2);
   });
-});
 
-// getAvailableActions split-mode tests
-describe('getAvailableActions during split', () => {
-  const card = (rank, suit = '♠') => {
-    let value;
-    if (rank === 'A') value = 11;
-    else if (['J', 'Q', 'K'].includes(rank)) value = 10;
-    else value = parseInt(rank, 10);
-    return { suit, rank, value };
-  };
+  it('a busted spot stays lost while the other spots play on', () => {
+    // Spot 1: 10-6 hits K → bust; spot 2: 9-10 = 19; dealer 10-7 = 17
+    let state = dealSpots([10, 20], [card('10'), card('9'), card('10', '♦'), card('6'), card('10', '♥'), card('7'), card('K')]);
+    state = finishSpot(playerHit(state));
+    assert.equal(state.activeSpot, 1);
+    assert.equal(state.spots[0].result.outcome, 'bust');
+    state = finishSpot(playerStand(state));
+    const result = settleRound(state);
+    assert.equal(result.spots[0].result.outcome, 'bust');
+    assert.equal(result.spots[1].result.outcome, 'win');
+    assert.equal(result.result.chipChange, 10);
+    assert.equal(result.stats.handsLost, 1);
+    assert.equal(result.stats.handsWon, 1);
+  });
 
-  const makeSplitState = (hand1Cards, hand2Cards, opts = {}) => {
-    const state = createGameState();
-    state.splitHands = [
-      { cards: hand1Cards, bet: 100, status: opts.hand1Status || 'playing' },
-      { cards: hand2Cards, bet: 100, status: opts.hand2Status || 'playing' },
-    ];
-    state.activeHandIndex = opts.activeHandIndex !== undefined ? opts.activeHandIndex : 0;
-    state.playerHand = hand1Cards;
-    state.dealerHand = [card('8'), card('9')];
-    state.deck = [card('5'), card('7')];
-    state.bet = 100;
-    state.chips = 800;
-    state.phase = 'playing';
-    return state;
-  };
+  it('ends the round without the dealer when every spot busts', () => {
+    let state = dealSpots([10, 10], [card('10'), card('10', '♥'), card('9'), card('6'), card('6', '♥'), card('7'), card('K'), card('Q')]);
+    state = finishSpot(playerHit(state));
+    state = finishSpot(playerHit(state));
+    assert.equal(state.phase, 'result');
+    assert.equal(state.result.chipChange, -20);
+    assert.equal(state.dealerHand.length, 2);
+  });
 
-  it('returns splitHit and splitStand true for active playing hand', () => {
-    const state = makeSplitState(
-      [card('8'), card('3')],
-      [card('8', '♥'), card('K')]
-    );
-    const actions = getAvailableActions(state);
-    assert.equal(actions.splitHit, true);
-    assert.equal(actions.splitStand, true);
-    assert.equal(actions.hit, false);
-    assert.equal(actions.stand, false);
-    assert.equal(actions.double, false);
-    assert.equal(actions.split, false);
+  it('each spot doubles on its own bet', () => {
+    // Spot 1: 5-6 doubles onto 9 = 20; spot 2: 10-8 = 18; dealer 10-9 = 19
+    let state = dealSpots([10, 50], [card('5'), card('10'), card('10', '♥'), card('6'), card('8'), card('9'), card('9', '♥')]);
+    state = finishSpot(playerDouble(state));
+    assert.equal(state.spots[0].bet, 20);
+    assert.equal(state.spots[0].doubled, true);
+    assert.equal(state.bet, 50);
+    state = finishSpot(playerStand(state));
+    const result = settleRound(state);
+    assert.equal(result.spots[0].result.chipChange, 20);
+    assert.equal(result.spots[1].result.chipChange, -50);
+    assert.equal(result.chips, 1000 - 60 - 10 + 40); // staked 60, doubled 10, spot 1 paid 40
+  });
+
+  it('each spot splits on its own', () => {
+    // Spot 1: 8-8 splits (hands 8-3, 8-K); spot 2: 10-9; dealer 10-7
+    let state = dealSpots([10, 10], [card('8'), card('10'), card('10', '♥'), card('8', '♥'), card('9'), card('7'), card('3'), card('K')]);
+    state = playerSplit(state);
+    state = finishSpot(splitStand(state));
+    assert.equal(state.activeSpot, 0);
+    state = finishSpot(splitStand(state));
+    assert.equal(state.activeSpot, 1);
+    assert.equal(state.spots[0].splitHands.length, 2);
+    state = finishSpot(playerStand(state));
+    const result = settleRound(state);
+    assert.deepEqual(result.spots[0].splitHands.map(h => h.result.outcome), ['lose', 'win']);
+    assert.equal(result.spots[0].result.outcome, 'split');
+    assert.equal(result.spots[1].result.outcome, 'win');
+    assert.equal(result.result.chipChange, 10); // -10 +10 on spot 1, +10 on spot 2
+    assert.equal(result.stats.handsPlayed, 3);
+  });
+
+  it('pays a spot blackjack at once and plays the others', () => {
+    let state = dealSpots([10, 20], [card('A'), card('9'), card('10'), card('K'), card('7'), card('8')]);
+    assert.equal(state.spots[0].result.outcome, 'blackjack');
+    assert.equal(state.activeSpot, 1);
+    assert.equal(state.chips, 970 + 10 + 15);
+    state = finishSpot(playerStand(state));
+    const result = settleRound(state);
+    assert.equal(result.spots[0].result.chipChange, 15);
+    assert.equal(result.result.chipChange, 15 - 20);
   });
 
-  it('returns splitHit false when active hand at 21', () => {
-    const state = makeSplitState(
-      [card('8'), card('3'), card('K')],
-      [card('8', '♥'), card('K')]
-    );
-    // 8+3+10 = 21, should not be able to hit
-    const actions = getAvailableActions(state);
-    assert.equal(actions.splitHit, false);
-    assert.equal(actions.splitStand, true);
+  it('a dealer blackjack settles every spot at once', () => {
+    const state = dealSpots([10, 20], [card('A'), card('9'), card('A', '♥'), card('K'), card('7'), card('Q')]);
+    assert.equal(state.phase, 'result');
+    assert.deepEqual(state.spots.map(s => s.result.outcome), ['push', 'lose']);
+    assert.equal(state.result.chipChange, -20);
   });
 
-  it('returns both splitHit/splitStand false when active hand already stood', () => {
-    const state = makeSplitState(
-      [card('8'), card('9')],
-      [card('8', '♥'), card('K')],
-      { hand1Status: 'stand', activeHandIndex: 1 }
+  it('a spot blackjack waits for the dealer under ENHC', () => {
+    let state = dealSpots(
+      [10, 10],
+      [card('A'), card('9'), card('10'), card('K'), card('8')],
+      { holeCard: 'enhc' },
     );
-    // Active hand is 1, status is playing
-    const actions = getAvailableActions(state);
-    assert.equal(actions.splitHit, true);
-    assert.equal(actions.splitStand, true);
+    assert.equal(state.spots[0].result, null);
+    assert.equal(state.activeSpot, 1);
+    state = finishSpot(playerStand(state));
+    state = dealerDrawOne({ ...state, deck: stackDeck(state, [card('A', '♥')]).deck });
+    const result = settleRound(state);
+    assert.deepEqual(result.spots.map(s => s.result.outcome), ['push', 'lose']);
   });
 
-  it('quit always true during split', () => {
-    const state = makeSplitState(
-      [card('8'), card('3')],
-      [card('8', '♥'), card('K')]
-    );
-    const actions = getAvailableActions(state);
-    assert.equal(actions.quit, true);
+  it('a dry shoe refills without the cards on other spots', () => {
+    let state = dealSpots([10, 10], [card('2'), card('3'), card('9'), card('4'), card('5'), card('8')]);
+    state = playerHit({ ...state, deck: [] });
+    const inPlay = [...state.playerHand, ...state.spots[1].playerHand, ...state.dealerHand];
+    const count = (c, cards) => cards.filter(x => x.rank === c.rank && x.suit === c.suit).length;
+    for (const c of inPlay) {
+      assert.equal(count(c, state.deck) + count(c, inPlay), 1, `${c.rank}${c.suit}`);
+    }
   });
 });
 
@@ -2704,4 +6334,47 @@ describe('settleRound with split hands', () => {
     assert.equal(result.chips, 1100);
     assert.equal(result.splitHands, undefined);
   });
+  it('settles three hands independently', () => {
+    const state = makeSplitSettleState(
+      [card('8'), card('K')],      // 18
+      'stand',
+      [card('8', '♥'), card('9')], // 17
+      'stand',
+      [card('10'), card('7')],     // 17
+      { chips: 700 },
+    );
+    state.splitHands.push({ cards: [card('8', '♦'), card('6'), card('K')], bet: 100, status: 'bust' }); // 24
+    const result = settleRound(state);
+    assert.deepEqual(result.splitHands.map(h => h.result.outcome), ['win', 'push', 'lose']);
+    assert.equal(result.result.chipChange, 0); // +100, 0, -100
+    // 700 + 200 (win) + 100 (push)
+    assert.equal(result.chips, 1000);
+    assert.equal(result.stats.handsPlayed, 3);
+    assert.equal(result.stats.handsWon, 1);
+    assert.equal(result.stats.handsPushed, 1);
+    assert.equal(result.stats.handsLost, 1);
+  });
+
+  it('settles four hands against a dealer bust', () => {
+    const state = makeSplitSettleState(
+      [card('8'), card('K')],      // 18
+      'stand',
+      [card('8', '♥'), card('4')], // 12
+      'stand',
+      [card('6'), card('10'), card('9')], // 25 bust
+      { chips: 600 },
+    );
+    state.splitHands.push(
+      { cards: [card('8', '♦'), card('3'), card('K')], bet: 100, status: 'stand' }, // 21
+      { cards: [card('8', '♣'), card('5'), card('Q'), card('2')], bet: 100, status: 'bust' }, // 25
+    );
+    const result = settleRound(state);
+    assert.deepEqual(result.splitHands.map(h => h.result.outcome), ['win', 'win', 'win', 'lose']);
+    assert.equal(result.result.chipChange, 200);
+    // 600 + 3 × 200
+    assert.equal(result.chips, 1200);
+    assert.equal(result.stats.handsPlayed, 4);
+    assert.equal(result.stats.handsWon, 3);
+    assert.equal(result.stats.handsLost, 1);
+  });
 });
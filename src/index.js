@@ -1,10 +1,22 @@
 #!/usr/bin/env node
 // src/index.js — Entry point. Wires game logic + renderer + user input.
 
-import { readFileSync } from 'node:fs';
+import { readFileSync, appendFileSync } from 'node:fs';
 import { fileURLToPath } from 'node:url';
 import { dirname, join } from 'node:path';
 
+// ─── Game Imports ────────────────────────────────────────────────────
+
+import {
+  createGameState, reshuffleShoe, clearTable, dealInitialCards, calculateHandTotal, cutCardPosition,
+  createRng, createFairRng, withClientSeed, fairShoeReveal, verifyShoe, parseScenario,
+  checkForBlackjack, playerHit, playerStand, playerDouble, playerSplit, playerSurrender, playerRescue, declineSurrender,
+  placeInsurance, declineInsurance, takeEvenMoney, maxInsurance, playerSwitch, declineSwitch,
+  splitHit, splitStand, splitDouble, dealerDrawOne, isDealerDone, settleRound,
+  placeBets, finishSpot, checkGameOver, getAvailableActions, getWinRate, RULE_PRESETS, validateRules,
+  placeSideBets, offeredSideBets, settleSideBets, sideBetsPending, SIDE_BETS, RNG_TYPES, handHistoryEntry,
+} from './game.js';
+
 // ─── CLI Argument Handling (Item 3.0) ────────────────────────────────
 
 const __filename = fileURLToPath(import.meta.url);
@@ -12,15 +24,50 @@ const __dirname = dirname(__filename);
 
 const args = process.argv.slice(2);
 
+/**
+ * Return the value following a `--flag value` pair, or null when absent.
+ */
+function flagValue(name) {
+  const i = args.indexOf(name);
+  return i !== -1 && i + 1 < args.length ? args[i + 1] : null;
+}
+
 if (args.includes('--help')) {
   process.stdout.write(
     `21black - Terminal Blackjack
 
 Usage: 21black [options]
+       21black verify <server seed> <hash> <client seed> <shoe> [--table <name>] [--rule <k=v>]
+       21black simulate [--hands <n>] [--seed <value>] [--table <name>] [--rule <k=v>]
 
 Options:
-  --help      Show this help message
-  --version   Show version number
+  --help          Show this help message
+  --version       Show version number
+  --table <name>  Table rules: ${Object.keys(RULE_PRESETS).join(', ')}
+                  (default: classic)
+  --rule <k=v>    Override one table rule, e.g. --rule surrender=none
+                  or --rule holeCard=enhc (repeatable)
+  --seed <value>  Shuffle from a seed: the same seed deals the same shoes
+  --rng <source>  Shuffle without a seed from: random (Math.random, default)
+                  or crypto (node:crypto, for tournament play)
+  --history <file>
+                  Append each settled hand to a JSON-lines file,
+                  with the rng its shoe came from
+  --fair          Provably fair shoes: each shoe's server seed hash is
+                  shown while it is dealt (shoe 1's before you pick a client
+                  seed), and the seed itself when the shoe ends or you quit
+  --scenario <file>
+                  Stack every deal from a scenario file, e.g. "8♠ 10♦ 8♥ 7♣"
+                  for a pair of eights against a ten
+
+Commands:
+  verify <server seed> <hash> <client seed> <shoe>
+                  Check a revealed server seed against the hash shown for
+                  it and replay that shoe's shuffle (pass the game's --table
+                  and --rule options so the shoe is built the same way)
+  simulate        Play the table with basic strategy at the minimum bet and
+                  report its house edge and rounds per hour, with a cut card
+                  and with a continuous shuffler (--hands, default 100000)
 
 Start a game of blackjack right in your terminal.
 `
@@ -34,14 +81,150 @@ if (args.includes('--version')) {
   process.exit(0);
 }
 
-// ─── Game Imports ────────────────────────────────────────────────────
+const tableName = flagValue('--table') || 'classic';
+if (!Object.hasOwn(RULE_PRESETS, tableName)) {
+  process.stderr.write(`Unknown table "${tableName}". Choose one of: ${Object.keys(RULE_PRESETS).join(', ')}\n`);
+  process.exit(1);
+}
 
-import {
-  createGameState, createDeck, shuffleDeck, dealInitialCards, calculateHandTotal,
-  checkForBlackjack, playerHit, playerStand, playerDouble, playerSplit,
-  splitHit, splitStand, dealerDrawOne, isDealerDone, settleRound,
-  placeBet, checkGameOver, getAvailableActions, getWinRate,
-} from './game.js';
+/**
+ * Collect every `--rule name=value` override. Values are read as booleans or
+ * numbers when they look like one, otherwise kept as strings.
+ */
+function ruleOverrides() {
+  const overrides = {};
+  args.forEach((arg, i) => {
+    if (arg !== '--rule' || i + 1 >= args.length) return;
+    const [name, raw = ''] = args[i + 1].split('=');
+    let value = raw;
+    if (raw === 'true' || raw === 'false') value = raw === 'true';
+    else if (raw !== '' && Number.isFinite(Number(raw))) value = Number(raw);
+    overrides[name] = value;
+  });
+  return overrides;
+}
+
+const rngType = flagValue('--rng') || 'random';
+if (!RNG_TYPES.includes(rngType)) {
+  process.stderr.write(`Unknown rng "${rngType}". Choose one of: ${RNG_TYPES.join(', ')}\n`);
+  process.exit(1);
+}
+const seed = flagValue('--seed');
+if (seed !== null && args.includes('--rng')) {
+  process.stderr.write('A seeded game shuffles from its seed; drop --rng or --seed.\n');
+  process.exit(1);
+}
+const fair = args.includes('--fair');
+if (fair && (seed !== null || args.includes('--rng'))) {
+  process.stderr.write('Provably fair shoes pick their own seeds; drop --seed and --rng.\n');
+  process.exit(1);
+}
+const historyFile = flagValue('--history');
+const scenarioFile = flagValue('--scenario');
+if (scenarioFile !== null && fair) {
+  process.stderr.write('A scenario stacks the shoe, so it cannot be provably fair; drop --fair or --scenario.\n');
+  process.exit(1);
+}
+
+const tableRules = { ...RULE_PRESETS[tableName], ...ruleOverrides() };
+for (const name of Object.keys(tableRules)) {
+  if (!Object.hasOwn(RULE_PRESETS.classic, name)) {
+    process.stderr.write(`Unknown rule "${name}".\n`);
+    process.exit(1);
+  }
+}
+const rulesCheck = validateRules(tableRules);
+if (!rulesCheck.valid) {
+  process.stderr.write(`${rulesCheck.error}\n`);
+  process.exit(1);
+}
+
+if (fair && rulesCheck.rules.shuffleModel === 'casino') {
+  // verify replays a shoe from new decks; a casino shuffle starts from the last shoe's discards
+  process.stderr.write('Provably fair shoes need the random shuffle model.\n');
+  process.exit(1);
+}
+if (fair && rulesCheck.rules.continuousShuffle) {
+  process.stderr.write('Provably fair shoes need a cut card; a continuous shuffler never ends its shoe.\n');
+  process.exit(1);
+}
+
+let scenario = null;
+if (scenarioFile !== null) {
+  let text;
+  try {
+    text = readFileSync(scenarioFile, 'utf8');
+  } catch (err) {
+    process.stderr.write(`Cannot read scenario "${scenarioFile}": ${err.message}\n`);
+    process.exit(1);
+  }
+  const parsed = parseScenario(text, rulesCheck.rules);
+  if (!parsed.valid) {
+    process.stderr.write(`${scenarioFile}: ${parsed.error}\n`);
+    process.exit(1);
+  }
+  scenario = parsed.cards;
+}
+
+if (historyFile !== null) {
+  // Find a bad path now rather than when the first hand is over
+  try {
+    appendFileSync(historyFile, '');
+  } catch (err) {
+    process.stderr.write(`Cannot write hand history "${historyFile}": ${err.message}\n`);
+    process.exit(1);
+  }
+}
+
+// ─── verify Subcommand ───────────────────────────────────────────────
+
+if (args[0] === 'verify') {
+  const [, serverSeed, commit, clientSeed, shoeArg] = args;
+  const shoe = Number(shoeArg);
+  if (!serverSeed || !commit || !clientSeed || !Number.isInteger(shoe) || shoe < 1) {
+    process.stderr.write('Usage: 21black verify <server seed> <hash> <client seed> <shoe> [--table <name>] [--rule <k=v>]\n');
+    process.exit(1);
+  }
+  const { valid, commit: actual, deck } = verifyShoe(serverSeed, commit, clientSeed, shoe, rulesCheck.rules);
+  if (!valid) {
+    process.stdout.write(`FAIL: the server seed hashes to ${actual}, not ${commit}\n`);
+    process.exit(1);
+  }
+  // The shoe is dealt from the end, so list it in the order the cards came out
+  const dealt = [...deck].reverse().map(c => `${c.rank}${c.suit}`);
+  const rows = [];
+  for (let i = 0; i < dealt.length; i += 13) rows.push(`  ${dealt.slice(i, i + 13).join(' ')}`);
+  process.stdout.write(`PASS: the server seed matches its hash\n${rulesCheck.rules.name} shoe ${shoe}, in the order dealt:\n${rows.join('\n')}\n`);
+  process.exit(0);
+}
+
+// ─── simulate Subcommand ─────────────────────────────────────────────
+
+import { compareContinuousShuffle, DEALING_TIMES } from './simulate.js';
+
+if (args[0] === 'simulate') {
+  const hands = Number(flagValue('--hands') ?? 100000);
+  if (!Number.isInteger(hands) || hands < 1) {
+    process.stderr.write('Usage: 21black simulate [--hands <n>] [--seed <value>] [--table <name>] [--rule <k=v>]\n');
+    process.exit(1);
+  }
+  const { rules } = rulesCheck;
+  const { cutCard, continuous } = compareContinuousShuffle(rules, { rounds: hands, seed: seed ?? undefined });
+  const percent = (edge) => `${(edge * 100).toFixed(2)}%`;
+  const row = (label, a, b) => `  ${label.padEnd(18)}${String(a).padStart(10)}${String(b).padStart(22)}`;
+  process.stdout.write([
+    `${rules.name}: ${hands.toLocaleString('en-US')} rounds of basic strategy at $${rules.minBet} a hand`,
+    '',
+    row('', 'Cut card', 'Continuous shuffler'),
+    row('House edge', percent(cutCard.houseEdge), percent(continuous.houseEdge)),
+    row('Shuffles', cutCard.shuffles.toLocaleString('en-US'), 'none'),
+    row('Rounds per hour', Math.round(cutCard.roundsPerHour), Math.round(continuous.roundsPerHour)),
+    '',
+    `Rounds per hour allow ${DEALING_TIMES.roundSeconds}s a round, ${DEALING_TIMES.cardSeconds}s a card and `
+      + `${DEALING_TIMES.shuffleSecondsPerDeck}s to shuffle each deck by hand.`,
+  ].join('\n') + '\n');
+  process.exit(0);
+}
 
 import {
   renderWelcomeScreen, renderBettingScreen, renderGameScreen,
@@ -66,11 +249,29 @@ function restoreTerminal() {
   }
 }
 
+// The provably fair rng of the game in progress, so quitting can reveal the
+// server seed of the shoe being dealt
+let fairRng = null;
+
+/**
+ * Reveal the server seed of the shoe in play, on screen and in the hand
+ * history. A game that ends before its first shoe has nothing to reveal.
+ */
+function revealFairShoe() {
+  if (fairRng && fairRng.shoe > 0) {
+    const revealed = fairShoeReveal(fairRng);
+    process.stdout.write(`\nShoe ${revealed.shoe} server seed: ${revealed.serverSeed}\n`
+      + `Server hash: ${revealed.commit}\nClient seed: ${revealed.clientSeed}\n`);
+    recordReveal(revealed);
+  }
+}
+
 /**
- * Clean exit: restore terminal state, then exit.
+ * Clean exit: restore terminal state, reveal the fair shoe in play, then exit.
  */
 function cleanExit(code = 0) {
   restoreTerminal();
+  revealFairShoe();
   process.exit(code);
 }
 
@@ -81,6 +282,7 @@ process.on('SIGINT', () => cleanExit(0));
 process.on('uncaughtException', (err) => {
   restoreTerminal();
   process.stderr.write(`\nFatal: ${err.message}\n`);
+  revealFairShoe();
   process.exit(1);
 });
 
@@ -141,6 +343,25 @@ function readLine(prompt = '') {
   });
 }
 
+/**
+ * Append a settled round to the --history file, one JSON object per line.
+ */
+function recordHand(state) {
+  if (historyFile) {
+    appendFileSync(historyFile, JSON.stringify({ time: new Date().toISOString(), ...handHistoryEntry(state) }) + '\n');
+  }
+}
+
+/**
+ * Append a finished fair shoe's revealed server seed to the --history file,
+ * so every hand recorded under its hash can be verified from the file alone.
+ */
+function recordReveal(revealed) {
+  if (historyFile) {
+    appendFileSync(historyFile, JSON.stringify({ time: new Date().toISOString(), revealed }) + '\n');
+  }
+}
+
 /**
  * Pause for a given number of milliseconds.
  */
@@ -148,12 +369,38 @@ function sleep(ms) {
   return new Promise((resolve) => setTimeout(resolve, ms));
 }
 
+/**
+ * Dealer draws until done, pausing on each card. Returns the new state.
+ */
+async function drawOutDealer(state) {
+  while (!isDealerDone(state)) {
+    state = dealerDrawOne(state);
+    renderGameScreen(state, calculateHandTotal, getAvailableActions);
+    await sleep(350);
+  }
+  return state;
+}
+
+/**
+ * Settle the side bets that wait on the dealer's finished hand (Buster
+ * Blackjack). When the round ended before the dealer drew — a blackjack, a
+ * surrender or a bust — the dealer still draws out for them.
+ */
+async function settleDealerSideBets(state) {
+  if (!sideBetsPending(state)) {
+    return state;
+  }
+  return settleSideBets(await drawOutDealer(state), 'dealer');
+}
+
 // ─── Game Loop (Items 3.2–3.10) ─────────────────────────────────────
 
 async function main() {
-  // Initialize game state and deck
-  let state = createGameState();
-  state = { ...state, deck: shuffleDeck(createDeck()) };
+  // Initialize game state. A provably fair game commits to its first shoe's
+  // server seed now; each shoe's seed is revealed when that shoe ends.
+  const rng = fair ? createFairRng() : createRng(seed, rngType);
+  fairRng = fair ? rng : null;
+  let state = { ...createGameState(tableRules, rng), scenario };
 
   // ── 3.2 Welcome Flow ──────────────────────────────────────────────
 
@@ -164,7 +411,7 @@ async function main() {
   }
 
   process.stdout.write(HIDE_CURSOR);
-  renderWelcomeScreen();
+  renderWelcomeScreen(state.rules, state.rng);
 
   // Wait for ENTER to start (or Q to quit)
   while (true) {
@@ -173,19 +420,52 @@ async function main() {
     if (key === '\r' || key === '\n') break;
   }
 
+  // The client seed is picked with the server seed's hash on screen, so the
+  // server seed cannot have been chosen to suit it
+  if (fair) {
+    process.stdout.write(SHOW_CURSOR + `\n  Server hash: ${rng.commit}\n`);
+    let clientSeed = '';
+    while (!clientSeed) {
+      clientSeed = await readLine('  Pick a client seed (any text) > ');
+      if (clientSeed === null || clientSeed.toLowerCase() === 'q') cleanExit(0);
+    }
+    process.stdout.write(HIDE_CURSOR);
+    state = { ...state, rng: withClientSeed(state.rng, clientSeed) };
+  }
+
+  // The first shuffle is not announced
+  state = { ...reshuffleShoe(state), reshuffled: false };
+
   // ── Main game loop (items 3.3–3.10) ────────────────────────────────
   // Outer loop: one iteration per hand. Exits on quit or game over quit.
 
-  let lastBet = 0;
+  let lastBets = [];
+  let lastSideBets = {};
 
   while (true) {
-    // Transition to betting phase
-    state = { ...state, phase: 'betting', result: null, playerHand: [], dealerHand: [], splitHands: undefined, activeHandIndex: 0 };
+    // Transition to betting phase: clear the last round's cards (back into the
+    // shoe with a continuous shuffler). A mid-hand reshuffle was already shown
+    // during that hand, so clear the flag before the next deal.
+    state = { ...clearTable(state), phase: 'betting', result: null, reshuffled: false };
+
+    // Once the cut card is out, shuffle a provably fair game's next shoe now
+    // rather than at the deal, so the betting screen names the shoe to verify
+    // and reveals the seed of the shoe just finished
+    if (state.rng.type === 'fair') {
+      if (state.deck.length < cutCardPosition(state.rules)) {
+        state = reshuffleShoe(state);
+        recordReveal(state.rng.revealed);
+      }
+      fairRng = state.rng;
+    }
 
     // ── 3.3 Betting Input Loop ─────────────────────────────────────────
     let betError = null;
     while (true) {
-      renderBettingScreen(state.chips, betError, lastBet, state.stats);
+      const sideBetOffers = offeredSideBets(state.rules).map(({ key, name, code }) => (
+        { name, code, lastBet: lastSideBets[key] || 0 }
+      ));
+      renderBettingScreen(state.chips, betError, lastBets, state.stats, state.rules, sideBetOffers, state.rng);
       process.stdout.write(SHOW_CURSOR);
       const input = await readLine('  > ');
       process.stdout.write(HIDE_CURSOR);
@@ -196,44 +476,66 @@ async function main() {
       // Quit
       if (input.toLowerCase() === 'q') cleanExit(0);
 
-      // Empty input — repeat last bet (clamped to available chips)
+      // Empty input — repeat last bets (a single bet is clamped to available
+      // chips, or half of them for the two hands of Blackjack Switch)
       if (input === '') {
-        if (lastBet <= 0) {
+        if (lastBets.length === 0) {
           betError = 'Enter a bet amount.';
           continue;
         }
-        const repeatAmount = Math.min(lastBet, state.chips);
-        const betResult = placeBet(state, repeatAmount);
-        if (!betResult.valid) {
-          betError = betResult.error;
+        const perHand = Math.floor(state.rules.switchHands ? state.chips / 2 : state.chips);
+        const repeatAmounts = lastBets.length === 1 ? [Math.min(lastBets[0], perHand)] : lastBets;
+        const betResult = placeBets(state, repeatAmounts);
+        const sideBetResult = betResult.valid ? placeSideBets(betResult.state, lastSideBets) : betResult;
+        if (!sideBetResult.valid) {
+          betError = sideBetResult.error;
           continue;
         }
-        state = betResult.state;
-        lastBet = repeatAmount;
+        state = sideBetResult.state;
+        lastBets = repeatAmounts;
         betError = null;
         break;
       }
 
-      // Parse numeric bet — reject hex (0x), octal (0o), binary (0b), and other non-decimal formats
-      if (!/^[+-]?\d+(\.\d+)?$/.test(input)) {
+      // Side bets ride next to the main bet as "code:amount" ("50 pp:5 21+3:5")
+      const sideBets = {};
+      let sideBetError = null;
+      const tokens = input.split(/\s+/).filter((t) => {
+        const match = /^(.+):(\d+)$/.exec(t);
+        if (!match) return true;
+        const key = Object.keys(SIDE_BETS).find((k) => SIDE_BETS[k].code === match[1].toLowerCase());
+        if (key) sideBets[key] = Number(match[2]);
+        else sideBetError = `Unknown side bet "${match[1]}".`;
+        return false;
+      });
+      if (sideBetError) {
+        betError = sideBetError;
+        continue;
+      }
+
+      // One bet per spot, separated by spaces. Parse each numeric bet — reject
+      // hex (0x), octal (0o), binary (0b), and other non-decimal formats
+      if (!tokens.every((t) => /^[+-]?\d+(\.\d+)?$/.test(t))) {
         betError = 'Enter a whole number.';
         continue;
       }
-      const amount = Number(input);
-      if (!Number.isFinite(amount) || !Number.isInteger(amount)) {
+      const amounts = tokens.map(Number);
+      if (!amounts.every((a) => Number.isFinite(a) && Number.isInteger(a))) {
         betError = 'Enter a whole number.';
         continue;
       }
 
-      const betResult = placeBet(state, amount);
-      if (!betResult.valid) {
-        betError = betResult.error;
+      const betResult = placeBets(state, amounts);
+      const sideBetResult = betResult.valid ? placeSideBets(betResult.state, sideBets) : betResult;
+      if (!sideBetResult.valid) {
+        betError = sideBetResult.error;
         continue;
       }
 
       // Valid bet — advance state and remember for next hand
-      state = betResult.state;
-      lastBet = amount;
+      state = sideBetResult.state;
+      lastBets = amounts;
+      lastSideBets = sideBets;
       betError = null;
       break;
     }
@@ -245,11 +547,74 @@ async function main() {
     // Brief pause after deal for dramatic effect
     await sleep(400);
 
-    // Check for blackjack (player and/or dealer)
-    const postBJ = checkForBlackjack(state);
-    if (postBJ.phase === 'result') {
-      // Blackjack detected — show the result
-      state = postBJ;
+    // Early surrender — decided before the dealer checks for blackjack
+    while (state.phase === 'earlySurrender') {
+      renderGameScreen(state, calculateHandTotal, getAvailableActions);
+      const key = await waitForKey();
+      const k = key.toLowerCase();
+      if (k === 'q') cleanExit(0);
+      if (k === 'r') {
+        state = playerSurrender(state);
+      } else if (k === '\r' || k === '\n') {
+        state = declineSurrender(state);
+      }
+    }
+
+    // Blackjack Switch — swap the second cards (or keep the hands) before the peek
+    while (state.phase === 'switch') {
+      renderGameScreen(state, calculateHandTotal, getAvailableActions);
+      const key = await waitForKey();
+      const k = key.toLowerCase();
+      if (k === 'q') cleanExit(0);
+      if (k === 'w') {
+        state = playerSwitch(state);
+      } else if (k === '\r' || k === '\n') {
+        state = declineSwitch(state);
+      }
+    }
+
+    // Insurance (or even money) against a dealer ace, before the peek
+    let insuranceError = null;
+    while (state.phase === 'insurance') {
+      renderGameScreen(state, calculateHandTotal, getAvailableActions, { error: insuranceError });
+      const key = await waitForKey();
+      const k = key.toLowerCase();
+      const actions = getAvailableActions(state);
+      if (k === 'q') cleanExit(0);
+      if (k === 'n') {
+        state = declineInsurance(state);
+      } else if (k === 'e' && actions.evenMoney) {
+        state = takeEvenMoney(state);
+      } else if (k === 'i' && actions.insurance) {
+        // ENTER takes the maximum (half the bet)
+        const max = maxInsurance(state);
+        process.stdout.write(SHOW_CURSOR);
+        const input = await readLine(`  Insurance (max $${max}, ENTER for max) > `);
+        process.stdout.write(HIDE_CURSOR);
+        if (input === null) cleanExit(0);
+        if (input.toLowerCase() === 'q') cleanExit(0);
+        if (input !== '' && !/^\d+$/.test(input)) {
+          insuranceError = 'Enter a whole number.';
+          continue;
+        }
+        const insuranceResult = placeInsurance(state, input === '' ? max : Number(input));
+        if (!insuranceResult.valid) {
+          insuranceError = insuranceResult.error;
+          continue;
+        }
+        state = insuranceResult.state;
+      }
+    }
+
+    // Check for blackjack (player and/or dealer). Without a hole card a
+    // player blackjack may instead stand and wait for the dealer (dealerTurn).
+    if (state.phase === 'playing') {
+      state = checkForBlackjack(state);
+    }
+    if (state.phase === 'result') {
+      // Blackjack detected (or early surrender, or even money) — show the result
+      state = await settleDealerSideBets(state);
+      recordHand(state);
       renderGameScreen(state, calculateHandTotal, getAvailableActions);
       await sleep(2500);
 
@@ -303,22 +668,34 @@ async function main() {
       } else if (k === 'd' && actions.double) {
         state = playerDouble(state);
       } else if (k === 'p' && actions.split) {
-        state = playerSplit(state);
+        state = playerSplit(state); // also re-splits the active split hand
+      } else if (k === 'r' && actions.surrender) {
+        state = playerSurrender(state);
+      } else if (k === 'r' && actions.rescue) {
+        state = playerRescue(state);
       }
       // Split-mode actions (item 3.10)
       else if (k === 'h' && actions.splitHit) {
         state = splitHit(state);
       } else if (k === 's' && actions.splitStand) {
         state = splitStand(state);
+      } else if (k === 'd' && actions.splitDouble) {
+        state = splitDouble(state);
       }
       // else: ignore unrecognized / unavailable keys
+
+      // With several spots, a finished spot hands play to the next one
+      state = finishSpot(state);
     }
 
     // Re-render after player phase ends (bust, auto-stand at 21, etc.)
     renderGameScreen(state, calculateHandTotal, getAvailableActions);
 
-    // If player busted, phase is already 'result' — show result and continue
+    // If player busted or surrendered, phase is already 'result' — show result and continue
     if (state.phase === 'result') {
+      state = await settleDealerSideBets(state);
+      recordHand(state);
+      renderGameScreen(state, calculateHandTotal, getAvailableActions);
       await sleep(2500);
       state = checkGameOver(state);
       if (state.phase === 'gameOver') {
@@ -348,15 +725,12 @@ async function main() {
     renderGameScreen(state, calculateHandTotal, getAvailableActions);
     await sleep(300);
 
-    // Dealer draws until done
-    while (!isDealerDone(state)) {
-      state = dealerDrawOne(state);
-      renderGameScreen(state, calculateHandTotal, getAvailableActions);
-      await sleep(350);
-    }
+    // Dealer draws until done; side bets on the dealer's hand settle first
+    state = settleSideBets(await drawOutDealer(state), 'dealer');
 
     // ── 3.7 Result Display & Pause ─────────────────────────────────────
     state = settleRound(state);
+    recordHand(state);
     renderGameScreen(state, calculateHandTotal, getAvailableActions);
     await sleep(2500);
 
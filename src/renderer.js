@@ -20,10 +20,13 @@ const dim = (s) => `\x1b[2m${s}${RESET}`;
  * formatChips(1000) → "$1,000"
  * formatChips(-50) → "-$50"
  * formatChips(0) → "$0"
+ * formatChips(12.5) → "$12.50" (half-dollar payouts)
  */
 const formatChips = (n) => {
   const abs = Math.abs(n);
-  const formatted = abs.toLocaleString('en-US');
+  const formatted = Number.isInteger(abs)
+    ? abs.toLocaleString('en-US')
+    : abs.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
   return n < 0 ? `-$${formatted}` : `$${formatted}`;
 };
 
@@ -207,37 +210,68 @@ const renderHeader = () => {
 
 /**
  * Render the chip/bet status bar.
- * Chips displayed in yellow, Bet in white.
- * Layout: "Chips: $1,000          Bet: $50" spread across frame width.
+ * Chips displayed in yellow, Bet in white, cards left in the shoe dimmed.
+ * Layout: "Chips: $1,000    Shoe: 48    Bet: $50" spread across frame width.
+ * The shoe count is omitted when `shoeCards` is not given.
  * Returns an array of frame lines: status row, divider.
  */
-const renderStatusBar = (chips, bet) => {
+const renderStatusBar = (chips, bet, shoeCards = null) => {
   const chipsText = `Chips: ${yellow(formatChips(chips))}`;
   const betText = `Bet: ${formatChips(bet)}`;
+  const shoeText = shoeCards === null ? '' : dim(`Shoe: ${shoeCards}`);
   const chipsVisual = stripAnsi(chipsText).length;
   const betVisual = stripAnsi(betText).length;
+  const shoeVisual = stripAnsi(shoeText).length;
   const available = FRAME_INNER - 2; // 1 space padding each side
-  const gap = available - chipsVisual - betVisual;
-  const content = chipsText + ' '.repeat(Math.max(1, gap)) + betText;
+  const gap = available - chipsVisual - betVisual - shoeVisual;
+  let content;
+  if (shoeText) {
+    const left = Math.max(1, Math.floor(gap / 2));
+    const right = Math.max(1, gap - left);
+    content = chipsText + ' '.repeat(left) + shoeText + ' '.repeat(right) + betText;
+  } else {
+    content = chipsText + ' '.repeat(Math.max(1, gap)) + betText;
+  }
   return [
     frameLine(content),
     frameDivider(),
   ];
 };
 
+/**
+ * Warning line for tables that pay blackjack at less than 3:2 (6:5, 7:5,
+ * even money) — the costliest rule a player can sit down to.
+ * Returns an array with one frame line, or none for a 3:2 (or better) table.
+ */
+const renderPayoutWarning = (rules) => {
+  if (!rules) return [];
+  const [win, stake] = rules.blackjackPayout.split(':').map(Number);
+  if (win / stake >= 1.5) return [];
+  return [frameCenter(yellow(`⚠ Blackjack pays ${rules.blackjackPayout}, not 3:2`))];
+};
+
 // ─── Dealer Area (Item 2.8) ─────────────────────────────────────────
 
 /**
  * Render the dealer area: label + cards within frame lines.
  *
- * During player turn (phase === 'playing' or 'betting'):
+ * During player turn (phase === 'playing', 'earlySurrender', 'insurance', 'switch' or 'betting'):
  *   - Label: "DEALER (showing X)" where X = face-up card value
  *   - Cards: first card face-up, rest face-down
+ *   - With no hole card (ENHC) the dealer holds a single card, so no
+ *     face-down card is drawn until the dealer's turn
  *
  * After dealer plays (phase === 'dealerTurn', 'result', 'gameOver'):
  *   - Label: "DEALER (X)" with total, "DEALER (Soft X)" if soft
  *   - All cards face-up
  *
+ * Double Exposure tables (rules.holeCard 'exposed') show the dealer's full
+ * hand and total from the deal on, in every phase.
+ *
+ * The label row also carries the table's soft 17 rule ("H17" or "S17"),
+ * right-aligned, so a soft 17 draw never comes as a surprise — followed by
+ * "ENHC" at tables without a hole card.
+ *
  * @param {object} state - game state with dealerHand and phase
  * @param {function} calculateHandTotal - from game.js
  * @returns {string[]} array of frame lines
@@ -246,8 +280,10 @@ const renderDealerArea = (state, calculateHandTotal) => {
   const { dealerHand, phase } = state;
   const lines = [];
 
-  // Determine if dealer hole card is hidden
-  const hideHole = phase === 'playing' || phase === 'betting';
+  // Determine if dealer hole card is hidden (never, when both cards are dealt face up)
+  const exposed = state.rules && state.rules.holeCard === 'exposed';
+  const hideHole = !exposed && (phase === 'playing' || phase === 'earlySurrender' || phase === 'insurance'
+    || phase === 'switch' || phase === 'betting');
 
   // Build label
   let label;
@@ -262,6 +298,13 @@ const renderDealerArea = (state, calculateHandTotal) => {
     label = soft ? `DEALER (Soft ${total})` : `DEALER (${total})`;
   }
 
+  if (state.rules) {
+    const soft17 = state.rules.dealerHitsSoft17 ? 'H17' : 'S17';
+    const ruleTag = state.rules.holeCard === 'enhc' ? `${soft17} ENHC` : soft17;
+    const gap = FRAME_INNER - 2 - label.length - ruleTag.length;
+    label = label + ' '.repeat(Math.max(1, gap)) + ruleTag;
+  }
+
   lines.push(frameEmpty());
   lines.push(frameLine(dim(label)));
 
@@ -292,9 +335,10 @@ const renderDealerArea = (state, calculateHandTotal) => {
  *
  * @param {object} state - game state with playerHand
  * @param {function} calculateHandTotal - from game.js
+ * @param {string} [title] - label in place of "YOUR HAND" (e.g. "SPOT 2")
  * @returns {string[]} array of frame lines
  */
-const renderPlayerArea = (state, calculateHandTotal) => {
+const renderPlayerArea = (state, calculateHandTotal, title = 'YOUR HAND') => {
   const { playerHand } = state;
   const lines = [];
 
@@ -304,9 +348,9 @@ const renderPlayerArea = (state, calculateHandTotal) => {
   if (playerHand.length === 2 && total === 21) {
     label = bold(magenta('BLACKJACK!'));
   } else if (soft) {
-    label = `YOUR HAND (Soft ${total})`;
+    label = `${title} (Soft ${total})`;
   } else {
-    label = `YOUR HAND (${total})`;
+    label = `${title} (${total})`;
   }
 
   lines.push(frameEmpty());
@@ -325,15 +369,51 @@ const renderPlayerArea = (state, calculateHandTotal) => {
 
 // ─── Action Prompt Bar (Item 2.10) ─────────────────────────────────
 
+/**
+ * Lay out action labels across as many frame lines as they need, two spaces
+ * apart, wrapping before a label that would overflow the frame.
+ */
+const actionLines = (parts) => {
+  const usable = FRAME_INNER - 2;
+  const rows = [[]];
+  let width = 0;
+  for (const part of parts) {
+    const partWidth = stripAnsi(part).length;
+    const row = rows[rows.length - 1];
+    if (row.length > 0 && width + 2 + partWidth > usable) {
+      rows.push([part]);
+      width = partWidth;
+    } else {
+      width += (row.length > 0 ? 2 : 0) + partWidth;
+      row.push(part);
+    }
+  }
+  return rows.map((row) => frameLine(row.join('  ')));
+};
+
 /**
  * Render the action prompt bar showing available actions.
  *
- * Normal play: [H]it  [S]tand  [D]ouble  [P]plit  [Q]uit
+ * Normal play: [H]it  [S]tand  [D]ouble  [P]plit  Su[R]render  [Q]uit
  *   - Unavailable actions are dimmed
  *   - [P]lit only shown when split is available
+ *   - Su[R]render only shown when surrender is available
+ *   - [R]escue replaces it on a doubled hand the table lets the player rescue
+ *   - Wraps onto a second line when the actions do not fit the frame
+ *
+ * Split play: Hand N: [H]it  [S]tand  [D]ouble  [P]lit
+ *   - Only hit, stand, double (DAS tables) and re-split on the active hand
+ *   - [P]lit only shown when the active hand can be re-split
  *
- * Split play: Hand N: [H]it  [S]tand
- *   - Only hit and stand on the active hand
+ * Early surrender (phase 'earlySurrender'): Su[R]render  [ENTER] Play on
+ *   - Shown before the dealer checks for blackjack
+ *
+ * Insurance (phase 'insurance'): [I]nsure  [N]o  or  [E]ven money  [N]o
+ *   - Shown against a dealer ace, before the dealer checks for blackjack
+ *   - Both are asked of each spot in turn, named as "Spot N:"
+ *
+ * Blackjack Switch (phase 'switch'): S[W]itch  [ENTER] Keep
+ *   - Shown after the deal, before the dealer checks for blackjack
  *
  * @param {object} actions - return value from getAvailableActions(state)
  * @param {object} state - game state (for split hand index)
@@ -344,16 +424,49 @@ const renderActionPrompt = (actions, state) => {
   lines.push(frameDivider());
 
   const isSplit = state && state.splitHands !== undefined;
-
-  if (isSplit && (actions.splitHit || actions.splitStand)) {
-    // Split mode: "Hand N: [H]it  [S]tand"
+  // With several spots, the decisions before the peek name the spot asked
+  const spot = state && state.spots ? `Spot ${state.activeSpot + 1}: ` : null;
+
+  if (state && state.phase === 'earlySurrender') {
+    const question = spot ? `${spot}Surrender before dealer checks?` : 'Surrender now, before the dealer checks?';
+    lines.push(frameLine(dim(question)));
+    lines.push(...actionLines([
+      'Su' + bold('[R]') + 'render',
+      bold('[ENTER]') + ' Play on',
+      bold('[Q]') + 'uit',
+    ]));
+  } else if (state && state.phase === 'insurance') {
+    if (actions.evenMoney) {
+      lines.push(frameLine(dim(spot ? `${spot}Take even money?` : 'Dealer shows an ace. Take even money?')));
+      lines.push(...actionLines([bold('[E]') + 'ven money', bold('[N]') + 'o', bold('[Q]') + 'uit']));
+    } else {
+      lines.push(frameLine(dim(spot ? `${spot}Insurance?` : 'Dealer shows an ace. Insurance?')));
+      lines.push(...actionLines([
+        actions.insurance ? bold('[I]') + 'nsure' : dim('[I]nsure'),
+        bold('[N]') + 'o',
+        bold('[Q]') + 'uit',
+      ]));
+    }
+  } else if (state && state.phase === 'switch') {
+    lines.push(frameLine(dim('Swap the second cards of your hands?')));
+    lines.push(...actionLines([
+      'S' + bold('[W]') + 'itch',
+      bold('[ENTER]') + ' Keep',
+      bold('[Q]') + 'uit',
+    ]));
+  } else if (isSplit && (actions.splitHit || actions.splitStand)) {
+    // Split mode: "Hand N: [H]it  [S]tand  [D]ouble"
     const handNum = (state.activeHandIndex || 0) + 1;
     const parts = [];
     parts.push(bold(`Hand ${handNum}:`));
     parts.push(actions.splitHit ? bold('[H]') + 'it' : dim('[H]it'));
     parts.push(actions.splitStand ? bold('[S]') + 'tand' : dim('[S]tand'));
+    parts.push(actions.splitDouble ? bold('[D]') + 'ouble' : dim('[D]ouble'));
+    if (actions.split) {
+      parts.push(bold('[P]') + 'lit');
+    }
     parts.push(bold('[Q]') + 'uit');
-    lines.push(frameLine(parts.join('  ')));
+    lines.push(...actionLines(parts));
   } else {
     // Normal mode: [H]it  [S]tand  [D]ouble  [P]plit  [Q]uit
     const parts = [];
@@ -364,8 +477,15 @@ const renderActionPrompt = (actions, state) => {
     if (actions.split) {
       parts.push(bold('[P]') + 'lit');
     }
+    // Only show Su[R]render when surrender is available
+    if (actions.surrender) {
+      parts.push('Su' + bold('[R]') + 'render');
+    }
+    if (actions.rescue) {
+      parts.push(bold('[R]') + 'escue');
+    }
     parts.push(actions.quit ? bold('[Q]') + 'uit' : dim('[Q]uit'));
-    lines.push(frameLine(parts.join('  ')));
+    lines.push(...actionLines(parts));
   }
 
   lines.push(frameBottom());
@@ -378,14 +498,19 @@ const renderActionPrompt = (actions, state) => {
  * Render the full game screen: clear terminal, compose all sections, write once.
  *
  * Composes: header → status bar → dealer area → player area → action prompt.
- * Shows reshuffle notification ("♻ Deck reshuffled") above dealer area if
- * state.reshuffled is true.
+ * Tables paying blackjack below 3:2 get a warning line under the status bar.
+ * Shows reshuffle notification ("♻ Deck reshuffled", or "♻ Shoe reshuffled"
+ * with the deck count for multi-deck shoes) above dealer area if
+ * state.reshuffled is true, or a "shoe ran out" notice when the shoe was
+ * refilled mid-hand (state.shoeRanDry).
  *
  * @param {object} state - full game state
  * @param {function} calculateHandTotal - from game.js
  * @param {function} getAvailableActions - from game.js
+ * @param {object} [options]
+ * @param {string|null} [options.error] - input error to show above the action prompt
  */
-const renderGameScreen = (state, calculateHandTotal, getAvailableActions) => {
+const renderGameScreen = (state, calculateHandTotal, getAvailableActions, options = {}) => {
   const margin = frameMargin();
   const lines = [];
 
@@ -393,18 +518,26 @@ const renderGameScreen = (state, calculateHandTotal, getAvailableActions) => {
   lines.push(...renderHeader());
 
   // Status bar
-  lines.push(...renderStatusBar(state.chips, state.bet));
+  // A continuous shuffling machine keeps the shoe full, so its size tells nothing
+  const shoeCards = state.rules && state.rules.continuousShuffle ? null : state.deck.length;
+  lines.push(...renderStatusBar(state.chips, state.spots ? totalSpotBets(state) : state.bet, shoeCards));
+  lines.push(...renderPayoutWarning(state.rules));
 
   // Reshuffle notification (dim, above dealer area)
-  if (state.reshuffled) {
-    lines.push(frameLine(dim('♻ Deck reshuffled')));
+  if (state.shoeRanDry) {
+    lines.push(frameLine(dim('♻ Shoe ran out — discards reshuffled')));
+  } else if (state.reshuffled) {
+    const decks = state.rules ? state.rules.decks : 1;
+    lines.push(frameLine(dim(decks > 1 ? `♻ Shoe reshuffled (${decks} decks)` : '♻ Deck reshuffled')));
   }
 
   // Dealer area
   lines.push(...renderDealerArea(state, calculateHandTotal));
 
-  // Player area (normal or split)
-  if (state.splitHands !== undefined) {
+  // Player area (several spots, split, or normal)
+  if (state.spots) {
+    lines.push(...renderSpotsArea(state, calculateHandTotal));
+  } else if (state.splitHands !== undefined) {
     lines.push(...renderSplitPlayerArea(state, calculateHandTotal));
   } else {
     lines.push(...renderPlayerArea(state, calculateHandTotal));
@@ -412,12 +545,15 @@ const renderGameScreen = (state, calculateHandTotal, getAvailableActions) => {
 
   lines.push(frameEmpty());
 
-  // Action prompt bar (only during playing phase) or result display
-  if (state.phase === 'playing') {
+  // Action prompt bar (only during playing phases) or result display
+  if (options.error) {
+    lines.push(frameLine(red(options.error)));
+  }
+  if (['playing', 'earlySurrender', 'insurance', 'switch'].includes(state.phase)) {
     const actions = getAvailableActions(state);
     lines.push(...renderActionPrompt(actions, state));
   } else if (state.phase === 'result' && state.result) {
-    lines.push(...renderResultDisplay(state.result));
+    lines.push(...renderResultDisplay(state.result, state.insurance, state.sideBets));
     lines.push(frameBottom());
   } else {
     lines.push(frameBottom());
@@ -434,10 +570,16 @@ const renderGameScreen = (state, calculateHandTotal, getAvailableActions) => {
 
 /**
  * Render the welcome screen: clear terminal, show framed title + prompt.
- * ♠ ♥ BLACKJACK 21 ♣ ♦ centered, "Press ENTER to play" below.
+ * ♠ ♥ BLACKJACK 21 ♣ ♦ centered, the table name, "Press ENTER to play"
+ * below, and the shuffle seed of a seeded game under the frame.
  * Writes directly to process.stdout.
+ *
+ * @param {object} [rules] - table rules from game state (for the table name)
+ * @param {object} [rng] - the game's rng; only a seeded one shows its seed (a provably fair
+ *   shoe's seed stays secret until the shoe is done)
  */
-const renderWelcomeScreen = () => {
+const renderWelcomeScreen = (rules = null, rng = null) => {
+  const seed = rng && rng.type === 'seeded' ? rng.seed : null;
   const margin = frameMargin();
   const title = `♠ ${red('♥')} ${bold('BLACKJACK 21')} ♣ ${red('♦')}`;
   const prompt = 'Press ENTER to play';
@@ -445,13 +587,17 @@ const renderWelcomeScreen = () => {
     frameTop(),
     frameEmpty(),
     frameCenter(title),
+    rules ? frameCenter(dim(`${rules.name} rules`)) : '',
     frameEmpty(),
     frameCenter(prompt),
     frameEmpty(),
     frameBottom(),
   ];
   const filtered = lines.filter((l) => l !== '');
-  const output = '\x1b[2J\x1b[H' + filtered.map((l) => margin + l).join('\n') + '\n';
+  // The seed goes under the frame, in full: a long one would be cut to fit,
+  // and a cut seed does not replay the shoe
+  const output = '\x1b[2J\x1b[H' + filtered.map((l) => margin + l).join('\n') + '\n'
+    + (seed ? `  ${dim(`Seed: ${seed}`)}\n` : '');
   process.stdout.write(output);
 };
 
@@ -463,15 +609,42 @@ const renderWelcomeScreen = () => {
  *
  * @param {number} chips - current chip count
  * @param {string} [error] - optional error message to display (e.g., invalid bet)
+ * @param {number|number[]} [lastBet] - previous bet (one per spot), offered as the ENTER default
+ * @param {object} [stats] - session stats for the analytics section
+ * @param {object} [rules] - table rules (for the bet limits in the prompt and a 6:5 warning)
+ * @param {object[]} [sideBets] - side bets on offer: { code, name, lastBet } with lastBet 0 when not repeated
+ * @param {object} [rng] - the game's rng; a provably fair one shows the shoe's server seed hash,
+ *   the client seed, the shoe number and the last shoe's revealed server seed under the frame,
+ *   full width so they can be copied
  */
-const renderBettingScreen = (chips, error, lastBet = 0, stats = null) => {
+const renderBettingScreen = (chips, error, lastBet = 0, stats = null, rules = null, sideBets = [], rng = null) => {
   const margin = frameMargin();
   const title = `♠ ${bold('BLACKJACK 21')} ♠`;
   const chipsLine = `Chips: ${yellow(formatChips(chips))}`;
-  const repeatAmount = lastBet > 0 ? Math.min(lastBet, chips) : 0;
-  const promptLine = repeatAmount > 0
-    ? `Place your bet or ENTER to repeat ${yellow(formatChips(repeatAmount))}:`
-    : 'Place your bet ($10-$500):';
+  const lastBets = [].concat(lastBet).filter((b) => b > 0);
+  const repeatAmount = lastBets.length === 1 ? Math.min(lastBets[0], Math.floor(chips)) : 0;
+  let promptLine;
+  if (lastBets.length > 1) {
+    promptLine = `Bets or ENTER to repeat ${yellow(lastBets.map(formatChips).join(' '))}:`;
+  } else if (repeatAmount > 0) {
+    promptLine = `Place your bet or ENTER to repeat ${yellow(formatChips(repeatAmount))}:`;
+  } else {
+    promptLine = `Place your bet ($${rules ? rules.minBet : 10}-$${rules ? rules.maxBet : 500}):`;
+  }
+  let spotsHint = '';
+  if (rules && rules.switchHands) {
+    spotsHint = dim('Two hands are dealt, one bet on each');
+  } else if (rules && rules.maxSpots > 1) {
+    spotsHint = dim(`Up to ${rules.maxSpots} spots, e.g. "${rules.minBet} ${rules.minBet}"`);
+  }
+  // Side bets: what ENTER repeats along with the main bet, or how to place them
+  const repeatSideBets = sideBets.filter((b) => b.lastBet > 0);
+  let sideBetsHint = '';
+  if (repeatSideBets.length > 0 && lastBets.length > 0) {
+    sideBetsHint = dim(`+ side bets ${repeatSideBets.map((b) => `${b.code}:${b.lastBet}`).join(' ')}`);
+  } else if (sideBets.length > 0) {
+    sideBetsHint = dim(`Side bets: ${sideBets.map((b) => b.code).join(' ')}, e.g. "${rules ? rules.minBet : 10} ${sideBets[0].code}:5"`);
+  }
   const quitLine = dim('[Q]uit');
 
   const lines = [
@@ -510,10 +683,18 @@ const renderBettingScreen = (chips, error, lastBet = 0, stats = null) => {
     lines.push(frameCenter(recordLine));
     lines.push(frameCenter(bar));
     lines.push(frameCenter(bjPeakLine));
+    if (stats.sideBetsWon + stats.sideBetsLost > 0) {
+      const net = stats.sideBetNet;
+      const netText = net > 0 ? green(`+${formatChips(net)}`) : net < 0 ? red(formatChips(net)) : formatChips(0);
+      lines.push(frameCenter(`Side bets: ${stats.sideBetsWon}W ${stats.sideBetsLost}L  ·  ${netText}`));
+    }
     lines.push(frameEmpty());
   }
 
   lines.push(frameCenter(promptLine));
+  if (spotsHint) lines.push(frameCenter(spotsHint));
+  if (sideBetsHint) lines.push(frameCenter(sideBetsHint));
+  lines.push(...renderPayoutWarning(rules));
   lines.push(frameEmpty());
 
   if (error) {
@@ -525,8 +706,19 @@ const renderBettingScreen = (chips, error, lastBet = 0, stats = null) => {
   lines.push(frameEmpty());
   lines.push(frameBottom());
 
+  // Written without the centering margin: a hash is wider than the frame
+  const fairLines = [];
+  if (rng && rng.type === 'fair') {
+    fairLines.push(dim(`Server hash: ${rng.commit}`));
+    fairLines.push(dim(`Client seed: ${rng.clientSeed}  ·  shoe ${rng.shoe}`));
+    if (rng.revealed) {
+      fairLines.push(dim(`Shoe ${rng.revealed.shoe} server seed: ${rng.revealed.serverSeed}`));
+    }
+  }
+
   const filtered = lines.filter((l) => l !== '');
-  const output = '\x1b[2J\x1b[H' + filtered.map((l) => margin + l).join('\n') + '\n';
+  const output = '\x1b[2J\x1b[H' + filtered.map((l) => margin + l).join('\n') + '\n'
+    + fairLines.map((l) => '  ' + l + '\n').join('');
   process.stdout.write(output);
 };
 
@@ -537,17 +729,22 @@ const renderBettingScreen = (chips, error, lastBet = 0, stats = null) => {
  * with chip change amount.
  *
  * Color coding:
- *   - win: green
+ *   - win/even money: green
  *   - lose/bust: red
- *   - push: yellow
- *   - blackjack: bold magenta
+ *   - push/surrender/double rescue: yellow
+ *   - blackjack and automatic wins (Charlie, 6-7-8, 7-7-7, 5+ card 21): bold magenta
  *
- * Shows chip change: "+$150" in green or "-$50" in red.
+ * Shows chip change: "+$150" in green or "-$50" in red, followed by the
+ * part won on Free Bet chips (result.freeWin), the insurance outcome
+ * when an insurance bet was settled this hand, and one line per side bet
+ * ("Perfect Pairs: Colored pair +$60").
  *
- * @param {object} result - { outcome, message, chipChange }
+ * @param {object} result - { outcome, message, chipChange, special?, freeWin? }
+ * @param {object} [insurance] - { bet, outcome, chipChange } from the game state
+ * @param {object} [sideBets] - { [key]: { name, bet, outcome, hand?, chipChange } } from the game state
  * @returns {string[]} array of frame lines
  */
-const renderResultDisplay = (result) => {
+const renderResultDisplay = (result, insurance = null, sideBets = null) => {
   if (!result) return [];
   const lines = [];
 
@@ -561,16 +758,20 @@ const renderResultDisplay = (result) => {
       resultMsg = bold(magenta(result.message));
       break;
     case 'win':
-      resultMsg = bold(green(result.message));
+    case 'evenMoney':
+      resultMsg = bold(result.special ? magenta(result.message) : green(result.message));
       break;
     case 'lose':
     case 'bust':
       resultMsg = bold(red(result.message));
       break;
     case 'push':
+    case 'surrender':
+    case 'rescue':
       resultMsg = bold(yellow(result.message));
       break;
     case 'split':
+    case 'spots':
       resultMsg = bold(cyan(result.message));
       break;
     default:
@@ -589,6 +790,25 @@ const renderResultDisplay = (result) => {
   }
   lines.push(frameCenter(chipText));
 
+  if (result.freeWin > 0) {
+    lines.push(frameCenter(green(`incl. +${formatChips(result.freeWin)} won on free bets`)));
+  }
+
+  if (insurance && insurance.outcome) {
+    const insuranceText = insurance.outcome === 'won'
+      ? green(`Insurance pays +${formatChips(insurance.chipChange)}`)
+      : red(`Insurance lost ${formatChips(insurance.bet)}`);
+    lines.push(frameCenter(insuranceText));
+  }
+
+  for (const sideBet of Object.values(sideBets || {})) {
+    if (!sideBet.outcome) continue;
+    const sideBetText = sideBet.outcome === 'won'
+      ? green(`${sideBet.name}: ${sideBet.hand} +${formatChips(sideBet.chipChange)}`)
+      : red(`${sideBet.name} lost ${formatChips(sideBet.bet)}`);
+    lines.push(frameCenter(sideBetText));
+  }
+
   lines.push(frameEmpty());
 
   // Continue prompt
@@ -644,13 +864,37 @@ const renderGameOverScreen = (state, getWinRate) => {
 
 // ─── Split Player Area (Item 2.16) ───────────────────────────────────
 
+// Short result labels for automatic wins (result.special) on split hands
+const SPECIAL_LABELS = { charlie: 'CHARLIE', suited678: '6-7-8', triple7: '7-7-7', bonus21: '21 BONUS' };
+
+/**
+ * Short color-coded result for one hand of several: "WIN +$50", "BUST -$50",
+ * "PUSH $0" — used for split hands and betting spots.
+ */
+const handResultText = (r) => {
+  if (r.special) {
+    return magenta(`${SPECIAL_LABELS[r.special]} +${formatChips(r.chipChange)}`);
+  }
+  if (r.outcome === 'win' || r.outcome === 'blackjack') {
+    return green(`${r.outcome === 'blackjack' ? 'BLACKJACK' : 'WIN'} +${formatChips(r.chipChange)}`);
+  }
+  if (r.outcome === 'lose' || r.outcome === 'bust') {
+    return red(`${r.outcome === 'bust' ? 'BUST' : 'LOSE'} ${formatChips(r.chipChange)}`);
+  }
+  if (r.outcome === 'surrender' || r.outcome === 'rescue') {
+    return yellow(`${r.outcome.toUpperCase()} ${formatChips(r.chipChange)}`);
+  }
+  return yellow(`PUSH ${formatChips(0)}`);
+};
+
 /**
- * Render split player hands within the frame.
+ * Render split player hands (two to four) within the frame.
  * Active hand is bold, inactive hand is dimmed.
- * Labels: "HAND 1 (X) *active*" / "HAND 2 (X) - Stand/Bust/21"
+ * Labels: "HAND 1 (X) *active*" / "HAND 2 (X) - Stand/Bust/21" / "HAND 3 (X)" (waiting)
  *
- * Primary: side-by-side layout (hands rendered next to each other).
- * Fallback: vertical stacking (when hands are too wide to fit side-by-side).
+ * Hands are laid out in rows of two: hands 1–2, then hands 3–4.
+ * Primary: side-by-side layout (a row's hands rendered next to each other).
+ * Fallback: vertical stacking (when a row is too wide to fit side-by-side).
  *
  * Side-by-side fits when: hand1Width + MIN_GAP + hand2Width <= usable width (40).
  * Each hand's card width = numCards * 7 + (numCards - 1) for spacing.
@@ -668,13 +912,16 @@ const renderSplitPlayerArea = (state, calculateHandTotal) => {
 
   const handData = splitHands.map((hand, i) => {
     const { total, soft } = calculateHandTotal(hand.cards);
-    const isActive = hand.status === 'playing' && i === activeHandIndex;
+    // Blackjack Switch hands are both waiting until the switch is decided
+    const isActive = hand.status === 'playing' && i === activeHandIndex && state.phase !== 'switch';
     const isDimmed = !isActive && hand.status !== 'playing';
 
     const totalStr = soft ? `Soft ${total}` : `${total}`;
     let label;
     if (isActive) {
       label = bold(`HAND ${i + 1} (${totalStr}) *active*`);
+    } else if (hand.status === 'playing') {
+      label = `HAND ${i + 1} (${totalStr})`; // waiting its turn
     } else {
       const statusLabel = hand.status === 'stand' ? 'Stand'
         : hand.status === 'bust' ? 'Bust'
@@ -684,80 +931,140 @@ const renderSplitPlayerArea = (state, calculateHandTotal) => {
       if (isDimmed) label = dim(label);
     }
 
-    const betStr = `Bet: ${formatChips(hand.bet)}`;
+    // Free Bet: "Bet: $50 free" when the house fronts it all, "Bet: $100 ($50 free)" for a free double
+    let betStr = `Bet: ${formatChips(hand.bet)}`;
+    if (hand.free > 0) {
+      betStr += hand.free === hand.bet ? ' free' : ` (${formatChips(hand.free)} free)`;
+    }
     const styledBet = isDimmed ? dim(betStr) : betStr;
 
     const numCards = hand.cards.length;
     const cardWidth = numCards > 0 ? numCards * 7 + (numCards - 1) : 0;
     const cardLines = renderHand(hand.cards, { dimmed: isDimmed });
 
-    let resultText = null;
-    if (hand.result) {
-      const r = hand.result;
-      if (r.outcome === 'win' || r.outcome === 'blackjack') {
-        resultText = green(`${r.outcome === 'blackjack' ? 'BLACKJACK' : 'WIN'} +${formatChips(r.chipChange)}`);
-      } else if (r.outcome === 'lose' || r.outcome === 'bust') {
-        resultText = red(`${r.outcome === 'bust' ? 'BUST' : 'LOSE'} ${formatChips(r.chipChange)}`);
-      } else {
-        resultText = yellow(`PUSH ${formatChips(0)}`);
-      }
-    }
+    const resultText = hand.result ? handResultText(hand.result) : null;
 
     return { label, styledBet, cardWidth, cardLines, resultText, isDimmed };
   });
 
-  // ── Determine layout mode ────────────────────────────────────────
+  const padTo = (str, width) => {
+    const vis = stripAnsi(str).length;
+    return vis >= width ? str : str + ' '.repeat(width - vis);
+  };
 
-  const h1 = handData[0];
-  const h2 = handData[1];
-  const sideBySideFits = h2 !== undefined &&
-    (h1.cardWidth + MIN_GAP + h2.cardWidth <= USABLE);
+  const lines = [];
+  for (let i = 0; i < handData.length; i += 2) {
+    const h1 = handData[i];
+    const h2 = handData[i + 1];
 
-  // ── Side-by-side rendering ───────────────────────────────────────
+    // ── Determine layout mode ──────────────────────────────────────
 
-  if (sideBySideFits) {
-    const lines = [];
-    const gap = USABLE - h1.cardWidth - h2.cardWidth;
+    const sideBySideFits = h2 !== undefined &&
+      (h1.cardWidth + MIN_GAP + h2.cardWidth <= USABLE);
 
-    const padTo = (str, width) => {
-      const vis = stripAnsi(str).length;
-      return vis >= width ? str : str + ' '.repeat(width - vis);
-    };
+    // ── Side-by-side rendering ─────────────────────────────────────
 
-    lines.push(frameEmpty());
-    lines.push(frameLine(padTo(h1.label, h1.cardWidth + gap) + h2.label));
-    lines.push(frameLine(padTo(h1.styledBet, h1.cardWidth + gap) + h2.styledBet));
-
-    for (let row = 0; row < 5; row++) {
-      const left = h1.cardLines[row] || '';
-      const leftVis = stripAnsi(left).length;
-      const padding = (h1.cardWidth + gap) - leftVis;
-      const right = h2.cardLines[row] || '';
-      lines.push(frameLine(left + ' '.repeat(Math.max(0, padding)) + right));
-    }
+    if (sideBySideFits) {
+      const gap = USABLE - h1.cardWidth - h2.cardWidth;
+
+      lines.push(frameEmpty());
+      lines.push(frameLine(padTo(h1.label, h1.cardWidth + gap) + h2.label));
+      lines.push(frameLine(padTo(h1.styledBet, h1.cardWidth + gap) + h2.styledBet));
 
-    if (h1.resultText || h2.resultText) {
-      const r1 = h1.resultText || '';
-      const r2 = h2.resultText || '';
-      lines.push(frameLine(padTo(r1, h1.cardWidth + gap) + r2));
+      for (let row = 0; row < 5; row++) {
+        const left = h1.cardLines[row] || '';
+        const leftVis = stripAnsi(left).length;
+        const padding = (h1.cardWidth + gap) - leftVis;
+        const right = h2.cardLines[row] || '';
+        lines.push(frameLine(left + ' '.repeat(Math.max(0, padding)) + right));
+      }
+
+      if (h1.resultText || h2.resultText) {
+        const r1 = h1.resultText || '';
+        const r2 = h2.resultText || '';
+        lines.push(frameLine(padTo(r1, h1.cardWidth + gap) + r2));
+      }
+      continue;
     }
 
-    return lines;
+    // ── Vertical stacking fallback ─────────────────────────────────
+
+    for (const h of h2 === undefined ? [h1] : [h1, h2]) {
+      lines.push(frameEmpty());
+      lines.push(frameLine(h.label + '  ' + h.styledBet));
+      for (const cl of h.cardLines) {
+        lines.push(frameLine(cl));
+      }
+      if (h.resultText) {
+        lines.push(frameLine(h.resultText));
+      }
+    }
   }
+  return lines;
+};
 
-  // ── Vertical stacking fallback ───────────────────────────────────
+// ─── Multi-Spot Player Area ──────────────────────────────────────────
+
+/**
+ * Total staked across betting spots. The active spot's bet is live in
+ * state.bet; the other spots keep theirs in state.spots.
+ */
+const totalSpotBets = (state) => state.spots.reduce(
+  (sum, spot, i) => sum + (i === state.activeSpot ? state.bet : spot.bet), 0);
+
+/**
+ * One-line summary per hand of a spot that is not being played:
+ * "Spot 2 (17) K♠ 7♥" with its bet on the right, or its result once settled.
+ * A split spot gets a line per hand ("Spot 2.1", "Spot 2.2").
+ */
+const renderSpotSummary = (spot, index, calculateHandTotal) => {
+  const USABLE = FRAME_INNER - 2;
+  const hands = spot.splitHands !== undefined
+    ? spot.splitHands
+    : [{ cards: spot.playerHand, bet: spot.bet, result: spot.result }];
+
+  return hands.map((hand, h) => {
+    const name = hands.length > 1 ? `Spot ${index + 1}.${h + 1}` : `Spot ${index + 1}`;
+    const { total, soft } = calculateHandTotal(hand.cards);
+    const totalStr = hand.cards.length === 2 && total === 21 && hands.length === 1 ? 'BJ'
+      : soft ? `Soft ${total}` : `${total}`;
+    const cards = hand.cards.map((c) => c.rank + colorSuit(c.suit)).join(' ');
+    const left = `${name} (${totalStr}) ${cards}`;
+    const right = hand.result ? handResultText(hand.result) : dim(formatChips(hand.bet));
+    const gap = USABLE - stripAnsi(left).length - stripAnsi(right).length;
+    return frameLine(left + ' '.repeat(Math.max(1, gap)) + right);
+  });
+};
 
+/**
+ * Render the player's betting spots: the spot being played or decided on
+ * before the peek in full (cards, or split hands), every other spot as a
+ * compact summary in seat order. Outside the player's turn all spots are
+ * summaries.
+ *
+ * @param {object} state - game state with spots and activeSpot
+ * @param {function} calculateHandTotal - from game.js
+ * @returns {string[]} array of frame lines
+ */
+const renderSpotsArea = (state, calculateHandTotal) => {
   const lines = [];
-  for (const h of handData) {
-    lines.push(frameEmpty());
-    lines.push(frameLine(h.label + '  ' + h.styledBet));
-    for (const cl of h.cardLines) {
-      lines.push(frameLine(cl));
+  const last = state.spots.length - 1;
+  state.spots.forEach((spot, i) => {
+    const active = i === state.activeSpot && ['playing', 'earlySurrender', 'insurance'].includes(state.phase);
+    if (!active) {
+      if (i === 0) lines.push(frameEmpty());
+      lines.push(...renderSpotSummary(spot, i, calculateHandTotal));
+      return;
     }
-    if (h.resultText) {
-      lines.push(frameLine(h.resultText));
+    if (state.splitHands !== undefined) {
+      lines.push(frameEmpty());
+      lines.push(frameLine(bold(`SPOT ${i + 1} of ${state.spots.length}`)));
+      lines.push(...renderSplitPlayerArea(state, calculateHandTotal));
+    } else {
+      lines.push(...renderPlayerArea(state, calculateHandTotal, `SPOT ${i + 1} of ${state.spots.length}`));
     }
-  }
+    if (i < last) lines.push(frameEmpty());
+  });
   return lines;
 };
 
@@ -767,5 +1074,5 @@ export {
   frameLine, frameCenter, frameTop, frameBottom, frameDivider, frameEmpty, frameMargin,
   renderCard, renderHand, renderHeader, renderStatusBar, renderDealerArea, renderPlayerArea,
   renderActionPrompt, renderResultDisplay, renderGameScreen, renderGameOverScreen,
-  renderSplitPlayerArea, renderWelcomeScreen, renderBettingScreen,
+  renderSplitPlayerArea, renderSpotsArea, renderWelcomeScreen, renderBettingScreen,
 };
@@ -0,0 +1,50 @@
+// src/renderer.test.js — Tests for what the screens show
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createGameState, createRng, createFairRng, withClientSeed, reshuffleShoe, DEFAULT_RULES } from './game.js';
+import { renderWelcomeScreen, renderBettingScreen } from './renderer.js';
+
+// Everything a render call writes to the terminal
+const screen = (render) => {
+  const write = process.stdout.write;
+  let output = '';
+  process.stdout.write = (text) => {
+    output += text;
+    return true;
+  };
+  try {
+    render();
+  } finally {
+    process.stdout.write = write;
+  }
+  return output;
+};
+
+describe('shuffle seeds on screen', () => {
+  it('shows the seed of a seeded game on the welcome screen', () => {
+    const { rng } = reshuffleShoe(createGameState(DEFAULT_RULES, createRng('friday-night')));
+    assert.match(screen(() => renderWelcomeScreen(DEFAULT_RULES, rng)), /Seed: friday-night/);
+  });
+
+  it('keeps a provably fair server seed off the screens', () => {
+    const rng = createFairRng();
+    const game = reshuffleShoe(createGameState(DEFAULT_RULES, withClientSeed(rng, 'alice')));
+    const welcome = screen(() => renderWelcomeScreen(DEFAULT_RULES, rng));
+    const betting = screen(() => renderBettingScreen(1000, null, 0, game.stats, DEFAULT_RULES, [], game.rng));
+    for (const output of [welcome, betting]) {
+      assert.ok(!output.includes(game.rng.serverSeed.slice(0, 8)));
+      assert.ok(!output.includes(rng.chainSeed.slice(0, 8)));
+    }
+    assert.ok(betting.includes(rng.commit));
+    assert.match(betting, /Client seed: alice {2}· {2}shoe 1/);
+  });
+
+  it('shows the last fair shoe\'s server seed once the next is shuffled', () => {
+    const first = reshuffleShoe(createGameState(DEFAULT_RULES, withClientSeed(createFairRng(), 'alice')));
+    const second = reshuffleShoe(first);
+    const betting = screen(() => renderBettingScreen(1000, null, 0, second.stats, DEFAULT_RULES, [], second.rng));
+    assert.ok(betting.includes(`Shoe 1 server seed: ${first.rng.serverSeed}`));
+    assert.ok(!betting.includes(second.rng.serverSeed.slice(0, 8)));
+  });
+});
@@ -0,0 +1,212 @@
+// src/simulate.js — Plays a table out with basic strategy to measure its house
+// edge and game speed. Pure functions over the game engine, no I/O.
+
+import {
+  createGameState, createRng, placeBets, dealInitialCards, reshuffleShoe, clearTable, calculateHandTotal,
+  checkForBlackjack, declineSurrender, declineSwitch, declineInsurance, playerHit, playerStand, playerDouble,
+  playerSplit, playerSurrender, splitHit, splitStand, splitDouble, finishSpot, isDealerDone, dealerDrawOne,
+  settleRound, getAvailableActions,
+} from './game.js';
+
+// ─── Game Speed ──────────────────────────────────────────────────────
+
+/**
+ * Rough dealing times for one player heads-up against the dealer: a fixed
+ * cost per round (taking the bet, settling, clearing the table), the time to
+ * deal or draw each card, and a hand shuffle of each deck once the cut card
+ * comes out. A continuous shuffler shuffles while the next round is played,
+ * so its shoe never stops the game.
+ */
+export const DEALING_TIMES = {
+  roundSeconds: 10,
+  cardSeconds: 2,
+  shuffleSecondsPerDeck: 30,
+};
+
+// ─── Basic Strategy ──────────────────────────────────────────────────
+
+// Dealer up cards (an ace counts 11) from `low` to `high`
+const upCards = (low, high) => Array.from({ length: high - low + 1 }, (_, i) => low + i);
+
+// The dealer up cards to split each pair against, by the value of one card
+const PAIR_SPLITS = {
+  11: upCards(2, 11),
+  10: [],
+  9: [2, 3, 4, 5, 6, 8, 9],
+  8: upCards(2, 11),
+  7: upCards(2, 7),
+  6: upCards(2, 6),
+  5: [],
+  4: [5, 6],
+  3: upCards(2, 7),
+  2: upCards(2, 7),
+};
+
+// The dealer up cards to double against, by the hand's total
+const HARD_DOUBLES = { 9: upCards(3, 6), 10: upCards(2, 9), 11: upCards(2, 10) };
+const SOFT_DOUBLES = {
+  13: [5, 6], 14: [5, 6], 15: upCards(4, 6), 16: upCards(4, 6), 17: upCards(3, 6), 18: upCards(3, 6),
+};
+
+/**
+ * The basic strategy move for a hand against the dealer's up card: 'split',
+ * 'double', 'surrender', 'hit' or 'stand'. `allowed` says which of split,
+ * double and surrender the table offers on this hand; without them the hand
+ * hits or stands. This is the common multi-deck chart for a dealer standing
+ * on soft 17, played the same at every table, so a table whose rules call for
+ * a different chart (Spanish 21, Free Bet, Double Exposure) shows a slightly
+ * higher edge than a player who learned its own.
+ */
+export function basicStrategy(cards, upCard, allowed = {}) {
+  const up = upCard.value;
+  const { total, soft } = calculateHandTotal(cards);
+  const pair = cards.length === 2 && cards[0].value === cards[1].value;
+
+  if (pair && allowed.split && PAIR_SPLITS[cards[0].value].includes(up)) {
+    return 'split';
+  }
+  if (allowed.surrender && !soft && ((total === 16 && up >= 9) || (total === 15 && up === 10))) {
+    return 'surrender';
+  }
+
+  const doubles = soft ? SOFT_DOUBLES : HARD_DOUBLES;
+  if (allowed.double && (doubles[total] || []).includes(up)) {
+    return 'double';
+  }
+  if (soft) {
+    if (total === 18) {
+      return up >= 9 ? 'hit' : 'stand';
+    }
+    return total >= 19 ? 'stand' : 'hit';
+  }
+  if (total >= 17 || (total >= 13 && up <= 6) || (total === 12 && up >= 4 && up <= 6)) {
+    return 'stand';
+  }
+  return 'hit';
+}
+
+// ─── Playing Rounds ──────────────────────────────────────────────────
+
+/**
+ * Play the player's turn out with basic strategy, spot by spot and hand by
+ * hand, until the round moves on to the dealer or is settled.
+ */
+function playTurn(state) {
+  while (state.phase === 'playing') {
+    const actions = getAvailableActions(state);
+    const split = state.splitHands !== undefined;
+    const cards = split ? state.splitHands[state.activeHandIndex].cards : state.playerHand;
+    const move = basicStrategy(cards, state.dealerHand[0], {
+      split: actions.split,
+      double: split ? actions.splitDouble : actions.double,
+      surrender: actions.surrender,
+    });
+    if (move === 'split') {
+      state = playerSplit(state);
+    } else if (split) {
+      if (move === 'double') state = splitDouble(state);
+      else if (move === 'hit' && actions.splitHit) state = splitHit(state);
+      else state = splitStand(state);
+    } else if (move === 'surrender') {
+      state = playerSurrender(state);
+    } else if (move === 'double') {
+      state = playerDouble(state);
+    } else if (move === 'hit' && actions.hit) {
+      state = playerHit(state);
+    } else {
+      state = playerStand(state);
+    }
+    state = finishSpot(state);
+  }
+  return state;
+}
+
+/**
+ * Play one round at a flat bet on a single spot (two hands at Blackjack
+ * Switch): decline every offer made before the peek — early surrender,
+ * the switch, insurance — then play basic strategy and let the dealer draw
+ * out. Returns the settled state, its table not yet cleared.
+ */
+export function playRound(state, bet) {
+  state = placeBets(state, [bet]).state;
+  state = dealInitialCards(state);
+  while (state.phase === 'earlySurrender' || state.phase === 'switch' || state.phase === 'insurance') {
+    if (state.phase === 'earlySurrender') state = declineSurrender(state);
+    else if (state.phase === 'switch') state = declineSwitch(state);
+    else state = declineInsurance(state);
+  }
+  if (state.phase === 'playing') {
+    state = checkForBlackjack(state);
+  }
+  state = playTurn(state);
+  if (state.phase === 'result') {
+    return state;
+  }
+  state = { ...state, phase: 'dealerTurn' };
+  while (!isDealerDone(state)) {
+    state = dealerDrawOne(state);
+  }
+  return settleRound(state);
+}
+
+// Every card a round put on the table
+const cardsDealt = (state) => [
+  ...state.dealerHand,
+  ...(state.spots || [state]).flatMap((spot) => (
+    spot.splitHands ? spot.splitHands.flatMap((hand) => hand.cards) : spot.playerHand
+  )),
+].length;
+
+/**
+ * Play `rounds` rounds at the table's minimum bet and total them up:
+ * { rounds, wagered, net, houseEdge, cards, shuffles, hours, roundsPerHour }.
+ * The house edge is the share of the money wagered that the player lost,
+ * doubles and splits included; the time is estimated from DEALING_TIMES.
+ * The same seed deals the same shoes.
+ */
+export function simulate(rules, { rounds = 100000, seed = 'simulate', times = DEALING_TIMES } = {}) {
+  let state = reshuffleShoe(createGameState(rules, createRng(seed)));
+  // Deep enough pockets that no losing streak ends the session
+  state = { ...state, chips: 1e9 };
+  const bet = state.rules.minBet;
+  let wagered = 0;
+  let net = 0;
+  let cards = 0;
+  let shuffles = 0;
+
+  for (let i = 0; i < rounds; i++) {
+    const chips = state.chips;
+    state = { ...state, reshuffled: false };
+    state = playRound(state, bet);
+    wagered += state.rules.switchHands ? bet * 2 : bet;
+    net += state.chips - chips;
+    cards += cardsDealt(state);
+    if (state.reshuffled) shuffles++;
+    state = clearTable(state);
+  }
+
+  const seconds = rounds * times.roundSeconds + cards * times.cardSeconds
+    + shuffles * state.rules.decks * times.shuffleSecondsPerDeck;
+  return {
+    rounds,
+    wagered,
+    net,
+    houseEdge: -net / wagered,
+    cards,
+    shuffles,
+    hours: seconds / 3600,
+    roundsPerHour: rounds / (seconds / 3600),
+  };
+}
+
+/**
+ * Simulate a table with and without a continuous shuffling machine, on the
+ * same seed, so its effect on the house edge and game speed shows side by
+ * side: { cutCard, continuous } each as simulate() returns.
+ */
+export function compareContinuousShuffle(rules, options = {}) {
+  return {
+    cutCard: simulate({ ...rules, continuousShuffle: false }, options),
+    continuous: simulate({ ...rules, continuousShuffle: true }, options),
+  };
+}
@@ -0,0 +1,96 @@
+// src/simulate.test.js — Tests for the basic strategy simulator
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createGameState, createRng, reshuffleShoe, parseScenario, DEFAULT_RULES, RULE_PRESETS } from './game.js';
+import { basicStrategy, playRound, simulate, compareContinuousShuffle, DEALING_TIMES } from './simulate.js';
+
+describe('basicStrategy', () => {
+  const hand = (text) => parseScenario(text).cards;
+  const up = (text) => parseScenario(text).cards[0];
+  const all = { split: true, double: true, surrender: true };
+
+  it('splits aces and eights, never tens or fives', () => {
+    assert.equal(basicStrategy(hand('As Ad'), up('10h'), all), 'split');
+    assert.equal(basicStrategy(hand('8s 8d'), up('Ah'), all), 'split');
+    assert.equal(basicStrategy(hand('Ks Qd'), up('6h'), all), 'stand');
+    assert.equal(basicStrategy(hand('5s 5d'), up('6h'), all), 'double');
+  });
+
+  it('doubles hard 11 and soft 17 against a small card', () => {
+    assert.equal(basicStrategy(hand('6s 5d'), up('10h'), all), 'double');
+    assert.equal(basicStrategy(hand('As 6d'), up('4h'), all), 'double');
+    assert.equal(basicStrategy(hand('As 6d'), up('7h'), all), 'hit');
+  });
+
+  it('surrenders hard 16 against a nine, ten or ace', () => {
+    assert.equal(basicStrategy(hand('10s 6d'), up('Ah'), all), 'surrender');
+    assert.equal(basicStrategy(hand('10s 6d'), up('8h'), all), 'hit');
+  });
+
+  it('hits or stands when the table does not allow the move', () => {
+    assert.equal(basicStrategy(hand('10s 6d'), up('10h'), {}), 'hit');
+    assert.equal(basicStrategy(hand('6s 5d'), up('10h'), {}), 'hit');
+    assert.equal(basicStrategy(hand('As 7d'), up('4h'), {}), 'stand');
+    assert.equal(basicStrategy(hand('8s 8d'), up('10h'), { surrender: true }), 'surrender');
+  });
+
+  it('stands on 12 to 16 against a dealer bust card only', () => {
+    assert.equal(basicStrategy(hand('10s 2d'), up('4h'), all), 'stand');
+    assert.equal(basicStrategy(hand('10s 2d'), up('3h'), all), 'hit');
+    assert.equal(basicStrategy(hand('10s 3d'), up('2h'), all), 'stand');
+    assert.equal(basicStrategy(hand('10s 4d 3c'), up('7h'), all), 'stand');
+  });
+});
+
+describe('playRound', () => {
+  const table = (scenario, rules = DEFAULT_RULES) => ({
+    ...reshuffleShoe(createGameState(rules, createRng('round'))), scenario: parseScenario(scenario, rules).cards,
+  });
+
+  it('splits eights against a ten and settles both hands', () => {
+    const state = playRound(table('8s 10d 8h 7c 10s 10h'), 10);
+    assert.equal(state.phase, 'result');
+    assert.equal(state.splitHands.length, 2);
+    assert.equal(state.chips, 1020);
+  });
+
+  it('declines insurance and plays the hand out', () => {
+    const state = playRound(table('10s Ad 9h 7c'), 10);
+    assert.equal(state.insurance, null);
+    assert.equal(state.result.outcome, 'win');
+    assert.equal(state.chips, 1010);
+  });
+});
+
+describe('simulate', () => {
+  const rules = RULE_PRESETS['vegas-strip'];
+
+  it('deals the same rounds from the same seed', () => {
+    assert.deepEqual(simulate(rules, { rounds: 300 }), simulate(rules, { rounds: 300 }));
+    assert.notDeepEqual(simulate(rules, { rounds: 300 }), simulate(rules, { rounds: 300, seed: 'other' }));
+  });
+
+  it('reports the house edge as the share of the flat bets lost', () => {
+    const run = simulate(rules, { rounds: 500 });
+    assert.equal(run.wagered, 500 * rules.minBet);
+    assert.equal(run.houseEdge, -run.net / run.wagered);
+    assert.ok(Math.abs(run.houseEdge) < 0.2);
+  });
+
+  it('times each round, card and shuffle', () => {
+    const run = simulate(rules, { rounds: 500 });
+    const seconds = 500 * DEALING_TIMES.roundSeconds + run.cards * DEALING_TIMES.cardSeconds
+      + run.shuffles * rules.decks * DEALING_TIMES.shuffleSecondsPerDeck;
+    assert.ok(run.shuffles > 0);
+    assert.equal(run.hours, seconds / 3600);
+    assert.equal(run.roundsPerHour, 500 / run.hours);
+  });
+
+  it('never stops to shuffle with a continuous shuffler, so it deals faster', () => {
+    const { cutCard, continuous } = compareContinuousShuffle(rules, { rounds: 500 });
+    assert.equal(continuous.shuffles, 0);
+    assert.ok(cutCard.shuffles > 0);
+    assert.ok(continuous.roundsPerHour > cutCard.roundsPerHour);
+  });
+});